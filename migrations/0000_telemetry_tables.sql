@@ -0,0 +1,71 @@
+CREATE TABLE "compressors" (
+	"id" varchar PRIMARY KEY NOT NULL,
+	"site" text NOT NULL,
+	"model" text NOT NULL,
+	"threshold_profile" text,
+	"state" text NOT NULL,
+	"definition" jsonb NOT NULL,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL,
+	"updated_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "maintenance_records" (
+	"id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"compressor_id" varchar NOT NULL,
+	"warning_event_id" varchar,
+	"kind" text NOT NULL,
+	"description" text NOT NULL,
+	"performed_by" text,
+	"performed_at" timestamp with time zone DEFAULT now() NOT NULL,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "readings" (
+	"id" bigserial PRIMARY KEY NOT NULL,
+	"compressor_id" varchar NOT NULL,
+	"recorded_at" timestamp with time zone NOT NULL,
+	"status" text NOT NULL,
+	"temperature" double precision,
+	"vibration" double precision,
+	"pressure" double precision,
+	"flow_rate" double precision,
+	"warning" text NOT NULL,
+	"event_type" text NOT NULL,
+	"risk_score" double precision NOT NULL,
+	"ai_alert" boolean NOT NULL,
+	"ai_reason" text NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "users" (
+	"id" varchar PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"username" text NOT NULL,
+	"password" text NOT NULL,
+	CONSTRAINT "users_username_unique" UNIQUE("username")
+);
+--> statement-breakpoint
+CREATE TABLE "warning_events" (
+	"id" varchar PRIMARY KEY NOT NULL,
+	"compressor_id" varchar NOT NULL,
+	"status" text NOT NULL,
+	"severity" text NOT NULL,
+	"initial_severity" text NOT NULL,
+	"event_type" text NOT NULL,
+	"ai_reason" text NOT NULL,
+	"opened_at" timestamp with time zone NOT NULL,
+	"updated_at" timestamp with time zone NOT NULL,
+	"acknowledged_at" timestamp with time zone,
+	"acknowledged_by" text,
+	"resolved_at" timestamp with time zone,
+	"resolved_by" text,
+	"resolution_note" text,
+	"trigger" jsonb NOT NULL,
+	"escalations" jsonb DEFAULT '[]'::jsonb NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "maintenance_records" ADD CONSTRAINT "maintenance_records_compressor_id_compressors_id_fk" FOREIGN KEY ("compressor_id") REFERENCES "public"."compressors"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "maintenance_records" ADD CONSTRAINT "maintenance_records_warning_event_id_warning_events_id_fk" FOREIGN KEY ("warning_event_id") REFERENCES "public"."warning_events"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "readings" ADD CONSTRAINT "readings_compressor_id_compressors_id_fk" FOREIGN KEY ("compressor_id") REFERENCES "public"."compressors"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "warning_events" ADD CONSTRAINT "warning_events_compressor_id_compressors_id_fk" FOREIGN KEY ("compressor_id") REFERENCES "public"."compressors"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "maintenance_records_compressor_idx" ON "maintenance_records" USING btree ("compressor_id","performed_at");--> statement-breakpoint
+CREATE INDEX "readings_compressor_recorded_at_idx" ON "readings" USING btree ("compressor_id","recorded_at");--> statement-breakpoint
+CREATE INDEX "warning_events_compressor_opened_at_idx" ON "warning_events" USING btree ("compressor_id","opened_at");
\ No newline at end of file
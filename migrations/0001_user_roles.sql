@@ -0,0 +1 @@
+ALTER TABLE "users" ADD COLUMN "role" text DEFAULT 'manager' NOT NULL;
\ No newline at end of file
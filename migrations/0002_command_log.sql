@@ -0,0 +1,12 @@
+CREATE TABLE "command_log" (
+	"id" varchar PRIMARY KEY NOT NULL,
+	"compressor_id" varchar NOT NULL,
+	"command" text NOT NULL,
+	"issued_by" text,
+	"note" text,
+	"issued_at" timestamp with time zone NOT NULL,
+	"status_before" text NOT NULL,
+	"target" text NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX "command_log_compressor_issued_at_idx" ON "command_log" USING btree ("compressor_id","issued_at");
\ No newline at end of file
@@ -0,0 +1,24 @@
+CREATE TABLE "work_orders" (
+	"id" varchar PRIMARY KEY NOT NULL,
+	"compressor_id" varchar NOT NULL,
+	"warning_event_id" varchar,
+	"source" text NOT NULL,
+	"kind" text NOT NULL,
+	"title" text NOT NULL,
+	"status" text NOT NULL,
+	"assignee" text,
+	"notes" jsonb DEFAULT '[]'::jsonb NOT NULL,
+	"parts" jsonb DEFAULT '[]'::jsonb NOT NULL,
+	"created_at" timestamp with time zone NOT NULL,
+	"created_by" text NOT NULL,
+	"updated_at" timestamp with time zone NOT NULL,
+	"started_at" timestamp with time zone,
+	"completed_at" timestamp with time zone,
+	"completed_by" text,
+	"reset" boolean DEFAULT false NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "work_orders" ADD CONSTRAINT "work_orders_compressor_id_compressors_id_fk" FOREIGN KEY ("compressor_id") REFERENCES "public"."compressors"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "work_orders" ADD CONSTRAINT "work_orders_warning_event_id_warning_events_id_fk" FOREIGN KEY ("warning_event_id") REFERENCES "public"."warning_events"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "work_orders_compressor_created_at_idx" ON "work_orders" USING btree ("compressor_id","created_at");--> statement-breakpoint
+CREATE INDEX "work_orders_status_idx" ON "work_orders" USING btree ("status");
\ No newline at end of file
@@ -0,0 +1,2 @@
+ALTER TABLE "compressors" ADD COLUMN "area" text DEFAULT 'default' NOT NULL;--> statement-breakpoint
+ALTER TABLE "compressors" ADD COLUMN "line" text DEFAULT 'default' NOT NULL;
\ No newline at end of file
@@ -0,0 +1,5 @@
+CREATE TABLE "threshold_profiles" (
+	"id" varchar PRIMARY KEY NOT NULL,
+	"profile" jsonb NOT NULL,
+	"updated_at" timestamp with time zone DEFAULT now() NOT NULL
+);
@@ -0,0 +1,17 @@
+ALTER TABLE "maintenance_records" DROP CONSTRAINT "maintenance_records_compressor_id_compressors_id_fk";
+--> statement-breakpoint
+ALTER TABLE "readings" DROP CONSTRAINT "readings_compressor_id_compressors_id_fk";
+--> statement-breakpoint
+ALTER TABLE "warning_events" DROP CONSTRAINT "warning_events_compressor_id_compressors_id_fk";
+--> statement-breakpoint
+ALTER TABLE "work_orders" DROP CONSTRAINT "work_orders_compressor_id_compressors_id_fk";
+--> statement-breakpoint
+ALTER TABLE "compressors" ADD COLUMN "removed_at" timestamp with time zone;--> statement-breakpoint
+ALTER TABLE "maintenance_records" ADD COLUMN "work_order_id" varchar;--> statement-breakpoint
+ALTER TABLE "warning_events" ADD COLUMN "acknowledge_note" text;--> statement-breakpoint
+ALTER TABLE "warning_events" ADD COLUMN "latest" jsonb;--> statement-breakpoint
+ALTER TABLE "maintenance_records" ADD CONSTRAINT "maintenance_records_work_order_id_work_orders_id_fk" FOREIGN KEY ("work_order_id") REFERENCES "public"."work_orders"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "maintenance_records" ADD CONSTRAINT "maintenance_records_compressor_id_compressors_id_fk" FOREIGN KEY ("compressor_id") REFERENCES "public"."compressors"("id") ON DELETE restrict ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "readings" ADD CONSTRAINT "readings_compressor_id_compressors_id_fk" FOREIGN KEY ("compressor_id") REFERENCES "public"."compressors"("id") ON DELETE restrict ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "warning_events" ADD CONSTRAINT "warning_events_compressor_id_compressors_id_fk" FOREIGN KEY ("compressor_id") REFERENCES "public"."compressors"("id") ON DELETE restrict ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "work_orders" ADD CONSTRAINT "work_orders_compressor_id_compressors_id_fk" FOREIGN KEY ("compressor_id") REFERENCES "public"."compressors"("id") ON DELETE restrict ON UPDATE no action;
\ No newline at end of file
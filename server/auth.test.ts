@@ -0,0 +1,123 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import type { Server } from "http";
+import type { AddressInfo } from "net";
+import type { PublicUser } from "@shared/schema";
+import { setupAuth } from "./auth";
+import { simulatorAccess } from "./routes";
+import { createSimulatorRouter } from "./sim";
+import { createClock } from "./sim/clock";
+import { createEngine } from "./sim/engine";
+import { createSimulatorService } from "./sim/service";
+import { createSink } from "./sim/sinks";
+
+// Runs against the in-memory storage (no DATABASE_URL), which starts
+// empty in each test process
+describe("auth routes", () => {
+  let server: Server;
+  let base: string;
+
+  before(async () => {
+    process.env.SESSION_SECRET = "test-secret";
+    const engine = createEngine({ seed: 3, aiMode: "heuristic", clock: createClock({ mode: "virtual" }) });
+    const service = createSimulatorService({ engine, sink: await createSink({ kind: "memory" }), logTicks: false });
+    const app = express();
+    app.use(express.json());
+    setupAuth(app);
+    app.use("/api", createSimulatorRouter(service, simulatorAccess));
+    server = app.listen(0, "127.0.0.1");
+    await new Promise(resolve => server.once("listening", resolve));
+    base = `http://127.0.0.1:${(server.address() as AddressInfo).port}/api`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // Returns the response with the session cookie it set, if any
+  async function request(method: string, path: string, { body, cookie }: { body?: unknown; cookie?: string } = {}) {
+    const headers: Record<string, string> = {};
+    if (body !== undefined) headers["content-type"] = "application/json";
+    if (cookie) headers.cookie = cookie;
+    const res = await fetch(`${base}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { res, cookie: res.headers.get("set-cookie")?.split(";")[0] };
+  }
+
+  const register = (username: string) => request("POST", "/register", { body: { username, password: "password1" } });
+  const pause = (cookie?: string) => request("POST", "/simulator/pause", { cookie });
+
+  let adminCookie: string;
+  let managerCookie: string;
+  let managerId: string;
+
+  it("makes one of two simultaneous first sign-ups admin and the other manager", async () => {
+    const signups = await Promise.all([register("ana"), register("ben")]);
+    const users = (await Promise.all(signups.map(({ res }) => res.json()))) as PublicUser[];
+    assert.deepEqual(signups.map(({ res }) => res.status), [201, 201]);
+    assert.deepEqual(users.map(u => u.role).sort(), ["admin", "manager"]);
+    assert.ok(users.every(u => !("password" in u)));
+
+    const adminAt = users[0].role === "admin" ? 0 : 1;
+    adminCookie = signups[adminAt].cookie as string;
+    managerCookie = signups[1 - adminAt].cookie as string;
+    managerId = users[1 - adminAt].id;
+  });
+
+  it("starts later accounts as manager and rejects bad or taken names", async () => {
+    const { res } = await register("cal");
+    assert.equal(((await res.json()) as PublicUser).role, "manager");
+
+    const taken = await register("ana");
+    assert.deepEqual([taken.res.status, await taken.res.json()], [409, { message: "Username already exists" }]);
+    assert.equal((await request("POST", "/register", { body: { username: "dee", password: "short" } })).res.status, 400);
+  });
+
+  it("logs in, reports the session user and logs out", async () => {
+    const wrong = await request("POST", "/login", { body: { username: "cal", password: "password2" } });
+    assert.deepEqual([wrong.res.status, await wrong.res.json()], [401, { message: "Invalid username or password" }]);
+
+    const login = await request("POST", "/login", { body: { username: "cal", password: "password1" } });
+    assert.equal(login.res.status, 200);
+    const cookie = login.cookie as string;
+
+    const me = await request("GET", "/user", { cookie });
+    assert.deepEqual([me.res.status, ((await me.res.json()) as PublicUser).username], [200, "cal"]);
+    assert.equal((await request("GET", "/user")).res.status, 401);
+
+    assert.equal((await request("POST", "/logout", { cookie })).res.status, 200);
+    assert.equal((await request("GET", "/user", { cookie })).res.status, 401);
+  });
+
+  it("guards simulator writes by role", async () => {
+    const anonymous = await pause();
+    assert.deepEqual([anonymous.res.status, await anonymous.res.json()], [401, { message: "Authentication required" }]);
+
+    const manager = await pause(managerCookie);
+    assert.deepEqual([manager.res.status, await manager.res.json()], [403, { message: "Requires role: admin, engineer" }]);
+    assert.equal((await request("GET", "/simulator", { cookie: managerCookie })).res.status, 200);
+
+    assert.equal((await pause(adminCookie)).res.status, 200);
+  });
+
+  it("lets only an admin change roles, which apply on the next request", async () => {
+    const refused = await request("PATCH", `/users/${managerId}`, { body: { role: "engineer" }, cookie: managerCookie });
+    assert.equal(refused.res.status, 403);
+    assert.equal((await request("GET", "/users", { cookie: managerCookie })).res.status, 403);
+
+    assert.equal((await request("PATCH", `/users/${managerId}`, { body: { role: "pilot" }, cookie: adminCookie })).res.status, 400);
+    assert.equal((await request("PATCH", "/users/nope", { body: { role: "engineer" }, cookie: adminCookie })).res.status, 404);
+
+    const promoted = await request("PATCH", `/users/${managerId}`, { body: { role: "engineer" }, cookie: adminCookie });
+    assert.deepEqual([promoted.res.status, ((await promoted.res.json()) as PublicUser).role], [200, "engineer"]);
+    assert.equal((await pause(managerCookie)).res.status, 200);
+
+    const list = await request("GET", "/users", { cookie: adminCookie });
+    const names = ((await list.res.json()) as PublicUser[]).map(u => u.username);
+    assert.deepEqual(names.sort(), ["ana", "ben", "cal"]);
+  });
+});
@@ -0,0 +1,197 @@
+import type { Express, NextFunction, Request, Response } from "express";
+import session from "express-session";
+import passport from "passport";
+import { Strategy as LocalStrategy } from "passport-local";
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+import {
+  registerUserSchema,
+  updateUserRoleSchema,
+  type PublicUser,
+  type Role,
+  type User as SelectUser,
+} from "@shared/schema";
+import { storage } from "./storage";
+
+declare global {
+  namespace Express {
+    interface User extends SelectUser {}
+  }
+}
+
+const scryptAsync = promisify(scrypt);
+
+const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Stored as "<hex hash>.<hex salt>"
+export async function hashPassword(password: string) {
+  const salt = randomBytes(16).toString("hex");
+  const buf = (await scryptAsync(password, salt, 64)) as Buffer;
+  return `${buf.toString("hex")}.${salt}`;
+}
+
+export async function comparePasswords(supplied: string, stored: string) {
+  const [hashed, salt] = stored.split(".");
+  if (!hashed || !salt) return false;
+  const hashedBuf = Buffer.from(hashed, "hex");
+  const suppliedBuf = (await scryptAsync(supplied, salt, 64)) as Buffer;
+  return (
+    hashedBuf.length === suppliedBuf.length &&
+    timingSafeEqual(hashedBuf, suppliedBuf)
+  );
+}
+
+export function toPublicUser({ password: _password, ...user }: SelectUser): PublicUser {
+  return user;
+}
+
+// 401 without a session, 403 when the user's role is not in `roles`
+export function requireRole(...roles: Role[]) {
+  return (req: Request, res: Response, next: NextFunction) => {
+    if (!req.isAuthenticated()) {
+      return res.status(401).json({ message: "Authentication required" });
+    }
+    if (!roles.includes(req.user.role)) {
+      return res
+        .status(403)
+        .json({ message: `Requires role: ${roles.join(", ")}` });
+    }
+    next();
+  };
+}
+
+function sessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("SESSION_SECRET must be set in production");
+  }
+  console.warn("SESSION_SECRET not set; using a random secret (sessions end on restart)");
+  return randomBytes(32).toString("hex");
+}
+
+// Cookie sessions backed by storage.sessionStore. Routes:
+//   POST /api/register  { username, password } — the first account is admin,
+//                        later ones start as manager until an admin changes it
+//   POST /api/login     { username, password }
+//   POST /api/logout
+//   GET  /api/user
+//   GET  /api/users, PATCH /api/users/:id { role } — admin only
+export function setupAuth(app: Express) {
+  const sessionSettings: session.SessionOptions = {
+    secret: sessionSecret(),
+    resave: false,
+    saveUninitialized: false,
+    store: storage.sessionStore,
+    cookie: {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+      maxAge: SESSION_MAX_AGE_MS,
+    },
+  };
+
+  app.set("trust proxy", 1);
+  app.use(session(sessionSettings));
+  app.use(passport.initialize());
+  app.use(passport.session());
+
+  passport.use(
+    new LocalStrategy(async (username, password, done) => {
+      try {
+        const user = await storage.getUserByUsername(username);
+        if (!user || !(await comparePasswords(password, user.password))) {
+          return done(null, false);
+        }
+        return done(null, user);
+      } catch (err) {
+        return done(err);
+      }
+    }),
+  );
+
+  passport.serializeUser((user, done) => done(null, user.id));
+  passport.deserializeUser(async (id: string, done) => {
+    try {
+      // A deleted user simply ends up logged out
+      done(null, (await storage.getUser(id)) ?? false);
+    } catch (err) {
+      done(err);
+    }
+  });
+
+  app.post("/api/register", async (req, res, next) => {
+    const parsed = registerUserSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: parsed.error.errors[0].message });
+    }
+
+    try {
+      const { username, password } = parsed.data;
+      if (await storage.getUserByUsername(username)) {
+        return res.status(409).json({ message: "Username already exists" });
+      }
+
+      const user = await storage.registerUser({
+        username,
+        password: await hashPassword(password),
+      });
+
+      req.login(user, (err) => {
+        if (err) return next(err);
+        res.status(201).json(toPublicUser(user));
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  app.post("/api/login", (req, res, next) => {
+    passport.authenticate("local", (err: unknown, user: SelectUser | false) => {
+      if (err) return next(err);
+      if (!user) {
+        return res.status(401).json({ message: "Invalid username or password" });
+      }
+      req.login(user, (loginErr) => {
+        if (loginErr) return next(loginErr);
+        res.json(toPublicUser(user));
+      });
+    })(req, res, next);
+  });
+
+  app.post("/api/logout", (req, res, next) => {
+    req.logout((err) => {
+      if (err) return next(err);
+      res.sendStatus(200);
+    });
+  });
+
+  app.get("/api/user", (req, res) => {
+    if (!req.isAuthenticated()) return res.sendStatus(401);
+    res.json(toPublicUser(req.user));
+  });
+
+  app.get("/api/users", requireRole("admin"), async (_req, res, next) => {
+    try {
+      res.json((await storage.listUsers()).map(toPublicUser));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  app.patch("/api/users/:id", requireRole("admin"), async (req, res, next) => {
+    const parsed = updateUserRoleSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: parsed.error.errors[0].message });
+    }
+
+    try {
+      const user = await storage.updateUserRole(req.params.id, parsed.data.role);
+      if (!user) {
+        return res.status(404).json({ message: `Unknown user ${req.params.id}` });
+      }
+      res.json(toPublicUser(user));
+    } catch (err) {
+      next(err);
+    }
+  });
+}
@@ -0,0 +1,18 @@
+import { drizzle } from "drizzle-orm/node-postgres";
+import { migrate } from "drizzle-orm/node-postgres/migrator";
+import path from "path";
+import pg from "pg";
+import * as schema from "@shared/schema";
+
+export type Database = ReturnType<typeof createDatabase>;
+
+export function createDatabase(connectionString: string) {
+  const pool = new pg.Pool({ connectionString });
+  return drizzle(pool, { schema });
+}
+
+// Applies the SQL in ./migrations (generated by drizzle-kit from
+// shared/schema.ts); already-applied migrations are skipped.
+export async function migrateDatabase(db: Database) {
+  await migrate(db, { migrationsFolder: path.resolve("migrations") });
+}
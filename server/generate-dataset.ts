@@ -0,0 +1,253 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Offline Dataset Generator
+   Runs the compressor engine on a virtual clock (no server,
+   no sink) and writes labelled telemetry for anomaly-
+   detection experiments.
+
+   npx tsx server/generate-dataset.ts --duration 24h --out data/run.csv
+
+   Options:
+     --units N          synthetic fleet of N default units
+                        (otherwise the fleet config is used)
+     --fleet FILE       fleet config (default sim/fleet.json)
+     --duration D       virtual time to simulate (default 1h)
+     --tick D           tick interval (default 2s)
+     --start ISO        virtual start instant (default 2025-01-01)
+     --seed S           PRNG seed (default 42)
+     --faults FILE      scenario script of timed fault steps
+     --fault-rate R     random faults per unit-hour (default 0)
+     --fault-scenarios  comma list to sample from (default all)
+     --ai-mode M        detector | heuristic (default detector)
+     --format F         csv | jsonl | columnar (default from --out
+                        extension, else csv)
+     --out FILE         output path (default stdout)
+
+   Labels per row: status, warning, event_type, fault
+   (active scenario names, "+"-joined) and fault_run_id.
+--------------------------------------------------------- */
+
+import fs from "fs";
+import path from "path";
+import { once } from "events";
+import { parseArgs } from "util";
+import {
+  AI_MODES,
+  createClock,
+  createEngine,
+  createRandom,
+  loadFleetConfig,
+  loadScenarioConfig,
+  loadScript,
+  normalizeUnit,
+  parseDuration,
+  type AiMode
+} from "./sim";
+
+// ---------------- COLUMNS ----------------
+const COLUMNS = [
+  { name: "timestamp", type: "int64" },
+  { name: "compressor_id", type: "string" },
+  { name: "temperature", type: "float64" },
+  { name: "vibration", type: "float64" },
+  { name: "pressure", type: "float64" },
+  { name: "flow_rate", type: "float64" },
+  { name: "risk_score", type: "float64" },
+  { name: "ai_alert", type: "bool" },
+  { name: "status", type: "string" },
+  { name: "warning", type: "string" },
+  { name: "event_type", type: "string" },
+  { name: "fault", type: "string" },
+  { name: "fault_run_id", type: "string" }
+];
+
+const FORMATS: Record<string, string> = { ".csv": "csv", ".jsonl": "jsonl", ".json": "columnar" };
+
+type Row = Record<string, unknown>;
+
+// ---------------- ARGUMENTS ----------------
+function readOptions(argv: string[]) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      units: { type: "string" },
+      fleet: { type: "string" },
+      duration: { type: "string", default: "1h" },
+      tick: { type: "string", default: "2s" },
+      start: { type: "string" },
+      seed: { type: "string", default: "42" },
+      faults: { type: "string" },
+      "fault-rate": { type: "string", default: "0" },
+      "fault-scenarios": { type: "string" },
+      "ai-mode": { type: "string", default: "detector" },
+      format: { type: "string" },
+      out: { type: "string" }
+    }
+  });
+
+  const format = values.format || FORMATS[path.extname(values.out || "")] || "csv";
+  if (!["csv", "jsonl", "columnar"].includes(format)) {
+    throw new Error(`Unknown format "${format}" (csv, jsonl, columnar)`);
+  }
+
+  const units = values.units === undefined ? null : Number(values.units);
+  if (units !== null && !(Number.isInteger(units) && units > 0)) {
+    throw new Error("--units must be a positive integer");
+  }
+
+  const aiMode = values["ai-mode"] as AiMode;
+  if (!AI_MODES.includes(aiMode)) throw new Error(`--ai-mode must be one of ${AI_MODES.join(", ")}`);
+
+  const faultRate = Number(values["fault-rate"]);
+  if (!(faultRate >= 0)) throw new Error("--fault-rate must be >= 0");
+
+  return {
+    units,
+    fleetFile: values.fleet,
+    durationMs: parseDuration(values.duration, "--duration"),
+    tickMs: parseDuration(values.tick, "--tick"),
+    start: values.start,
+    seed: values.seed as string,
+    faultsFile: values.faults,
+    faultRate,
+    faultScenarios: values["fault-scenarios"]
+      ? values["fault-scenarios"].split(",").map(s => s.trim()).filter(Boolean)
+      : null,
+    aiMode,
+    format,
+    out: values.out
+  };
+}
+
+// ---------------- WRITERS ----------------
+function csvCell(value: unknown) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// write() resolves immediately unless the output stream needs draining
+function createWriter(format: string, out?: string) {
+  const stream: NodeJS.WritableStream = out ? fs.createWriteStream(out) : process.stdout;
+  const names = COLUMNS.map(c => c.name);
+
+  const push = async (text: string) => {
+    if (!stream.write(text)) await once(stream, "drain");
+  };
+  const end = () => new Promise<void>(resolve => (out ? stream.end(resolve) : resolve()));
+
+  if (format === "csv") {
+    stream.write(names.join(",") + "\n");
+    return {
+      write: (row: Row) => push(names.map(n => csvCell(row[n])).join(",") + "\n"),
+      end
+    };
+  }
+
+  if (format === "jsonl") {
+    return {
+      write: (row: Row) =>
+        push(JSON.stringify(Object.fromEntries(names.map(n => [n, row[n] ?? null]))) + "\n"),
+      end
+    };
+  }
+
+  // Columnar: one array per column plus a schema, Parquet-style
+  const columns: Record<string, unknown[]> = Object.fromEntries(names.map(n => [n, []]));
+  let count = 0;
+  return {
+    write: async (row: Row) => {
+      for (const n of names) columns[n].push(row[n] ?? null);
+      count += 1;
+    },
+    end: () =>
+      new Promise<void>(resolve => {
+        stream.write(JSON.stringify({ schema: COLUMNS, num_rows: count, columns }));
+        if (out) stream.end(resolve);
+        else resolve();
+      })
+  };
+}
+
+// ---------------- GENERATION ----------------
+async function main() {
+  const options = readOptions(process.argv.slice(2));
+
+  const fleetConfig = loadFleetConfig(options.fleetFile);
+  const fleet = options.units
+    ? {
+        ...fleetConfig,
+        units: Array.from({ length: options.units }, (_, i) =>
+          normalizeUnit({ id: `compressor_${i + 1}` }, fleetConfig.defaults))
+      }
+    : fleetConfig;
+
+  // Schedules (e.g. the live demo pulse) are left out: dataset faults
+  // come only from --faults and --fault-rate so every one is deliberate.
+  const scenarioConfig = loadScenarioConfig();
+  let faultCount = 0;
+
+  const engine = createEngine({
+    fleet,
+    scenarios: { scenarios: scenarioConfig.scenarios },
+    newRunId: () => `fault_${String(++faultCount).padStart(6, "0")}`,
+    seed: options.seed,
+    aiMode: options.aiMode,
+    clock: createClock({ mode: "virtual", start: options.start }),
+    tickMs: options.tickMs
+  });
+  const { scenarios } = engine;
+  const faultRandom = createRandom(`${options.seed}:faults`);
+
+  if (options.faultsFile) scenarios.runScript(loadScript(options.faultsFile));
+
+  const faultPool = options.faultScenarios || scenarios.names();
+  for (const name of faultPool) {
+    if (!scenarios.has(name)) throw new Error(`Unknown scenario "${name}" in --fault-scenarios`);
+  }
+  const faultChance = options.faultRate * (options.tickMs / (60 * 60 * 1000));
+
+  const writer = createWriter(options.format, options.out);
+  const units = engine.units().length;
+  const ticks = Math.floor(options.durationMs / options.tickMs);
+
+  for (let i = 0; i < ticks; i++) {
+    // Random faults start at the current instant and shape the next tick
+    if (faultChance > 0) {
+      for (const unit of engine.units()) {
+        if (scenarios.activeFor(unit.id).length > 0 || faultRandom() >= faultChance) continue;
+        const name = faultPool[Math.floor(faultRandom() * faultPool.length)];
+        scenarios.start(name, [unit.id], { source: "random" });
+      }
+    }
+
+    for (const row of engine.step()) {
+      const runs = scenarios.activeFor(row.compressor_id);
+      await writer.write({
+        ...row,
+        fault: runs.map(r => r.scenario).join("+") || "none",
+        fault_run_id: runs.map(r => r.id).join("+") || null
+      });
+    }
+
+    if (options.out && i % 10000 === 0) {
+      process.stderr.write(`\r${Math.round((i / ticks) * 100)}%`);
+    }
+  }
+
+  await writer.end();
+
+  if (options.out) {
+    process.stderr.write(`\r${ticks * units} rows (${units} units × ${ticks} ticks) → ${options.out}\n`);
+  }
+}
+
+// Piping into head & co. closes stdout early; that is not an error
+process.stdout.on("error", (err: NodeJS.ErrnoException) => {
+  if (err.code === "EPIPE") process.exit(0);
+  throw err;
+});
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,160 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createStorageRecorder } from "./persistence";
+import { MemStorage } from "./storage";
+import { historyFromBuckets, type Alert, type TelemetryRecorder } from "./sim";
+import { createClock } from "./sim/clock";
+import { createEngine } from "./sim/engine";
+import { createSimulatorService } from "./sim/service";
+import { createSink } from "./sim/sinks";
+import type { TelemetryRow } from "./sim/types";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function createService(recorder?: TelemetryRecorder) {
+  const engine = createEngine({ seed: 7, aiMode: "heuristic", clock: createClock({ mode: "virtual" }) });
+  const service = createSimulatorService({ engine, sink: await createSink({ kind: "memory" }), recorder, logTicks: false });
+  await service.load();
+  return service;
+}
+
+// Lets persist() writes, which are not awaited, settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function reading(compressor_id: string, timestamp: number, values: Partial<TelemetryRow>): TelemetryRow {
+  return {
+    compressor_id,
+    timestamp,
+    status: "active",
+    temperature: null,
+    vibration: null,
+    pressure: null,
+    flow_rate: null,
+    warning: "none",
+    event_type: "normal",
+    risk_score: 0,
+    ai_alert: false,
+    ai_reason: "",
+    message: "",
+    insights_manager: "",
+    insights_engineer: "",
+    insights_maintenance: "",
+    ...values
+  };
+}
+
+describe("storage recorder", () => {
+  it("soft deletes units and brings them back when saved again", async () => {
+    const storage = new MemStorage();
+    const recorder = createStorageRecorder(storage);
+    const service = await createService(recorder);
+    service.putThreshold("hot_climate", { temperature: { medium: 86, high: 92, abnormal: 91 } });
+    const unit = service.addUnit({ id: "compressor_9", site: "north", thresholdProfile: "hot_climate" });
+    service.removeUnit("compressor_2");
+    await settle();
+
+    const row = await storage.getCompressor("compressor_9");
+    assert.deepEqual([row?.site, row?.thresholdProfile, row?.definition], ["north", "hot_climate", unit]);
+    assert.ok((await storage.getCompressor("compressor_2"))?.removedAt);
+    assert.deepEqual((await recorder.loadFleet()).removed, ["compressor_2"]);
+
+    const restarted = await createService(recorder);
+    assert.equal(restarted.engine.has("compressor_2"), false);
+    assert.deepEqual(restarted.engine.state("compressor_9")?.unit, unit);
+
+    restarted.addUnit({ id: "compressor_2" });
+    await settle();
+    assert.equal((await storage.getCompressor("compressor_2"))?.removedAt, null);
+    assert.deepEqual((await recorder.loadFleet()).removed, []);
+  });
+
+  it("restores threshold profiles, alerts, work orders and commands from their rows", async () => {
+    const storage = new MemStorage();
+    const recorder = createStorageRecorder(storage);
+    const service = await createService(recorder);
+    service.putThreshold("hot_climate", { temperature: { medium: 86, high: 92, abnormal: 91 } });
+    const command = service.command("compressor_2", "stop", "ana");
+    const order = service.createWorkOrder({ compressor_id: "compressor_4", title: "Replace filter", kind: "replacement" }, "ana");
+    for (let i = 0; i < 60; i++) await service.step();
+    service.updateWorkOrder(order.id, { status: "in_progress", parts: [{ name: "air filter" }], note: "On it" }, "ben");
+    service.closeWorkOrder(order.id, { note: "Filter replaced", reset: true }, "ben");
+    const alerts = service.listAlerts({});
+    assert.ok(alerts.length > 0);
+    const first = alerts.find(a => a.status === "open") as Alert;
+    service.acknowledgeAlert(first.id, "ana", "Looking");
+    service.resolveAlert(first.id, "ana", "Cooler cleaned");
+    await settle();
+
+    const [record] = await storage.listMaintenanceRecords("compressor_4");
+    assert.deepEqual(
+      [record.workOrderId, record.kind, record.description, record.performedBy],
+      [order.id, "replacement", "Replace filter", "ben"]
+    );
+
+    // latest follows every reading but is saved with lifecycle changes only
+    const withoutLatest = (list: Alert[]) => list.map(({ latest, ...alert }) => alert);
+    const restarted = await createService(recorder);
+    assert.equal(restarted.engine.thresholds.get("hot_climate")?.temperature.medium, 86);
+    assert.deepEqual(withoutLatest(restarted.listAlerts({})), withoutLatest(service.listAlerts({})));
+    assert.equal(restarted.getAlert(first.id)?.acknowledge_note, "Looking");
+    assert.deepEqual(restarted.getWorkOrder(order.id), service.getWorkOrder(order.id));
+    assert.deepEqual(restarted.listCommands({}), [command]);
+  });
+});
+
+describe("reading buckets", () => {
+  it("aggregates each unit's readings per bucket under the history field names", async () => {
+    const storage = new MemStorage();
+    const recorder = createStorageRecorder(storage);
+    await recorder.recordReadings([
+      reading("compressor_1", 1_000, { temperature: 80, flow_rate: 200, risk_score: 10 }),
+      reading("compressor_2", 2_000, { temperature: 70, flow_rate: 180, risk_score: 5 })
+    ]);
+    await recorder.recordReadings([
+      reading("compressor_1", 30_000, { temperature: 84, flow_rate: 210, risk_score: 20 }),
+      // Offline: no channel values
+      reading("compressor_1", 65_000, { status: "offline", risk_score: 30 }),
+      // Outside [from, to)
+      reading("compressor_1", 120_000, { temperature: 99, flow_rate: 209, risk_score: 99 })
+    ]);
+
+    const query = { from: 0, to: 120_000, bucket: 60_000, fields: ["temperature", "flow_rate", "risk_score"], compressors: ["compressor_1"] };
+    const buckets = await recorder.queryReadings(query);
+    assert.deepEqual(buckets.map(b => [b.compressor_id, b.t]), [["compressor_1", 0], ["compressor_1", 60_000]]);
+    assert.deepEqual(buckets[0].fields.flow_rate, { min: 200, max: 210, sum: 410, count: 2, last: 210, last_ts: 0 });
+    assert.deepEqual(Object.keys(buckets[1].fields), ["risk_score"]);
+
+    assert.deepEqual(historyFromBuckets(query, buckets).series, {
+      compressor_1: [
+        {
+          t: 0,
+          temperature: { min: 80, max: 84, avg: 82, last: 84 },
+          flow_rate: { min: 200, max: 210, avg: 205, last: 210 },
+          risk_score: { min: 10, max: 20, avg: 15, last: 20 }
+        },
+        {
+          t: 60_000,
+          temperature: null,
+          flow_rate: null,
+          risk_score: { min: 30, max: 30, avg: 30, last: 30 }
+        }
+      ]
+    });
+  });
+
+  it("answers history queries like the in-memory store", async () => {
+    const memory = await createService();
+    const stored = await createService(createStorageRecorder(new MemStorage()));
+    for (let i = 0; i < 120; i++) {
+      await memory.step();
+      await stored.step();
+    }
+    await settle();
+
+    const now = memory.engine.clock.now();
+    const query = { from: now - HOUR_MS, to: now + 1, bucket: 60_000 };
+    const expected = await memory.queryHistory(query);
+    assert.ok(Object.keys(expected.series).length > 0);
+    assert.deepEqual(await stored.queryHistory(query), expected);
+  });
+});
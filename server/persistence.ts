@@ -0,0 +1,273 @@
+import type {
+  CommandLogEntry,
+  WarningEvent,
+  WorkOrder as WorkOrderRow,
+} from "@shared/schema";
+import { READING_CHANNELS, type IStorage, type ReadingChannel } from "./storage";
+import type {
+  Alert,
+  Batch,
+  CommandRecord,
+  HistoryQuery,
+  ReadingBucket,
+  TelemetryRecorder,
+  ThresholdProfile,
+  UnitDefinition,
+  WorkOrder,
+} from "./sim";
+
+// Closed alerts and finished orders restored on startup, newest first;
+// the simulator keeps no more than this in memory either
+const RESTORE_LIMIT = 500;
+
+// History field names of the reading channels
+const HISTORY_FIELDS: Record<ReadingChannel, string> = {
+  temperature: "temperature",
+  vibration: "vibration",
+  pressure: "pressure",
+  flowRate: "flow_rate",
+  riskScore: "risk_score",
+};
+
+const at = (ms: number | null) => (ms === null ? null : new Date(ms));
+const ms = (date: Date | null) => (date === null ? null : date.getTime());
+
+function toAlert(event: WarningEvent): Alert {
+  const trigger = event.trigger as Alert["trigger"];
+  return {
+    id: event.id,
+    compressor_id: event.compressorId,
+    status: event.status as Alert["status"],
+    severity: event.severity,
+    initial_severity: event.initialSeverity,
+    event_type: event.eventType,
+    ai_reason: event.aiReason,
+    opened_at: event.openedAt.getTime(),
+    updated_at: event.updatedAt.getTime(),
+    acknowledged_at: ms(event.acknowledgedAt),
+    acknowledged_by: event.acknowledgedBy,
+    ...(event.acknowledgeNote ? { acknowledge_note: event.acknowledgeNote } : {}),
+    resolved_at: ms(event.resolvedAt),
+    resolved_by: event.resolvedBy,
+    resolution_note: event.resolutionNote,
+    trigger,
+    latest: (event.latest as Alert["latest"] | null) ?? trigger,
+    escalations: event.escalations as Alert["escalations"],
+  };
+}
+
+function toWorkOrder(row: WorkOrderRow): WorkOrder {
+  return {
+    id: row.id,
+    compressor_id: row.compressorId,
+    alert_id: row.warningEventId,
+    source: row.source as WorkOrder["source"],
+    kind: row.kind as WorkOrder["kind"],
+    title: row.title,
+    status: row.status as WorkOrder["status"],
+    assignee: row.assignee,
+    notes: row.notes as WorkOrder["notes"],
+    parts: row.parts as WorkOrder["parts"],
+    created_at: row.createdAt.getTime(),
+    created_by: row.createdBy,
+    updated_at: row.updatedAt.getTime(),
+    started_at: ms(row.startedAt),
+    completed_at: ms(row.completedAt),
+    completed_by: row.completedBy,
+    reset: row.reset,
+  };
+}
+
+function toCommand(entry: CommandLogEntry): CommandRecord {
+  return {
+    id: entry.id,
+    compressor_id: entry.compressorId,
+    command: entry.command as CommandRecord["command"],
+    issued_by: entry.issuedBy,
+    note: entry.note,
+    issued_at: entry.issuedAt.getTime(),
+    status_before: entry.statusBefore as CommandRecord["status_before"],
+    target: entry.target as CommandRecord["target"],
+  };
+}
+
+// Maps simulator units, threshold profiles, batches, alerts, commands and
+// work orders onto the Drizzle tables in shared/schema.ts, and back on
+// startup. Telemetry times are epoch milliseconds.
+export function createStorageRecorder(storage: IStorage): TelemetryRecorder {
+  return {
+    async loadFleet() {
+      const stored = await storage.listCompressors();
+      return {
+        units: stored.filter((c) => !c.removedAt).map((c) => c.definition),
+        removed: stored.filter((c) => c.removedAt).map((c) => c.id),
+      };
+    },
+
+    saveUnit(unit: UnitDefinition) {
+      return storage.upsertCompressor({
+        id: unit.id,
+        site: unit.site,
+        area: unit.area,
+        line: unit.line,
+        model: unit.model,
+        thresholdProfile: unit.thresholdProfile ?? null,
+        state: unit.state,
+        definition: unit,
+      });
+    },
+
+    removeUnit(id: string) {
+      return storage.removeCompressor(id);
+    },
+
+    async loadThresholds() {
+      const stored = await storage.listThresholdProfiles();
+      return Object.fromEntries(stored.map((p) => [p.id, p.profile]));
+    },
+
+    saveThreshold(id: string, profile: ThresholdProfile) {
+      return storage.upsertThresholdProfile({ id, profile });
+    },
+
+    recordReadings(batch: Batch) {
+      return storage.insertReadings(
+        batch.map((row) => ({
+          compressorId: row.compressor_id,
+          recordedAt: new Date(row.timestamp),
+          status: row.status,
+          temperature: row.temperature,
+          vibration: row.vibration,
+          pressure: row.pressure,
+          flowRate: row.flow_rate,
+          warning: row.warning,
+          eventType: row.event_type,
+          riskScore: row.risk_score,
+          aiAlert: row.ai_alert,
+          aiReason: row.ai_reason,
+        })),
+      );
+    },
+
+    async queryReadings(query: HistoryQuery): Promise<ReadingBucket[]> {
+      const buckets = await storage.getReadingBuckets({
+        from: new Date(query.from),
+        to: new Date(query.to),
+        bucketMs: query.bucket,
+        compressorIds: query.compressors ?? undefined,
+      });
+
+      return buckets.map((bucket) => {
+        const t = bucket.bucketStart.getTime();
+        const fields: ReadingBucket["fields"] = {};
+        for (const channel of READING_CHANNELS) {
+          const { min, max, sum, count, last } = bucket.values[channel];
+          if (count === 0) continue;
+          fields[HISTORY_FIELDS[channel]] = {
+            min: min as number,
+            max: max as number,
+            sum: sum as number,
+            count,
+            last,
+            last_ts: t,
+          };
+        }
+        return { compressor_id: bucket.compressorId, t, fields };
+      });
+    },
+
+    async loadAlerts() {
+      const [open, acknowledged, resolved] = await Promise.all([
+        storage.listWarningEvents({ status: "open" }),
+        storage.listWarningEvents({ status: "acknowledged" }),
+        storage.listWarningEvents({ status: "resolved", limit: RESTORE_LIMIT }),
+      ]);
+      return [...open, ...acknowledged, ...resolved].map(toAlert);
+    },
+
+    async loadWorkOrders() {
+      const [open, inProgress, done] = await Promise.all([
+        storage.listWorkOrders({ status: "open" }),
+        storage.listWorkOrders({ status: "in_progress" }),
+        storage.listWorkOrders({ status: "done", limit: RESTORE_LIMIT }),
+      ]);
+      return [...open, ...inProgress, ...done].map(toWorkOrder);
+    },
+
+    async loadCommands() {
+      const entries = await storage.listCommandLog();
+      return entries.map(toCommand);
+    },
+
+    recordAlert(alert: Alert) {
+      return storage.upsertWarningEvent({
+        id: alert.id,
+        compressorId: alert.compressor_id,
+        status: alert.status,
+        severity: alert.severity,
+        initialSeverity: alert.initial_severity,
+        eventType: alert.event_type,
+        aiReason: alert.ai_reason,
+        openedAt: new Date(alert.opened_at),
+        updatedAt: new Date(alert.updated_at),
+        acknowledgedAt: at(alert.acknowledged_at),
+        acknowledgedBy: alert.acknowledged_by,
+        resolvedAt: at(alert.resolved_at),
+        resolvedBy: alert.resolved_by,
+        resolutionNote: alert.resolution_note,
+        acknowledgeNote: alert.acknowledge_note ?? null,
+        trigger: alert.trigger,
+        latest: alert.latest,
+        escalations: alert.escalations,
+      });
+    },
+
+    recordCommand(command: CommandRecord) {
+      return storage.insertCommandLogEntry({
+        id: command.id,
+        compressorId: command.compressor_id,
+        command: command.command,
+        issuedBy: command.issued_by,
+        note: command.note,
+        issuedAt: new Date(command.issued_at),
+        statusBefore: command.status_before,
+        target: command.target,
+      });
+    },
+
+    recordWorkOrder(order: WorkOrder) {
+      return storage.upsertWorkOrder({
+        id: order.id,
+        compressorId: order.compressor_id,
+        warningEventId: order.alert_id,
+        source: order.source,
+        kind: order.kind,
+        title: order.title,
+        status: order.status,
+        assignee: order.assignee,
+        notes: order.notes,
+        parts: order.parts,
+        createdAt: new Date(order.created_at),
+        createdBy: order.created_by,
+        updatedAt: new Date(order.updated_at),
+        startedAt: at(order.started_at),
+        completedAt: at(order.completed_at),
+        completedBy: order.completed_by,
+        reset: order.reset,
+      });
+    },
+
+    // A closed order as the unit's maintenance record
+    recordMaintenance(order: WorkOrder) {
+      return storage.createMaintenanceRecord({
+        compressorId: order.compressor_id,
+        warningEventId: order.alert_id,
+        workOrderId: order.id,
+        kind: order.kind,
+        description: order.title,
+        performedBy: order.completed_by,
+        performedAt: at(order.completed_at) ?? new Date(),
+      });
+    },
+  };
+}
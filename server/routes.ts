@@ -1,6 +1,34 @@
 import type { Express } from "express";
 import { createServer, type Server } from "http";
-import { storage } from "./storage";
+import type { Role } from "@shared/schema";
+import { DbStorage, storage } from "./storage";
+import { requireRole, setupAuth } from "./auth";
+import { createStorageRecorder } from "./persistence";
+import {
+  createMetricsHandler,
+  createSimulator,
+  createSimulatorRouter,
+  type Permission,
+  type RouterOptions,
+} from "./sim";
+
+// Who may use each group of simulator write endpoints; reads stay open
+const PERMISSION_ROLES: Record<Permission, Role[]> = {
+  control: ["admin", "engineer"],
+  configure: ["admin", "engineer"],
+  scenarios: ["admin", "engineer"],
+  alerts: ["admin", "engineer", "maintenance"],
+  maintenance: ["admin", "engineer", "maintenance"],
+  fleet: ["admin"],
+  ingest: ["admin", "engineer"],
+};
+
+// Session-based access for the simulator router; needs setupAuth first
+export const simulatorAccess: RouterOptions = {
+  authorize: (permission) => requireRole(...PERMISSION_ROLES[permission]),
+  actor: (req) => req.user?.username,
+  audience: (req) => req.user?.role,
+};
 
 export async function registerRoutes(
   httpServer: Server,
@@ -12,5 +40,40 @@ export async function registerRoutes(
   // use storage to perform CRUD operations on the storage interface
   // e.g. storage.insertUser(user) or storage.getUserByUsername(username)
 
+  // Telemetry API (latest, per-unit detail, history, alerts, control)
+  // backed by the simulator engine; configured through SIM_* variables,
+  // see server/sim/config.ts. Per-tick dumps are left to the standalone
+  // simulator so the request log stays readable. With DATABASE_URL set,
+  // the fleet, reading snapshots and alerts are also kept in Postgres.
+  const persistent = storage instanceof DbStorage;
+  if (storage instanceof DbStorage) await storage.migrate();
+
+  // Sessions and /api/register, /api/login, /api/logout, /api/user
+  setupAuth(app);
+
+  const simulator = await createSimulator(undefined, {
+    logTicks: false,
+    recorder: persistent ? createStorageRecorder(storage) : undefined,
+  });
+
+  app.use("/api", createSimulatorRouter(simulator, simulatorAccess));
+  // Unauthenticated like the other read endpoints, for Prometheus
+  app.get("/metrics", createMetricsHandler(simulator));
+  simulator.stream.attachWebSocket(httpServer, "/api/stream/ws");
+  simulator.start();
+
+  const shutdown = async () => {
+    try {
+      await simulator.stop();
+      await simulator.sink.close();
+    } catch (err) {
+      console.error("Simulator shutdown error:", err);
+    }
+    process.exit(0);
+  };
+
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+
   return httpServer;
 }
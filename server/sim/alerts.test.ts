@@ -0,0 +1,136 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createAlertStore } from "./alerts";
+import type { TelemetryRow } from "./types";
+
+function row(timestamp: number, warning: string, fields: Partial<TelemetryRow> = {}) {
+  return {
+    compressor_id: "compressor_1",
+    timestamp,
+    status: "active",
+    temperature: warning === "normal" ? 80 : 90,
+    vibration: 3,
+    pressure: 101,
+    flow_rate: 205,
+    warning,
+    event_type: warning === "normal" ? "normal" : "overheating",
+    risk_score: 1,
+    ai_alert: false,
+    ai_reason: "",
+    ...fields
+  } as TelemetryRow;
+}
+
+function store(clearMs = 10_000) {
+  let clock = 0;
+  const alerts = createAlertStore({ clearMs, now: () => clock });
+  return { alerts, setNow: (t: number) => (clock = t) };
+}
+
+describe("alert lifecycle", () => {
+  it("opens on a warning, escalates to high and keeps the trigger readings", () => {
+    const { alerts } = store();
+    assert.deepEqual(alerts.observe(row(0, "normal")), []);
+
+    const [opened] = alerts.observe(row(1000, "medium"));
+    assert.equal(opened.type, "alert_opened");
+    assert.deepEqual(
+      [opened.alert.status, opened.alert.severity, opened.alert.opened_at, opened.alert.trigger.temperature],
+      ["open", "medium", 1000, 90]
+    );
+
+    assert.deepEqual(alerts.observe(row(2000, "medium")), []);
+    const [escalated] = alerts.observe(row(3000, "high", { temperature: 95 }));
+    assert.equal(escalated.type, "alert_escalated");
+    assert.equal(escalated.alert.id, opened.alert.id);
+    assert.deepEqual(escalated.alert.escalations.map(e => [e.at, e.from, e.to]), [[3000, "medium", "high"]]);
+
+    // Dropping back to medium neither escalates nor opens another alert
+    assert.deepEqual(alerts.observe(row(4000, "medium")), []);
+    assert.equal(alerts.get(opened.alert.id)?.severity, "high");
+    assert.equal(alerts.get(opened.alert.id)?.latest.timestamp, 4000);
+    assert.equal(alerts.list().length, 1);
+  });
+
+  it("auto-resolves after readings stay normal for clearMs", () => {
+    const { alerts } = store(10_000);
+    const [{ alert }] = alerts.observe(row(0, "high"));
+
+    alerts.observe(row(1000, "normal"));
+    alerts.observe(row(5000, "medium"));
+    // The clearing window restarts after the relapse
+    assert.deepEqual(alerts.observe(row(14_000, "normal")), []);
+    assert.deepEqual(alerts.observe(row(23_000, "normal")), []);
+
+    const [resolved] = alerts.observe(row(24_000, "normal"));
+    assert.equal(resolved.type, "alert_resolved");
+    assert.deepEqual(
+      [alert.status, alert.resolved_at, alert.resolved_by, alert.resolution_note],
+      ["resolved", 24_000, "auto", "Readings normal for 10s"]
+    );
+  });
+
+  it("acknowledges and resolves by hand", () => {
+    const { alerts, setNow } = store();
+    const [{ alert }] = alerts.observe(row(0, "medium"));
+
+    setNow(500);
+    alerts.acknowledge(alert.id, "ana", "Looking into it");
+    assert.deepEqual(
+      [alert.status, alert.acknowledged_at, alert.acknowledged_by, alert.acknowledge_note],
+      ["acknowledged", 500, "ana", "Looking into it"]
+    );
+    assert.equal(alerts.list({ status: "active" }).length, 1);
+
+    setNow(900);
+    alerts.resolve(alert.id, "ana", "Cooler cleaned");
+    assert.deepEqual([alert.status, alert.resolved_by, alert.resolution_note], ["resolved", "ana", "Cooler cleaned"]);
+    assert.equal(alerts.list({ status: "active" }).length, 0);
+
+    assert.throws(() => alerts.acknowledge(alert.id), { status: 409 });
+    assert.throws(() => alerts.resolve(alert.id), { status: 409 });
+    assert.throws(() => alerts.acknowledge("nope"), { status: 404 });
+  });
+
+  it("waits for normal readings before re-raising a hand-resolved alert", () => {
+    const { alerts } = store();
+    const [{ alert }] = alerts.observe(row(0, "high"));
+    alerts.resolve(alert.id, "ana");
+
+    assert.deepEqual(alerts.observe(row(1000, "high")), []);
+    assert.deepEqual(alerts.observe(row(2000, "medium")), []);
+    alerts.observe(row(3000, "normal"));
+
+    const [reopened] = alerts.observe(row(4000, "medium"));
+    assert.equal(reopened.type, "alert_opened");
+    assert.notEqual(reopened.alert.id, alert.id);
+    assert.equal(alerts.list().length, 2);
+  });
+
+  it("resolves the open alert of a removed unit", () => {
+    const { alerts, setNow } = store();
+    const [{ alert }] = alerts.observe(row(0, "medium"));
+    alerts.observe(row(0, "high", { compressor_id: "compressor_2" }));
+
+    setNow(7000);
+    assert.equal(alerts.forget("compressor_1"), alert);
+    assert.deepEqual(
+      [alert.status, alert.resolved_at, alert.resolved_by, alert.resolution_note],
+      ["resolved", 7000, "system", "Unit removed from fleet"]
+    );
+    assert.equal(alerts.forget("compressor_1"), null);
+    assert.deepEqual(alerts.list({ status: "active" }).map(a => a.compressor_id), ["compressor_2"]);
+  });
+
+  it("filters and sorts the list newest first", () => {
+    const { alerts } = store();
+    alerts.observe(row(1000, "medium"));
+    alerts.observe(row(2000, "high", { compressor_id: "compressor_2" }));
+    alerts.observe(row(3000, "medium", { compressor_id: "compressor_3" }));
+
+    assert.deepEqual(alerts.list().map(a => a.opened_at), [3000, 2000, 1000]);
+    assert.deepEqual(alerts.list({ severity: "high" }).map(a => a.compressor_id), ["compressor_2"]);
+    assert.deepEqual(alerts.list({ compressor: "compressor_3", status: "open" }).map(a => a.opened_at), [3000]);
+    assert.deepEqual(alerts.list({ status: "resolved" }), []);
+  });
+});
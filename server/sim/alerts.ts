@@ -0,0 +1,264 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Alert Lifecycle
+   Turns per-tick warning levels into incidents:
+
+     normal → medium/high   opens an alert
+     medium → high          escalates it
+     normal for clearMs     auto-resolves it
+
+   Operators acknowledge or resolve alerts via the API. A unit
+   whose alert was resolved by hand must return to normal
+   before a new alert can open, so a still-abnormal unit does
+   not immediately re-raise the incident.
+--------------------------------------------------------- */
+
+import { randomUUID } from "crypto";
+import { SimulatorError, type TelemetryRow } from "./types";
+
+const SEVERITY_RANK: Record<string, number> = { normal: 0, medium: 1, high: 2 };
+const MAX_CLOSED_ALERTS = 500;
+
+export type AlertStatus = "open" | "acknowledged" | "resolved";
+export type AlertEventType = "alert_opened" | "alert_escalated" | "alert_resolved";
+
+type AlertReadings = Pick<
+  TelemetryRow,
+  | "timestamp"
+  | "status"
+  | "temperature"
+  | "vibration"
+  | "pressure"
+  | "flow_rate"
+  | "risk_score"
+  | "ai_alert"
+>;
+
+export interface Alert {
+  id: string;
+  compressor_id: string;
+  status: AlertStatus;
+  severity: string;
+  initial_severity: string;
+  event_type: string;
+  ai_reason: string;
+  opened_at: number;
+  updated_at: number;
+  acknowledged_at: number | null;
+  acknowledged_by: string | null;
+  acknowledge_note?: string;
+  resolved_at: number | null;
+  resolved_by: string | null;
+  resolution_note: string | null;
+  trigger: AlertReadings;
+  latest: AlertReadings;
+  escalations: {
+    at: number;
+    from: string;
+    to: string;
+    event_type: string;
+    readings: AlertReadings;
+  }[];
+}
+
+export interface AlertEvent {
+  type: AlertEventType;
+  alert: Alert;
+}
+
+export interface AlertFilter {
+  status?: string;
+  compressor?: string;
+  severity?: string;
+}
+
+function isAbnormal(warning: string) {
+  return warning === "medium" || warning === "high";
+}
+
+function readingsOf(row: TelemetryRow): AlertReadings {
+  return {
+    timestamp: row.timestamp,
+    status: row.status,
+    temperature: row.temperature,
+    vibration: row.vibration,
+    pressure: row.pressure,
+    flow_rate: row.flow_rate,
+    risk_score: row.risk_score,
+    ai_alert: row.ai_alert
+  };
+}
+
+// ---------------- STORE ----------------
+export type AlertStore = ReturnType<typeof createAlertStore>;
+
+export function createAlertStore({
+  clearMs = 60 * 1000,
+  now = () => Date.now(),
+  newId = randomUUID as () => string
+} = {}) {
+  const alerts = new Map<string, Alert>();
+  const openByUnit = new Map<string, string>();
+  const clearingSince = new Map<string, number>();
+  const suppressed = new Set<string>();
+
+  function openAlert(id: string) {
+    const alertId = openByUnit.get(id);
+    return alertId ? alerts.get(alertId) : undefined;
+  }
+
+  function existing(alertId: string) {
+    const alert = alerts.get(alertId);
+    if (!alert) throw new SimulatorError(`Unknown alert ${alertId}`, 404);
+
+    if (alert.status === "resolved") {
+      throw new SimulatorError(`Alert ${alertId} is already resolved`, 409);
+    }
+    return alert;
+  }
+
+  function prune() {
+    const closed = [...alerts.values()].filter(a => a.status === "resolved");
+    for (const a of closed.slice(0, Math.max(0, closed.length - MAX_CLOSED_ALERTS))) {
+      alerts.delete(a.id);
+    }
+  }
+
+  function close(alert: Alert, by: string, note: string | undefined, at: number) {
+    alert.status = "resolved";
+    alert.resolved_at = at;
+    alert.resolved_by = by;
+    alert.resolution_note = note || null;
+    alert.updated_at = at;
+    openByUnit.delete(alert.compressor_id);
+    clearingSince.delete(alert.compressor_id);
+    prune();
+  }
+
+  // Feed one telemetry row; returns the lifecycle events it caused.
+  function observe(row: TelemetryRow): AlertEvent[] {
+    const id = row.compressor_id;
+    const at = row.timestamp;
+    const alert = openAlert(id);
+    const events: AlertEvent[] = [];
+
+    if (!isAbnormal(row.warning)) {
+      suppressed.delete(id);
+      if (!alert) return events;
+
+      if (!clearingSince.has(id)) clearingSince.set(id, at);
+
+      if (at - (clearingSince.get(id) as number) >= clearMs) {
+        close(alert, "auto", `Readings normal for ${Math.round(clearMs / 1000)}s`, at);
+        events.push({ type: "alert_resolved", alert });
+      }
+      return events;
+    }
+
+    clearingSince.delete(id);
+
+    if (!alert) {
+      if (suppressed.has(id)) return events;
+
+      const opened: Alert = {
+        id: newId(),
+        compressor_id: id,
+        status: "open",
+        severity: row.warning,
+        initial_severity: row.warning,
+        event_type: row.event_type,
+        ai_reason: row.ai_reason,
+        opened_at: at,
+        updated_at: at,
+        acknowledged_at: null,
+        acknowledged_by: null,
+        resolved_at: null,
+        resolved_by: null,
+        resolution_note: null,
+        trigger: readingsOf(row),
+        latest: readingsOf(row),
+        escalations: []
+      };
+
+      alerts.set(opened.id, opened);
+      openByUnit.set(id, opened.id);
+      events.push({ type: "alert_opened", alert: opened });
+      return events;
+    }
+
+    alert.latest = readingsOf(row);
+
+    if (SEVERITY_RANK[row.warning] > SEVERITY_RANK[alert.severity]) {
+      alert.escalations.push({
+        at,
+        from: alert.severity,
+        to: row.warning,
+        event_type: row.event_type,
+        readings: readingsOf(row)
+      });
+      alert.severity = row.warning;
+      alert.event_type = row.event_type;
+      alert.ai_reason = row.ai_reason;
+      alert.updated_at = at;
+      events.push({ type: "alert_escalated", alert });
+    }
+
+    return events;
+  }
+
+  // Units removed from the fleet resolve their open alert
+  function forget(id: string) {
+    const alert = openAlert(id);
+    suppressed.delete(id);
+    if (!alert) return null;
+    close(alert, "system", "Unit removed from fleet", now());
+    return alert;
+  }
+
+  function acknowledge(alertId: string, user?: string, note?: string) {
+    const alert = existing(alertId);
+
+    const t = now();
+    alert.status = "acknowledged";
+    alert.acknowledged_at = t;
+    alert.acknowledged_by = user || "unknown";
+    if (note) alert.acknowledge_note = note;
+    alert.updated_at = t;
+    return alert;
+  }
+
+  function resolve(alertId: string, user?: string, note?: string) {
+    const alert = existing(alertId);
+
+    suppressed.add(alert.compressor_id);
+    close(alert, user || "unknown", note, now());
+    return alert;
+  }
+
+  function get(alertId: string) {
+    return alerts.get(alertId) || null;
+  }
+
+  // Alerts stored before a restart; unresolved ones are tracked for their
+  // unit again, so its next readings escalate or clear them
+  function restore(stored: Alert[]) {
+    for (const alert of [...stored].sort((a, b) => a.opened_at - b.opened_at)) {
+      alerts.set(alert.id, alert);
+      if (alert.status !== "resolved") openByUnit.set(alert.compressor_id, alert.id);
+    }
+    prune();
+  }
+
+  // Newest first; status accepts "active" as shorthand for open + acknowledged
+  function list({ status, compressor, severity }: AlertFilter = {}) {
+    return [...alerts.values()]
+      .filter(a => {
+        if (status === "active") return a.status !== "resolved";
+        return !status || a.status === status;
+      })
+      .filter(a => !compressor || a.compressor_id === compressor)
+      .filter(a => !severity || a.severity === severity)
+      .sort((a, b) => b.opened_at - a.opened_at);
+  }
+
+  return { observe, forget, acknowledge, resolve, get, list, restore };
+}
@@ -0,0 +1,76 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createAnomalyDetector } from "./anomaly";
+import { createRandom } from "./random";
+import type { Readings } from "./types";
+
+const SETTLED = 60 * 60 * 1000;
+const NOMINAL: Readings = { temperature: 81, vibration: 2.9, pressure: 100.5, flow: 200 };
+
+// Independent noise around NOMINAL with roughly realistic spreads
+function noisy(random: () => number): Readings {
+  const n = (scale: number) => (random() - 0.5) * 2 * scale;
+  return {
+    temperature: NOMINAL.temperature + n(0.6),
+    vibration: NOMINAL.vibration + n(0.1),
+    pressure: NOMINAL.pressure + n(0.3),
+    flow: NOMINAL.flow + n(2)
+  };
+}
+
+function trained(samples = 400) {
+  const detector = createAnomalyDetector({ warmup: 300 });
+  const random = createRandom(7);
+  for (let i = 0; i < samples; i++) detector.observe("u", "active", noisy(random), SETTLED);
+  return { detector, random };
+}
+
+describe("createAnomalyDetector", () => {
+  it("raises no alert while learning or settling", () => {
+    const detector = createAnomalyDetector({ warmup: 10 });
+    const first = detector.observe("u", "active", NOMINAL, SETTLED);
+    assert.equal(first.ready, false);
+    assert.match(first.reason, /learning baseline 1\/10/);
+
+    const settling = detector.observe("u", "active", NOMINAL, 1000);
+    assert.equal(settling.anomalous, false);
+    assert.match(settling.reason, /settling/);
+  });
+
+  it("stays quiet inside the learned baseline", () => {
+    const { detector, random } = trained();
+    let flagged = 0;
+    for (let i = 0; i < 500; i++) {
+      if (detector.observe("u", "active", noisy(random), SETTLED).anomalous) flagged += 1;
+    }
+    assert.ok(flagged < 10, `${flagged} false alarms`);
+  });
+
+  it("flags a jump and names the channel behind it", () => {
+    const { detector } = trained();
+    const result = detector.observe("u", "active", { ...NOMINAL, vibration: 3.6 }, SETTLED);
+
+    assert.equal(result.anomalous, true);
+    assert.ok(result.score > result.threshold);
+    assert.equal(result.contributors[0], "vibration");
+    assert.match(result.reason, /^AI anomaly \(score [\d.]+\): vibration \+\d+\.\dσ\.$/);
+  });
+
+  it("keeps the alert until the score falls below the exit level", () => {
+    // Scores between exit and enter: not enough to open, enough to hold
+    const between = { ...NOMINAL, temperature: 82.4 };
+    assert.equal(trained().detector.observe("u", "active", between, SETTLED).anomalous, false);
+
+    const { detector } = trained();
+    assert.equal(detector.observe("u", "active", { ...NOMINAL, temperature: 84 }, SETTLED).anomalous, true);
+    assert.equal(detector.observe("u", "active", between, SETTLED).anomalous, true);
+    assert.equal(detector.observe("u", "active", NOMINAL, SETTLED).anomalous, false);
+  });
+
+  it("learns active and idle behaviour separately", () => {
+    const { detector } = trained();
+    const idle = { temperature: 75.5, vibration: 1.9, pressure: 99.5, flow: 115 };
+    assert.equal(detector.observe("u", "inactive", idle, SETTLED).ready, false);
+    assert.deepEqual(Object.keys(detector.snapshot("u")!.baselines), ["active", "inactive"]);
+  });
+});
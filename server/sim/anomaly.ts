@@ -0,0 +1,244 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Anomaly Detector
+   Learns each unit's normal behaviour and scores every tick
+   against it; the result drives ai_alert / ai_reason.
+
+   Per unit and status (active / inactive) it keeps an EWMA
+   mean and covariance of the four channels. A reading is
+   scored by its squared Mahalanobis distance D², which for
+   normal behaviour follows chi² with 4 degrees of freedom,
+   so the cut-offs are probabilities rather than hand-tuned
+   risk levels. Per-channel z-scores name the contributors.
+
+     warm-up      first `warmup` samples only learn
+     settling     samples shortly after a status change are
+                  skipped while readings move to the new level
+                  (no AI alert during either)
+     alert        D² above `enter`, cleared below `exit`
+     learning     samples scoring above `exit` update the
+                  baseline at a tenth of the rate, so a slow
+                  fault ramp is not learned as normal but a
+                  lasting shift is, eventually
+
+   SIM_AI_MODE=heuristic switches back to the fixed risk-score
+   rules in model.ts.
+--------------------------------------------------------- */
+
+import type { Channel, Readings, UnitStatus } from "./types";
+
+export const AI_MODES = ["detector", "heuristic"] as const;
+export type AiMode = (typeof AI_MODES)[number];
+
+const CHANNELS: Channel[] = ["temperature", "vibration", "pressure", "flow"];
+
+// Smallest standard deviation assumed per channel, so a very quiet
+// baseline (e.g. an idle unit) cannot make the covariance singular
+const STD_FLOOR: Record<Channel, number> = {
+  temperature: 0.05,
+  vibration: 0.005,
+  pressure: 0.01,
+  flow: 0.1
+};
+
+const Z_NOTABLE = 2;
+
+export interface DetectorOptions {
+  // EWMA weight of a new sample once warmed up
+  alpha?: number;
+  warmup?: number;
+  settleMs?: number;
+  // D² cut-offs: chi² (4 dof) at p = 0.999 and p = 0.99
+  enter?: number;
+  exit?: number;
+}
+
+interface Baseline {
+  n: number;
+  mean: number[];
+  cov: number[][];
+}
+
+interface UnitState {
+  baselines: Partial<Record<UnitStatus, Baseline>>;
+  flagged: boolean;
+  last: AnomalyResult | null;
+}
+
+export interface AnomalyResult {
+  ready: boolean;
+  score: number;
+  threshold: number;
+  anomalous: boolean;
+  zscores: Record<Channel, number>;
+  contributors: Channel[];
+  reason: string;
+}
+
+export type AnomalyDetector = ReturnType<typeof createAnomalyDetector>;
+
+// ---------------- LINEAR ALGEBRA ----------------
+// Solves A·x = b for a symmetric positive-definite A (Cholesky)
+function solve(a: number[][], b: number[]) {
+  const n = b.length;
+  const l = a.map(() => new Array(n).fill(0));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = a[i][j];
+      for (let k = 0; k < j; k++) sum -= l[i][k] * l[j][k];
+      l[i][j] = i === j ? Math.sqrt(Math.max(sum, 1e-12)) : sum / l[j][j];
+    }
+  }
+
+  const y = new Array(n).fill(0);
+  for (let i = 0; i < n; i++) {
+    let sum = b[i];
+    for (let k = 0; k < i; k++) sum -= l[i][k] * y[k];
+    y[i] = sum / l[i][i];
+  }
+
+  const x = new Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = y[i];
+    for (let k = i + 1; k < n; k++) sum -= l[k][i] * x[k];
+    x[i] = sum / l[i][i];
+  }
+  return x;
+}
+
+function emptyBaseline(): Baseline {
+  return {
+    n: 0,
+    mean: CHANNELS.map(() => 0),
+    cov: CHANNELS.map(() => CHANNELS.map(() => 0))
+  };
+}
+
+// Running mean/covariance: exact while n < 1/alpha, exponential after
+function learn(baseline: Baseline, x: number[], weight: number) {
+  const d = x.map((v, i) => v - baseline.mean[i]);
+  baseline.n += 1;
+  for (let i = 0; i < d.length; i++) baseline.mean[i] += weight * d[i];
+  for (let i = 0; i < d.length; i++) {
+    for (let j = 0; j < d.length; j++) {
+      baseline.cov[i][j] = (1 - weight) * (baseline.cov[i][j] + weight * d[i] * d[j]);
+    }
+  }
+}
+
+function signed(z: number) {
+  return `${z >= 0 ? "+" : "−"}${Math.abs(z).toFixed(1)}σ`;
+}
+
+function explain(score: number, zscores: Record<Channel, number>, contributors: Channel[]) {
+  const notable = contributors.filter(c => Math.abs(zscores[c]) >= Z_NOTABLE);
+  const detail = notable.length > 0
+    ? notable.map(c => `${c} ${signed(zscores[c])}`).join(", ")
+    : `unusual ${contributors.slice(0, 2).join("/")} combination`;
+  return `AI anomaly (score ${score.toFixed(1)}): ${detail}.`;
+}
+
+// ---------------- DETECTOR ----------------
+export function createAnomalyDetector({
+  alpha = 0.002,
+  warmup = 300,
+  settleMs = 5 * 60 * 1000,
+  enter = 18.47,
+  exit = 13.28
+}: DetectorOptions = {}) {
+  const units = new Map<string, UnitState>();
+
+  function unitState(id: string) {
+    let state = units.get(id);
+    if (!state) {
+      state = { baselines: {}, flagged: false, last: null };
+      units.set(id, state);
+    }
+    return state;
+  }
+
+  function notReady(reason: string): AnomalyResult {
+    return {
+      ready: false,
+      score: 0,
+      threshold: enter,
+      anomalous: false,
+      zscores: { temperature: 0, vibration: 0, pressure: 0, flow: 0 },
+      contributors: [],
+      reason
+    };
+  }
+
+  // Scores one sample, then learns from it. `sinceChangeMs` is the time
+  // since the unit last changed status.
+  function observe(id: string, status: UnitStatus, readings: Readings, sinceChangeMs: number) {
+    const state = unitState(id);
+
+    if (status === "offline" || sinceChangeMs < settleMs) {
+      state.flagged = false;
+      state.last = notReady(
+        status === "offline" ? "No AI alert (unit offline)." : "No AI alert (settling after status change)."
+      );
+      return state.last;
+    }
+
+    const baseline = (state.baselines[status] ??= emptyBaseline());
+    const x = CHANNELS.map(c => readings[c]);
+
+    if (baseline.n < warmup) {
+      learn(baseline, x, 1 / (baseline.n + 1));
+      state.last = notReady(`No AI alert (learning baseline ${baseline.n}/${warmup}).`);
+      return state.last;
+    }
+
+    const d = x.map((v, i) => v - baseline.mean[i]);
+    const cov = baseline.cov.map((row, i) =>
+      row.map((v, j) => (i === j ? v + STD_FLOOR[CHANNELS[i]] ** 2 : v))
+    );
+    const w = solve(cov, d);
+    const score = d.reduce((sum, v, i) => sum + v * w[i], 0);
+
+    const zscores = {} as Record<Channel, number>;
+    CHANNELS.forEach((c, i) => {
+      zscores[c] = Number((d[i] / Math.sqrt(cov[i][i])).toFixed(2));
+    });
+    const contributors = [...CHANNELS].sort((a, b) => Math.abs(zscores[b]) - Math.abs(zscores[a]));
+
+    state.flagged = state.flagged ? score > exit : score > enter;
+    learn(baseline, x, score > exit ? alpha / 10 : Math.max(alpha, 1 / (baseline.n + 1)));
+
+    state.last = {
+      ready: true,
+      score: Number(score.toFixed(2)),
+      threshold: enter,
+      anomalous: state.flagged,
+      zscores,
+      contributors,
+      reason: state.flagged
+        ? explain(score, zscores, contributors)
+        : "No AI alert (within learned baseline)."
+    };
+    return state.last;
+  }
+
+  // Last result plus the learned mean per status, for the unit detail API
+  function snapshot(id: string) {
+    const state = units.get(id);
+    if (!state) return null;
+
+    const baselines: Partial<Record<UnitStatus, { samples: number; mean: Readings }>> = {};
+    for (const [status, b] of Object.entries(state.baselines) as [UnitStatus, Baseline][]) {
+      baselines[status] = {
+        samples: b.n,
+        mean: Object.fromEntries(CHANNELS.map((c, i) => [c, Number(b.mean[i].toFixed(3))])) as Readings
+      };
+    }
+    return { ...state.last, baselines };
+  }
+
+  return {
+    observe,
+    snapshot,
+    forget: (id: string) => units.delete(id)
+  };
+}
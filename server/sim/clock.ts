@@ -0,0 +1,66 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Clock
+   real    — wall clock, advance() is a no-op
+   virtual — starts at a fixed instant and only moves when the
+             simulator advances it (one TICK_MS per tick), so
+             runs are reproducible and can be fast-forwarded
+--------------------------------------------------------- */
+
+import { SimulatorError, type Clock } from "./types";
+
+const DEFAULT_VIRTUAL_START = Date.UTC(2025, 0, 1);
+
+const UNIT_MS: Record<string, number> = {
+  ms: 1,
+  s: 1e3,
+  m: 60e3,
+  h: 60 * 60e3,
+  d: 24 * 60 * 60e3
+};
+
+// "30s", "5m", "1h", "1d" or plain milliseconds
+export function parseDuration(value: unknown, label = "duration"): number {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/.exec(String(value).trim());
+  const ms = match ? Number(match[1]) * UNIT_MS[match[2] || "ms"] : NaN;
+
+  if (!(ms > 0)) throw new SimulatorError(`Invalid ${label} "${value}"`);
+  return ms;
+}
+
+// Epoch milliseconds or anything Date.parse accepts
+export function parseInstant(value: unknown, label = "time"): number {
+  const n = Number(value);
+  const t = Number.isFinite(n) ? n : Date.parse(String(value));
+  if (!Number.isFinite(t)) throw new SimulatorError(`Invalid ${label} "${value}"`);
+  return t;
+}
+
+export function createClock({
+  mode = "real",
+  start
+}: { mode?: string; start?: string | number } = {}): Clock {
+  if (mode === "real") {
+    return {
+      mode,
+      virtual: false,
+      now: () => Date.now(),
+      advance() {}
+    };
+  }
+
+  if (mode !== "virtual") {
+    throw new Error(`Unknown clock mode "${mode}" (expected real or virtual)`);
+  }
+
+  let current =
+    start === undefined || start === "" ? DEFAULT_VIRTUAL_START : parseInstant(start, "clock start");
+
+  return {
+    mode,
+    virtual: true,
+    now: () => current,
+    advance(ms: number) {
+      current += ms;
+    }
+  };
+}
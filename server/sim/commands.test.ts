@@ -0,0 +1,103 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createClock } from "./clock";
+import { START_IDLE_MS, applyCommand, commandedStatus, createCommandLog } from "./commands";
+import { createEngine } from "./engine";
+import type { UnitStatus } from "./types";
+
+function statusAfter(engine: ReturnType<typeof createEngine>, id: string, ticks: number) {
+  let status: UnitStatus | undefined;
+  for (let i = 0; i < ticks; i++) {
+    status = engine.step().find(row => row.compressor_id === id)?.status;
+  }
+  return status;
+}
+
+describe("applyCommand", () => {
+  it("moves the control target and rejects commands that do not apply", () => {
+    const active = { state: "active" as UnitStatus, control: null };
+    assert.deepEqual(applyCommand("u", active, "stop"), { target: "inactive", tripped: false });
+    assert.throws(() => applyCommand("u", active, "start"), { status: 409, message: /already running/ });
+    assert.throws(() => applyCommand("u", active, "reset"), /not tripped/);
+
+    const tripped = { state: "offline" as UnitStatus, control: { target: "offline" as UnitStatus, tripped: true } };
+    assert.throws(() => applyCommand("u", tripped, "start"), /reset it first/);
+    assert.deepEqual(applyCommand("u", tripped, "reset"), { target: "offline", tripped: false });
+  });
+});
+
+describe("commandedStatus", () => {
+  it("idles before loading and unloads before going offline", () => {
+    const start = { target: "active" as UnitStatus, tripped: false };
+    assert.equal(commandedStatus({ state: "offline", lastChange: 0, load: 0 }, start, 0), "inactive");
+    assert.equal(commandedStatus({ state: "inactive", lastChange: 0, load: 0 }, start, 1000), "inactive");
+    assert.equal(commandedStatus({ state: "inactive", lastChange: 0, load: 0 }, start, START_IDLE_MS), "active");
+
+    const shutdown = { target: "offline" as UnitStatus, tripped: false };
+    assert.equal(commandedStatus({ state: "active", lastChange: 0, load: 100 }, shutdown, 0), "inactive");
+    assert.equal(commandedStatus({ state: "inactive", lastChange: 0, load: 20 }, shutdown, 0), "inactive");
+    assert.equal(commandedStatus({ state: "inactive", lastChange: 0, load: 0 }, shutdown, 0), "offline");
+  });
+});
+
+describe("engine commands", () => {
+  it("shuts down through an unloaded idle and starts through a warm-up", () => {
+    const engine = createEngine({ seed: 42, clock: createClock({ mode: "virtual" }) });
+    engine.step();
+
+    engine.command("compressor_1", "shutdown");
+    assert.equal(statusAfter(engine, "compressor_1", 1), "inactive");
+    // 100 % load unloads at 1 %/s: 50 ticks of 2 s
+    assert.equal(statusAfter(engine, "compressor_1", 48), "inactive");
+    assert.equal(statusAfter(engine, "compressor_1", 3), "offline");
+
+    engine.command("compressor_1", "start");
+    assert.equal(statusAfter(engine, "compressor_1", 1), "inactive");
+    assert.equal(statusAfter(engine, "compressor_1", START_IDLE_MS / engine.tickMs), "active");
+    assert.ok((engine.state("compressor_1")?.operating.load as number) < 10);
+  });
+
+  it("trips at once and stays offline until reset and started", () => {
+    const engine = createEngine({ seed: 42, clock: createClock({ mode: "virtual" }) });
+    engine.step();
+
+    engine.command("compressor_2", "trip");
+    assert.equal(statusAfter(engine, "compressor_2", 1), "offline");
+    assert.throws(() => engine.command("compressor_2", "start"), { status: 409 });
+
+    engine.command("compressor_2", "reset");
+    assert.equal(statusAfter(engine, "compressor_2", 20), "offline");
+    engine.command("compressor_2", "start");
+    assert.equal(statusAfter(engine, "compressor_2", 1), "inactive");
+  });
+
+  it("validates the unit and command", () => {
+    const engine = createEngine({ seed: 42, clock: createClock({ mode: "virtual" }) });
+    assert.throws(() => engine.command("nope", "start"), { status: 404 });
+    assert.throws(() => engine.command("compressor_1", "jump"), { status: 400 });
+    assert.throws(() => engine.command("compressor_6", "start"), { status: 409, message: /pinned/ });
+  });
+
+  it("can leave status changes to commands only", () => {
+    const engine = createEngine({ seed: 42, randomTransitions: false, clock: createClock({ mode: "virtual" }) });
+    // 3 virtual hours: random transitions would move some unit by now
+    for (let i = 0; i < 5400; i++) engine.step();
+    const statuses = engine.latest().map(row => row.status);
+    assert.deepEqual(statuses, ["active", "active", "active", "active", "inactive", "offline"]);
+  });
+});
+
+describe("createCommandLog", () => {
+  it("lists newest first with filters", () => {
+    let t = 0;
+    let n = 0;
+    const log = createCommandLog({ now: () => ++t, newId: () => `c${++n}` });
+    const entry = { issued_by: "ana", note: null, status_before: "active" as UnitStatus, target: "inactive" as UnitStatus };
+    log.record({ ...entry, compressor_id: "a", command: "stop" });
+    log.record({ ...entry, compressor_id: "b", command: "stop" });
+    log.record({ ...entry, compressor_id: "a", command: "start" });
+
+    assert.deepEqual(log.list().map(r => r.id), ["c3", "c2", "c1"]);
+    assert.deepEqual(log.list({ compressor: "a", command: "stop" }).map(r => r.id), ["c1"]);
+  });
+});
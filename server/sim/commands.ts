@@ -0,0 +1,151 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Operator Commands
+   Per-unit state changes issued from the API:
+
+     start     idle for START_IDLE_MS, then load up to the
+               setpoint (from inactive or offline)
+     stop      unload and keep running idle (inactive)
+     shutdown  unload, then go offline once the load is 0
+     trip      emergency stop: offline at once, latched
+     reset     clear a trip; the unit stays offline until
+               started
+
+   A commanded unit is under operator control: random status
+   transitions no longer apply to it. Load ramps and reading
+   lags come from sim/physics.ts, so starts and stops show
+   in the telemetry as gradual transitions.
+
+   Every accepted command is recorded in the command log
+   with who issued it; entries outlive removed units.
+--------------------------------------------------------- */
+
+import { randomUUID } from "crypto";
+import { SimulatorError, type UnitControl, type UnitMemory, type UnitStatus } from "./types";
+
+export const UNIT_COMMANDS = ["start", "stop", "shutdown", "trip", "reset"] as const;
+export type UnitCommand = (typeof UNIT_COMMANDS)[number];
+
+// Unloaded running before a start loads the unit
+export const START_IDLE_MS = 30 * 1000;
+
+const MAX_COMMAND_RECORDS = 1000;
+
+export interface CommandRecord {
+  id: string;
+  compressor_id: string;
+  command: UnitCommand;
+  issued_by: string | null;
+  note: string | null;
+  issued_at: number;
+  // Status when issued and the status the unit is now headed for
+  status_before: UnitStatus;
+  target: UnitStatus;
+}
+
+export interface CommandFilter {
+  compressor?: string;
+  command?: string;
+}
+
+export function isUnitCommand(value: unknown): value is UnitCommand {
+  return UNIT_COMMANDS.includes(value as UnitCommand);
+}
+
+// ---------------- TRANSITIONS ----------------
+// The control state after `command`, or a 409 when it does not apply
+export function applyCommand(
+  id: string,
+  mem: Pick<UnitMemory, "state" | "control">,
+  command: UnitCommand
+): UnitControl {
+  const target = mem.control ? mem.control.target : mem.state;
+  const tripped = mem.control ? mem.control.tripped : false;
+  const reject = (reason: string): never => {
+    throw new SimulatorError(`Cannot ${command} ${id}: ${reason}`, 409);
+  };
+
+  if (tripped && command !== "reset") reject("unit is tripped — reset it first");
+
+  switch (command) {
+    case "start":
+      if (target === "active") reject("already running");
+      return { target: "active", tripped: false };
+    case "stop":
+      if (target === "inactive") reject("already idle");
+      if (target === "offline") reject("unit is shut down — start it instead");
+      return { target: "inactive", tripped: false };
+    case "shutdown":
+      if (target === "offline") reject("already shut down");
+      return { target: "offline", tripped: false };
+    case "trip":
+      if (mem.state === "offline") reject("unit is already offline");
+      return { target: "offline", tripped: true };
+    case "reset":
+      if (!tripped) reject("unit is not tripped");
+      return { target: "offline", tripped: false };
+  }
+}
+
+// Status for this tick of a unit under operator control
+export function commandedStatus(
+  mem: Pick<UnitMemory, "state" | "lastChange" | "load">,
+  control: UnitControl,
+  now: number
+): UnitStatus {
+  const current = mem.state;
+
+  if (control.tripped) return "offline";
+
+  if (control.target === "active") {
+    if (current === "offline") return "inactive";
+    if (current === "inactive" && now - mem.lastChange < START_IDLE_MS) return "inactive";
+    return "active";
+  }
+
+  if (control.target === "offline") {
+    if (current === "active") return "inactive";
+    return current === "inactive" && mem.load > 0 ? "inactive" : "offline";
+  }
+
+  return "inactive";
+}
+
+// Offline by an operator shutdown rather than a trip or a fault
+export function isPlannedStop(control: UnitControl | null) {
+  return control !== null && control.target === "offline" && !control.tripped;
+}
+
+// ---------------- COMMAND LOG ----------------
+export function createCommandLog({
+  now = () => Date.now(),
+  newId = randomUUID as () => string,
+  limit = MAX_COMMAND_RECORDS
+} = {}) {
+  const records: CommandRecord[] = [];
+
+  function record(entry: Omit<CommandRecord, "id" | "issued_at">) {
+    const saved: CommandRecord = { id: newId(), issued_at: now(), ...entry };
+    records.push(saved);
+    trim();
+    return saved;
+  }
+
+  function trim() {
+    if (records.length > limit) records.splice(0, records.length - limit);
+  }
+
+  // Entries stored before a restart, ahead of any recorded since
+  function restore(stored: CommandRecord[]) {
+    records.unshift(...[...stored].sort((a, b) => a.issued_at - b.issued_at));
+    trim();
+  }
+
+  // Newest first
+  function list({ compressor, command }: CommandFilter = {}) {
+    return records
+      .filter(r => (!compressor || r.compressor_id === compressor) && (!command || r.command === command))
+      .reverse();
+  }
+
+  return { record, list, restore };
+}
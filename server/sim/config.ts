@@ -0,0 +1,109 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Environment Configuration
+   Every SIM_* variable in one place:
+
+     SIM_SINK, SIM_SINK_FILE, FIREBASE_*  telemetry sink (sim/sinks.ts)
+     SIM_FLEET_FILE                       fleet config (sim/fleet.json)
+     SIM_THRESHOLDS_FILE                  threshold profiles
+     SIM_INSIGHTS_FILE                    insight templates per locale
+     SIM_SCENARIOS_FILE                   scenario definitions/schedules
+     SIM_SCENARIO_SCRIPT                  timed fault story from startup
+     SIM_SEED                             reproducible random draws
+     SIM_AI_MODE                          detector | heuristic (ai_alert)
+     SIM_RANDOM_TRANSITIONS               random status changes (true)
+     SIM_CLOCK, SIM_CLOCK_START           real | virtual clock
+     SIM_FAST_FORWARD                     virtual time to pre-generate
+     SIM_ALERT_CLEAR_MS                   alert auto-resolve (60s)
+     SIM_AUTO_WORK_ORDERS                 work orders for high alerts (true)
+     SIM_NOTIFICATIONS_FILE               notification channels/subscriptions
+     SIM_REPLAY_DIR                       recordings for replay (data)
+     SIM_LIVE_STALE_MS                    live units offline without readings (60s)
+     SIM_MQTT_URL, SIM_MQTT_TOPIC         broker for live readings (off)
+     SIM_MQTT_USERNAME, SIM_MQTT_PASSWORD broker credentials
+     SIM_HISTORY_RAW_HOURS                raw snapshot retention (24)
+     SIM_HISTORY_HOURLY_DAYS              hourly rollup retention (30)
+     SIM_HISTORY_DAILY_DAYS               daily rollup retention (365)
+     SIM_API_TOKEN                        standalone write token (off:
+                                          localhost only)
+--------------------------------------------------------- */
+
+import { AI_MODES, type AiMode } from "./anomaly";
+import { parseDuration } from "./clock";
+import type { MqttOptions } from "./ingest";
+import { sinkOptionsFromEnv, type SinkOptions } from "./sinks";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export interface SimulatorConfig {
+  sink: SinkOptions;
+  fleetFile?: string;
+  thresholdsFile?: string;
+  insightsFile?: string;
+  scenariosFile?: string;
+  scenarioScript?: string;
+  seed?: string;
+  aiMode: AiMode;
+  randomTransitions: boolean;
+  clock: { mode: string; start?: string };
+  fastForwardMs: number | null;
+  alertClearMs: number;
+  autoWorkOrders: boolean;
+  notificationsFile?: string;
+  replayDir?: string;
+  liveStaleMs?: number;
+  mqtt?: MqttOptions;
+  rawRetentionMs: number;
+  hourlyRetentionMs: number;
+  dailyRetentionMs: number;
+  apiToken?: string;
+}
+
+function parseAiMode(value: string | undefined): AiMode {
+  if (!value) return "detector";
+  if (!AI_MODES.includes(value as AiMode)) {
+    throw new Error(`SIM_AI_MODE must be one of ${AI_MODES.join(", ")}`);
+  }
+  return value as AiMode;
+}
+
+function parseFlag(value: string | undefined, name: string, fallback: boolean) {
+  if (!value) return fallback;
+  if (["true", "1", "on"].includes(value)) return true;
+  if (["false", "0", "off"].includes(value)) return false;
+  throw new Error(`${name} must be true or false`);
+}
+
+export function simulatorConfigFromEnv(env: NodeJS.ProcessEnv = process.env): SimulatorConfig {
+  return {
+    sink: sinkOptionsFromEnv(env),
+    fleetFile: env.SIM_FLEET_FILE || undefined,
+    thresholdsFile: env.SIM_THRESHOLDS_FILE || undefined,
+    insightsFile: env.SIM_INSIGHTS_FILE || undefined,
+    scenariosFile: env.SIM_SCENARIOS_FILE || undefined,
+    scenarioScript: env.SIM_SCENARIO_SCRIPT || undefined,
+    seed: env.SIM_SEED,
+    aiMode: parseAiMode(env.SIM_AI_MODE),
+    randomTransitions: parseFlag(env.SIM_RANDOM_TRANSITIONS, "SIM_RANDOM_TRANSITIONS", true),
+    clock: { mode: env.SIM_CLOCK || "real", start: env.SIM_CLOCK_START },
+    fastForwardMs: env.SIM_FAST_FORWARD
+      ? parseDuration(env.SIM_FAST_FORWARD, "SIM_FAST_FORWARD")
+      : null,
+    alertClearMs: Number(env.SIM_ALERT_CLEAR_MS) || 60 * 1000,
+    autoWorkOrders: parseFlag(env.SIM_AUTO_WORK_ORDERS, "SIM_AUTO_WORK_ORDERS", true),
+    notificationsFile: env.SIM_NOTIFICATIONS_FILE || undefined,
+    replayDir: env.SIM_REPLAY_DIR || undefined,
+    liveStaleMs: Number(env.SIM_LIVE_STALE_MS) || undefined,
+    mqtt: env.SIM_MQTT_URL
+      ? {
+        url: env.SIM_MQTT_URL,
+        topic: env.SIM_MQTT_TOPIC || undefined,
+        username: env.SIM_MQTT_USERNAME || undefined,
+        password: env.SIM_MQTT_PASSWORD || undefined
+      }
+      : undefined,
+    rawRetentionMs: (Number(env.SIM_HISTORY_RAW_HOURS) || 24) * HOUR_MS,
+    hourlyRetentionMs: (Number(env.SIM_HISTORY_HOURLY_DAYS) || 30) * 24 * HOUR_MS,
+    dailyRetentionMs: (Number(env.SIM_HISTORY_DAILY_DAYS) || 365) * 24 * HOUR_MS,
+    apiToken: env.SIM_API_TOKEN || undefined
+  };
+}
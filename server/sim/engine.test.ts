@@ -0,0 +1,94 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createClock } from "./clock";
+import { createEngine } from "./engine";
+
+function virtualEngine(seed: string | number) {
+  return createEngine({ seed, clock: createClock({ mode: "virtual" }) });
+}
+
+describe("createEngine", () => {
+  it("produces identical batches for the same seed", () => {
+    const a = virtualEngine(42);
+    const b = virtualEngine(42);
+    for (let i = 0; i < 200; i++) {
+      assert.deepEqual(a.step(), b.step());
+    }
+  });
+
+  it("diverges for a different seed", () => {
+    const a = virtualEngine(1);
+    const b = virtualEngine(2);
+    assert.notDeepEqual(a.step(), b.step());
+  });
+
+  it("derives ids from the seed without shifting the readings", () => {
+    const a = virtualEngine(42);
+    const b = virtualEngine(42);
+    const ids = [a.newId(), a.newId(), a.scenarios.start("leak", ["compressor_2"])[0].id];
+
+    assert.deepEqual([b.newId(), b.newId(), b.scenarios.start("leak", ["compressor_2"])[0].id], ids);
+    assert.equal(new Set(ids).size, 3);
+    for (const id of ids) assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    assert.notEqual(virtualEngine(43).newId(), ids[0]);
+
+    const quiet = virtualEngine(42);
+    quiet.scenarios.start("leak", ["compressor_2"]);
+    assert.deepEqual(a.step(), quiet.step());
+  });
+
+  it("advances the clock one tick per step", () => {
+    const engine = virtualEngine(42);
+    const start = engine.clock.now();
+    const batch = engine.step();
+    assert.equal(engine.clock.now(), start + engine.tickMs);
+    assert.ok(batch.every(row => row.timestamp === start + engine.tickMs));
+  });
+
+  it("exposes per-unit state without leaking its memory", () => {
+    const engine = virtualEngine(42);
+    engine.step();
+
+    const state = engine.state("compressor_1");
+    assert.ok(state);
+    assert.equal(state.latest?.compressor_id, "compressor_1");
+
+    state.memory.temperature = -1;
+    assert.notEqual(engine.state("compressor_1")?.memory.temperature, -1);
+    assert.equal(engine.state("nope"), null);
+  });
+
+  it("adds and removes units at runtime", () => {
+    const engine = virtualEngine(42);
+    engine.addUnit({ id: "compressor_9" });
+    assert.ok(engine.step().some(row => row.compressor_id === "compressor_9"));
+
+    assert.throws(() => engine.addUnit({ id: "compressor_9" }), { status: 409 });
+    assert.equal(engine.removeUnit("compressor_9"), true);
+    assert.ok(engine.latest().every(row => row.compressor_id !== "compressor_9"));
+    assert.equal(engine.removeUnit("compressor_9"), false);
+  });
+
+  it("moves readings towards a new setpoint", () => {
+    const engine = virtualEngine(42);
+    for (let i = 0; i < 10; i++) engine.step();
+
+    engine.setpoint("compressor_2", { load: 60 });
+    for (let i = 0; i < 150; i++) engine.step();
+
+    const state = engine.state("compressor_2");
+    assert.equal(state?.operating.load, 60);
+    assert.ok((state?.latest?.flow_rate as number) < 175);
+    assert.throws(() => engine.setpoint("nope", { load: 60 }), { status: 404 });
+    assert.throws(() => engine.setpoint("compressor_2", { load: -5 }), { status: 400 });
+  });
+
+  it("keeps pinned units in their status", () => {
+    const engine = virtualEngine(42);
+    for (let i = 0; i < 50; i++) engine.step();
+    const byId = new Map(engine.latest().map(row => [row.compressor_id, row]));
+    assert.equal(byId.get("compressor_5")?.status, "inactive");
+    assert.equal(byId.get("compressor_6")?.status, "offline");
+    assert.equal(byId.get("compressor_6")?.temperature, null);
+  });
+});
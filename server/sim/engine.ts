@@ -0,0 +1,295 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Engine
+   The compressor fleet with no I/O attached: create it,
+   step it, read its state. Owns the clock, random source,
+   threshold registry, insight templates, anomaly detector,
+   forecaster, KPI tracker, scenario engine and model memory.
+
+     const engine = createEngine({ seed: 42, clock: createClock({ mode: "virtual" }) });
+     const batch = engine.step();     // one tick for every unit
+     engine.state("compressor_1");    // definition, memory, faults
+     engine.setpoint("compressor_1", { load: 70 }); // ramps to 70 %
+     engine.command("compressor_1", "stop");        // unload, idle
+     engine.repair("compressor_1");   // wear, drift and faults cleared
+     engine.forecast("compressor_1"); // time to thresholds, RUL
+     engine.kpis.query({ from, to, compressors: null }); // availability, MTBF…
+     engine.setMode("compressor_1", "shadow");      // ingested + twin
+     engine.ingest({ compressor_id: "compressor_1", temperature: 84.2, … });
+
+   With a seed and a virtual clock every run is identical.
+   Sinks, alerts, history and streaming live in
+   sim/service.ts.
+--------------------------------------------------------- */
+
+import { createAnomalyDetector, type AiMode, type DetectorOptions } from "./anomaly";
+import { createClock } from "./clock";
+import { isPlannedStop, isUnitCommand, UNIT_COMMANDS } from "./commands";
+import { loadFleetConfig, normalizeUnit, type FleetConfig } from "./fleet";
+import { createForecaster, type ForecastOptions } from "./forecast";
+import { loadInsights, type InsightRegistry } from "./insights";
+import { createKpiTracker, type KpiOptions } from "./kpis";
+import { parseIngest, UNIT_MODES } from "./ingest";
+import { createModel } from "./model";
+import { createIdSource, createRandom } from "./random";
+import {
+  createScenarioEngine,
+  loadScenarioConfig,
+  type ScenarioConfig,
+  type ScenarioEngine
+} from "./scenarios";
+import { loadThresholds, type ThresholdRegistry } from "./thresholds";
+import {
+  SimulatorError,
+  type Batch,
+  type Clock,
+  type RandomSource,
+  type UnitDefinition,
+  type UnitMode
+} from "./types";
+
+export const DEFAULT_TICK_MS = 2000;
+
+export interface EngineOptions {
+  fleet?: FleetConfig;
+  thresholds?: ThresholdRegistry;
+  insights?: InsightRegistry;
+  // "detector" (default) or the "heuristic" risk-score rules
+  aiMode?: AiMode;
+  detector?: DetectorOptions;
+  forecast?: ForecastOptions;
+  kpis?: KpiOptions;
+  // false → status changes only by operator command
+  randomTransitions?: boolean;
+  // Live/shadow units go offline after this long without a reading
+  liveStaleMs?: number;
+  scenarios?: ScenarioConfig;
+  // Ids for alerts, work orders, commands and notifications; seeded
+  // like `random`, random UUIDs without a seed
+  newId?: () => string;
+  // Run ids for scenario runs; newId by default
+  newRunId?: () => string;
+  seed?: string | number | null;
+  random?: RandomSource;
+  clock?: Clock;
+  tickMs?: number;
+}
+
+export type Engine = ReturnType<typeof createEngine>;
+
+export function createEngine({
+  fleet: fleetConfig = loadFleetConfig(),
+  thresholds = loadThresholds(),
+  insights = loadInsights(),
+  aiMode = "detector",
+  detector: detectorOptions,
+  forecast: forecastOptions,
+  kpis: kpiOptions,
+  randomTransitions = true,
+  liveStaleMs,
+  scenarios: scenarioConfig = loadScenarioConfig(),
+  seed,
+  random = createRandom(seed),
+  newId = createIdSource(random.seed),
+  newRunId = newId,
+  clock = createClock(),
+  tickMs = DEFAULT_TICK_MS
+}: EngineOptions = {}) {
+  // Insertion order of the map is the order units appear in each batch
+  const fleet = new Map<string, UnitDefinition>();
+
+  function checkProfile(unit: UnitDefinition, status: number) {
+    if (unit.thresholdProfile && !thresholds.has(unit.thresholdProfile)) {
+      throw new SimulatorError(`${unit.id}: unknown threshold profile "${unit.thresholdProfile}"`, status);
+    }
+  }
+
+  for (const unit of fleetConfig.units) {
+    checkProfile(unit, 500);
+    fleet.set(unit.id, unit);
+  }
+
+  const scenarios: ScenarioEngine = createScenarioEngine(scenarioConfig, {
+    now: clock.now,
+    newId: newRunId
+  });
+  const detector = aiMode === "detector" ? createAnomalyDetector(detectorOptions) : null;
+  const model = createModel({
+    fleet,
+    thresholds,
+    insights,
+    detector,
+    scenarios,
+    random,
+    clock,
+    tickMs,
+    randomTransitions,
+    liveStaleMs
+  });
+  const forecaster = createForecaster(forecastOptions);
+  const kpis = createKpiTracker(kpiOptions);
+
+  let latest: Batch = [];
+
+  // ---------------- STEPPING ----------------
+  // Advances the clock one tick and generates every unit
+  function step(): Batch {
+    clock.advance(tickMs);
+    scenarios.tick();
+    latest = model.step();
+
+    for (const row of latest) {
+      const readings = row.status === "offline"
+        ? null
+        : {
+          temperature: row.temperature as number,
+          vibration: row.vibration as number,
+          pressure: row.pressure as number,
+          flow: row.flow_rate as number
+        };
+      forecaster.observe(row.compressor_id, row.timestamp, row.status, readings);
+      kpis.observe(row, tickMs, isPlannedStop(model.memory[row.compressor_id].control));
+    }
+    return latest;
+  }
+
+  // ---------------- STATE ----------------
+  function state(id: string) {
+    const unit = fleet.get(id);
+    if (!unit) return null;
+
+    return {
+      unit,
+      memory: structuredClone(model.memory[id]),
+      scenarios: scenarios.activeFor(id),
+      operating: model.operating(id),
+      anomaly: detector ? detector.snapshot(id) : null,
+      feed: unit.mode === "simulated" ? null : model.feed(id),
+      latest: latest.find(row => row.compressor_id === id) || null
+    };
+  }
+
+  function forecast(id: string) {
+    const unit = fleet.get(id);
+    if (!unit) return null;
+    return forecaster.forecast(id, thresholds.resolve(unit), clock.now());
+  }
+
+  // ---------------- SETPOINTS ----------------
+  // The forecast window restarts: the old trajectory no longer applies
+  function setpoint(id: string, changes: unknown) {
+    if (!fleet.has(id)) throw new SimulatorError(`Unknown compressor ${id}`, 404);
+    const operating = model.setpoint(id, changes);
+    forecaster.forget(id);
+    return operating;
+  }
+
+  // ---------------- COMMANDS ----------------
+  // start/stop/shutdown/trip/reset (see sim/commands.ts)
+  function command(id: string, name: unknown) {
+    const unit = fleet.get(id);
+    if (!unit) throw new SimulatorError(`Unknown compressor ${id}`, 404);
+    if (!isUnitCommand(name)) {
+      throw new SimulatorError(`Unknown command ${name}; expected one of ${UNIT_COMMANDS.join(", ")}`);
+    }
+    if (unit.pins.status) {
+      throw new SimulatorError(`Cannot ${name} ${id}: status is pinned to ${unit.pins.status}`, 409);
+    }
+    return model.command(id, name);
+  }
+
+  // ---------------- MAINTENANCE ----------------
+  // A completed repair: the unit is back to new, its fault scenarios
+  // stop and the forecast window restarts
+  function repair(id: string) {
+    if (!fleet.has(id)) throw new SimulatorError(`Unknown compressor ${id}`, 404);
+    const { wear_before } = model.repair(id);
+    const stopped = scenarios.stop({ compressors: [id] });
+    forecaster.forget(id);
+    return { compressor_id: id, wear_before, scenarios_stopped: stopped.map(run => run.id) };
+  }
+
+  // ---------------- LIVE READINGS ----------------
+  // simulated, live or shadow (see sim/ingest.ts). Warnings, the
+  // anomaly baseline and the forecast window start over.
+  function setMode(id: string, mode: unknown) {
+    const unit = fleet.get(id);
+    if (!unit) throw new SimulatorError(`Unknown compressor ${id}`, 404);
+    if (!UNIT_MODES.includes(mode as UnitMode)) {
+      throw new SimulatorError(`mode must be one of ${UNIT_MODES.join(", ")}`);
+    }
+
+    const previous = unit.mode;
+    unit.mode = mode as UnitMode;
+    if (previous !== unit.mode) {
+      model.switchMode(id);
+      forecaster.forget(id);
+    }
+    return { compressor_id: id, mode: unit.mode, previous };
+  }
+
+  // Validates a batch and queues the valid readings for the next tick
+  function ingest(body: unknown) {
+    const { readings, rejected } = parseIngest(body, {
+      now: clock.now(),
+      unit: id => {
+        const unit = fleet.get(id);
+        return unit ? { mode: unit.mode, lastTimestamp: model.feed(id).lastTimestamp } : null;
+      }
+    });
+    for (const reading of readings) model.ingest(reading);
+    return { accepted: readings.length, rejected };
+  }
+
+  // ---------------- RUNTIME FLEET CHANGES ----------------
+  function addUnit(raw: unknown) {
+    const unit = normalizeUnit(raw, fleetConfig.defaults);
+    checkProfile(unit, 400);
+    if (fleet.has(unit.id)) {
+      throw new SimulatorError(`Compressor ${unit.id} already exists`, 409);
+    }
+
+    fleet.set(unit.id, unit);
+    model.addUnit(unit);
+    return unit;
+  }
+
+  function removeUnit(id: string) {
+    if (!fleet.has(id)) return false;
+    fleet.delete(id);
+    model.removeUnit(id);
+    forecaster.forget(id);
+    kpis.forget(id);
+    scenarios.stop({ compressors: [id] });
+    latest = latest.filter(row => row.compressor_id !== id);
+    return true;
+  }
+
+  return {
+    clock,
+    random,
+    newId,
+    thresholds,
+    insights,
+    scenarios,
+    kpis,
+    aiMode,
+    randomTransitions,
+    tickMs,
+    step,
+    state,
+    forecast,
+    setpoint,
+    command,
+    repair,
+    setMode,
+    ingest,
+    latest: () => latest,
+    // Asset hierarchy metadata from the fleet config (sim/hierarchy.ts)
+    sites: fleetConfig.sites,
+    has: (id: string) => fleet.has(id),
+    unit: (id: string) => fleet.get(id),
+    units: () => [...fleet.values()],
+    addUnit,
+    removeUnit
+  };
+}
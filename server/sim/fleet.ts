@@ -0,0 +1,175 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Fleet Definition
+   Loads compressor units from a JSON config file. Each unit
+   declares its ID, site/area/line, initial state, per-state
+   baseline and clamp ranges, and any pinned behaviours:
+
+     pins.status      — unit never leaves this status
+     pins.maxWarning  — cap emitted warning level ("medium")
+
+   model / thresholdProfile select the warning thresholds
+   (see sim/thresholds.ts); operating (load, ambient, inlet
+   pressure) and wear are the starting conditions for the
+   physics in sim/physics.ts. mode picks simulated readings
+   or ingested ones (live, shadow; see sim/ingest.ts). The
+   optional `sites` section describes the asset hierarchy
+   (see sim/hierarchy.ts).
+--------------------------------------------------------- */
+
+import fs from "fs";
+import defaultFleet from "./fleet.json";
+import { normalizeSites, type SiteDefinition } from "./hierarchy";
+import { UNIT_MODES } from "./ingest";
+import { validateOperating } from "./physics";
+import { SimulatorError, type Channel, type Range, type Readings, type UnitDefinition, type UnitStatus } from "./types";
+
+const STATES: UnitStatus[] = ["active", "inactive", "offline"];
+const CHANNELS: Channel[] = ["temperature", "vibration", "pressure", "flow"];
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+export interface RawFleetConfig {
+  defaults?: Record<string, any>;
+  units?: Record<string, any>[];
+  sites?: unknown;
+}
+
+export interface FleetConfig {
+  defaults: Record<string, any>;
+  units: UnitDefinition[];
+  sites: SiteDefinition[];
+}
+
+// ---------------- VALIDATION ----------------
+function fail(id: unknown, message: string): never {
+  throw new SimulatorError(`Fleet unit "${id}": ${message}`);
+}
+
+function checkReadings(id: string, label: string, readings: Record<string, unknown>): Readings {
+  for (const ch of CHANNELS) {
+    const v = readings[ch];
+    if (typeof v !== "number" || !Number.isFinite(v)) {
+      fail(id, `${label}.${ch} must be a number`);
+    }
+  }
+  return readings as Readings;
+}
+
+function checkRanges(id: string, label: string, ranges: Record<string, unknown>) {
+  for (const ch of CHANNELS) {
+    const r = ranges[ch];
+    if (!Array.isArray(r) || r.length !== 2 || !(r[0] < r[1])) {
+      fail(id, `${label}.${ch} must be [min, max] with min < max`);
+    }
+  }
+  return ranges as Record<Channel, Range>;
+}
+
+// ---------------- NORMALIZATION ----------------
+// Merges a raw unit entry over the fleet defaults and validates it.
+export function normalizeUnit(raw: any, defaults: Record<string, any> = {}): UnitDefinition {
+  if (!raw || typeof raw !== "object") fail("?", "definition must be an object");
+
+  const id = raw.id;
+  if (typeof id !== "string" || !ID_PATTERN.test(id)) {
+    fail(id, "id must match [A-Za-z0-9_-]+");
+  }
+
+  const state = raw.state || defaults.state || "active";
+  if (!STATES.includes(state)) fail(id, `state must be one of ${STATES.join(", ")}`);
+
+  const baseline = {
+    active: checkReadings(id, "baseline.active", {
+      ...defaults.baseline?.active,
+      ...raw.baseline?.active
+    }),
+    inactive: checkReadings(id, "baseline.inactive", {
+      ...defaults.baseline?.inactive,
+      ...raw.baseline?.inactive
+    })
+  };
+
+  const ranges = {
+    active: checkRanges(id, "ranges.active", { ...defaults.ranges?.active, ...raw.ranges?.active }),
+    inactive: checkRanges(id, "ranges.inactive", {
+      ...defaults.ranges?.inactive,
+      ...raw.ranges?.inactive
+    })
+  };
+
+  // Offline units start from their active baseline so a later start is smooth
+  const initial = checkReadings(id, "initial", {
+    ...baseline[state === "inactive" ? "inactive" : "active"],
+    ...raw.initial
+  });
+
+  const pins = { ...raw.pins };
+  if (pins.status !== undefined && !STATES.includes(pins.status)) {
+    fail(id, `pins.status must be one of ${STATES.join(", ")}`);
+  }
+  if (pins.maxWarning !== undefined && pins.maxWarning !== "medium") {
+    fail(id, "pins.maxWarning only supports \"medium\"");
+  }
+
+  let operating;
+  try {
+    operating = validateOperating({ ...defaults.operating, ...raw.operating });
+  } catch (err) {
+    fail(id, `operating: ${(err as Error).message}`);
+  }
+
+  const wear = raw.wear ?? defaults.wear ?? 0;
+  if (typeof wear !== "number" || !(wear >= 0 && wear <= 1)) {
+    fail(id, "wear must be a number between 0 and 1");
+  }
+
+  const mode = raw.mode || defaults.mode || "simulated";
+  if (!UNIT_MODES.includes(mode)) fail(id, `mode must be one of ${UNIT_MODES.join(", ")}`);
+
+  const place = (key: "site" | "area" | "line") => {
+    const value = raw[key] || defaults[key] || "default";
+    if (typeof value !== "string" || !ID_PATTERN.test(value)) fail(id, `${key} must match [A-Za-z0-9_-]+`);
+    return value;
+  };
+
+  const thresholdProfile = raw.thresholdProfile;
+  if (thresholdProfile !== undefined && typeof thresholdProfile !== "string") {
+    fail(id, "thresholdProfile must be a profile id");
+  }
+
+  return {
+    id,
+    site: place("site"),
+    area: place("area"),
+    line: place("line"),
+    model: raw.model || defaults.model || "standard",
+    thresholdProfile,
+    state,
+    initial,
+    baseline,
+    ranges,
+    operating,
+    wear,
+    mode,
+    pins
+  };
+}
+
+// ---------------- LOADING ----------------
+// Accepts a file path, an already-parsed config, or nothing (bundled fleet.json)
+export function loadFleetConfig(source?: string | RawFleetConfig): FleetConfig {
+  const config: RawFleetConfig =
+    typeof source === "string"
+      ? JSON.parse(fs.readFileSync(source, "utf-8"))
+      : source || defaultFleet;
+
+  const defaults = config.defaults || {};
+  const units = (config.units || []).map(u => normalizeUnit(u, defaults));
+
+  const seen = new Set<string>();
+  for (const u of units) {
+    if (seen.has(u.id)) fail(u.id, "duplicate id in fleet config");
+    seen.add(u.id);
+  }
+
+  return { defaults, units, sites: normalizeSites(config.sites) };
+}
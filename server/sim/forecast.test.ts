@@ -0,0 +1,95 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createForecaster } from "./forecast";
+import { createRandom } from "./random";
+import { loadThresholds } from "./thresholds";
+import type { Readings } from "./types";
+
+const profile = loadThresholds().resolve();
+const TICK = 2000;
+const NOMINAL: Readings = { temperature: 81, vibration: 2.9, pressure: 100.5, flow: 200 };
+
+// `perTick` is added to a channel every tick, on top of small white noise
+function feed(ticks: number, perTick: Partial<Readings> = {}, seed = 3) {
+  const forecaster = createForecaster({ windowMs: 15 * 60 * 1000, settleMs: 0, minSamples: 30 });
+  const random = createRandom(seed);
+  for (let i = 0; i < ticks; i++) {
+    const n = (scale: number) => (random() - 0.5) * 2 * scale;
+    forecaster.observe("u", i * TICK, "active", {
+      temperature: NOMINAL.temperature + (perTick.temperature ?? 0) * i + n(0.05),
+      vibration: NOMINAL.vibration + (perTick.vibration ?? 0) * i + n(0.01),
+      pressure: NOMINAL.pressure + (perTick.pressure ?? 0) * i + n(0.03),
+      flow: NOMINAL.flow + (perTick.flow ?? 0) * i + n(0.2)
+    });
+  }
+  return { forecaster, now: (ticks - 1) * TICK };
+}
+
+describe("createForecaster", () => {
+  it("is not ready until the window has enough samples", () => {
+    const { forecaster, now } = feed(10);
+    const result = forecaster.forecast("u", profile, now);
+    assert.equal(result.ready, false);
+    assert.match(result.reason ?? "", /Collecting readings \(10\/30\)/);
+  });
+
+  it("projects a linear ramp to its threshold crossing", () => {
+    // vibration +0.001 per 2s tick = +1.8/h, from 2.9 + 0.199 after 200 ticks
+    const { forecaster, now } = feed(200, { vibration: 0.001 });
+    const result = forecaster.forecast("u", profile, now);
+    const vibration = result.channels.vibration!;
+
+    assert.equal(result.limiting_channel, "vibration");
+    assert.ok(Math.abs(vibration.slope_per_hour - 1.8) < 0.05);
+
+    // (3.9 − 3.099) / 1.8 h ≈ 26.7 min
+    const eta = vibration.time_to_high.eta_ms!;
+    assert.ok(Math.abs(eta / 60000 - 26.7) < 1, `eta ${eta}`);
+    assert.equal(result.rul_ms, eta);
+    assert.ok(vibration.time_to_high.earliest_ms! <= eta && eta <= vibration.time_to_high.latest_ms!);
+    assert.ok(vibration.time_to_medium.eta_ms! < eta);
+  });
+
+  it("reports falling channels against their low limits", () => {
+    // pressure −0.002 per tick = −3.6/h, high limit 97.5
+    const { forecaster, now } = feed(200, { pressure: -0.002 });
+    const result = forecaster.forecast("u", profile, now);
+    assert.equal(result.limiting_channel, "pressure");
+    assert.equal(result.channels.pressure!.direction, "low");
+    assert.ok(result.rul_ms! > 0 && result.rul_ms! < 60 * 60 * 1000);
+  });
+
+  it("gives no estimate for a flat trajectory and 0 once beyond", () => {
+    const flat = feed(400);
+    const result = flat.forecaster.forecast("u", profile, flat.now);
+    assert.equal(result.ready, true);
+    assert.equal(result.rul_ms, null);
+    assert.equal(result.channels.temperature!.time_to_high.eta_ms, null);
+
+    const beyond = createForecaster({ settleMs: 0, minSamples: 3 });
+    for (let i = 0; i < 5; i++) beyond.observe("u", i * TICK, "active", { ...NOMINAL, temperature: 90 });
+    assert.equal(beyond.forecast("u", profile, 4 * TICK).channels.temperature!.time_to_high.eta_ms, 0);
+  });
+
+  it("starts a new window on a status change", () => {
+    const { forecaster, now } = feed(100);
+    forecaster.observe("u", now + TICK, "inactive", NOMINAL);
+    const result = forecaster.forecast("u", profile, now + TICK);
+    assert.equal(result.status, "inactive");
+    assert.equal(result.ready, false);
+    assert.equal(result.window?.samples, 1);
+
+    forecaster.observe("u", now + 2 * TICK, "offline", null);
+    assert.match(forecaster.forecast("u", profile, now + 2 * TICK).reason ?? "", /offline/);
+  });
+
+  it("skips readings while settling", () => {
+    const forecaster = createForecaster({ settleMs: 60 * 1000, minSamples: 5 });
+    for (let i = 0; i <= 40; i++) forecaster.observe("u", i * TICK, "active", NOMINAL);
+
+    assert.match(forecaster.forecast("u", profile, 20 * TICK).reason ?? "", /Settling/);
+    const settled = forecaster.forecast("u", profile, 40 * TICK);
+    assert.equal(settled.ready, true);
+    assert.equal(settled.window?.from, 30 * TICK);
+  });
+});
@@ -0,0 +1,252 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Forecasting
+   Projects each channel forward from its recent trajectory
+   and estimates how long until it crosses its medium and
+   high thresholds.
+
+   Per unit a rolling window of readings (since the last
+   status or setpoint change, at most `windowMs`, skipping
+   the first `settleMs` while readings move to their new
+   level) is fitted with a
+   least-squares line per channel. The projection carries a
+   95% prediction band; time-to-threshold comes with an
+   earliest/latest range from the slope's standard error and
+   is only reported while the slope is significantly towards
+   the threshold and the crossing lies within `horizonMs`.
+
+   RUL (remaining useful life) is the shortest time to a high
+   threshold over all channels, i.e. how long the unit can run
+   on its current trajectory before a high warning.
+--------------------------------------------------------- */
+
+import { DIRECTIONS, type ThresholdProfile, type ThresholdType } from "./thresholds";
+import type { Channel, Readings, UnitStatus } from "./types";
+
+const HOUR_MS = 60 * 60 * 1000;
+const Z95 = 1.96;
+
+const CHANNELS: Channel[] = ["temperature", "vibration", "pressure", "flow"];
+
+const CHANNEL_THRESHOLDS: Record<Channel, ThresholdType> = {
+  temperature: "temperature",
+  vibration: "vibration",
+  pressure: "pressureLow",
+  flow: "flowLow"
+};
+
+// Offsets of the projection points reported per channel
+const PROJECTION_STEPS_MS = [15 * 60 * 1000, 30 * 60 * 1000, HOUR_MS, 2 * HOUR_MS, 4 * HOUR_MS];
+
+export interface ForecastOptions {
+  windowMs?: number;
+  settleMs?: number;
+  minSamples?: number;
+  horizonMs?: number;
+}
+
+interface Sample {
+  t: number;
+  readings: Readings;
+}
+
+interface UnitWindow {
+  status: UnitStatus;
+  since: number;
+  samples: Sample[];
+}
+
+export interface ThresholdEta {
+  // ms from now; 0 when already beyond, null when not approaching
+  eta_ms: number | null;
+  earliest_ms: number | null;
+  latest_ms: number | null;
+}
+
+export interface ChannelForecast {
+  channel: Channel;
+  direction: "high" | "low";
+  current: number;
+  slope_per_hour: number;
+  thresholds: { medium: number; high: number };
+  time_to_medium: ThresholdEta;
+  time_to_high: ThresholdEta;
+  projection: { at: number; value: number; low: number; high: number }[];
+}
+
+export interface Forecast {
+  compressor_id: string;
+  generated_at: number;
+  status: UnitStatus;
+  ready: boolean;
+  reason?: string;
+  window: { from: number; samples: number } | null;
+  rul_ms: number | null;
+  limiting_channel: Channel | null;
+  channels: Partial<Record<Channel, ChannelForecast>>;
+}
+
+export type Forecaster = ReturnType<typeof createForecaster>;
+
+// ---------------- REGRESSION ----------------
+// y = a + b·x with x in hours relative to now (so `a` is the fitted
+// current value); s is the residual standard deviation
+function fitLine(xs: number[], ys: number[]) {
+  const n = xs.length;
+  const mx = xs.reduce((sum, x) => sum + x, 0) / n;
+  const my = ys.reduce((sum, y) => sum + y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - mx) ** 2;
+    sxy += (xs[i] - mx) * (ys[i] - my);
+  }
+
+  const b = sxx > 0 ? sxy / sxx : 0;
+  const a = my - b * mx;
+
+  const residuals = ys.map((y, i) => y - a - b * xs[i]);
+  let sse = 0;
+  let lagged = 0;
+  for (let i = 0; i < n; i++) {
+    sse += residuals[i] ** 2;
+    if (i > 0) lagged += residuals[i] * residuals[i - 1];
+  }
+  const s = Math.sqrt(sse / Math.max(n - 2, 1));
+
+  // Readings drift, so neighbouring residuals are correlated and the plain
+  // OLS error would be far too confident; widen it by the lag-1
+  // autocorrelation (effective sample size n·(1−ρ)/(1+ρ)).
+  const rho = sse > 0 ? Math.min(Math.max(lagged / sse, 0), 0.99) : 0;
+  const inflation = Math.sqrt((1 + rho) / (1 - rho));
+
+  return { n, mx, sxx, a, b, s, seSlope: sxx > 0 ? (s / Math.sqrt(sxx)) * inflation : Infinity };
+}
+
+type Fit = ReturnType<typeof fitLine>;
+
+function round(value: number, digits = 3) {
+  return Number(value.toFixed(digits));
+}
+
+// ---------------- THRESHOLD CROSSING ----------------
+function timeTo(level: number, direction: "high" | "low", fit: Fit, horizonMs: number): ThresholdEta {
+  const sign = direction === "high" ? 1 : -1;
+  const none = { eta_ms: null, earliest_ms: null, latest_ms: null };
+
+  if (sign * (fit.a - level) >= 0) return { eta_ms: 0, earliest_ms: 0, latest_ms: 0 };
+
+  // Rate towards the threshold, with its 95% bounds
+  const rate = sign * fit.b;
+  const slow = rate - Z95 * fit.seSlope;
+  const fast = rate + Z95 * fit.seSlope;
+  if (!(slow > 0)) return none;
+
+  const distance = sign * (level - fit.a);
+  const toMs = (hours: number) => Math.round(hours * HOUR_MS);
+  const eta = toMs(distance / rate);
+  if (eta > horizonMs) return none;
+
+  const latest = toMs(distance / slow);
+  return {
+    eta_ms: eta,
+    earliest_ms: toMs(distance / fast),
+    latest_ms: latest > horizonMs ? null : latest
+  };
+}
+
+// ---------------- FORECASTER ----------------
+export function createForecaster({
+  windowMs = 15 * 60 * 1000,
+  settleMs = 5 * 60 * 1000,
+  minSamples = 30,
+  horizonMs = 24 * HOUR_MS
+}: ForecastOptions = {}) {
+  const units = new Map<string, UnitWindow>();
+
+  // A status change starts a new window: readings move to another
+  // operating level and the old trajectory no longer applies
+  function observe(id: string, t: number, status: UnitStatus, readings: Readings | null) {
+    let window = units.get(id);
+    if (!window || window.status !== status) {
+      window = { status, since: t, samples: [] };
+      units.set(id, window);
+    }
+    if (!readings || t - window.since < settleMs) return;
+    // A live unit repeats its newest row until the next reading
+    if (window.samples.length > 0 && window.samples[window.samples.length - 1].t >= t) return;
+
+    window.samples.push({ t, readings });
+    while (window.samples.length > 0 && window.samples[0].t <= t - windowMs) {
+      window.samples.shift();
+    }
+  }
+
+  function forecast(id: string, profile: ThresholdProfile, now: number): Forecast {
+    const window = units.get(id);
+    const samples = window ? window.samples : [];
+    const base = {
+      compressor_id: id,
+      generated_at: now,
+      status: window ? window.status : ("offline" as UnitStatus),
+      window: samples.length > 0 ? { from: samples[0].t, samples: samples.length } : null,
+      rul_ms: null,
+      limiting_channel: null,
+      channels: {}
+    };
+
+    if (!window || window.status === "offline") {
+      return { ...base, ready: false, reason: "Unit offline — no trajectory." };
+    }
+    if (now - window.since < settleMs) {
+      return { ...base, ready: false, reason: "Settling after a status or setpoint change." };
+    }
+    if (samples.length < minSamples) {
+      return { ...base, ready: false, reason: `Collecting readings (${samples.length}/${minSamples}).` };
+    }
+
+    const xs = samples.map(s => (s.t - now) / HOUR_MS);
+    const channels: Partial<Record<Channel, ChannelForecast>> = {};
+    let rul: number | null = null;
+    let limiting: Channel | null = null;
+
+    for (const channel of CHANNELS) {
+      const type = CHANNEL_THRESHOLDS[channel];
+      const direction = DIRECTIONS[type];
+      const levels = profile[type];
+      const fit = fitLine(xs, samples.map(s => s.readings[channel]));
+
+      const projection = PROJECTION_STEPS_MS.map(offset => {
+        const h = offset / HOUR_MS;
+        const value = fit.a + fit.b * h;
+        const band = Z95 * fit.s * Math.sqrt(1 + 1 / fit.n + (h - fit.mx) ** 2 / fit.sxx);
+        return { at: now + offset, value: round(value), low: round(value - band), high: round(value + band) };
+      });
+
+      const time_to_high = timeTo(levels.high, direction, fit, horizonMs);
+      channels[channel] = {
+        channel,
+        direction,
+        current: round(fit.a),
+        slope_per_hour: round(fit.b),
+        thresholds: { medium: levels.medium, high: levels.high },
+        time_to_medium: timeTo(levels.medium, direction, fit, horizonMs),
+        time_to_high,
+        projection
+      };
+
+      if (time_to_high.eta_ms !== null && (rul === null || time_to_high.eta_ms < rul)) {
+        rul = time_to_high.eta_ms;
+        limiting = channel;
+      }
+    }
+
+    return { ...base, ready: true, rul_ms: rul, limiting_channel: limiting, channels };
+  }
+
+  return {
+    observe,
+    forecast,
+    forget: (id: string) => units.delete(id)
+  };
+}
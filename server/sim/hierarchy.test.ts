@@ -0,0 +1,100 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { loadFleetConfig } from "./fleet";
+import { buildTree, findNode, normalizeSites, parseNodePath } from "./hierarchy";
+import type { TelemetryRow, UnitStatus, WarningLevel } from "./types";
+
+function row(id: string, status: UnitStatus, warning: WarningLevel | "none", risk_score: number, ai_alert = false) {
+  return { compressor_id: id, status, warning, risk_score, ai_alert } as TelemetryRow;
+}
+
+const units = [
+  { id: "c1", site: "north", area: "hall", line: "a" },
+  { id: "c2", site: "north", area: "hall", line: "a" },
+  { id: "c3", site: "north", area: "hall", line: "b" },
+  { id: "c4", site: "south", area: "yard", line: "x" }
+];
+
+describe("normalizeSites", () => {
+  it("names nodes by id by default and rejects bad ids and duplicates", () => {
+    const [site] = normalizeSites([{ id: "north", areas: [{ id: "hall", name: "Hall", lines: [{ id: "a" }] }] }]);
+    assert.equal(site.name, "north");
+    assert.equal(site.areas[0].name, "Hall");
+    assert.deepEqual(site.areas[0].lines, [{ id: "a", name: "a" }]);
+
+    assert.throws(() => normalizeSites([{ id: "no/slash" }]), /id must match/);
+    assert.throws(() => normalizeSites([{ id: "n", areas: [{ id: "h" }, { id: "h" }] }]), /duplicate area h/);
+    assert.throws(() => normalizeSites({}), /sites must be an array/);
+  });
+});
+
+describe("buildTree", () => {
+  const sites = normalizeSites([
+    {
+      id: "north",
+      name: "North Plant",
+      metadata: { country: "SA" },
+      areas: [{ id: "hall", lines: [{ id: "a" }, { id: "b" }, { id: "spare" }] }]
+    }
+  ]);
+  const latest = [
+    row("c1", "active", "medium", 4),
+    row("c2", "active", "normal", 2, true),
+    row("c3", "offline", "none", 0),
+    row("c4", "active", "high", 9)
+  ];
+  const tree = buildTree({ sites, units, latest, alertCount: id => (id === "c1" ? 1 : 0) });
+
+  it("rolls up status, worst warning and risk per node", () => {
+    const north = findNode(tree, ["north"]);
+    assert.equal(north?.name, "North Plant");
+    assert.deepEqual(north?.metadata, { country: "SA" });
+    assert.deepEqual(north?.rollup, {
+      units: 3,
+      status: { active: 2, inactive: 0, offline: 1 },
+      worst_warning: "medium",
+      ai_alerts: 1,
+      active_alerts: 1,
+      risk: { max: 4, mean: 3 }
+    });
+
+    const lineB = findNode(tree, ["north", "hall", "b"]);
+    assert.equal(lineB?.rollup.worst_warning, "none");
+    assert.deepEqual(lineB?.rollup.risk, { max: null, mean: null });
+    assert.equal(findNode(tree, ["north", "hall", "a", "c2"])?.level, "unit");
+  });
+
+  it("keeps declared nodes without units and adds undeclared ones", () => {
+    assert.equal(findNode(tree, ["north", "hall", "spare"])?.rollup.units, 0);
+    assert.deepEqual(tree.map(n => n.path), ["north", "south"]);
+    assert.equal(findNode(tree, ["south", "yard", "x"])?.name, "x");
+    assert.equal(findNode(tree, ["south", "hall"]), null);
+  });
+});
+
+describe("parseNodePath", () => {
+  it("splits up to four segments", () => {
+    assert.equal(parseNodePath(undefined), null);
+    assert.deepEqual(parseNodePath("north/hall/"), ["north", "hall"]);
+    assert.throws(() => parseNodePath("a/b/c/d/e"), /Invalid node/);
+    assert.throws(() => parseNodePath("a b"), /Invalid node/);
+  });
+});
+
+describe("fleet placement", () => {
+  it("places units from defaults and validates segments", () => {
+    const fleet = loadFleetConfig();
+    assert.deepEqual(
+      fleet.units.map(u => `${u.site}/${u.area}/${u.line}`),
+      [
+        "main_plant/compression/line_a",
+        "main_plant/compression/line_a",
+        "main_plant/compression/line_b",
+        "main_plant/compression/line_b",
+        "main_plant/compression/standby",
+        "main_plant/compression/standby"
+      ]
+    );
+    assert.throws(() => loadFleetConfig({ defaults: fleet.defaults, units: [{ id: "u", line: "a/b" }] }), /line must match/);
+  });
+});
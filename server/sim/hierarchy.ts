@@ -0,0 +1,224 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Asset Hierarchy
+   Places every unit in a tree:
+
+     site → area → line → unit
+
+   Units name their site, area and line; the fleet config's
+   `sites` section adds names, descriptions and free-form
+   metadata for those nodes. Nodes a unit refers to but the
+   config does not describe still appear, named by their id.
+
+   A node is addressed by its path, e.g. "main_plant",
+   "main_plant/compression/line_a" or a unit's full path.
+   Each node rolls up its units: counts by status, the worst
+   current warning, AI alerts, active alerts and the risk
+   score (max and mean over units reporting).
+--------------------------------------------------------- */
+
+import { SimulatorError, type Batch, type UnitDefinition, type UnitStatus } from "./types";
+
+export const LEVELS = ["site", "area", "line", "unit"] as const;
+export type Level = (typeof LEVELS)[number];
+
+const SEGMENT_PATTERN = /^[A-Za-z0-9_-]+$/;
+const WARNING_RANK: Record<string, number> = { none: 0, normal: 1, medium: 2, high: 3 };
+
+export interface NodeInfo {
+  id: string;
+  name: string;
+  description?: string;
+  metadata?: Record<string, unknown>;
+}
+
+export interface LineDefinition extends NodeInfo {}
+
+export interface AreaDefinition extends NodeInfo {
+  lines: LineDefinition[];
+}
+
+export interface SiteDefinition extends NodeInfo {
+  areas: AreaDefinition[];
+}
+
+export interface Rollup {
+  units: number;
+  status: Record<UnitStatus, number>;
+  worst_warning: string;
+  ai_alerts: number;
+  active_alerts: number;
+  risk: { max: number | null; mean: number | null };
+}
+
+export interface HierarchyNode extends NodeInfo {
+  level: Level;
+  path: string;
+  rollup: Rollup;
+  children: HierarchyNode[];
+}
+
+type Placed = Pick<UnitDefinition, "id" | "site" | "area" | "line">;
+
+// ---------------- CONFIG ----------------
+function fail(path: string, message: string): never {
+  throw new SimulatorError(`Fleet sites "${path}": ${message}`);
+}
+
+function normalizeInfo(raw: any, path: string): NodeInfo {
+  if (!raw || typeof raw !== "object") fail(path, "node must be an object");
+  if (typeof raw.id !== "string" || !SEGMENT_PATTERN.test(raw.id)) {
+    fail(path, "id must match [A-Za-z0-9_-]+");
+  }
+  if (raw.name !== undefined && typeof raw.name !== "string") fail(path, "name must be a string");
+  if (raw.description !== undefined && typeof raw.description !== "string") {
+    fail(path, "description must be a string");
+  }
+  if (raw.metadata !== undefined && (typeof raw.metadata !== "object" || Array.isArray(raw.metadata))) {
+    fail(path, "metadata must be an object");
+  }
+
+  return {
+    id: raw.id,
+    name: raw.name || raw.id,
+    ...(raw.description !== undefined && { description: raw.description }),
+    ...(raw.metadata !== undefined && { metadata: raw.metadata })
+  };
+}
+
+function normalizeChildren<T>(raw: unknown, path: string, key: string, each: (child: any, path: string) => T) {
+  if (raw === undefined) return [];
+  if (!Array.isArray(raw)) fail(path, `${key} must be an array`);
+
+  const seen = new Set<string>();
+  return raw.map(child => {
+    const node = each(child, path ? `${path}/${child?.id}` : String(child?.id));
+    const id = (node as NodeInfo).id;
+    if (seen.has(id)) fail(path || id, `duplicate ${key.slice(0, -1)} ${id}`);
+    seen.add(id);
+    return node;
+  });
+}
+
+// The `sites` section of a fleet config
+export function normalizeSites(raw: unknown): SiteDefinition[] {
+  return normalizeChildren(raw, "", "sites", (site, sitePath) => ({
+    ...normalizeInfo(site, sitePath),
+    areas: normalizeChildren(site.areas, sitePath, "areas", (area, areaPath) => ({
+      ...normalizeInfo(area, areaPath),
+      lines: normalizeChildren(area.lines, areaPath, "lines", normalizeInfo)
+    }))
+  }));
+}
+
+// ---------------- PATHS ----------------
+// "site/area/line/unit" prefixes; null when absent
+export function parseNodePath(value: unknown): string[] | null {
+  if (value === undefined || value === "") return null;
+
+  const segments = String(value).split("/").filter(Boolean);
+  if (
+    segments.length === 0 ||
+    segments.length > LEVELS.length ||
+    !segments.every(s => SEGMENT_PATTERN.test(s))
+  ) {
+    throw new SimulatorError(`Invalid node "${value}"; expected site[/area[/line[/unit]]]`);
+  }
+  return segments;
+}
+
+function unitPath(unit: Placed) {
+  return [unit.site, unit.area, unit.line, unit.id];
+}
+
+export function inNode(unit: Placed, path: string[]) {
+  const own = unitPath(unit);
+  return path.every((segment, i) => own[i] === segment);
+}
+
+// ---------------- ROLL-UP ----------------
+export interface TreeInput {
+  sites: SiteDefinition[];
+  units: Placed[];
+  latest: Batch;
+  // Active alerts of one unit
+  alertCount?: (id: string) => number;
+}
+
+function rollup(ids: string[], rows: Map<string, Batch[number]>, alertCount: (id: string) => number): Rollup {
+  const status: Record<UnitStatus, number> = { active: 0, inactive: 0, offline: 0 };
+  let worst = "none";
+  let aiAlerts = 0;
+  let activeAlerts = 0;
+  const risks: number[] = [];
+
+  for (const id of ids) {
+    activeAlerts += alertCount(id);
+    const row = rows.get(id);
+    if (!row) continue;
+
+    status[row.status] += 1;
+    if (WARNING_RANK[row.warning] > WARNING_RANK[worst]) worst = row.warning;
+    if (row.ai_alert) aiAlerts += 1;
+    if (row.status !== "offline") risks.push(row.risk_score);
+  }
+
+  return {
+    units: ids.length,
+    status,
+    worst_warning: worst,
+    ai_alerts: aiAlerts,
+    active_alerts: activeAlerts,
+    risk: {
+      max: risks.length > 0 ? Math.max(...risks) : null,
+      mean: risks.length > 0 ? Number((risks.reduce((a, b) => a + b, 0) / risks.length).toFixed(2)) : null
+    }
+  };
+}
+
+// The full tree; declared nodes first, in config order, then nodes only
+// units refer to, in fleet order
+export function buildTree({ sites, units, latest, alertCount = () => 0 }: TreeInput): HierarchyNode[] {
+  const rows = new Map(latest.map(row => [row.compressor_id, row]));
+
+  function node(level: Level, info: NodeInfo, path: string[], children: HierarchyNode[]): HierarchyNode {
+    const ids = units.filter(u => inNode(u, path)).map(u => u.id);
+    return { level, ...info, path: path.join("/"), rollup: rollup(ids, rows, alertCount), children };
+  }
+
+  // Declared children, then undeclared ids found on units at this depth
+  function childInfo(declared: NodeInfo[], path: string[]) {
+    const found = units.filter(u => inNode(u, path)).map(u => unitPath(u)[path.length]);
+    const known = new Set(declared.map(d => d.id));
+    const extra = [...new Set(found)].filter(id => !known.has(id)).map(id => ({ id, name: id }));
+    return [...declared, ...extra];
+  }
+
+  function build(depth: number, declared: NodeInfo[], parent: string[]): HierarchyNode[] {
+    const level = LEVELS[depth];
+    if (level === "unit") {
+      return units
+        .filter(u => inNode(u, parent))
+        .map(u => node("unit", { id: u.id, name: u.id }, unitPath(u), []));
+    }
+
+    return childInfo(declared, parent).map(child => {
+      const { areas, lines, ...info } = child as Partial<SiteDefinition & AreaDefinition> & NodeInfo;
+      const path = [...parent, info.id];
+      return node(level, info, path, build(depth + 1, areas ?? lines ?? [], path));
+    });
+  }
+
+  return build(0, sites, []);
+}
+
+// The node at `path` in a built tree, or null
+export function findNode(tree: HierarchyNode[], path: string[]): HierarchyNode | null {
+  let nodes = tree;
+  let found: HierarchyNode | null = null;
+  for (const segment of path) {
+    found = nodes.find(n => n.id === segment) || null;
+    if (!found) return null;
+    nodes = found.children;
+  }
+  return found;
+}
@@ -0,0 +1,110 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createClock } from "./clock";
+import { createHistoryStore, parseHistoryQuery } from "./history";
+import { createSink } from "./sinks";
+import type { Batch } from "./types";
+
+const MIN_MS = 60 * 1000;
+const HOUR_MS = 60 * MIN_MS;
+const DAY_MS = 24 * HOUR_MS;
+const T0 = Date.parse("2026-01-01T00:00:00Z");
+
+function batch(ts: number, temperature: number, id = "compressor_1") {
+  return [{ compressor_id: id, timestamp: ts, temperature }] as Batch;
+}
+
+function temperatures(result: ReturnType<ReturnType<typeof createHistoryStore>["query"]>, id = "compressor_1") {
+  return (result.series[id] || []).map(point => [point.t, point.temperature]);
+}
+
+const query = (from: number, to: number, bucket: number) =>
+  ({ from, to, bucket, fields: ["temperature"], compressors: null });
+
+describe("parseHistoryQuery", () => {
+  it("defaults to the last hour and picks a bucket for the span", () => {
+    const parsed = parseHistoryQuery({}, T0);
+    assert.deepEqual([parsed.from, parsed.to, parsed.bucket], [T0 - HOUR_MS, T0, 30 * 1000]);
+    assert.equal(parseHistoryQuery({ from: T0 - 7 * DAY_MS }, T0).bucket, HOUR_MS);
+    assert.equal(parseHistoryQuery({ from: "2025-12-31T23:00:00Z", bucket: "5m" }, T0).bucket, 5 * MIN_MS);
+    assert.deepEqual(parseHistoryQuery({ compressor: "c1, c2", fields: "vibration" }, T0).compressors, ["c1", "c2"]);
+  });
+
+  it("rejects bad windows, fields and bucket counts", () => {
+    assert.throws(() => parseHistoryQuery({ from: T0, to: T0 }, T0), /from must be before to/);
+    assert.throws(() => parseHistoryQuery({ fields: "humidity" }, T0), /Unknown fields: humidity/);
+    assert.throws(() => parseHistoryQuery({ from: T0 - DAY_MS, bucket: "1s" }, T0), /Too many buckets/);
+    assert.throws(() => parseHistoryQuery({ to: "yesterday" }, T0), /Invalid time "yesterday"/);
+  });
+});
+
+describe("history store", () => {
+  it("aggregates raw snapshots into buckets starting at from", async () => {
+    const history = createHistoryStore({ sink: await createSink({ kind: "memory" }) });
+    const values = [80, 84, 82, 90, 70];
+    for (const [i, v] of values.entries()) await history.record(T0 + i * 30 * 1000, batch(T0 + i * 30 * 1000, v));
+    await history.record(T0 + 15 * 1000, batch(T0 + 15 * 1000, 81, "compressor_2"));
+
+    // [T0, T0+1m) holds 80, 84; T0+1m opens the second bucket; to is exclusive
+    const result = history.query(query(T0, T0 + 2 * MIN_MS, MIN_MS));
+    assert.deepEqual(temperatures(result), [
+      [T0, { min: 80, max: 84, avg: 82, last: 84 }],
+      [T0 + MIN_MS, { min: 82, max: 90, avg: 86, last: 90 }]
+    ]);
+
+    const shifted = history.query({ ...query(T0 + 30 * 1000, T0 + 3 * MIN_MS, MIN_MS), compressors: ["compressor_1"] });
+    assert.deepEqual(temperatures(shifted).map(([t]) => t), [T0 + 30 * 1000, T0 + 90 * 1000]);
+    assert.deepEqual(Object.keys(shifted.series), ["compressor_1"]);
+  });
+
+  it("rolls raw snapshots up to hourly and daily tiers and prunes them", async () => {
+    const clock = createClock({ mode: "virtual", start: T0 });
+    const sink = await createSink({ kind: "memory" });
+    const history = createHistoryStore({
+      sink,
+      rawRetentionMs: HOUR_MS,
+      hourlyRetentionMs: DAY_MS,
+      dailyRetentionMs: 2 * DAY_MS
+    });
+
+    // One snapshot every 30 minutes for three hours: 0, 1, ... 5
+    for (let i = 0; i < 6; i++) {
+      await history.record(clock.now(), batch(clock.now(), i));
+      clock.advance(30 * MIN_MS);
+    }
+
+    // Raw older than the last whole hour past retention moves to hourly
+    clock.advance(15 * MIN_MS);
+    assert.deepEqual(await history.compact(clock.now()), { raw: 4, hourly: 2, daily: 0 });
+    assert.deepEqual(history.stats(), { raw: 2, hourly: 2, daily: 0 });
+    assert.deepEqual(Object.keys((await sink.get("compressors/rollups/hourly")) as object), [String(T0), String(T0 + HOUR_MS)]);
+    assert.deepEqual(temperatures(history.query(query(T0, T0 + 3 * HOUR_MS, HOUR_MS))), [
+      [T0, { min: 0, max: 1, avg: 0.5, last: 1 }],
+      [T0 + HOUR_MS, { min: 2, max: 3, avg: 2.5, last: 3 }],
+      [T0 + 2 * HOUR_MS, { min: 4, max: 5, avg: 4.5, last: 5 }]
+    ]);
+
+    // Reloading the sink gives the same tiers
+    const reloaded = createHistoryStore({ sink });
+    await reloaded.load();
+    assert.deepEqual(reloaded.stats(), history.stats());
+
+    // Two days on everything has reached the daily tier
+    clock.advance(2 * DAY_MS - 2 * HOUR_MS);
+    await history.compact(clock.now());
+    assert.deepEqual(history.stats(), { raw: 0, hourly: 0, daily: 1 });
+    assert.deepEqual(await sink.get("compressors/history"), {});
+    assert.deepEqual(temperatures(history.query(query(T0, T0 + DAY_MS, DAY_MS))), [
+      [T0, { min: 0, max: 5, avg: 2.5, last: 5 }]
+    ]);
+
+    // A day is dropped once all of it is past the daily retention
+    clock.advance(DAY_MS - 2 * HOUR_MS);
+    await history.compact(clock.now());
+    assert.equal(history.stats().daily, 1);
+    clock.advance(HOUR_MS);
+    assert.deepEqual(await history.compact(clock.now()), { raw: 0, hourly: 0, daily: 1 });
+    assert.deepEqual(history.stats(), { raw: 0, hourly: 0, daily: 0 });
+    assert.deepEqual(await sink.get("compressors/rollups/daily"), {});
+  });
+});
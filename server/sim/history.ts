@@ -0,0 +1,344 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Telemetry History
+   Keeps the snapshot tiers written to the sink queryable:
+
+     compressors/history/<ts>                raw batches
+     compressors/rollups/hourly/<hourStart>  per-unit aggregates
+     compressors/rollups/daily/<dayStart>    per-unit aggregates
+
+   compact() folds raw snapshots older than the raw retention
+   into hourly aggregates, hourly older than its retention into
+   daily ones, and drops daily aggregates past their retention.
+   query() merges all tiers into fixed-width buckets with
+   min/max/avg/last per field; historyFromBuckets() gives the
+   same result for buckets aggregated elsewhere (the database).
+--------------------------------------------------------- */
+
+import { parseDuration } from "./clock";
+import type { TelemetrySink } from "./sinks";
+import { SimulatorError, type Batch } from "./types";
+
+export const HISTORY_FIELDS = ["temperature", "vibration", "pressure", "flow_rate", "risk_score"];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_BUCKETS = 5000;
+const AUTO_BUCKETS_MS = [30e3, 60e3, 5 * 60e3, 15 * 60e3, HOUR_MS, 6 * HOUR_MS, DAY_MS];
+const AUTO_BUCKET_TARGET = 500;
+
+const PATHS = {
+  raw: "compressors/history",
+  hourly: "compressors/rollups/hourly",
+  daily: "compressors/rollups/daily"
+};
+
+// ---------------- AGGREGATES ----------------
+// { min, max, sum, count, last, last_ts } — mergeable across tiers
+export interface Agg {
+  min: number;
+  max: number;
+  sum: number;
+  count: number;
+  last: number | null;
+  last_ts: number;
+}
+
+// bucketStart → { [compressor_id]: { field: agg } }
+type Rollup = Record<string, Record<string, Agg>>;
+
+export interface HistoryQuery {
+  from: number;
+  to: number;
+  fields: string[];
+  compressors: string[] | null;
+  bucket: number;
+}
+
+// One unit's aggregates for the query bucket starting at t
+export interface ReadingBucket {
+  compressor_id: string;
+  t: number;
+  fields: Record<string, Agg>;
+}
+
+function emptyAgg(): Agg {
+  return { min: Infinity, max: -Infinity, sum: 0, count: 0, last: null, last_ts: -Infinity };
+}
+
+function addValue(agg: Agg, value: number, ts: number) {
+  agg.min = Math.min(agg.min, value);
+  agg.max = Math.max(agg.max, value);
+  agg.sum += value;
+  agg.count += 1;
+  if (ts >= agg.last_ts) {
+    agg.last = value;
+    agg.last_ts = ts;
+  }
+}
+
+function mergeAgg(agg: Agg, other: Agg | undefined) {
+  if (!other || !other.count) return;
+  agg.min = Math.min(agg.min, other.min);
+  agg.max = Math.max(agg.max, other.max);
+  agg.sum += other.sum;
+  agg.count += other.count;
+  if (other.last_ts >= agg.last_ts) {
+    agg.last = other.last;
+    agg.last_ts = other.last_ts;
+  }
+}
+
+function round(v: number) {
+  return Number(v.toFixed(2));
+}
+
+function summarize(agg: Agg) {
+  if (!agg.count) return null;
+  return {
+    min: round(agg.min),
+    max: round(agg.max),
+    avg: round(agg.sum / agg.count),
+    last: round(agg.last as number)
+  };
+}
+
+// bucketStart → field aggregates, per unit, in the query() result shape
+function renderSeries(params: HistoryQuery, series: Record<string, Map<number, Record<string, Agg>>>) {
+  const { from, to, fields, bucket } = params;
+  const out: Record<string, Record<string, unknown>[]> = {};
+  for (const [id, buckets] of Object.entries(series)) {
+    out[id] = [...buckets.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([start, aggs]) => {
+        const point: Record<string, unknown> = { t: start };
+        for (const f of fields) point[f] = aggs[f] ? summarize(aggs[f]) : null;
+        return point;
+      });
+  }
+
+  return { from, to, bucket_ms: bucket, fields, series: out };
+}
+
+export function historyFromBuckets(params: HistoryQuery, buckets: ReadingBucket[]) {
+  const series: Record<string, Map<number, Record<string, Agg>>> = {};
+  for (const { compressor_id: id, t, fields } of buckets) {
+    if (params.compressors && !params.compressors.includes(id)) continue;
+    (series[id] || (series[id] = new Map())).set(t, fields);
+  }
+  return renderSeries(params, series);
+}
+
+// ---------------- PARAMETER PARSING ----------------
+function parseTime(value: unknown, fallback: number) {
+  if (value === undefined || value === "") return fallback;
+  const n = Number(value);
+  const t = Number.isFinite(n) ? n : Date.parse(String(value));
+  if (!Number.isFinite(t)) throw new SimulatorError(`Invalid time "${value}"`);
+  return t;
+}
+
+export function parseHistoryQuery(query: Record<string, any> = {}, now = Date.now()): HistoryQuery {
+  const to = parseTime(query.to, now);
+  const from = parseTime(query.from, to - HOUR_MS);
+  if (!(from < to)) throw new SimulatorError("from must be before to");
+
+  const fields = query.fields
+    ? String(query.fields).split(",").map(f => f.trim()).filter(Boolean)
+    : HISTORY_FIELDS;
+  const unknown = fields.filter(f => !HISTORY_FIELDS.includes(f));
+  if (unknown.length > 0) {
+    throw new SimulatorError(
+      `Unknown fields: ${unknown.join(", ")} (allowed: ${HISTORY_FIELDS.join(", ")})`
+    );
+  }
+
+  const compressors = query.compressor
+    ? String(query.compressor).split(",").map(c => c.trim()).filter(Boolean)
+    : null;
+
+  const span = to - from;
+  const bucket = query.bucket
+    ? parseDuration(query.bucket, "bucket")
+    : AUTO_BUCKETS_MS.find(ms => span / ms <= AUTO_BUCKET_TARGET) || DAY_MS;
+
+  if (span / bucket > MAX_BUCKETS) {
+    throw new SimulatorError(
+      `Too many buckets (${Math.ceil(span / bucket)} > ${MAX_BUCKETS}); widen bucket`
+    );
+  }
+
+  return { from, to, fields, compressors, bucket };
+}
+
+// ---------------- STORE ----------------
+export interface HistoryOptions {
+  sink: TelemetrySink;
+  rawRetentionMs?: number;
+  hourlyRetentionMs?: number;
+  dailyRetentionMs?: number;
+}
+
+export type HistoryStore = ReturnType<typeof createHistoryStore>;
+
+export function createHistoryStore({
+  sink,
+  rawRetentionMs = DAY_MS,
+  hourlyRetentionMs = 30 * DAY_MS,
+  dailyRetentionMs = 365 * DAY_MS
+}: HistoryOptions) {
+  const raw = new Map<number, Batch>();
+  const hourly = new Map<number, Rollup>();
+  const daily = new Map<number, Rollup>();
+
+  function loadTier<T>(target: Map<number, T>, data: Record<string, T> | null) {
+    for (const [key, value] of Object.entries(data || {})) {
+      const ts = Number(key);
+      if (!Number.isFinite(ts) || !value) continue;
+      target.set(ts, value);
+    }
+  }
+
+  async function load() {
+    loadTier(raw, await sink.get(PATHS.raw));
+    loadTier(hourly, await sink.get(PATHS.hourly));
+    loadTier(daily, await sink.get(PATHS.daily));
+  }
+
+  async function record(ts: number, batch: Batch) {
+    raw.set(ts, batch);
+    await sink.set(`${PATHS.raw}/${ts}`, batch);
+  }
+
+  // Sinks may hand batches back as objects keyed by index, hence Object.values
+  function foldBatch(target: Map<number, Rollup>, bucketStart: number, batch: Batch, ts: number) {
+    const bucket = target.get(bucketStart) || {};
+    for (const row of Object.values(batch) as Record<string, any>[]) {
+      if (!row || !row.compressor_id) continue;
+      const unit = bucket[row.compressor_id] || (bucket[row.compressor_id] = {});
+      for (const field of HISTORY_FIELDS) {
+        if (typeof row[field] !== "number") continue;
+        addValue(unit[field] || (unit[field] = emptyAgg()), row[field], ts);
+      }
+    }
+    target.set(bucketStart, bucket);
+  }
+
+  function foldRollup(target: Map<number, Rollup>, bucketStart: number, rollup: Rollup) {
+    const bucket = target.get(bucketStart) || {};
+    for (const [id, fields] of Object.entries(rollup)) {
+      const unit = bucket[id] || (bucket[id] = {});
+      for (const [field, agg] of Object.entries(fields)) {
+        if (!agg || !agg.count) continue;
+        mergeAgg(unit[field] || (unit[field] = emptyAgg()), agg);
+      }
+    }
+    target.set(bucketStart, bucket);
+  }
+
+  // Only whole buckets older than the cutoff are folded, so a bucket is
+  // never split between two tiers.
+  async function compact(now = Date.now()) {
+    const rawCutoff = Math.floor((now - rawRetentionMs) / HOUR_MS) * HOUR_MS;
+    const hourlyCutoff = Math.floor((now - hourlyRetentionMs) / DAY_MS) * DAY_MS;
+    const dailyCutoff = now - dailyRetentionMs;
+
+    const rawRemoved: Record<number, null> = {};
+    const hourlyTouched = new Set<number>();
+    for (const [ts, batch] of raw) {
+      if (ts >= rawCutoff) continue;
+      const hour = Math.floor(ts / HOUR_MS) * HOUR_MS;
+      foldBatch(hourly, hour, batch, ts);
+      hourlyTouched.add(hour);
+      raw.delete(ts);
+      rawRemoved[ts] = null;
+    }
+
+    const hourlyChanges: Record<number, Rollup | null | undefined> = {};
+    const dailyTouched = new Set<number>();
+    for (const [hour, rollup] of hourly) {
+      if (hour >= hourlyCutoff) continue;
+      const day = Math.floor(hour / DAY_MS) * DAY_MS;
+      foldRollup(daily, day, rollup);
+      dailyTouched.add(day);
+      hourly.delete(hour);
+      hourlyTouched.delete(hour);
+      hourlyChanges[hour] = null;
+    }
+    for (const hour of hourlyTouched) hourlyChanges[hour] = hourly.get(hour);
+
+    const dailyChanges: Record<number, Rollup | null | undefined> = {};
+    for (const day of dailyTouched) dailyChanges[day] = daily.get(day);
+    for (const day of daily.keys()) {
+      if (day + DAY_MS > dailyCutoff) continue;
+      daily.delete(day);
+      dailyChanges[day] = null;
+    }
+
+    // Write aggregates before deleting the raw data they were built from
+    if (Object.keys(hourlyChanges).length > 0) await sink.update(PATHS.hourly, hourlyChanges);
+    if (Object.keys(dailyChanges).length > 0) await sink.update(PATHS.daily, dailyChanges);
+    if (Object.keys(rawRemoved).length > 0) await sink.update(PATHS.raw, rawRemoved);
+
+    return {
+      raw: Object.keys(rawRemoved).length,
+      hourly: Object.keys(hourlyChanges).length,
+      daily: Object.keys(dailyChanges).length
+    };
+  }
+
+  function query(params: HistoryQuery) {
+    const { from, to, fields, compressors, bucket } = params;
+    const series: Record<string, Map<number, Record<string, Agg>>> = {};
+
+    function slot(id: string, ts: number) {
+      if (compressors && !compressors.includes(id)) return null;
+      const start = from + Math.floor((ts - from) / bucket) * bucket;
+      const unit = series[id] || (series[id] = new Map());
+      if (!unit.has(start)) {
+        unit.set(start, Object.fromEntries(fields.map(f => [f, emptyAgg()])));
+      }
+      return unit.get(start) as Record<string, Agg>;
+    }
+
+    for (const [ts, batch] of raw) {
+      if (ts < from || ts >= to) continue;
+      for (const row of Object.values(batch) as Record<string, any>[]) {
+        if (!row) continue;
+        const aggs = slot(row.compressor_id, ts);
+        if (!aggs) continue;
+        for (const f of fields) {
+          if (typeof row[f] === "number") addValue(aggs[f], row[f], ts);
+        }
+      }
+    }
+
+    // Rollups are attributed to their bucket start
+    for (const [tier, width] of [[hourly, HOUR_MS], [daily, DAY_MS]] as const) {
+      for (const [start, rollup] of tier) {
+        if (start + width <= from || start >= to) continue;
+        const ts = Math.max(start, from);
+        for (const [id, unitAggs] of Object.entries(rollup)) {
+          const aggs = slot(id, ts);
+          if (!aggs) continue;
+          for (const f of fields) mergeAgg(aggs[f], unitAggs[f]);
+        }
+      }
+    }
+
+    return renderSeries(params, series);
+  }
+
+  // Raw snapshots in [from, to), oldest first, for replay
+  function frames(from: number, to: number) {
+    return [...raw.entries()]
+      .filter(([ts]) => ts >= from && ts < to)
+      .sort((a, b) => a[0] - b[0])
+      .map(([t, batch]) => ({ t, batch: Object.values(batch) as Batch }));
+  }
+
+  function stats() {
+    return { raw: raw.size, hourly: hourly.size, daily: daily.size };
+  }
+
+  return { load, record, compact, query, frames, stats };
+}
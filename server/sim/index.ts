@@ -0,0 +1,136 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Package Entry
+   Public surface for server/index.ts, server/simulator.ts
+   and the dataset generator. createSimulator() wires a
+   service from a SimulatorConfig (usually the environment);
+   the lower-level factories are re-exported for tests and
+   tools that want the engine without any I/O.
+--------------------------------------------------------- */
+
+import { createClock } from "./clock";
+import { simulatorConfigFromEnv, type SimulatorConfig } from "./config";
+import { createEngine } from "./engine";
+import { loadFleetConfig } from "./fleet";
+import { loadInsights } from "./insights";
+import { createNotifier, loadNotificationConfig } from "./notifications";
+import { loadScenarioConfig, loadScript } from "./scenarios";
+import { createSimulatorService, type ServiceOptions } from "./service";
+import { createSink } from "./sinks";
+import { loadThresholds } from "./thresholds";
+
+export { AI_MODES, createAnomalyDetector, type AiMode, type AnomalyResult } from "./anomaly";
+export { createClock, parseDuration, parseInstant } from "./clock";
+export { UNIT_COMMANDS, type CommandRecord, type UnitCommand } from "./commands";
+export { simulatorConfigFromEnv, type SimulatorConfig } from "./config";
+export { createEngine, DEFAULT_TICK_MS, type Engine, type EngineOptions } from "./engine";
+export { loadFleetConfig, normalizeUnit } from "./fleet";
+export { createForecaster, type Forecast } from "./forecast";
+export { createKpiTracker, parseKpiQuery, type Kpis } from "./kpis";
+export { NOMINAL_OPERATING, OPERATING_LIMITS, steadyState, validateOperating } from "./physics";
+export { DEFAULT_MQTT_TOPIC, parseIngest, UNIT_MODES, type LiveReading, type MqttOptions } from "./ingest";
+export { buildTree, LEVELS, parseNodePath, type HierarchyNode, type SiteDefinition } from "./hierarchy";
+export { historyFromBuckets, parseHistoryQuery, type HistoryQuery, type ReadingBucket } from "./history";
+export {
+  AUDIENCES,
+  insightContext,
+  loadInsights,
+  type Audience,
+  type InsightContext,
+  type InsightRegistry,
+  type Insights
+} from "./insights";
+export {
+  compressorFamilies,
+  createMetrics,
+  negotiateFormat,
+  renderMetrics,
+  type MetricFamily,
+  type MetricsFormat
+} from "./metrics";
+export * from "./model";
+export {
+  createNotifier,
+  loadNotificationConfig,
+  NOTICE_KINDS,
+  type Delivery,
+  type Notice,
+  type NotificationConfig
+} from "./notifications";
+export { createIdSource, createRandom } from "./random";
+export { createReplay, parseRecording, REPLAY_SPEEDS, type Frame, type Replay } from "./replay";
+export { bearerToken, createMetricsHandler, createSimulatorRouter, type Permission, type RouterOptions } from "./routes";
+export { createScenarioEngine, loadScenarioConfig, loadScript } from "./scenarios";
+export { createSimulatorService, type SimulatorService, type TelemetryRecorder } from "./service";
+export { createSink, sinkOptionsFromEnv, type TelemetrySink } from "./sinks";
+export { loadThresholds, type ThresholdProfile } from "./thresholds";
+export { CHANNEL_TYPES, sendMail, type ChannelConfig } from "./transports";
+export type { Alert } from "./alerts";
+export { MAINTENANCE_KINDS, WORK_ORDER_STATUSES, type WorkOrder } from "./workorders";
+export * from "./types";
+
+type CreateOptions = Pick<ServiceOptions, "logTicks" | "recorder">;
+
+export async function createSimulator(
+  config: SimulatorConfig = simulatorConfigFromEnv(),
+  options: CreateOptions = {}
+) {
+  // ---------------- TELEMETRY SINK ----------------
+  const sink = await createSink(config.sink);
+  console.log(`Telemetry sink: ${sink.kind}${sink.file ? ` (${sink.file})` : ""}`);
+
+  // ---------------- ENGINE ----------------
+  // SIM_SEED makes every random draw reproducible; SIM_CLOCK=virtual (with
+  // optional SIM_CLOCK_START) replaces wall time with a clock that moves one
+  // tick per tick. Both together give identical telemetry and ids on
+  // every run.
+  const engine = createEngine({
+    fleet: loadFleetConfig(config.fleetFile),
+    thresholds: loadThresholds(config.thresholdsFile),
+    insights: loadInsights(config.insightsFile),
+    scenarios: loadScenarioConfig(config.scenariosFile),
+    seed: config.seed,
+    aiMode: config.aiMode,
+    randomTransitions: config.randomTransitions,
+    liveStaleMs: config.liveStaleMs,
+    clock: createClock(config.clock)
+  });
+  console.log(`Fleet loaded: ${engine.units().length} units`);
+  console.log(`Random seed: ${engine.random.seed ?? "none"}, clock: ${engine.clock.mode}, AI: ${engine.aiMode}`);
+  if (!engine.randomTransitions) console.log("Random status transitions off: units change status by command only");
+
+  if (config.scenarioScript) {
+    const steps = engine.scenarios.runScript(loadScript(config.scenarioScript));
+    console.log(`Scenario script loaded: ${steps} steps`);
+  }
+
+  // ---------------- NOTIFICATIONS ----------------
+  const notifier = createNotifier({
+    config: loadNotificationConfig(config.notificationsFile),
+    newId: engine.newId
+  });
+  if (notifier.enabled) console.log(`Notifications: ${notifier.stats().subscriptions} subscriptions`);
+
+  // ---------------- SERVICE ----------------
+  const service = createSimulatorService({
+    engine,
+    sink,
+    alertClearMs: config.alertClearMs,
+    autoWorkOrders: config.autoWorkOrders,
+    notifier,
+    rawRetentionMs: config.rawRetentionMs,
+    hourlyRetentionMs: config.hourlyRetentionMs,
+    dailyRetentionMs: config.dailyRetentionMs,
+    replayDir: config.replayDir,
+    mqtt: config.mqtt,
+    ...options
+  });
+
+  await service.load();
+
+  // SIM_FAST_FORWARD=6h pre-generates that much virtual time before serving
+  if (config.fastForwardMs) {
+    await service.fastForward(config.fastForwardMs);
+  }
+
+  return service;
+}
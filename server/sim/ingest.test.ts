@@ -0,0 +1,155 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createClock } from "./clock";
+import { createEngine } from "./engine";
+import { parseIngest } from "./ingest";
+import { WARNING_LOCK_MS } from "./model";
+import type { UnitMode } from "./types";
+
+const NOMINAL = { temperature: 78, vibration: 2.8, pressure: 102, flow_rate: 210 };
+
+function context(modes: Record<string, UnitMode>, lastTimestamp: number | null = null) {
+  return {
+    now: 100_000,
+    unit: (id: string) => (modes[id] ? { mode: modes[id], lastTimestamp } : null)
+  };
+}
+
+function liveEngine(mode: UnitMode = "live") {
+  const engine = createEngine({
+    seed: 42,
+    aiMode: "heuristic",
+    clock: createClock({ mode: "virtual" }),
+    liveStaleMs: 10_000
+  });
+  engine.setMode("compressor_1", mode);
+  const row = () => engine.step().find(r => r.compressor_id === "compressor_1")!;
+  const send = (values: Record<string, unknown> = {}) =>
+    engine.ingest({ compressor_id: "compressor_1", ...NOMINAL, ...values });
+  return { engine, row, send };
+}
+
+describe("parseIngest", () => {
+  it("accepts one reading, an array or { readings } and fills in defaults", () => {
+    const ctx = context({ c1: "live", c2: "shadow" });
+    const single = parseIngest({ compressor_id: "c1", ...NOMINAL }, ctx);
+    assert.deepEqual(single.readings, [{
+      compressor_id: "c1",
+      timestamp: 100_000,
+      status: "active",
+      readings: { temperature: 78, vibration: 2.8, pressure: 102, flow: 210 }
+    }]);
+
+    const batch = parseIngest({
+      readings: [
+        { compressor_id: "c2", timestamp: "1970-01-01T00:01:00Z", status: "offline" },
+        { compressor_id: "c2", timestamp: 90_000, status: "inactive", ...NOMINAL }
+      ]
+    }, ctx);
+    assert.deepEqual(batch.readings.map(r => [r.timestamp, r.status, r.readings === null]), [
+      [60_000, "offline", true],
+      [90_000, "inactive", false]
+    ]);
+    assert.equal(parseIngest([{ compressor_id: "c1", ...NOMINAL }], ctx).readings.length, 1);
+    assert.throws(() => parseIngest([], ctx), /No readings/);
+  });
+
+  it("rejects invalid readings one by one and keeps the rest", () => {
+    const { readings, rejected } = parseIngest([
+      { compressor_id: "c1", ...NOMINAL, timestamp: 50_000 },
+      { compressor_id: "c1", ...NOMINAL, timestamp: 50_000 },
+      { compressor_id: "c1", ...NOMINAL, temperature: "hot" },
+      { compressor_id: "c1", ...NOMINAL, flow_rate: -1 },
+      { compressor_id: "c1", ...NOMINAL, timestamp: 100_000 + 61_000 },
+      { compressor_id: "c1", ...NOMINAL, status: "broken" },
+      { compressor_id: "sim", ...NOMINAL },
+      { compressor_id: "nope", ...NOMINAL },
+      { ...NOMINAL },
+      "oops"
+    ], context({ c1: "live", sim: "simulated" }, 40_000));
+
+    assert.equal(readings.length, 1);
+    assert.deepEqual(rejected.map(r => [r.index, r.message]), [
+      [1, "timestamp must be after the last reading for c1 (50000)"],
+      [2, "temperature must be a number"],
+      [3, "flow_rate cannot be negative"],
+      [4, "timestamp is in the future"],
+      [5, "status must be one of active, inactive, offline"],
+      [6, "sim is simulated; switch it to live or shadow first"],
+      [7, "Unknown compressor nope"],
+      [8, "compressor_id is required"],
+      [9, "reading must be an object"]
+    ]);
+    assert.equal(
+      parseIngest({ compressor_id: "c1", ...NOMINAL, timestamp: 40_000 }, context({ c1: "live" }, 40_000)).rejected.length,
+      1
+    );
+  });
+});
+
+describe("live units", () => {
+  it("waits for readings, then scores them through the warning lock", () => {
+    const { engine, row, send } = liveEngine();
+    const waiting = row();
+    assert.equal(waiting.status, "offline");
+    assert.equal(waiting.mode, "live");
+    assert.equal(waiting.ai_reason, "No AI alert (waiting for live readings).");
+
+    const at = engine.clock.now();
+    assert.deepEqual(send({ temperature: 95, timestamp: at }), { accepted: 1, rejected: [] });
+    const hot = row();
+    assert.equal(hot.timestamp, at);
+    assert.equal(hot.temperature, 95);
+    assert.equal(hot.warning, "high");
+    assert.equal(hot.event_type, "overheating");
+
+    // Back to nominal: the warning holds for the lock period
+    send({ timestamp: at + 1000 });
+    assert.notEqual(row().warning, "normal");
+    send({ timestamp: at + WARNING_LOCK_MS });
+    assert.equal(row().warning, "normal");
+
+    // No new reading: the newest row repeats until it goes stale
+    assert.equal(row().timestamp, at + WARNING_LOCK_MS);
+    for (let i = 0; i < 10; i++) engine.step();
+    assert.match(row().ai_reason, /^No AI alert \(no live readings for \d+s\)\.$/);
+    assert.equal(engine.state("compressor_1")?.feed?.received, 3);
+  });
+
+  it("compares shadow units with the simulated twin", () => {
+    const { engine, row, send } = liveEngine("shadow");
+    send({ temperature: 90 });
+    const shadowed = row();
+    assert.equal(shadowed.mode, "shadow");
+    assert.equal(shadowed.shadow?.status, "active");
+
+    const twin = shadowed.shadow!;
+    assert.equal(twin.residual?.temperature, Number((90 - (twin.temperature as number)).toFixed(2)));
+    assert.equal(twin.residual?.flow_rate, Number((210 - (twin.flow_rate as number)).toFixed(2)));
+
+    send({ status: "offline" });
+    assert.equal(row().shadow?.residual, null);
+
+    // Simulated units in the same fleet are untouched
+    assert.equal(engine.latest().find(r => r.compressor_id === "compressor_2")?.mode, undefined);
+  });
+
+  it("switches modes and starts the feed over", () => {
+    const { engine, row, send } = liveEngine();
+    send();
+    row();
+
+    assert.deepEqual(engine.setMode("compressor_1", "simulated"), {
+      compressor_id: "compressor_1",
+      mode: "simulated",
+      previous: "live"
+    });
+    assert.equal(row().mode, undefined);
+    assert.equal(send().rejected.length, 1);
+
+    engine.setMode("compressor_1", "shadow");
+    assert.equal(row().status, "offline");
+    assert.throws(() => engine.setMode("compressor_1", "remote"), /mode must be one of simulated, live, shadow/);
+    assert.throws(() => engine.setMode("nope", "live"), { status: 404 });
+  });
+});
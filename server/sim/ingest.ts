@@ -0,0 +1,182 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Live Readings Ingestion
+   Feeds real sensor readings into the same warning lock,
+   risk score, AI and insight logic as simulated ones:
+
+     simulated  readings come from the model (default)
+     live       readings come from POST /api/ingest or MQTT
+     shadow     live, plus the simulated twin's readings and
+                the residuals (live − simulated) on each row
+
+   A reading names its unit and carries the telemetry field
+   names (temperature, vibration, pressure, flow_rate), an
+   optional status (active by default; offline needs no
+   values) and an optional timestamp (epoch ms or ISO, now by
+   default). Readings for a unit must arrive in time order
+   and only units in live or shadow mode accept them. Each
+   tick scores the readings received since the last one;
+   a unit with nothing new for staleMs reports offline.
+
+   MQTT (SIM_MQTT_URL, e.g. mqtt://localhost:1883 for a local
+   Mosquitto) subscribes to SIM_MQTT_TOPIC; payloads are one
+   reading, an array or { readings }. Without compressor_id
+   the last topic level names the unit:
+
+     twintech/telemetry/compressor_1  { "temperature": 84.2, ... }
+--------------------------------------------------------- */
+
+import { parseInstant } from "./clock";
+import { SimulatorError, type Readings, type UnitMode, type UnitStatus } from "./types";
+
+export const UNIT_MODES: UnitMode[] = ["simulated", "live", "shadow"];
+export const DEFAULT_MQTT_TOPIC = "twintech/telemetry/#";
+
+const STATUSES: UnitStatus[] = ["active", "inactive", "offline"];
+const MAX_READINGS = 1000;
+// Tolerated clock skew for readings stamped ahead of the simulator
+const MAX_FUTURE_MS = 60 * 1000;
+const FIELDS: [keyof Readings, string][] = [
+  ["temperature", "temperature"],
+  ["vibration", "vibration"],
+  ["pressure", "pressure"],
+  ["flow", "flow_rate"]
+];
+
+export interface LiveReading {
+  compressor_id: string;
+  timestamp: number;
+  status: UnitStatus;
+  // null when offline
+  readings: Readings | null;
+}
+
+export interface IngestRejection {
+  index: number;
+  compressor_id: string | null;
+  message: string;
+}
+
+export interface IngestContext {
+  now: number;
+  // Mode and newest accepted timestamp of a unit, or null if unknown
+  unit: (id: string) => { mode: UnitMode; lastTimestamp: number | null } | null;
+}
+
+// ---------------- VALIDATION ----------------
+function parseReading(raw: any, ctx: IngestContext, newest: Map<string, number>): LiveReading {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new SimulatorError("reading must be an object");
+  }
+
+  const id = raw.compressor_id;
+  if (typeof id !== "string" || id === "") throw new SimulatorError("compressor_id is required");
+  const unit = ctx.unit(id);
+  if (!unit) throw new SimulatorError(`Unknown compressor ${id}`, 404);
+  if (unit.mode === "simulated") {
+    throw new SimulatorError(`${id} is simulated; switch it to live or shadow first`, 409);
+  }
+
+  const status = raw.status ?? "active";
+  if (!STATUSES.includes(status)) throw new SimulatorError(`status must be one of ${STATUSES.join(", ")}`);
+
+  const timestamp = raw.timestamp === undefined ? ctx.now : parseInstant(raw.timestamp, "timestamp");
+  if (timestamp > ctx.now + MAX_FUTURE_MS) throw new SimulatorError("timestamp is in the future");
+  const previous = newest.get(id) ?? unit.lastTimestamp;
+  if (previous !== null && timestamp <= previous) {
+    throw new SimulatorError(`timestamp must be after the last reading for ${id} (${previous})`, 409);
+  }
+
+  let readings: Readings | null = null;
+  if (status !== "offline") {
+    const values = {} as Readings;
+    for (const [channel, field] of FIELDS) {
+      const v = raw[field];
+      if (typeof v !== "number" || !Number.isFinite(v)) throw new SimulatorError(`${field} must be a number`);
+      if (channel !== "temperature" && v < 0) throw new SimulatorError(`${field} cannot be negative`);
+      values[channel] = v;
+    }
+    readings = values;
+  }
+
+  newest.set(id, timestamp);
+  return { compressor_id: id, timestamp, status, readings };
+}
+
+// One reading, an array of them or { readings: [...] }. Valid readings
+// are returned even when others in the batch are rejected.
+export function parseIngest(body: unknown, ctx: IngestContext) {
+  const list = Array.isArray(body) ? body : Array.isArray((body as any)?.readings) ? (body as any).readings : [body];
+  if (list.length === 0) throw new SimulatorError("No readings");
+  if (list.length > MAX_READINGS) throw new SimulatorError(`At most ${MAX_READINGS} readings per batch`);
+
+  const newest = new Map<string, number>();
+  const readings: LiveReading[] = [];
+  const rejected: IngestRejection[] = [];
+
+  list.forEach((raw: any, index: number) => {
+    try {
+      readings.push(parseReading(raw, ctx, newest));
+    } catch (err) {
+      const id = typeof raw?.compressor_id === "string" ? raw.compressor_id : null;
+      rejected.push({ index, compressor_id: id, message: (err as Error).message });
+    }
+  });
+
+  return { readings, rejected };
+}
+
+// ---------------- MQTT ----------------
+export interface MqttOptions {
+  url: string;
+  topic?: string;
+  username?: string;
+  password?: string;
+}
+
+export interface MqttSubscriber {
+  close(): Promise<void>;
+}
+
+// Hands each message to `onMessage` as parsed JSON, with the unit id
+// filled in from the topic when the payload has none
+export async function subscribeMqtt(
+  { url, topic = DEFAULT_MQTT_TOPIC, username, password }: MqttOptions,
+  onMessage: (body: unknown) => void
+): Promise<MqttSubscriber> {
+  // Loaded lazily so setups without MQTT never need the client
+  const { connect } = await import("mqtt");
+  // Reconnects every 5s while the broker is away; the client
+  // resubscribes by itself after the first subscription
+  const client = connect(url, { username, password, reconnectPeriod: 5000 });
+  client.once("connect", () => {
+    client.subscribe(topic, err => {
+      if (err) console.error(`MQTT: cannot subscribe to ${topic}:`, err.message);
+      else console.log(`MQTT: subscribed to ${topic} on ${new URL(url).host}`);
+    });
+  });
+
+  client.on("message", (messageTopic, payload) => {
+    let body: any;
+    try {
+      body = JSON.parse(payload.toString("utf-8"));
+    } catch {
+      console.error(`MQTT: ignored non-JSON message on ${messageTopic}`);
+      return;
+    }
+
+    const fromTopic = messageTopic.split("/").pop();
+    const withId = (reading: any) =>
+      reading && typeof reading === "object" && reading.compressor_id === undefined
+        ? { ...reading, compressor_id: fromTopic }
+        : reading;
+    const list = Array.isArray(body) ? body : Array.isArray(body?.readings) ? body.readings : [body];
+    onMessage(list.map(withId));
+  });
+  client.on("error", err => console.error("MQTT error:", err.message));
+
+  return {
+    async close() {
+      await client.endAsync();
+    }
+  };
+}
@@ -0,0 +1,100 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { insightContext, loadInsights, trendDirections } from "./insights";
+import { loadThresholds } from "./thresholds";
+import type { TelemetryRow } from "./types";
+
+const profile = loadThresholds().resolve();
+const insights = loadInsights();
+const STILL = { temp: 0, vib: 0, press: 0, flow: 0 };
+
+function context(row: Partial<TelemetryRow>, extra: Partial<Parameters<typeof insightContext>[1]> = {}) {
+  return insightContext(
+    {
+      compressor_id: "compressor_1",
+      status: "active",
+      temperature: 78,
+      vibration: 2.8,
+      pressure: 102,
+      flow_rate: 210,
+      warning: "normal",
+      event_type: "normal",
+      risk_score: 1.2,
+      ai_alert: false,
+      ai_reason: "No AI alert.",
+      ...row
+    },
+    { profile, drift: STILL, now: 0, ...extra }
+  );
+}
+
+describe("insight templates", () => {
+  it("reproduces the built-in English texts", () => {
+    assert.deepEqual(insights.render(context({})), {
+      operator: "System operating normally.",
+      manager: "Production stable — no action required.",
+      engineer: "All parameters within expected ranges.",
+      maintenance: "No maintenance action required."
+    });
+
+    const high = insights.render(context({ warning: "high", event_type: "overheating", temperature: 89 }));
+    assert.equal(high.operator, "Critical overheating deviation — immediate attention required.");
+    assert.equal(high.maintenance, "Urgent inspection required — overheating risk.");
+
+    // ai_alert wins over the warning level
+    const ai = insights.render(context({ warning: "high", event_type: "vibration", ai_alert: true }));
+    assert.equal(ai.engineer, "AI detected a multi-parameter correlation pattern.");
+
+    const offline = insights.render(context({ status: "offline", warning: "none", event_type: "none" }));
+    assert.equal(offline.operator, "Compressor offline — no telemetry.");
+  });
+
+  it("fills readings, thresholds, trend and alert age for the live view", () => {
+    const ctx = context(
+      { warning: "medium", event_type: "overheating", temperature: 84.2 },
+      {
+        drift: { ...STILL, temp: 0.02 },
+        alert: { id: "a1", severity: "medium", status: "open", opened_at: 0 },
+        now: 7.5 * 60 * 1000
+      }
+    );
+
+    assert.equal(
+      insights.render(ctx).engineer,
+      "overheating at 84.2 (medium 83.3, high 88.5), rising — alert open 7 min."
+    );
+  });
+
+  it("localizes labels and falls back to the base language", () => {
+    const ctx = context({ warning: "medium", event_type: "low_flow" });
+    assert.equal(insights.resolveLocale("ar-SA"), "ar");
+    assert.equal(insights.resolveLocale("fr"), "en");
+    assert.equal(insights.render(ctx, "ar").operator, "تم رصد انحراف متوسط في انخفاض التدفق.");
+  });
+
+  it("validates edited templates", () => {
+    const rules = [{ text: "ok" }];
+    const audiences = { operator: rules, manager: rules, engineer: rules, maintenance: rules };
+
+    assert.throws(
+      () => insights.put("fr", { audiences: { ...audiences, manager: [{ text: "{{nope}}" }] } }),
+      /unknown placeholder "nope"/
+    );
+    assert.throws(
+      () => insights.put("fr", { audiences: { ...audiences, engineer: [{ when: { warning: "high" }, text: "x" }] } }),
+      /last rule must have no "when"/
+    );
+
+    insights.put("fr", { audiences: { ...audiences, operator: [{ text: "Unité {{compressor_id}}" }] } });
+    assert.equal(insights.render(context({}), "fr").operator, "Unité compressor_1");
+  });
+
+  it("treats small drift as steady", () => {
+    assert.deepEqual(trendDirections({ temp: 0.001, vib: -0.01, press: 0.01, flow: 0 }), {
+      temperature: "steady",
+      vibration: "falling",
+      pressure: "rising",
+      flow: "steady"
+    });
+  });
+});
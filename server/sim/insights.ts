@@ -0,0 +1,408 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Insight Templates
+   The operator message and the manager / engineer /
+   maintenance insights come from editable templates (bundled
+   insights.json, or SIM_INSIGHTS_FILE), one set per locale.
+
+   Each audience is an ordered list of rules; the first rule
+   whose `when` matches the context supplies the text:
+
+     { "when": { "warning": "high" }, "text": "Critical {{event_type}} ..." }
+
+   `when` keys are context paths; a value matches by equality,
+   an array matches any of its entries and true/false test
+   whether the path is set. The last rule of every audience
+   has no `when` and acts as the fallback.
+
+   Placeholders read the same context, plus the localized
+   `event` and `level` labels (and channel names):
+
+     status, warning, event_type, ai_alert, ai_reason, risk_score
+     readings.<channel>       live value (null while offline)
+     thresholds.<type>.<lvl>  resolved threshold profile
+     trend.<channel>          rising | falling | steady
+     signal.*                 channel behind event_type:
+                              channel, value, medium, high, trend
+     alert.*                  active alert: id, severity,
+                              status, minutes (insights API only)
+     forecast.*               trajectory towards a high limit:
+                              channel, rul_minutes, earliest_minutes,
+                              slope_per_hour (insights API only)
+--------------------------------------------------------- */
+
+import fs from "fs";
+import type { Forecast } from "./forecast";
+import defaultInsights from "./insights.json";
+import type { ThresholdProfile, ThresholdType } from "./thresholds";
+import {
+  SimulatorError,
+  type Channel,
+  type DriftState,
+  type TelemetryRow
+} from "./types";
+
+export const AUDIENCES = ["operator", "manager", "engineer", "maintenance"] as const;
+export type Audience = (typeof AUDIENCES)[number];
+
+export type TrendDirection = "rising" | "falling" | "steady";
+
+const CONTEXT_ROOTS = new Set([
+  "compressor_id",
+  "status",
+  "warning",
+  "event_type",
+  "event",
+  "level",
+  "ai_alert",
+  "ai_reason",
+  "risk_score",
+  "readings",
+  "thresholds",
+  "trend",
+  "signal",
+  "alert",
+  "forecast"
+]);
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]+)?$/;
+
+// Channel and threshold type behind each event_type
+const EVENT_SIGNALS: Record<string, [Channel, ThresholdType]> = {
+  overheating: ["temperature", "temperature"],
+  vibration: ["vibration", "vibration"],
+  pressure: ["pressure", "pressureLow"],
+  low_flow: ["flow", "flowLow"]
+};
+
+// Drift per tick below which a channel counts as steady — about a sixth of
+// the active-state drift noise in model.ts
+const TREND_DEADBAND: Record<keyof DriftState, number> = {
+  temp: 0.005,
+  vib: 0.0025,
+  press: 0.002,
+  flow: 0.01
+};
+
+const DRIFT_CHANNELS: Record<keyof DriftState, Channel> = {
+  temp: "temperature",
+  vib: "vibration",
+  press: "pressure",
+  flow: "flow"
+};
+
+export interface InsightRule {
+  when?: Record<string, unknown>;
+  text: string;
+}
+
+export interface InsightLocale {
+  labels?: {
+    event_type?: Record<string, string>;
+    warning?: Record<string, string>;
+    channel?: Record<string, string>;
+    trend?: Partial<Record<TrendDirection, string>>;
+  };
+  audiences: Record<Audience, InsightRule[]>;
+}
+
+export interface InsightConfig {
+  defaultLocale?: string;
+  locales?: Record<string, unknown>;
+}
+
+export interface InsightAlert {
+  id: string;
+  severity: string;
+  status: string;
+  opened_at: number;
+}
+
+export interface InsightContext {
+  compressor_id: string;
+  status: TelemetryRow["status"];
+  warning: TelemetryRow["warning"];
+  event_type: string;
+  ai_alert: boolean;
+  ai_reason: string;
+  risk_score: number;
+  readings: Record<Channel, number | null>;
+  thresholds: ThresholdProfile;
+  trend: Record<Channel, TrendDirection>;
+  signal: {
+    channel: Channel;
+    value: number | null;
+    medium: number;
+    high: number;
+    trend: TrendDirection;
+  } | null;
+  alert: { id: string; severity: string; status: string; minutes: number } | null;
+  forecast: {
+    channel: Channel;
+    rul_minutes: number;
+    earliest_minutes: number | null;
+    slope_per_hour: number;
+  } | null;
+}
+
+export type Insights = Record<Audience, string>;
+export type InsightRegistry = ReturnType<typeof createInsightRegistry>;
+
+// ---------------- CONTEXT ----------------
+export function trendDirections(drift: DriftState): Record<Channel, TrendDirection> {
+  const out = {} as Record<Channel, TrendDirection>;
+  for (const [key, channel] of Object.entries(DRIFT_CHANNELS) as [keyof DriftState, Channel][]) {
+    const v = drift[key];
+    out[channel] = v > TREND_DEADBAND[key] ? "rising" : v < -TREND_DEADBAND[key] ? "falling" : "steady";
+  }
+  return out;
+}
+
+type RowFields = Pick<
+  TelemetryRow,
+  | "compressor_id"
+  | "status"
+  | "temperature"
+  | "vibration"
+  | "pressure"
+  | "flow_rate"
+  | "warning"
+  | "event_type"
+  | "risk_score"
+  | "ai_alert"
+  | "ai_reason"
+>;
+
+export function insightContext(
+  row: RowFields,
+  { profile, drift, alert = null, forecast = null, now }: {
+    profile: ThresholdProfile;
+    drift: DriftState;
+    alert?: InsightAlert | null;
+    forecast?: Forecast | null;
+    now: number;
+  }
+): InsightContext {
+  const readings = {
+    temperature: row.temperature,
+    vibration: row.vibration,
+    pressure: row.pressure,
+    flow: row.flow_rate
+  };
+  const trend = trendDirections(drift);
+  const eventSignal = EVENT_SIGNALS[row.event_type];
+  const limiting = forecast && forecast.limiting_channel
+    ? forecast.channels[forecast.limiting_channel]
+    : undefined;
+  const minutes = (ms: number | null) => (ms === null ? null : Math.ceil(ms / 60000));
+
+  return {
+    compressor_id: row.compressor_id,
+    status: row.status,
+    warning: row.warning,
+    event_type: row.event_type,
+    ai_alert: row.ai_alert,
+    ai_reason: row.ai_reason,
+    risk_score: row.risk_score,
+    readings,
+    thresholds: profile,
+    trend,
+    signal: eventSignal
+      ? {
+        channel: eventSignal[0],
+        value: readings[eventSignal[0]],
+        medium: profile[eventSignal[1]].medium,
+        high: profile[eventSignal[1]].high,
+        trend: trend[eventSignal[0]]
+      }
+      : null,
+    alert: alert && {
+      id: alert.id,
+      severity: alert.severity,
+      status: alert.status,
+      minutes: Math.max(0, Math.floor((now - alert.opened_at) / 60000))
+    },
+    // Only while a high limit still lies ahead
+    forecast: limiting && limiting.time_to_high.eta_ms
+      ? {
+        channel: limiting.channel,
+        rul_minutes: minutes(limiting.time_to_high.eta_ms) as number,
+        earliest_minutes: minutes(limiting.time_to_high.earliest_ms),
+        slope_per_hour: limiting.slope_per_hour
+      }
+      : null
+  };
+}
+
+// ---------------- VALIDATION ----------------
+function fail(message: string, status = 400): never {
+  throw new SimulatorError(message, status);
+}
+
+function isLabelMap(value: unknown): value is Record<string, string> {
+  return (
+    !!value &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.values(value).every(v => typeof v === "string")
+  );
+}
+
+export function validateLocale(id: string, locale: any): asserts locale is InsightLocale {
+  if (!locale || typeof locale !== "object") fail(`Locale "${id}" must be an object`);
+
+  const labels = locale.labels ?? {};
+  for (const key of ["event_type", "warning", "channel", "trend"]) {
+    if (labels[key] !== undefined && !isLabelMap(labels[key])) {
+      fail(`${id}.labels.${key} must map names to strings`);
+    }
+  }
+
+  if (!locale.audiences || typeof locale.audiences !== "object") {
+    fail(`${id}.audiences is required`);
+  }
+
+  for (const audience of AUDIENCES) {
+    const rules = locale.audiences[audience];
+    if (!Array.isArray(rules) || rules.length === 0) {
+      fail(`${id}.audiences.${audience} must be a non-empty list of rules`);
+    }
+
+    rules.forEach((rule: any, i: number) => {
+      const where = `${id}.audiences.${audience}[${i}]`;
+      if (!rule || typeof rule.text !== "string") fail(`${where}.text must be a string`);
+      if (rule.when !== undefined && (typeof rule.when !== "object" || rule.when === null)) {
+        fail(`${where}.when must be an object`);
+      }
+
+      for (const key of Object.keys(rule.when || {})) {
+        if (!CONTEXT_ROOTS.has(key.split(".")[0])) fail(`${where}: unknown condition "${key}"`);
+      }
+      for (const [, path] of rule.text.matchAll(PLACEHOLDER)) {
+        if (!CONTEXT_ROOTS.has(path.split(".")[0])) fail(`${where}: unknown placeholder "${path}"`);
+      }
+    });
+
+    if (rules[rules.length - 1].when) {
+      fail(`${id}.audiences.${audience}: the last rule must have no "when" (fallback)`);
+    }
+  }
+}
+
+// ---------------- RENDERING ----------------
+function lookup(source: unknown, path: string): unknown {
+  let value: any = source;
+  for (const key of path.split(".")) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function matches(when: Record<string, unknown> | undefined, context: InsightContext) {
+  return Object.entries(when || {}).every(([path, expected]) => {
+    const actual = lookup(context, path);
+    if (typeof expected === "boolean") return expected === Boolean(actual);
+    if (Array.isArray(expected)) return expected.includes(actual);
+    return actual === expected;
+  });
+}
+
+function interpolate(text: string, view: unknown) {
+  return text.replace(PLACEHOLDER, (_, path: string) => {
+    const value = lookup(view, path);
+    return value === null || value === undefined ? "" : String(value);
+  });
+}
+
+// Placeholder view: the context with event/level/channel labels and trend
+// words in the locale's language. Conditions always see the raw context.
+function localize(context: InsightContext, labels: NonNullable<InsightLocale["labels"]>) {
+  const word = (direction: TrendDirection) => labels.trend?.[direction] ?? direction;
+  const trend = Object.fromEntries(
+    Object.entries(context.trend).map(([channel, direction]) => [channel, word(direction)])
+  );
+
+  return {
+    ...context,
+    event: labels.event_type?.[context.event_type] ?? context.event_type,
+    level: labels.warning?.[context.warning] ?? context.warning,
+    trend,
+    signal: context.signal && { ...context.signal, trend: word(context.signal.trend) },
+    forecast: context.forecast && {
+      ...context.forecast,
+      channel: labels.channel?.[context.forecast.channel] ?? context.forecast.channel
+    }
+  };
+}
+
+// ---------------- REGISTRY ----------------
+export function createInsightRegistry(config: InsightConfig) {
+  const locales = new Map<string, InsightLocale>();
+
+  for (const [id, locale] of Object.entries(config.locales || {})) {
+    validateLocale(id, locale);
+    locales.set(id, locale);
+  }
+
+  const defaultLocale = config.defaultLocale || "en";
+  if (!locales.has(defaultLocale)) {
+    fail(`Insight config must define the default locale "${defaultLocale}"`, 500);
+  }
+
+  // Exact match, then the base language ("ar-SA" → "ar"), then the default
+  function resolveLocale(requested?: string) {
+    if (requested && locales.has(requested)) return requested;
+    const base = requested && requested.split("-")[0];
+    if (base && locales.has(base)) return base;
+    return defaultLocale;
+  }
+
+  function render(context: InsightContext, locale?: string): Insights {
+    const templates = locales.get(resolveLocale(locale)) as InsightLocale;
+    const view = localize(context, templates.labels || {});
+    const out = {} as Insights;
+
+    for (const audience of AUDIENCES) {
+      const rule = templates.audiences[audience].find(r => matches(r.when, context));
+      out[audience] = rule ? interpolate(rule.text, view) : "";
+    }
+    return out;
+  }
+
+  function list() {
+    return { defaultLocale, locales: Object.fromEntries(locales) };
+  }
+
+  // Replaces a locale's templates as a whole; unlike threshold profiles
+  // there is no sensible per-field merge for ordered rule lists.
+  function put(id: string, body: unknown): InsightLocale {
+    if (typeof id !== "string" || !LOCALE_PATTERN.test(id)) {
+      fail("Locale must look like en, ar or en-GB");
+    }
+
+    validateLocale(id, body);
+    locales.set(id, body);
+    return body;
+  }
+
+  return {
+    defaultLocale,
+    locales: () => [...locales.keys()],
+    has: (id: string) => locales.has(id),
+    get: (id: string) => locales.get(id),
+    resolveLocale,
+    render,
+    list,
+    put
+  };
+}
+
+// Accepts a file path, an already-parsed config, or nothing (bundled insights.json)
+export function loadInsights(source?: string | InsightConfig) {
+  const config: InsightConfig =
+    typeof source === "string"
+      ? JSON.parse(fs.readFileSync(source, "utf-8"))
+      : source || defaultInsights;
+  return createInsightRegistry(config);
+}
@@ -0,0 +1,115 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createClock } from "./clock";
+import { createEngine } from "./engine";
+import { createKpiTracker, parseKpiQuery } from "./kpis";
+import type { UnitStatus, WarningLevel } from "./types";
+
+const TICK = 1000;
+
+function feed(
+  tracker: ReturnType<typeof createKpiTracker>,
+  steps: [UnitStatus, WarningLevel | "none", string, number][],
+  planned: number[] = []
+) {
+  steps.forEach(([status, warning, event_type, risk_score], i) => {
+    tracker.observe(
+      { compressor_id: "u1", timestamp: (i + 1) * TICK, status, warning, event_type, risk_score },
+      TICK,
+      planned.includes(i)
+    );
+  });
+}
+
+describe("createKpiTracker", () => {
+  it("counts failures, repairs and warning episodes", () => {
+    const tracker = createKpiTracker();
+    feed(tracker, [
+      ["active", "normal", "normal", 1],
+      ["active", "medium", "overheating", 4],
+      ["active", "high", "overheating", 8],
+      ["active", "medium", "vibration", 5],
+      ["active", "normal", "normal", 2],
+      ["offline", "none", "none", 0],
+      ["offline", "none", "none", 0],
+      ["active", "normal", "normal", 0]
+    ]);
+
+    const { fleet, units } = tracker.query({ from: 0, to: 10 * TICK, compressors: null });
+    assert.deepEqual(fleet.time_ms, { active: 6000, inactive: 0, offline: 2000 });
+    assert.equal(fleet.failures, 1);
+    assert.equal(fleet.repairs, 1);
+    assert.equal(fleet.mttr_ms, 2000);
+    assert.equal(fleet.mtbf_ms, 6000);
+    assert.equal(fleet.availability_pct, 75);
+    assert.deepEqual(fleet.time_in_warning_ms, { medium: 2000, high: 1000 });
+    assert.deepEqual(fleet.warnings, { total: 2, by_event_type: { overheating: 1, vibration: 1 } });
+    assert.equal(fleet.avg_risk_score, 3.33);
+    assert.deepEqual(units.map(u => u.compressor_id), ["u1"]);
+  });
+
+  it("leaves planned shutdowns out of availability", () => {
+    const tracker = createKpiTracker();
+    feed(
+      tracker,
+      [
+        ["active", "normal", "normal", 1],
+        ["offline", "none", "none", 0],
+        ["offline", "none", "none", 0],
+        ["active", "normal", "normal", 1]
+      ],
+      [1, 2]
+    );
+
+    const { fleet } = tracker.query({ from: 0, to: 10 * TICK, compressors: null });
+    assert.equal(fleet.failures, 0);
+    assert.equal(fleet.availability_pct, 100);
+    assert.equal(fleet.mtbf_ms, null);
+    assert.equal(fleet.time_ms.offline, 2000);
+  });
+
+  it("widens the range to whole buckets", () => {
+    const tracker = createKpiTracker({ bucketMs: 10 * TICK });
+    const steady: [UnitStatus, WarningLevel, string, number] = ["active", "normal", "normal", 1];
+    feed(tracker, Array.from({ length: 25 }, () => steady));
+
+    const result = tracker.query({ from: 12 * TICK, to: 15 * TICK, compressors: null });
+    assert.equal(result.from, 10 * TICK);
+    assert.equal(result.to, 20 * TICK);
+    assert.equal(result.fleet.time_ms.active, 10 * TICK);
+    assert.deepEqual(tracker.query({ from: 0, to: 30 * TICK, compressors: ["u2"] }).units, []);
+  });
+});
+
+describe("parseKpiQuery", () => {
+  it("defaults to the last day and rejects inverted ranges", () => {
+    assert.deepEqual(parseKpiQuery({}, 100_000_000), { from: 13_600_000, to: 100_000_000, compressors: null });
+    assert.deepEqual(parseKpiQuery({ compressor: "a, b", from: "0", to: "10" }).compressors, ["a", "b"]);
+    assert.throws(() => parseKpiQuery({ from: "10", to: "5" }), /from must be before to/);
+  });
+});
+
+describe("engine KPIs", () => {
+  it("counts a trip as a failure and a shutdown as planned", () => {
+    const engine = createEngine({ seed: 42, clock: createClock({ mode: "virtual" }), randomTransitions: false });
+    const run = (ticks: number) => {
+      for (let i = 0; i < ticks; i++) engine.step();
+    };
+    const kpis = () => engine.kpis.query({ from: 0, to: engine.clock.now() + 1, compressors: ["compressor_1"] }).fleet;
+
+    run(10);
+    engine.command("compressor_1", "trip");
+    run(5);
+    engine.command("compressor_1", "reset");
+    engine.command("compressor_1", "start");
+    run(30);
+    assert.equal(kpis().failures, 1);
+    assert.equal(kpis().repairs, 1);
+    assert.equal(kpis().mttr_ms, 5 * engine.tickMs);
+
+    engine.command("compressor_1", "shutdown");
+    run(120);
+    assert.equal(kpis().failures, 1);
+    assert.ok((kpis().time_ms.offline as number) > kpis().downtime_ms);
+  });
+});
@@ -0,0 +1,239 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Fleet KPIs
+   Summarizes status and warning transitions per unit and for
+   the fleet, updated with every tick:
+
+     time active / inactive / offline
+     availability   uptime / (uptime + unplanned downtime)
+     MTBF           uptime per failure
+     MTTR           mean time from failure back to running
+     time in medium / high warning, warnings by event_type
+     average risk_score while online
+
+   A failure is a change from running to offline that is not
+   a commanded shutdown (trips, trip scenarios and random
+   transitions all count). Time offline after a shutdown is
+   planned and left out of availability.
+
+   Totals are kept in `bucketMs` buckets per unit for
+   `retentionMs`, so a query sums whole buckets: from/to are
+   widened to bucket edges. Failures count in the bucket they
+   start in, repairs in the bucket they end in.
+--------------------------------------------------------- */
+
+import { parseInstant } from "./clock";
+import { SimulatorError, type TelemetryRow, type UnitStatus, type WarningLevel } from "./types";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export interface KpiOptions {
+  bucketMs?: number;
+  retentionMs?: number;
+}
+
+export interface KpiQuery {
+  from: number;
+  to: number;
+  compressors: string[] | null;
+}
+
+interface Totals {
+  active_ms: number;
+  inactive_ms: number;
+  offline_ms: number;
+  downtime_ms: number;
+  failures: number;
+  repairs: number;
+  repair_ms: number;
+  medium_ms: number;
+  high_ms: number;
+  warnings: Record<string, number>;
+  risk_sum: number;
+  risk_ticks: number;
+}
+
+type Counter = Exclude<keyof Totals, "warnings">;
+
+interface UnitTrack {
+  last: { status: UnitStatus; warning: WarningLevel | "none"; event_type: string } | null;
+  // Unplanned outage in progress: downtime so far
+  outageMs: number | null;
+  buckets: Map<number, Totals>;
+}
+
+type KpiRow = Pick<TelemetryRow, "compressor_id" | "timestamp" | "status" | "warning" | "event_type" | "risk_score">;
+
+export interface Kpis {
+  time_ms: Record<UnitStatus, number>;
+  availability_pct: number | null;
+  downtime_ms: number;
+  failures: number;
+  repairs: number;
+  mtbf_ms: number | null;
+  mttr_ms: number | null;
+  time_in_warning_ms: { medium: number; high: number };
+  warnings: { total: number; by_event_type: Record<string, number> };
+  avg_risk_score: number | null;
+}
+
+function emptyTotals(): Totals {
+  return {
+    active_ms: 0,
+    inactive_ms: 0,
+    offline_ms: 0,
+    downtime_ms: 0,
+    failures: 0,
+    repairs: 0,
+    repair_ms: 0,
+    medium_ms: 0,
+    high_ms: 0,
+    warnings: {},
+    risk_sum: 0,
+    risk_ticks: 0
+  };
+}
+
+function addTotals(into: Totals, from: Totals) {
+  const counters = (Object.keys(from) as (keyof Totals)[]).filter((k): k is Counter => k !== "warnings");
+  for (const key of counters) into[key] += from[key];
+  for (const [type, count] of Object.entries(from.warnings)) {
+    into.warnings[type] = (into.warnings[type] || 0) + count;
+  }
+  return into;
+}
+
+function isAbnormal(warning: string) {
+  return warning === "medium" || warning === "high";
+}
+
+function round(value: number, digits = 2) {
+  return Number(value.toFixed(digits));
+}
+
+function summarize(t: Totals): Kpis {
+  const uptime = t.active_ms + t.inactive_ms;
+  const total = Object.values(t.warnings).reduce((sum, n) => sum + n, 0);
+
+  return {
+    time_ms: { active: t.active_ms, inactive: t.inactive_ms, offline: t.offline_ms },
+    availability_pct: uptime + t.downtime_ms > 0 ? round((100 * uptime) / (uptime + t.downtime_ms)) : null,
+    downtime_ms: t.downtime_ms,
+    failures: t.failures,
+    repairs: t.repairs,
+    mtbf_ms: t.failures > 0 ? Math.round(uptime / t.failures) : null,
+    mttr_ms: t.repairs > 0 ? Math.round(t.repair_ms / t.repairs) : null,
+    time_in_warning_ms: { medium: t.medium_ms, high: t.high_ms },
+    warnings: { total, by_event_type: { ...t.warnings } },
+    avg_risk_score: t.risk_ticks > 0 ? round(t.risk_sum / t.risk_ticks) : null
+  };
+}
+
+// ?from=&to= (epoch ms or ISO, default the last 24 h) and ?compressor=a,b
+export function parseKpiQuery(query: Record<string, any> = {}, now = Date.now()): KpiQuery {
+  const to = query.to === undefined || query.to === "" ? now : parseInstant(query.to, "to");
+  const from = query.from === undefined || query.from === "" ? to - DAY_MS : parseInstant(query.from, "from");
+  if (!(from < to)) throw new SimulatorError("from must be before to");
+
+  const compressors = query.compressor
+    ? String(query.compressor).split(",").map(c => c.trim()).filter(Boolean)
+    : null;
+
+  return { from, to, compressors };
+}
+
+// ---------------- TRACKER ----------------
+export type KpiTracker = ReturnType<typeof createKpiTracker>;
+
+export function createKpiTracker({ bucketMs = HOUR_MS, retentionMs = 30 * DAY_MS }: KpiOptions = {}) {
+  const units = new Map<string, UnitTrack>();
+
+  function bucketOf(track: UnitTrack, t: number) {
+    const start = Math.floor(t / bucketMs) * bucketMs;
+    let totals = track.buckets.get(start);
+    if (!totals) {
+      totals = emptyTotals();
+      track.buckets.set(start, totals);
+      for (const old of track.buckets.keys()) {
+        if (old < start - retentionMs) track.buckets.delete(old);
+      }
+    }
+    return totals;
+  }
+
+  // One row covers the tick that ended at its timestamp. `planned` marks
+  // an offline row as a commanded shutdown.
+  function observe(row: KpiRow, tickMs: number, planned = false) {
+    let track = units.get(row.compressor_id);
+    if (!track) {
+      track = { last: null, outageMs: null, buckets: new Map() };
+      units.set(row.compressor_id, track);
+    }
+    const totals = bucketOf(track, row.timestamp - tickMs);
+    const { last } = track;
+
+    totals[`${row.status}_ms` as const] += tickMs;
+
+    if (row.status === "offline") {
+      if (track.outageMs === null && last && last.status !== "offline" && !planned) {
+        track.outageMs = 0;
+        totals.failures += 1;
+      }
+      if (track.outageMs !== null) {
+        track.outageMs += tickMs;
+        totals.downtime_ms += tickMs;
+      }
+    } else {
+      if (track.outageMs !== null) {
+        totals.repairs += 1;
+        totals.repair_ms += track.outageMs;
+        track.outageMs = null;
+      }
+
+      totals.risk_sum += row.risk_score;
+      totals.risk_ticks += 1;
+
+      // A new warning episode: abnormal after normal, or another event
+      if (row.warning === "medium" || row.warning === "high") {
+        totals[`${row.warning}_ms` as const] += tickMs;
+        if (!last || !isAbnormal(last.warning) || last.event_type !== row.event_type) {
+          totals.warnings[row.event_type] = (totals.warnings[row.event_type] || 0) + 1;
+        }
+      }
+    }
+
+    track.last = { status: row.status, warning: row.warning, event_type: row.event_type };
+  }
+
+  function query({ from, to, compressors }: KpiQuery) {
+    const start = Math.floor(from / bucketMs) * bucketMs;
+    const end = Math.ceil(to / bucketMs) * bucketMs;
+    const fleet = emptyTotals();
+    const perUnit = [];
+
+    for (const [id, track] of units) {
+      if (compressors && !compressors.includes(id)) continue;
+
+      const totals = emptyTotals();
+      for (const [t, bucket] of track.buckets) {
+        if (t >= start && t < end) addTotals(totals, bucket);
+      }
+      addTotals(fleet, totals);
+      perUnit.push({ compressor_id: id, ...summarize(totals) });
+    }
+
+    return {
+      from: start,
+      to: end,
+      bucket_ms: bucketMs,
+      fleet: summarize(fleet),
+      units: perUnit
+    };
+  }
+
+  return {
+    observe,
+    query,
+    forget: (id: string) => units.delete(id)
+  };
+}
@@ -0,0 +1,133 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { loadFleetConfig } from "./fleet";
+import { compressorFamilies, createMetrics, negotiateFormat, renderMetrics, type MetricFamily } from "./metrics";
+import type { Batch, TelemetryRow } from "./types";
+
+const units = loadFleetConfig().units;
+
+function row(id: string, fields: Partial<TelemetryRow> = {}) {
+  return {
+    compressor_id: id,
+    timestamp: 60_000,
+    status: "active",
+    temperature: 80.5,
+    vibration: 3.1,
+    pressure: 101,
+    flow_rate: 205,
+    warning: "normal",
+    event_type: "normal",
+    risk_score: 1.25,
+    ai_alert: false,
+    ...fields
+  } as TelemetryRow;
+}
+
+function lines(families: MetricFamily[], format?: "prometheus" | "openmetrics") {
+  return renderMetrics(families, format).trimEnd().split("\n");
+}
+
+describe("renderMetrics", () => {
+  const families: MetricFamily[] = [
+    { name: "x_writes", type: "counter", help: "Writes.", samples: [{ labels: { sink: 'a"b\\c' }, value: 3 }] },
+    { name: "x_build", type: "info", help: "Build.", samples: [{ labels: { version: "1" }, value: 1 }] },
+    { name: "x_up", type: "gauge", help: "Up.", samples: [{ labels: {}, value: NaN }] }
+  ];
+
+  it("writes the Prometheus text format", () => {
+    assert.deepEqual(lines(families), [
+      "# HELP x_writes_total Writes.",
+      "# TYPE x_writes_total counter",
+      'x_writes_total{sink="a\\"b\\\\c"} 3',
+      "# HELP x_build_info Build.",
+      "# TYPE x_build_info gauge",
+      'x_build_info{version="1"} 1',
+      "# HELP x_up Up.",
+      "# TYPE x_up gauge",
+      "x_up NaN"
+    ]);
+  });
+
+  it("writes OpenMetrics when the scraper asks for it", () => {
+    const text = lines(families, negotiateFormat("application/openmetrics-text;version=1.0.0,text/plain;q=0.5"));
+    assert.equal(text[1], "# TYPE x_writes counter");
+    assert.equal(text[2], 'x_writes_total{sink="a\\"b\\\\c"} 3');
+    assert.equal(text[4], "# TYPE x_build info");
+    assert.equal(text.at(-1), "# EOF");
+    assert.equal(negotiateFormat("text/plain"), "prometheus");
+    assert.equal(negotiateFormat(undefined), "prometheus");
+  });
+});
+
+describe("compressorFamilies", () => {
+  it("labels readings by unit and leaves offline readings out", () => {
+    const batch: Batch = [
+      row("compressor_1", { warning: "high", ai_alert: true }),
+      row("compressor_6", { status: "offline", temperature: null, warning: "none", risk_score: 0 })
+    ];
+    const text = lines(compressorFamilies(batch, units));
+    const labels = 'compressor_id="compressor_1",site="main_plant",area="compression",line="line_a"';
+
+    assert.ok(text.includes(`twintech_compressor_temperature{${labels}} 80.5`));
+    assert.ok(text.includes(`twintech_compressor_warning_level{${labels}} 2`));
+    assert.ok(text.includes(`twintech_compressor_ai_alert{${labels}} 1`));
+    assert.ok(text.includes(`twintech_compressor_reading_timestamp_seconds{${labels}} 60`));
+    assert.ok(text.includes(`twintech_compressor_status{${labels},status="active"} 1`));
+    assert.ok(text.includes(`twintech_compressor_status{${labels},status="offline"} 0`));
+
+    assert.ok(!text.some(line => line.startsWith('twintech_compressor_temperature{compressor_id="compressor_6"')));
+    assert.ok(text.some(line => line.startsWith('twintech_compressor_status{compressor_id="compressor_6"') && line.includes('status="offline"} 1')));
+    assert.ok(text.some(line => line.startsWith('twintech_compressor_info{compressor_id="compressor_6"') && line.includes('mode="simulated"')));
+  });
+});
+
+describe("createMetrics", () => {
+  const health = { sink: "memory", units: 2, paused: false, history: { raw: 4, hourly: 1, daily: 0 } };
+
+  it("counts warnings and AI alerts as they are raised", () => {
+    const metrics = createMetrics();
+    const normal = [row("compressor_1")];
+    const medium = [row("compressor_1", { warning: "medium", ai_alert: true })];
+    const high = [row("compressor_1", { warning: "high", ai_alert: true })];
+
+    metrics.observeBatch([], normal);
+    metrics.observeBatch(normal, medium);
+    metrics.observeBatch(medium, medium);
+    metrics.observeBatch(medium, high);
+    metrics.observeBatch(high, medium);
+
+    const text = lines(metrics.families(health, units));
+    const labels = 'compressor_id="compressor_1",site="main_plant",area="compression",line="line_a"';
+    assert.ok(text.includes(`twintech_compressor_warnings_total{${labels},level="medium"} 2`));
+    assert.ok(text.includes(`twintech_compressor_warnings_total{${labels},level="high"} 1`));
+    assert.ok(text.includes(`twintech_compressor_ai_alerts_total{${labels}} 1`));
+
+    metrics.forget("compressor_1");
+    assert.ok(!lines(metrics.families(health, units)).some(line => line.includes("compressor_1")));
+  });
+
+  it("reports tick durations, sink failures and history snapshots", () => {
+    const metrics = createMetrics({ buckets: [0.01, 0.1] });
+    metrics.observeTick(0.004);
+    metrics.observeTick(0.05);
+    metrics.observeTick(2);
+    metrics.sinkFailure();
+    metrics.historySnapshot();
+    metrics.historySnapshot();
+
+    const text = lines(metrics.families(health, units));
+    for (const expected of [
+      'twintech_simulator_tick_duration_seconds_bucket{le="0.01"} 1',
+      'twintech_simulator_tick_duration_seconds_bucket{le="0.1"} 2',
+      'twintech_simulator_tick_duration_seconds_bucket{le="+Inf"} 3',
+      "twintech_simulator_tick_duration_seconds_sum 2.054",
+      "twintech_simulator_tick_duration_seconds_count 3",
+      'twintech_simulator_sink_write_failures_total{sink="memory"} 1',
+      "twintech_simulator_history_snapshots_written_total 2",
+      'twintech_simulator_history_snapshots{tier="raw"} 4',
+      "twintech_simulator_paused 0"
+    ]) {
+      assert.ok(text.includes(expected), expected);
+    }
+  });
+});
@@ -0,0 +1,274 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Metrics Exporter
+   Telemetry and simulator health for Prometheus and other
+   OpenMetrics scrapers (GET /metrics):
+
+     twintech_compressor_*   newest reading per unit, labelled
+                             compressor_id, site, area, line
+     twintech_simulator_*    tick duration, sink write
+                             failures, history snapshots
+
+   Offline units have no reading series; their status
+   series shows why. Warning level is 0 normal, 1 medium,
+   2 high. Counters start at zero when the process starts.
+
+   The text format follows the Accept header: Prometheus
+   0.0.4 by default, OpenMetrics 1.0 when asked for.
+--------------------------------------------------------- */
+
+import type { Batch, TelemetryRow, UnitDefinition, UnitStatus } from "./types";
+
+export type MetricsFormat = "prometheus" | "openmetrics";
+
+export const CONTENT_TYPES: Record<MetricsFormat, string> = {
+  prometheus: "text/plain; version=0.0.4; charset=utf-8",
+  openmetrics: "application/openmetrics-text; version=1.0.0; charset=utf-8"
+};
+
+// Tick duration histogram buckets, in seconds
+export const TICK_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+const STATUSES: UnitStatus[] = ["active", "inactive", "offline"];
+const WARNING_LEVELS: Record<string, number> = { none: 0, normal: 0, medium: 1, high: 2 };
+
+type Labels = Record<string, string>;
+
+export interface Sample {
+  labels: Labels;
+  value: number;
+  // _bucket, _sum or _count on histogram samples
+  suffix?: string;
+}
+
+export interface MetricFamily {
+  name: string;
+  type: "gauge" | "counter" | "histogram" | "info";
+  help: string;
+  samples: Sample[];
+}
+
+// ---------------- TEXT FORMAT ----------------
+function escapeLabel(value: string) {
+  return value.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatValue(value: number) {
+  if (Number.isNaN(value)) return "NaN";
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function formatLabels(labels: Labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+// Counters and info metrics carry their _total/_info suffix on samples;
+// OpenMetrics names the family without it
+export function renderMetrics(families: MetricFamily[], format: MetricsFormat = "prometheus") {
+  const lines: string[] = [];
+
+  for (const family of families) {
+    const suffix = family.type === "counter" ? "_total" : family.type === "info" ? "_info" : "";
+    const open = format === "openmetrics";
+    const typeName = open ? family.name : family.name + suffix;
+    const type = !open && family.type === "info" ? "gauge" : family.type;
+
+    lines.push(`# HELP ${typeName} ${family.help}`);
+    lines.push(`# TYPE ${typeName} ${type}`);
+    for (const sample of family.samples) {
+      const name = family.name + (sample.suffix ?? suffix);
+      lines.push(`${name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    }
+  }
+
+  if (format === "openmetrics") lines.push("# EOF");
+  return lines.join("\n") + "\n";
+}
+
+// OpenMetrics only when the scraper asks for it
+export function negotiateFormat(accept: string | undefined): MetricsFormat {
+  return accept && accept.includes("application/openmetrics-text") ? "openmetrics" : "prometheus";
+}
+
+// ---------------- COMPRESSORS ----------------
+function unitLabels(unit: UnitDefinition | undefined, id: string): Labels {
+  return {
+    compressor_id: id,
+    site: unit ? unit.site : "",
+    area: unit ? unit.area : "",
+    line: unit ? unit.line : ""
+  };
+}
+
+// Gauges from the newest batch
+export function compressorFamilies(batch: Batch, units: UnitDefinition[]): MetricFamily[] {
+  const byId = new Map(units.map(unit => [unit.id, unit]));
+  const gauge = (name: string, help: string, value: (row: TelemetryRow) => number | null): MetricFamily => ({
+    name: `twintech_compressor_${name}`,
+    type: "gauge",
+    help,
+    samples: batch.flatMap(row => {
+      const v = value(row);
+      return v === null ? [] : [{ labels: unitLabels(byId.get(row.compressor_id), row.compressor_id), value: v }];
+    })
+  });
+
+  return [
+    gauge("temperature", "Newest temperature reading.", row => row.temperature),
+    gauge("vibration", "Newest vibration reading.", row => row.vibration),
+    gauge("pressure", "Newest pressure reading.", row => row.pressure),
+    gauge("flow_rate", "Newest flow rate reading.", row => row.flow_rate),
+    gauge("risk_score", "Risk score of the newest reading.", row => row.risk_score),
+    gauge("warning_level", "Warning level: 0 normal, 1 medium, 2 high.", row => WARNING_LEVELS[row.warning] ?? 0),
+    gauge("ai_alert", "1 while the AI flags the unit.", row => (row.ai_alert ? 1 : 0)),
+    gauge("reading_timestamp_seconds", "Time of the newest reading.", row => row.timestamp / 1000),
+    {
+      name: "twintech_compressor_status",
+      type: "gauge",
+      help: "1 for the unit's current status, 0 for the others.",
+      samples: batch.flatMap(row =>
+        STATUSES.map(status => ({
+          labels: { ...unitLabels(byId.get(row.compressor_id), row.compressor_id), status },
+          value: row.status === status ? 1 : 0
+        }))
+      )
+    },
+    {
+      name: "twintech_compressor",
+      type: "info",
+      help: "Model and reading source of each unit.",
+      samples: units.map(unit => ({
+        labels: {
+          ...unitLabels(unit, unit.id),
+          model: unit.model,
+          mode: unit.mode
+        },
+        value: 1
+      }))
+    }
+  ];
+}
+
+// ---------------- SIMULATOR HEALTH ----------------
+export interface HealthState {
+  sink: string;
+  units: number;
+  paused: boolean;
+  // Snapshots held per history tier (sim/history.ts)
+  history: Record<string, number>;
+}
+
+export type Metrics = ReturnType<typeof createMetrics>;
+
+// Counters and the tick histogram; everything else is read at scrape time
+export function createMetrics({ buckets = TICK_BUCKETS }: { buckets?: number[] } = {}) {
+  const tick = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+  let sinkFailures = 0;
+  let snapshots = 0;
+  const warnings = new Map<string, { medium: number; high: number }>();
+  const aiAlerts = new Map<string, number>();
+
+  function observeTick(seconds: number) {
+    buckets.forEach((le, i) => {
+      if (seconds <= le) tick.counts[i] += 1;
+    });
+    tick.sum += seconds;
+    tick.count += 1;
+  }
+
+  // Warnings and AI alerts raised: a row entering the level or flag
+  function observeBatch(previous: Batch, batch: Batch) {
+    const before = new Map(previous.map(row => [row.compressor_id, row]));
+    for (const row of batch) {
+      const prior = before.get(row.compressor_id);
+      const id = row.compressor_id;
+
+      if ((row.warning === "medium" || row.warning === "high") && prior?.warning !== row.warning) {
+        const counts = warnings.get(id) || { medium: 0, high: 0 };
+        counts[row.warning] += 1;
+        warnings.set(id, counts);
+      }
+      if (row.ai_alert && !prior?.ai_alert) {
+        aiAlerts.set(id, (aiAlerts.get(id) ?? 0) + 1);
+      }
+    }
+  }
+
+  function families(state: HealthState, units: UnitDefinition[]): MetricFamily[] {
+    const byId = new Map(units.map(unit => [unit.id, unit]));
+    const labels = (id: string) => unitLabels(byId.get(id), id);
+
+    return [
+      {
+        name: "twintech_compressor_warnings",
+        type: "counter",
+        help: "Warnings raised, by level.",
+        samples: [...warnings].flatMap(([id, counts]) => [
+          { labels: { ...labels(id), level: "medium" }, value: counts.medium },
+          { labels: { ...labels(id), level: "high" }, value: counts.high }
+        ])
+      },
+      {
+        name: "twintech_compressor_ai_alerts",
+        type: "counter",
+        help: "AI alerts raised.",
+        samples: [...aiAlerts].map(([id, value]) => ({ labels: labels(id), value }))
+      },
+      {
+        name: "twintech_simulator_tick_duration_seconds",
+        type: "histogram",
+        help: "Wall time of one live tick: step, publish and sink writes.",
+        samples: [
+          ...buckets.map((le, i) => ({ labels: { le: String(le) }, value: tick.counts[i], suffix: "_bucket" })),
+          { labels: { le: "+Inf" }, value: tick.count, suffix: "_bucket" },
+          { labels: {}, value: tick.sum, suffix: "_sum" },
+          { labels: {}, value: tick.count, suffix: "_count" }
+        ]
+      },
+      {
+        name: "twintech_simulator_sink_write_failures",
+        type: "counter",
+        help: "Failed writes to the telemetry sink.",
+        samples: [{ labels: { sink: state.sink }, value: sinkFailures }]
+      },
+      {
+        name: "twintech_simulator_history_snapshots_written",
+        type: "counter",
+        help: "Raw history snapshots written.",
+        samples: [{ labels: {}, value: snapshots }]
+      },
+      {
+        name: "twintech_simulator_history_snapshots",
+        type: "gauge",
+        help: "History snapshots held, by tier.",
+        samples: Object.entries(state.history).map(([tier, value]) => ({ labels: { tier }, value }))
+      },
+      {
+        name: "twintech_simulator_units",
+        type: "gauge",
+        help: "Units in the fleet.",
+        samples: [{ labels: {}, value: state.units }]
+      },
+      {
+        name: "twintech_simulator_paused",
+        type: "gauge",
+        help: "1 while the simulator is paused.",
+        samples: [{ labels: {}, value: state.paused ? 1 : 0 }]
+      }
+    ];
+  }
+
+  return {
+    observeTick,
+    observeBatch,
+    sinkFailure: () => (sinkFailures += 1),
+    historySnapshot: () => (snapshots += 1),
+    forget(id: string) {
+      warnings.delete(id);
+      aiAlerts.delete(id);
+    },
+    families
+  };
+}
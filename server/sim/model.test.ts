@@ -0,0 +1,147 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  WARNING_LOCK_MS,
+  chooseStatus,
+  computeRiskScore,
+  evaluateWarning,
+  getSeverity,
+  heuristicAi,
+  normalizeScore
+} from "./model";
+import { loadThresholds } from "./thresholds";
+import type { Readings, WarningState } from "./types";
+
+const profile = loadThresholds().resolve();
+
+// Comfortably inside every default cut-off
+const NOMINAL: Readings = { temperature: 78, vibration: 2.8, pressure: 102, flow: 210 };
+
+function warningFor(readings: Partial<Readings>, current: WarningState | null = null, now = 0) {
+  return evaluateWarning({ ...NOMINAL, ...readings, status: "active" }, current, { profile, now });
+}
+
+describe("getSeverity", () => {
+  it("rises with temperature and vibration", () => {
+    assert.equal(getSeverity(80, "temperature", profile), "normal");
+    assert.equal(getSeverity(83.3, "temperature", profile), "medium");
+    assert.equal(getSeverity(88.5, "temperature", profile), "high");
+    assert.equal(getSeverity(3.5, "vibration", profile), "medium");
+  });
+
+  it("falls with pressure and flow", () => {
+    assert.equal(getSeverity(101, "pressureLow", profile), "normal");
+    assert.equal(getSeverity(99, "pressureLow", profile), "medium");
+    assert.equal(getSeverity(97.5, "pressureLow", profile), "high");
+    assert.equal(getSeverity(170, "flowLow", profile), "high");
+  });
+});
+
+describe("normalizeScore", () => {
+  it("scales from medium (0) to high (1) and saturates", () => {
+    assert.equal(normalizeScore(80, "temperature", profile), 0);
+    assert.ok(Math.abs(normalizeScore(85.9, "temperature", profile) - 0.5) < 1e-9);
+    assert.equal(normalizeScore(95, "temperature", profile), 1);
+    assert.equal(normalizeScore(150, "flowLow", profile), 1);
+  });
+});
+
+describe("evaluateWarning", () => {
+  it("reports normal when every channel is inside its cut-offs", () => {
+    assert.deepEqual(warningFor({}), { warning: "normal", event_type: "normal", startTime: 0 });
+  });
+
+  it("picks the highest-scoring channel", () => {
+    const state = warningFor({ temperature: 84, vibration: 3.8 });
+    assert.equal(state.warning, "medium");
+    assert.equal(state.event_type, "vibration");
+  });
+
+  it("escalates to high immediately, even inside the lock", () => {
+    const medium = warningFor({ pressure: 99 }, null, 0);
+    const high = warningFor({ temperature: 90 }, medium, 1000);
+    assert.equal(high.warning, "high");
+    assert.equal(high.event_type, "overheating");
+    assert.equal(high.startTime, 1000);
+  });
+
+  it("holds a non-normal warning for the lock period", () => {
+    const medium = warningFor({ pressure: 99 }, null, 0);
+    assert.equal(warningFor({}, medium, WARNING_LOCK_MS - 1), medium);
+    assert.equal(warningFor({}, medium, WARNING_LOCK_MS).warning, "normal");
+  });
+
+  it("does not lock a normal state", () => {
+    const normal = warningFor({}, null, 0);
+    assert.equal(warningFor({ vibration: 3.5 }, normal, 1).warning, "medium");
+  });
+
+  it("never raises high on idle units and ignores small medium deviations", () => {
+    const readings = { ...NOMINAL, temperature: 90, vibration: 3.4, status: "inactive" as const };
+    const state = evaluateWarning(readings, null, { profile, now: 0 });
+    assert.equal(state.warning, "normal");
+
+    const fixed = evaluateWarning({ ...NOMINAL, vibration: 3.8, status: "active" }, null, {
+      profile,
+      fixedInactive: true,
+      now: 0
+    });
+    assert.equal(fixed.warning, "medium");
+  });
+});
+
+describe("computeRiskScore", () => {
+  const never = () => {
+    throw new Error("random() should not be called for active units");
+  };
+
+  it("is zero for an active unit at nominal readings", () => {
+    assert.equal(computeRiskScore("active", NOMINAL, "normal", never), 0);
+  });
+
+  it("weights deviations and adds the warning bonus", () => {
+    const readings = { temperature: 85, vibration: 3.2, pressure: 100.5, flow: 195 };
+    // 4 °C over nominal × 0.35 + 1.5 for a medium warning
+    assert.equal(computeRiskScore("active", readings, "medium", never), 2.9);
+    assert.equal(computeRiskScore("active", readings, "high", never), 4.9);
+  });
+
+  it("draws idle scores from the band of the warning level", () => {
+    assert.equal(computeRiskScore("inactive", NOMINAL, "normal", () => 0), 0.3);
+    assert.equal(computeRiskScore("inactive", NOMINAL, "medium", () => 0.5), 3);
+    assert.equal(computeRiskScore("inactive", NOMINAL, "high", () => 0.999), 5);
+  });
+});
+
+describe("heuristicAi", () => {
+  it("applies the risk cut-offs and confirms any active warning", () => {
+    assert.deepEqual(heuristicAi("active", "normal", "normal", 2), { ai_alert: false, ai_reason: "No AI alert." });
+    assert.equal(heuristicAi("active", "normal", "normal", 8).ai_reason, "AI detected high combined risk pattern.");
+    assert.equal(heuristicAi("active", "medium", "vibration", 5.5).ai_reason, "AI detected an emerging pattern.");
+    assert.equal(heuristicAi("active", "medium", "vibration", 2).ai_reason, "AI confirmed vibration deviation.");
+  });
+
+  it("only flags idle units for medium vibration or pressure trends", () => {
+    assert.equal(heuristicAi("inactive", "medium", "pressure", 3).ai_alert, true);
+    assert.equal(heuristicAi("inactive", "medium", "overheating", 3.9).ai_alert, false);
+  });
+});
+
+describe("chooseStatus", () => {
+  const unpinned = { pins: {} };
+
+  it("keeps the current status for its minimum dwell time", () => {
+    const mem = { state: "active" as const, lastChange: 0 };
+    assert.equal(chooseStatus(mem, unpinned, 60 * 1000, () => 0.99999), "active");
+  });
+
+  it("transitions once the dwell time has passed", () => {
+    const mem = { state: "inactive" as const, lastChange: 0 };
+    assert.equal(chooseStatus(mem, unpinned, 6 * 60 * 1000, () => 0.97), "active");
+  });
+
+  it("honours a pinned status", () => {
+    const mem = { state: "inactive" as const, lastChange: 0 };
+    assert.equal(chooseStatus(mem, { pins: { status: "inactive" } }, 1e9, () => 0.999), "inactive");
+  });
+});
@@ -0,0 +1,796 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Compressor Model
+   Warning evaluation, per-unit memory, bias/status logic,
+   drift engine and AI logic. Status follows operator
+   commands (sim/commands.ts) or random transitions.
+   Readings revert towards the operating point from
+   sim/physics.ts (load, ambient, inlet pressure, wear); a
+   repair resets wear, drift and bias. ai_alert comes from
+   the anomaly detector in sim/anomaly.ts (or the heuristic
+   fallback); insight text is rendered from the templates
+   in sim/insights.ts. Units in live or shadow mode score
+   ingested readings (sim/ingest.ts) with the same warning,
+   risk and AI logic while the twin keeps simulating.
+
+   The scoring pieces (severity, warning lock, risk score,
+   status transitions) are pure functions of their inputs.
+   createModel() binds them to a fleet, threshold registry,
+   insight templates, scenario engine, random source and
+   clock and keeps the per-unit memory; sim/engine.ts
+   drives it.
+--------------------------------------------------------- */
+
+import type { AnomalyDetector } from "./anomaly";
+import { applyCommand, commandedStatus, type UnitCommand } from "./commands";
+import type { LiveReading } from "./ingest";
+import { insightContext, type InsightRegistry } from "./insights";
+import {
+  atRatedLoad,
+  conditionOffsets,
+  nextLoad,
+  steadyState,
+  validateOperating,
+  wearIncrement
+} from "./physics";
+import type { ScenarioEngine } from "./scenarios";
+import type { ThresholdProfile, ThresholdRegistry, ThresholdType } from "./thresholds";
+import type {
+  Clock,
+  RandomSource,
+  Readings,
+  ShadowComparison,
+  TelemetryRow,
+  UnitDefinition,
+  UnitMemory,
+  UnitStatus,
+  WarningLevel,
+  WarningState
+} from "./types";
+
+// ---------------- SEVERITY & SCORING ----------------
+export const WARNING_LOCK_MS = 10 * 1000; // 10 seconds
+
+export function normalizeScore(value: number, type: ThresholdType, profile: ThresholdProfile) {
+  const t = profile[type];
+  if (!t) return 0;
+
+  if (type === "temperature" || type === "vibration") {
+    if (value < t.medium) return 0;
+    return Math.min((value - t.medium) / (t.high - t.medium), 1);
+  }
+
+  if (type === "pressureLow" || type === "flowLow") {
+    if (value > t.medium) return 0;
+    return Math.min((t.medium - value) / (t.medium - t.high), 1);
+  }
+
+  return 0;
+}
+
+export function getSeverity(value: number, type: ThresholdType, profile: ThresholdProfile): WarningLevel {
+  const t = profile[type];
+  if (!t) return "normal";
+
+  if (type === "temperature" || type === "vibration") {
+    if (value >= t.high) return "high";
+    if (value >= t.medium) return "medium";
+    return "normal";
+  }
+
+  if (type === "pressureLow" || type === "flowLow") {
+    if (value <= t.high) return "high";
+    if (value <= t.medium) return "medium";
+    return "normal";
+  }
+
+  return "normal";
+}
+
+// ---------------- WARNING EVALUATION ----------------
+// High warnings apply at once; anything else waits out the lock on a
+// non-normal warning so medium levels do not flicker tick to tick.
+export function evaluateWarning(
+  readings: Readings & { status: UnitStatus },
+  currentWarningState: WarningState | null,
+  { profile, fixedInactive = false, now }: { profile: ThresholdProfile; fixedInactive?: boolean; now: number }
+): WarningState {
+  const { temperature, vibration, pressure, flow, status } = readings;
+
+  const candidates = [
+    {
+      key: "temperature",
+      severity: getSeverity(temperature, "temperature", profile),
+      score: normalizeScore(temperature, "temperature", profile),
+      event_type: "overheating"
+    },
+    {
+      key: "vibration",
+      severity: getSeverity(vibration, "vibration", profile),
+      score: normalizeScore(vibration, "vibration", profile),
+      event_type: "vibration"
+    },
+    {
+      key: "pressureLow",
+      severity: getSeverity(pressure, "pressureLow", profile),
+      score: normalizeScore(pressure, "pressureLow", profile),
+      event_type: "pressure"
+    },
+    {
+      key: "flowLow",
+      severity: getSeverity(flow, "flowLow", profile),
+      score: normalizeScore(flow, "flowLow", profile),
+      event_type: "low_flow"
+    }
+  ];
+
+  const isInactive = status === "inactive";
+
+  let highCandidates = candidates.filter(c => c.severity === "high" && c.score > 0);
+
+  if (isInactive || fixedInactive) {
+    highCandidates = [];
+  }
+
+  if (highCandidates.length > 0) {
+    highCandidates.sort((a, b) => b.score - a.score);
+    const best = highCandidates[0];
+    return {
+      warning: "high",
+      event_type: best.event_type,
+      startTime: now
+    };
+  }
+
+  if (
+    currentWarningState &&
+    currentWarningState.warning !== "normal" &&
+    now - currentWarningState.startTime < WARNING_LOCK_MS
+  ) {
+    return currentWarningState;
+  }
+
+  let mediumCandidates = candidates.filter(c => c.severity === "medium" && c.score > 0);
+
+  if (isInactive || fixedInactive) {
+    mediumCandidates = mediumCandidates.filter(c => c.score > 0.25);
+  }
+
+  if (mediumCandidates.length === 0) {
+    return {
+      warning: "normal",
+      event_type: "normal",
+      startTime: now
+    };
+  }
+
+  mediumCandidates.sort((a, b) => b.score - a.score);
+  const bestMedium = mediumCandidates[0];
+
+  return {
+    warning: "medium",
+    event_type: bestMedium.event_type,
+    startTime: now
+  };
+}
+
+// ---------------- RISK SCORE ----------------
+// Active units score their deviation from nominal; idle units get a
+// band per warning level. Rounded to 2 decimals.
+export function computeRiskScore(
+  status: UnitStatus,
+  readings: Readings,
+  warning: WarningLevel,
+  random: () => number
+) {
+  const { temperature, vibration, pressure, flow } = readings;
+  let risk_score = 0;
+
+  if (status === "active") {
+    const tempDev = Math.max(0, temperature - 81);
+    const vibDev = Math.max(0, vibration - 3.2);
+    const pressDev = Math.max(0, 100.5 - pressure);
+    const flowDev = Math.max(0, 195 - flow);
+
+    risk_score =
+      tempDev * 0.35 +
+      vibDev * 0.35 +
+      pressDev * 0.15 +
+      flowDev * 0.25;
+
+    if (warning === "medium") risk_score += 1.5;
+    if (warning === "high") risk_score += 3.5;
+  }
+
+  if (status === "inactive") {
+    if (warning === "normal") risk_score = 0.3 + random() * 1.2;
+    if (warning === "medium") risk_score = 2 + random() * 2;
+    if (warning === "high") risk_score = 3.5 + random() * 1.5;
+  }
+
+  return Number(risk_score.toFixed(2));
+}
+
+// ---------------- AI HEURISTIC ----------------
+// Fixed risk-score cut-offs, and any active warning counts as confirmed.
+// The fallback mode to the anomaly detector (sim/anomaly.ts).
+export function heuristicAi(
+  status: UnitStatus,
+  warning: WarningLevel,
+  event_type: string,
+  risk_score: number
+) {
+  let ai_alert = false;
+  let ai_reason = "No AI alert.";
+
+  if (status === "active") {
+    if (risk_score > 7.5) {
+      ai_alert = true;
+      ai_reason = "AI detected high combined risk pattern.";
+    } else if (risk_score > 5 && warning === "medium") {
+      ai_alert = true;
+      ai_reason = "AI detected an emerging pattern.";
+    }
+
+    if (warning !== "normal" && event_type !== "normal") {
+      ai_alert = true;
+      if (ai_reason === "No AI alert.") {
+        ai_reason = `AI confirmed ${event_type} deviation.`;
+      }
+    }
+  }
+
+  if (status === "inactive") {
+    if (
+      warning === "medium" &&
+      (event_type === "vibration" || event_type === "pressure") &&
+      risk_score >= 3
+    ) {
+      ai_alert = true;
+      ai_reason = "AI detected an idle-state trend.";
+    } else {
+      ai_alert = false;
+      ai_reason = "No AI alert (idle-state normal).";
+    }
+  }
+
+  return { ai_alert, ai_reason };
+}
+
+// ---------------- STATUS LOGIC ----------------
+const MIN_ACTIVE = 20 * 60 * 1000;
+const MIN_INACTIVE = 5 * 60 * 1000;
+const MIN_OFFLINE = 20 * 60 * 1000;
+
+export function chooseStatus(
+  mem: Pick<UnitMemory, "state" | "lastChange">,
+  unit: Pick<UnitDefinition, "pins">,
+  now: number,
+  random: () => number
+): UnitStatus {
+  const elapsed = now - mem.lastChange;
+
+  if (unit.pins.status) return unit.pins.status;
+
+  const current = mem.state;
+
+  if (current === "active" && elapsed < MIN_ACTIVE) return current;
+  if (current === "inactive" && elapsed < MIN_INACTIVE) return current;
+  if (current === "offline" && elapsed < MIN_OFFLINE) return current;
+
+  const r = random();
+
+  if (current === "active") {
+    if (r < 0.999) return "active";
+    if (r < 0.9999) return "inactive";
+    return "offline";
+  }
+
+  if (current === "inactive") {
+    if (r < 0.96) return "inactive";
+    if (r < 0.995) return "active";
+    return "offline";
+  }
+
+  if (current === "offline") {
+    if (r < 0.99) return "offline";
+    return "inactive";
+  }
+
+  return current;
+}
+
+// ---------------- UTILS ----------------
+export function clamp(v: number, min: number, max: number) {
+  return Math.min(Math.max(v, min), max);
+}
+
+// ---------------- MODEL ----------------
+export interface ModelOptions {
+  fleet: Map<string, UnitDefinition>;
+  thresholds: ThresholdRegistry;
+  insights: InsightRegistry;
+  // null → heuristic AI only
+  detector: AnomalyDetector | null;
+  scenarios: ScenarioEngine;
+  random: RandomSource;
+  clock: Clock;
+  tickMs: number;
+  // false → units change status only by command (pins still apply)
+  randomTransitions?: boolean;
+  // Live/shadow units report offline after this long without a reading
+  liveStaleMs?: number;
+}
+
+export const DEFAULT_LIVE_STALE_MS = 60 * 1000;
+// Readings waiting for the next tick, per unit; the oldest go first
+const MAX_PENDING = 1000;
+
+interface LiveFeed {
+  pending: LiveReading[];
+  // Newest scored row
+  row: TelemetryRow | null;
+  // Newest accepted reading time and when it arrived (clock time)
+  lastTimestamp: number | null;
+  receivedAt: number | null;
+  received: number;
+}
+
+export type Model = ReturnType<typeof createModel>;
+
+type MeasuredRow = Omit<
+  TelemetryRow,
+  "message" | "insights_manager" | "insights_engineer" | "insights_maintenance"
+>;
+
+export function createModel({
+  fleet,
+  thresholds,
+  insights,
+  detector,
+  scenarios,
+  random,
+  clock,
+  tickMs,
+  randomTransitions = true,
+  liveStaleMs = DEFAULT_LIVE_STALE_MS
+}: ModelOptions) {
+  const compressorMemory: Record<string, UnitMemory> = {};
+  const feeds: Record<string, LiveFeed> = {};
+
+  function emptyFeed(): LiveFeed {
+    return { pending: [], row: null, lastTimestamp: null, receivedAt: null, received: 0 };
+  }
+
+  // ---------------- MEMORY WITH RANDOMIZED BIAS FLIP ----------------
+  function initMemory(unit: UnitDefinition): UnitMemory {
+    const { state, initial } = unit;
+    const load = state === "active" ? unit.operating.load : 0;
+    return {
+      temperature: initial.temperature,
+      vibration: initial.vibration,
+      pressure: initial.pressure,
+      flow: initial.flow,
+      trend: { temp: 0, vib: 0, press: 0, flow: 0 },
+      bias: { temp: 0, vib: 0, press: 0, flow: 0 },
+      biasLastFlip: clock.now() - random() * 90000, // randomize 0–90s
+      state,
+      lastChange: clock.now(),
+      warningState: { warning: "normal", event_type: "normal", startTime: clock.now() },
+      preFaultState: null,
+      setpoint: { ...unit.operating },
+      load,
+      wear: unit.wear,
+      expected: steadyState(unit, { ...unit.operating, load }, unit.wear),
+      control: null
+    };
+  }
+
+  // ---------------- UPDATED BIAS LOGIC ----------------
+  function updateBias(mem: UnitMemory) {
+    const now = clock.now();
+    const BIAS_FLIP_MS = 90 * 1000; // 1.5 minutes
+
+    if (now - mem.biasLastFlip > BIAS_FLIP_MS) {
+      mem.biasLastFlip = now;
+
+      if (mem.state === "inactive") {
+        mem.bias.temp = (random() - 0.5) * 0.02;
+        mem.bias.vib = (random() - 0.5) * 0.01;
+        mem.bias.press = (random() - 0.5) * 0.01;
+        mem.bias.flow = (random() - 0.5) * 0.04;
+        return;
+      }
+
+      mem.bias.temp = (random() - 0.5) * 0.04;
+      mem.bias.vib = (random() - 0.5) * 0.02;
+      mem.bias.press = (random() - 0.5) * 0.02;
+      mem.bias.flow = (random() - 0.5) * 0.08;
+    }
+  }
+
+  // ---------------- INSIGHTS ----------------
+  // Operator message and audience insights in the default locale
+  function withInsights(row: MeasuredRow, mem: UnitMemory, profile: ThresholdProfile): TelemetryRow {
+    const text = insights.render(
+      insightContext(row, { profile, drift: mem.trend, now: clock.now() })
+    );
+
+    return {
+      ...row,
+      message: text.operator,
+      insights_manager: text.manager,         // SAME NAME
+      insights_engineer: text.engineer,       // SAME NAME
+      insights_maintenance: text.maintenance  // SAME NAME
+    };
+  }
+
+  // ---------------- TWIN SIMULATION ----------------
+  // One tick of the unit's physics: status, operating point and, unless
+  // offline, readings. `liveStatus` makes the twin follow an ingested
+  // unit so its readings compare like with like.
+  function simulate(id: string, liveStatus?: UnitStatus): { status: UnitStatus; readings: Readings | null } {
+    const mem = compressorMemory[id];
+    const unit = fleet.get(id) as UnitDefinition;
+
+    updateBias(mem);
+
+    // ---------------- FAULT SCENARIOS ----------------
+    // Hold effects (e.g. the demo pulse) pin memory before drift
+    scenarios.applyHolds(id, mem);
+
+    // A forced status (e.g. trip) wins; the unit returns to its prior
+    // state once the scenario ends.
+    const forcedStatus = scenarios.statusOverride(id);
+    let status: UnitStatus;
+
+    if (liveStatus) {
+      status = liveStatus;
+    } else if (forcedStatus) {
+      if (!mem.preFaultState) mem.preFaultState = mem.state;
+      status = forcedStatus;
+    } else if (mem.preFaultState) {
+      status = mem.preFaultState;
+      mem.preFaultState = null;
+    } else if (mem.control) {
+      status = commandedStatus(mem, mem.control, clock.now());
+    } else if (randomTransitions) {
+      status = chooseStatus(mem, unit, clock.now(), random);
+    } else {
+      status = unit.pins.status ?? mem.state;
+    }
+
+    if (status !== mem.state) {
+      mem.state = status;
+      mem.lastChange = clock.now();
+    }
+
+    // ---------------- OPERATING POINT ----------------
+    mem.load = nextLoad(mem.load, mem.setpoint.load, status, tickMs);
+    mem.wear = Math.min(mem.wear + wearIncrement(mem.load, status, tickMs), 1);
+
+    // OFFLINE → no telemetry
+    if (status === "offline") return { status, readings: null };
+
+    // ---------------- DRIFT ENGINE ----------------
+    const updateTrend = (key: keyof UnitMemory["trend"], scale: number) => {
+      mem.trend[key] = mem.trend[key] * 0.85 + (random() - 0.5) * scale;
+    };
+
+    if (status === "active") {
+      updateTrend("temp", 0.03);
+      updateTrend("vib", 0.015);
+      updateTrend("press", 0.012);
+      updateTrend("flow", 0.06);
+    } else {
+      updateTrend("temp", 0.005);
+      updateTrend("vib", 0.003);
+      updateTrend("press", 0.002);
+      updateTrend("flow", 0.01);
+    }
+
+    // Apply drift + bias
+    mem.temperature += mem.trend.temp + mem.bias.temp;
+    mem.vibration += mem.trend.vib + mem.bias.vib;
+    mem.pressure += mem.trend.press + mem.bias.press;
+    mem.flow += mem.trend.flow + mem.bias.flow;
+
+    // Cross-coupling
+    mem.vibration += mem.trend.temp * 0.03;
+    mem.pressure += mem.trend.flow * -0.02;
+
+    // ---------------- MEAN REVERSION ----------------
+    // Towards the physical operating point (see sim/physics.ts)
+    const target = steadyState(unit, { ...mem.setpoint, load: mem.load }, mem.wear);
+
+    const revert = (channel: keyof Readings, rate: number) => {
+      mem[channel] += (target[channel] - mem[channel]) * rate;
+      mem.expected[channel] += (target[channel] - mem.expected[channel]) * rate;
+    };
+
+    revert("temperature", 0.03);
+    revert("vibration", 0.03);
+    revert("pressure", 0.03);
+    revert("flow", 0.05);
+
+    // ---------------- CLAMP VALUES ----------------
+    // The per-state ranges bound the noise around the expected readings:
+    // they apply to the baseline and move with the operating point
+    const base = unit.baseline[status];
+    const range = unit.ranges[status];
+    const envelope = (channel: keyof Readings) => {
+      const shift = mem.expected[channel] - base[channel];
+      return [range[channel][0] + shift, range[channel][1] + shift] as const;
+    };
+
+    mem.temperature = clamp(mem.temperature, ...envelope("temperature"));
+    mem.vibration = clamp(mem.vibration, ...envelope("vibration"));
+    mem.pressure = clamp(mem.pressure, ...envelope("pressure"));
+    mem.flow = clamp(mem.flow, ...envelope("flow"));
+
+    // Ramp/step fault offsets sit on top of the clamped memory
+    const offsets = scenarios.overlay(id);
+    return {
+      status,
+      readings: {
+        temperature: mem.temperature + offsets.temperature,
+        vibration: mem.vibration + offsets.vibration,
+        pressure: mem.pressure + offsets.pressure,
+        flow: mem.flow + offsets.flow
+      }
+    };
+  }
+
+  function offlineRow(id: string, at: number, ai_reason: string): TelemetryRow {
+    const profile = thresholds.resolve(fleet.get(id) as UnitDefinition);
+    return withInsights({
+      compressor_id: id,
+      timestamp: at,
+      status: "offline",
+      temperature: null,
+      vibration: null,
+      pressure: null,
+      flow_rate: null,
+      warning: "none",
+      event_type: "none",
+      risk_score: 0,
+      ai_alert: false,
+      ai_reason
+    }, compressorMemory[id], profile);
+  }
+
+  // ---------------- SCORING ----------------
+  // Warning lock, risk score, AI and insights for readings taken at `at`,
+  // simulated or ingested alike
+  function score(id: string, status: UnitStatus, readings: Readings, at: number): TelemetryRow {
+    const mem = compressorMemory[id];
+    const unit = fleet.get(id) as UnitDefinition;
+    const profile = thresholds.resolve(unit);
+
+    // Pressure/flow limits are for rated load, so part load is judged
+    // on its rated equivalent
+    const judged = status === "active"
+      ? atRatedLoad(unit, readings, mem.expected, mem.setpoint, mem.wear)
+      : readings;
+    const { temperature, vibration, pressure, flow } = judged;
+
+    // ---------------- WARNING EVALUATION ----------------
+    const next = evaluateWarning({ ...judged, status }, mem.warningState, {
+      profile,
+      fixedInactive: unit.pins.status === "inactive",
+      now: at
+    });
+    mem.warningState = next;
+
+    let warning = next.warning;
+    const event_type = next.event_type;
+
+    // ---------------- RISK SCORE ----------------
+    const risk_score = computeRiskScore(status, judged, warning, random);
+
+    if (unit.pins.maxWarning === "medium" && warning === "high") {
+      warning = "medium";
+    }
+
+    // ---------------- AI LOGIC ----------------
+    // Learned-baseline detector, or the fixed rules with SIM_AI_MODE=heuristic.
+    // The detector scores readings at nominal conditions, so a setpoint
+    // change is not an anomaly but wear and faults are.
+    let anomaly = null;
+    if (detector) {
+      const shift = conditionOffsets(unit, mem.expected, status, mem.wear);
+      const nominal = {
+        temperature: readings.temperature - shift.temperature,
+        vibration: readings.vibration - shift.vibration,
+        pressure: readings.pressure - shift.pressure,
+        flow: readings.flow - shift.flow
+      };
+      anomaly = detector.observe(id, status, nominal, at - mem.lastChange);
+    }
+    const { ai_alert, ai_reason } = anomaly
+      ? { ai_alert: anomaly.anomalous, ai_reason: anomaly.reason }
+      : heuristicAi(status, warning, event_type, risk_score);
+
+    // Prevent false high warnings — "abnormal" cut-offs live in the profile
+    if (status === "active" && warning === "high") {
+      const abnormal =
+        temperature > profile.temperature.abnormal ||
+        vibration > profile.vibration.abnormal ||
+        pressure < profile.pressureLow.abnormal ||
+        flow < profile.flowLow.abnormal;
+
+      if (!abnormal || risk_score < 8) {
+        warning = "medium";
+      }
+    }
+
+    // AI early detection → medium warning
+    if (status === "active" && ai_alert && warning === "normal") {
+      warning = "medium";
+    }
+
+    // ---------------- FINAL RETURN OBJECT ----------------
+    // ⭐ EXACT SAME FIELD NAMES AS BEFORE ⭐
+    return withInsights({
+      compressor_id: id,
+      timestamp: at,
+      status,
+      temperature: Number(readings.temperature.toFixed(2)),
+      vibration: Number(readings.vibration.toFixed(2)),
+      pressure: Number(readings.pressure.toFixed(2)),
+      flow_rate: Number(readings.flow.toFixed(2)),   // SAME NAME
+      warning,
+      event_type,                           // SAME NAME
+      risk_score,                           // SAME NAME
+      ai_alert,                             // SAME NAME
+      ai_reason                             // SAME NAME
+    }, mem, profile);
+  }
+
+  // ---------------- LIVE READINGS ----------------
+  // Ingested readings (sim/ingest.ts) are scored in arrival order on the
+  // next tick; the row shows the newest. Without a reading for
+  // liveStaleMs the unit reports offline.
+  function liveRow(id: string, unit: UnitDefinition): TelemetryRow {
+    const feed = feeds[id];
+    const now = clock.now();
+    const pending = feed.pending.splice(0);
+    const stale = feed.receivedAt === null || now - feed.receivedAt > liveStaleMs;
+
+    const liveStatus = pending.at(-1)?.status ?? (stale ? "offline" : feed.row?.status ?? "offline");
+    const twin = simulate(id, liveStatus);
+
+    for (const reading of pending) {
+      feed.row = reading.readings
+        ? score(id, reading.status, reading.readings, reading.timestamp)
+        : offlineRow(id, reading.timestamp, "No AI alert (unit offline).");
+    }
+
+    let row = feed.row;
+    if (stale || !row) {
+      row = feed.receivedAt === null
+        ? offlineRow(id, now, "No AI alert (waiting for live readings).")
+        : offlineRow(id, now, `No AI alert (no live readings for ${Math.round((now - feed.receivedAt) / 1000)}s).`);
+    }
+
+    if (unit.mode === "live") return { ...row, mode: "live" };
+    return { ...row, mode: "shadow", shadow: compare(row, twin) };
+  }
+
+  // Twin readings next to the live row; residuals are live − simulated
+  function compare(row: TelemetryRow, twin: { status: UnitStatus; readings: Readings | null }): ShadowComparison {
+    const sim = twin.readings && {
+      temperature: Number(twin.readings.temperature.toFixed(2)),
+      vibration: Number(twin.readings.vibration.toFixed(2)),
+      pressure: Number(twin.readings.pressure.toFixed(2)),
+      flow_rate: Number(twin.readings.flow.toFixed(2))
+    };
+    const residual = (field: keyof NonNullable<typeof sim>) =>
+      Number(((row[field] as number) - (sim as NonNullable<typeof sim>)[field]).toFixed(2));
+
+    return {
+      status: twin.status,
+      temperature: sim ? sim.temperature : null,
+      vibration: sim ? sim.vibration : null,
+      pressure: sim ? sim.pressure : null,
+      flow_rate: sim ? sim.flow_rate : null,
+      residual: sim && row.status !== "offline"
+        ? {
+          temperature: residual("temperature"),
+          vibration: residual("vibration"),
+          pressure: residual("pressure"),
+          flow_rate: residual("flow_rate")
+        }
+        : null
+    };
+  }
+
+  // ---------------- MAIN DATA GENERATION ----------------
+  function generateCompressorData(id: string): TelemetryRow {
+    const unit = fleet.get(id) as UnitDefinition;
+    if (unit.mode !== "simulated") return liveRow(id, unit);
+
+    const { status, readings } = simulate(id);
+    return readings
+      ? score(id, status, readings, clock.now())
+      : offlineRow(id, clock.now(), "No AI alert (unit offline).");
+  }
+
+  for (const unit of fleet.values()) {
+    compressorMemory[unit.id] = initMemory(unit);
+    feeds[unit.id] = emptyFeed();
+  }
+
+  // Setpoint, the load the unit runs at and its wear
+  function operating(id: string) {
+    const mem = compressorMemory[id];
+    return {
+      setpoint: { ...mem.setpoint },
+      load: Number(mem.load.toFixed(1)),
+      wear: Number(mem.wear.toFixed(6))
+    };
+  }
+
+  return {
+    memory: compressorMemory,
+    operating,
+    // Partial setpoint changes; the load ramps, readings follow with a lag
+    setpoint(id: string, changes: unknown) {
+      const mem = compressorMemory[id];
+      mem.setpoint = validateOperating(changes, mem.setpoint);
+      return operating(id);
+    },
+    // Takes effect from the next tick
+    command(id: string, command: UnitCommand) {
+      const mem = compressorMemory[id];
+      const status_before = mem.state;
+      mem.control = applyCommand(id, mem, command);
+      return { status_before, target: mem.control.target, tripped: mem.control.tripped };
+    },
+    // Maintenance back to a fresh unit: no wear, drift or bias. The
+    // detector relearns its baseline, which moves with the wear.
+    repair(id: string) {
+      const mem = compressorMemory[id];
+      const wear_before = Number(mem.wear.toFixed(6));
+      mem.wear = 0;
+      mem.trend = { temp: 0, vib: 0, press: 0, flow: 0 };
+      mem.bias = { temp: 0, vib: 0, press: 0, flow: 0 };
+      if (detector) detector.forget(id);
+      return { wear_before };
+    },
+    addUnit(unit: UnitDefinition) {
+      compressorMemory[unit.id] = initMemory(unit);
+      feeds[unit.id] = emptyFeed();
+    },
+    removeUnit(id: string) {
+      delete compressorMemory[id];
+      delete feeds[id];
+      if (detector) detector.forget(id);
+    },
+    // Queues a validated reading (sim/ingest.ts) for the next tick
+    ingest(reading: LiveReading) {
+      const feed = feeds[reading.compressor_id];
+      feed.pending.push(reading);
+      if (feed.pending.length > MAX_PENDING) feed.pending.shift();
+      feed.lastTimestamp = reading.timestamp;
+      feed.receivedAt = clock.now();
+      feed.received += 1;
+    },
+    feed(id: string) {
+      const { pending, lastTimestamp, receivedAt, received } = feeds[id];
+      return { pending: pending.length, lastTimestamp, receivedAt, received };
+    },
+    // After a mode switch the warning lock and learned baseline start
+    // over: they described the other source of readings
+    switchMode(id: string) {
+      const mem = compressorMemory[id];
+      mem.warningState = { warning: "normal", event_type: "normal", startTime: clock.now() };
+      feeds[id] = emptyFeed();
+      if (detector) detector.forget(id);
+    },
+    generateCompressorData,
+    // One batch in fleet order
+    step() {
+      return [...fleet.keys()].map(id => generateCompressorData(id));
+    }
+  };
+}
@@ -0,0 +1,263 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import net from "net";
+import type { AddressInfo } from "net";
+import {
+  createNotifier,
+  inQuietHours,
+  normalizeNotificationConfig,
+  noticesFrom,
+  type Notice
+} from "./notifications";
+import { sendMail, type Message } from "./transports";
+import type { Batch } from "./types";
+
+const MINUTE = 60 * 1000;
+const MIDNIGHT = Date.UTC(2025, 0, 1);
+
+function notice(changes: Partial<Notice> = {}): Notice {
+  return {
+    kind: "warning",
+    compressor_id: "compressor_1",
+    timestamp: MIDNIGHT + 12 * 60 * MINUTE,
+    severity: "high",
+    event_type: "overheating",
+    ai_reason: "Temperature above high limit.",
+    risk_score: 9,
+    alert_id: "a1",
+    ...changes
+  };
+}
+
+function setup(subscription: Record<string, unknown> = {}, fail = 0) {
+  const sent: Message[] = [];
+  let wall = 0;
+  let n = 0;
+  const config = normalizeNotificationConfig({
+    channels: { hook: { type: "webhook", url: "http://localhost/hook" } },
+    retry: { attempts: 3, baseMs: 1000, maxMs: 1500 },
+    subscriptions: [{ id: "ops", role: "engineer", channel: "hook", ...subscription }]
+  });
+  const notifier = createNotifier({
+    config,
+    transports: {
+      webhook: async (channel, message) => {
+        if (fail-- > 0) throw new Error("HTTP 503");
+        sent.push(message);
+      }
+    },
+    now: () => wall,
+    newId: () => `d${++n}`
+  });
+  return { notifier, sent, tick: (ms: number) => (wall += ms) };
+}
+
+describe("notification config", () => {
+  it("validates channels and subscriptions", () => {
+    const channels = { mail: { type: "email", host: "localhost", from: "twin@example.com" } };
+    assert.throws(
+      () => normalizeNotificationConfig({ channels, subscriptions: [{ id: "s", role: "maintenance", channel: "mail" }] }),
+      /needs "to" addresses/
+    );
+    assert.throws(
+      () => normalizeNotificationConfig({ subscriptions: [{ id: "s", role: "manager", channel: "nope" }] }),
+      /unknown channel nope/
+    );
+    assert.throws(
+      () => normalizeNotificationConfig({ channels: { c: { type: "fax" } } }),
+      /type must be one of/
+    );
+
+    const config = normalizeNotificationConfig({
+      channels,
+      defaults: { quietHours: { start: "22:00", end: "06:00", except: ["high"] } },
+      subscriptions: [{ id: "s", role: "maintenance", channel: "mail", to: ["a@example.com"], severities: ["medium", "high"] }]
+    });
+    assert.deepEqual(config.subscriptions[0].quietHours?.except, ["high"]);
+    assert.equal(config.subscriptions[0].dedupMs, 15 * MINUTE);
+  });
+});
+
+describe("noticesFrom", () => {
+  it("reports opened or escalated alerts and rising ai_alert", () => {
+    const row = (ai_alert: boolean) =>
+      ({ compressor_id: "compressor_2", timestamp: 5, warning: "normal", event_type: "normal", ai_reason: "Drift", risk_score: 3, ai_alert }) as Batch[number];
+    const alert = { id: "a1", compressor_id: "compressor_1", severity: "high", event_type: "overheating", ai_reason: "Hot", updated_at: 5, latest: { risk_score: 9 } };
+
+    const notices = noticesFrom(
+      [
+        { type: "alert_escalated", alert },
+        { type: "alert_resolved", alert }
+      ] as any,
+      [row(false)],
+      [row(true)]
+    );
+    assert.deepEqual(notices.map(n => [n.kind, n.compressor_id, n.severity]), [
+      ["warning", "compressor_1", "high"],
+      ["ai_alert", "compressor_2", "normal"]
+    ]);
+    assert.deepEqual(noticesFrom([], [row(true)], [row(true)]), []);
+  });
+});
+
+describe("createNotifier", () => {
+  it("filters by kind, unit, severity and event type", () => {
+    const { notifier } = setup({ units: ["compressor_1"], eventTypes: ["overheating"] });
+    assert.equal(notifier.notify(notice({ severity: "medium" })).length, 0);
+    assert.equal(notifier.notify(notice({ compressor_id: "compressor_2" })).length, 0);
+    assert.equal(notifier.notify(notice({ event_type: "leak" })).length, 0);
+    assert.equal(notifier.notify(notice({ kind: "ai_alert", severity: "normal" })).length, 1);
+    assert.equal(notifier.notify(notice()).length, 1);
+  });
+
+  it("drops repeats, rate-limits per unit and respects quiet hours", () => {
+    const { notifier } = setup({ dedupMs: 10 * MINUTE, rateLimit: { max: 2, windowMs: 60 * MINUTE } });
+    const at = (min: number, changes: Partial<Notice> = {}) =>
+      notifier.notify(notice({ timestamp: MIDNIGHT + 12 * 60 * MINUTE + min * MINUTE, ...changes })).length;
+
+    assert.equal(at(0), 1);
+    assert.equal(at(5), 0);
+    assert.equal(at(11), 1);
+    assert.equal(at(30), 0);
+    assert.equal(at(30, { compressor_id: "compressor_2" }), 1);
+    assert.deepEqual(notifier.stats().suppressed, { duplicate: 1, rate_limited: 1, quiet_hours: 0 });
+
+    const quiet = setup({ quietHours: { start: "22:00", end: "06:00", utcOffsetMinutes: 60, except: ["high"] }, severities: ["medium", "high"] });
+    const night = MIDNIGHT + 30 * MINUTE;
+    assert.equal(quiet.notifier.notify(notice({ timestamp: night, severity: "medium" })).length, 0);
+    assert.equal(quiet.notifier.notify(notice({ timestamp: night })).length, 1);
+    assert.ok(inQuietHours({ start: "22:00", end: "06:00", utcOffsetMinutes: 0, except: [] }, MIDNIGHT - 60 * MINUTE));
+    assert.ok(!inQuietHours({ start: "22:00", end: "06:00", utcOffsetMinutes: 0, except: [] }, MIDNIGHT + 6 * 60 * MINUTE));
+  });
+
+  it("retries with backoff until the attempts run out", async () => {
+    const { notifier, sent, tick } = setup({}, 1);
+    const [delivery] = notifier.notify(notice());
+
+    await notifier.pump();
+    assert.equal(delivery.status, "pending");
+    assert.equal(delivery.next_attempt_at, 1000);
+    assert.equal(delivery.last_error, "HTTP 503");
+
+    await notifier.pump();
+    assert.equal(delivery.attempts, 1);
+    tick(1000);
+    await notifier.pump();
+    assert.equal(delivery.status, "sent");
+    assert.equal(sent[0].subject, "[TwinTech] HIGH overheating on compressor_1");
+
+    const failing = setup({}, 10);
+    const [lost] = failing.notifier.notify(notice());
+    for (let i = 0; i < 3; i++) {
+      await failing.notifier.pump();
+      failing.tick(1500);
+    }
+    assert.equal(lost.status, "failed");
+    assert.equal(lost.attempts, 3);
+    assert.deepEqual(failing.notifier.list({ status: "failed" }).map(d => d.id), [lost.id]);
+  });
+});
+
+describe("transports", () => {
+  it("posts webhooks to a local HTTP stand-in", async () => {
+    const bodies: any[] = [];
+    const server = http.createServer((req, res) => {
+      let data = "";
+      req.on("data", chunk => (data += chunk));
+      req.on("end", () => {
+        bodies.push(JSON.parse(data));
+        res.statusCode = bodies.length === 1 ? 500 : 204;
+        res.end();
+      });
+    });
+    await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address() as AddressInfo;
+
+    try {
+      const notifier = createNotifier({
+        config: normalizeNotificationConfig({
+          channels: { chat: { type: "slack", url: `http://127.0.0.1:${port}/slack` } },
+          retry: { attempts: 2, baseMs: 1, maxMs: 1 },
+          subscriptions: [{ id: "ops", role: "engineer", channel: "chat" }]
+        })
+      });
+
+      const failed = await notifier.test("ops");
+      assert.equal(failed.status, "pending");
+      assert.match(failed.last_error as string, /HTTP 500/);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await notifier.pump();
+      assert.equal(failed.status, "sent");
+      assert.match(bodies[1].text, /^\*\[TwinTech\] HIGH test on compressor_test\*/);
+    } finally {
+      server.close();
+    }
+  });
+
+  it("sends mail to a local SMTP stand-in", async () => {
+    const log: string[] = [];
+    let data = "";
+    const server = net.createServer(socket => {
+      let inData = false;
+      let buffer = "";
+      socket.write("220 stand-in ready\r\n");
+      socket.on("data", chunk => {
+        buffer += chunk.toString();
+        let end;
+        while ((end = buffer.indexOf("\r\n")) >= 0) {
+          const line = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          if (inData) {
+            if (line === ".") {
+              inData = false;
+              socket.write("250 queued\r\n");
+            } else {
+              data += `${line}\n`;
+            }
+            continue;
+          }
+          log.push(line.split(" ")[0]);
+          if (line.startsWith("EHLO")) socket.write("250-stand-in\r\n250 AUTH PLAIN\r\n");
+          else if (line.startsWith("AUTH")) socket.write("235 ok\r\n");
+          else if (line === "STARTTLS") socket.write("502 not implemented\r\n");
+          else if (line === "DATA") {
+            inData = true;
+            socket.write("354 go ahead\r\n");
+          } else if (line === "QUIT") socket.end("221 bye\r\n");
+          else socket.write("250 ok\r\n");
+        }
+      });
+    });
+    await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address() as AddressInfo;
+
+    try {
+      await sendMail(
+        { type: "email", host: "127.0.0.1", port, from: "twin@example.com" },
+        { subject: "Test", text: "Line one\n.dot line", to: ["a@example.com", "b@example.com"] }
+      );
+      assert.deepEqual(log.slice(0, 5), ["EHLO", "MAIL", "RCPT", "RCPT", "DATA"]);
+      assert.match(data, /^From: twin@example.com$/m);
+      assert.match(data, /^Subject: Test$/m);
+      assert.match(data, /^\.\.dot line$/m);
+
+      // The stand-in offers no STARTTLS, so credentials are never sent
+      log.length = 0;
+      await assert.rejects(
+        sendMail(
+          { type: "email", host: "127.0.0.1", port, user: "twin", pass: "secret", from: "twin@example.com" },
+          { subject: "Test", text: "x", to: ["a@example.com"] }
+        ),
+        /STARTTLS/
+      );
+      assert.equal(log.includes("AUTH"), false);
+
+      await assert.rejects(
+        sendMail({ type: "email", host: "127.0.0.1", port: 1, from: "twin@example.com" }, { subject: "x", text: "x", to: ["a@example.com"] })
+      );
+    } finally {
+      server.close();
+    }
+  });
+});
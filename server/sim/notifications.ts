@@ -0,0 +1,513 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Outbound Notifications
+   Tells people about warnings as they happen, instead of
+   leaving them to spot a field in the next tick:
+
+     warning   an alert opens or escalates (see sim/alerts.ts)
+     ai_alert  a unit's ai_alert turns true
+
+   Subscriptions pick notices per role by kind, unit,
+   severity and event_type and send them to one channel
+   (sim/transports.ts). Before a delivery is queued:
+
+     dedupMs     the same unit/kind/severity/event_type was
+                 already sent to this subscription recently
+     rateLimit   at most `max` per unit per `windowMs`
+     quietHours  daily window (UTC offset) when only the
+                 severities in `except` get through
+
+   All three use the notice's timestamp, so they follow the
+   simulator clock. A unit that keeps flipping warning inside
+   WARNING_LOCK_MS raises a fresh alert each time it settles;
+   dedup and the rate limit keep that to one message.
+
+   Failed deliveries are retried with exponential backoff
+   (wall time) up to `retry.attempts`. Dropped notices are
+   counted, not queued.
+
+   Config (SIM_NOTIFICATIONS_FILE, none by default):
+     { channels: { id: ChannelConfig }, defaults?: { ... },
+       retry?: { attempts, baseMs, maxMs },
+       subscriptions: [{ id, role, channel, to?, kinds?, units?,
+                         severities?, eventTypes?, dedupMs?,
+                         rateLimit?, quietHours? }] }
+--------------------------------------------------------- */
+
+import fs from "fs";
+import { randomUUID } from "crypto";
+import type { AlertEvent } from "./alerts";
+import { CHANNEL_TYPES, TRANSPORTS, type ChannelConfig, type ChannelType, type Message, type Transport } from "./transports";
+import { SimulatorError, type Batch } from "./types";
+
+export const NOTICE_KINDS = ["warning", "ai_alert"] as const;
+export type NoticeKind = (typeof NOTICE_KINDS)[number];
+
+const SEVERITIES = ["normal", "medium", "high"];
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_DONE_DELIVERIES = 500;
+
+export interface Notice {
+  kind: NoticeKind;
+  compressor_id: string;
+  timestamp: number;
+  severity: string;
+  event_type: string;
+  ai_reason: string;
+  risk_score: number;
+  alert_id: string | null;
+}
+
+export interface QuietHours {
+  start: string;
+  end: string;
+  utcOffsetMinutes: number;
+  // Severities delivered anyway
+  except: string[];
+}
+
+export interface RateLimit {
+  max: number;
+  windowMs: number;
+}
+
+export interface Subscription {
+  id: string;
+  role: string;
+  channel: string;
+  to: string[];
+  kinds: NoticeKind[];
+  units: string[] | null;
+  severities: string[];
+  eventTypes: string[] | null;
+  dedupMs: number;
+  rateLimit: RateLimit | null;
+  quietHours: QuietHours | null;
+}
+
+export interface RetryPolicy {
+  attempts: number;
+  baseMs: number;
+  maxMs: number;
+}
+
+export interface NotificationConfig {
+  channels: Record<string, ChannelConfig>;
+  subscriptions: Subscription[];
+  retry: RetryPolicy;
+}
+
+export type DeliveryStatus = "pending" | "sent" | "failed";
+
+export interface Delivery {
+  id: string;
+  subscription: string;
+  role: string;
+  channel: string;
+  type: ChannelType;
+  compressor_id: string;
+  notice: Notice;
+  status: DeliveryStatus;
+  attempts: number;
+  created_at: number;
+  next_attempt_at: number | null;
+  sent_at: number | null;
+  last_error: string | null;
+}
+
+export interface DeliveryFilter {
+  status?: string;
+  compressor?: string;
+  subscription?: string;
+}
+
+// ---------------- CONFIG ----------------
+const DEFAULT_RETRY: RetryPolicy = { attempts: 5, baseMs: 5 * 1000, maxMs: 5 * 60 * 1000 };
+const DEFAULT_SUBSCRIPTION = {
+  kinds: [...NOTICE_KINDS],
+  severities: ["high"],
+  dedupMs: 15 * 60 * 1000,
+  rateLimit: { max: 10, windowMs: 60 * 60 * 1000 },
+  quietHours: null
+};
+
+function fail(message: string): never {
+  throw new SimulatorError(`Notifications: ${message}`);
+}
+
+function positive(value: unknown, label: string) {
+  if (typeof value !== "number" || !(value > 0)) fail(`${label} must be a positive number`);
+  return value;
+}
+
+function list<T extends string>(value: unknown, label: string, allowed?: readonly T[]): T[] {
+  if (!Array.isArray(value) || value.some(v => typeof v !== "string" || v === "")) {
+    fail(`${label} must be an array of strings`);
+  }
+  const bad = allowed && value.find(v => !allowed.includes(v));
+  if (bad) fail(`${label} has unknown value ${bad}; expected ${allowed.join(", ")}`);
+  return value as T[];
+}
+
+function normalizeChannel(id: string, raw: any): ChannelConfig {
+  if (!ID_PATTERN.test(id)) fail(`channel id ${id} must match [A-Za-z0-9_-]+`);
+  if (!raw || typeof raw !== "object") fail(`channel ${id} must be an object`);
+  if (!CHANNEL_TYPES.includes(raw.type)) {
+    fail(`channel ${id} type must be one of ${CHANNEL_TYPES.join(", ")}`);
+  }
+
+  if (raw.type === "email") {
+    if (typeof raw.host !== "string" || raw.host === "") fail(`channel ${id} needs an SMTP host`);
+    if (typeof raw.from !== "string" || !raw.from.includes("@")) fail(`channel ${id} needs a from address`);
+    if (raw.port !== undefined) positive(raw.port, `channel ${id} port`);
+  } else {
+    try {
+      new URL(raw.url);
+    } catch {
+      fail(`channel ${id} needs a valid url`);
+    }
+  }
+  if (raw.timeoutMs !== undefined) positive(raw.timeoutMs, `channel ${id} timeoutMs`);
+  return raw as ChannelConfig;
+}
+
+function normalizeQuietHours(raw: any, label: string): QuietHours | null {
+  if (raw === null || raw === undefined) return null;
+  if (!TIME_PATTERN.test(raw.start) || !TIME_PATTERN.test(raw.end)) {
+    fail(`${label}.start and .end must be HH:MM`);
+  }
+  const offset = raw.utcOffsetMinutes ?? 0;
+  if (typeof offset !== "number" || Math.abs(offset) > 14 * 60) {
+    fail(`${label}.utcOffsetMinutes must be a number of minutes`);
+  }
+  return {
+    start: raw.start,
+    end: raw.end,
+    utcOffsetMinutes: offset,
+    except: list(raw.except ?? [], `${label}.except`, SEVERITIES)
+  };
+}
+
+function normalizeSubscription(raw: any, defaults: any, channels: Record<string, ChannelConfig>): Subscription {
+  if (!raw || typeof raw !== "object") fail("subscription must be an object");
+  if (typeof raw.id !== "string" || !ID_PATTERN.test(raw.id)) fail("subscription id must match [A-Za-z0-9_-]+");
+
+  const label = `subscription ${raw.id}`;
+  const merged = { ...DEFAULT_SUBSCRIPTION, ...defaults, ...raw };
+  if (typeof merged.role !== "string" || merged.role === "") fail(`${label} needs a role`);
+
+  const channel = channels[merged.channel];
+  if (!channel) fail(`${label} uses unknown channel ${merged.channel}`);
+  const to = list(merged.to ?? [], `${label}.to`);
+  if (channel.type === "email" && to.length === 0) fail(`${label} needs "to" addresses for email`);
+
+  let rateLimit: RateLimit | null = null;
+  if (merged.rateLimit) {
+    rateLimit = {
+      max: positive(merged.rateLimit.max, `${label}.rateLimit.max`),
+      windowMs: positive(merged.rateLimit.windowMs, `${label}.rateLimit.windowMs`)
+    };
+  }
+
+  return {
+    id: raw.id,
+    role: merged.role,
+    channel: merged.channel,
+    to,
+    kinds: list(merged.kinds, `${label}.kinds`, NOTICE_KINDS),
+    units: merged.units ? list(merged.units, `${label}.units`) : null,
+    severities: list(merged.severities, `${label}.severities`, SEVERITIES),
+    eventTypes: merged.eventTypes ? list(merged.eventTypes, `${label}.eventTypes`) : null,
+    dedupMs: merged.dedupMs === 0 ? 0 : positive(merged.dedupMs, `${label}.dedupMs`),
+    rateLimit,
+    quietHours: normalizeQuietHours(merged.quietHours, `${label}.quietHours`)
+  };
+}
+
+export function normalizeNotificationConfig(raw: any = {}): NotificationConfig {
+  if (!raw || typeof raw !== "object") fail("config must be an object");
+
+  const channels: Record<string, ChannelConfig> = {};
+  for (const [id, channel] of Object.entries(raw.channels ?? {})) {
+    channels[id] = normalizeChannel(id, channel);
+  }
+
+  if (!Array.isArray(raw.subscriptions ?? [])) fail("subscriptions must be an array");
+  const subscriptions = (raw.subscriptions ?? []).map((s: unknown) =>
+    normalizeSubscription(s, raw.defaults, channels)
+  );
+  const ids = subscriptions.map((s: Subscription) => s.id);
+  const dup = ids.find((id: string, i: number) => ids.indexOf(id) !== i);
+  if (dup) fail(`duplicate subscription ${dup}`);
+
+  const retry = { ...DEFAULT_RETRY, ...raw.retry };
+  positive(retry.attempts, "retry.attempts");
+  positive(retry.baseMs, "retry.baseMs");
+  positive(retry.maxMs, "retry.maxMs");
+
+  return { channels, subscriptions, retry };
+}
+
+export function loadNotificationConfig(file?: string): NotificationConfig {
+  return normalizeNotificationConfig(file ? JSON.parse(fs.readFileSync(file, "utf-8")) : {});
+}
+
+// ---------------- NOTICES ----------------
+// Alerts that opened or escalated, and units whose ai_alert turned on
+export function noticesFrom(alertChanges: AlertEvent[], previous: Batch, batch: Batch): Notice[] {
+  const notices: Notice[] = [];
+
+  for (const { type, alert } of alertChanges) {
+    if (type !== "alert_opened" && type !== "alert_escalated") continue;
+    notices.push({
+      kind: "warning",
+      compressor_id: alert.compressor_id,
+      timestamp: alert.updated_at,
+      severity: alert.severity,
+      event_type: alert.event_type,
+      ai_reason: alert.ai_reason,
+      risk_score: alert.latest.risk_score,
+      alert_id: alert.id
+    });
+  }
+
+  const before = new Map(previous.map(row => [row.compressor_id, row]));
+  for (const row of batch) {
+    if (!row.ai_alert || before.get(row.compressor_id)?.ai_alert) continue;
+    notices.push({
+      kind: "ai_alert",
+      compressor_id: row.compressor_id,
+      timestamp: row.timestamp,
+      severity: row.warning,
+      event_type: row.event_type,
+      ai_reason: row.ai_reason,
+      risk_score: row.risk_score,
+      alert_id: null
+    });
+  }
+
+  return notices;
+}
+
+export function renderNotice(notice: Notice, to: string[] = []): Message {
+  const what = notice.kind === "ai_alert" ? "AI alert" : `${notice.severity.toUpperCase()} ${notice.event_type}`;
+  const lines = [
+    `Unit: ${notice.compressor_id}`,
+    `Severity: ${notice.severity}, event: ${notice.event_type}, risk score: ${notice.risk_score}`,
+    `AI: ${notice.ai_reason}`,
+    `Time: ${new Date(notice.timestamp).toISOString()}`
+  ];
+  if (notice.alert_id) lines.push(`Alert: ${notice.alert_id}`);
+
+  return {
+    subject: `[TwinTech] ${what} on ${notice.compressor_id}`,
+    text: lines.join("\n"),
+    to,
+    payload: { notice }
+  };
+}
+
+function minuteOfDay(t: number, offsetMinutes: number) {
+  const d = new Date(t + offsetMinutes * 60 * 1000);
+  return d.getUTCHours() * 60 + d.getUTCMinutes();
+}
+
+function toMinutes(hhmm: string) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+// Windows may wrap midnight ("22:00"–"06:00")
+export function inQuietHours(quiet: QuietHours, t: number) {
+  const now = minuteOfDay(t, quiet.utcOffsetMinutes);
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+function matches(sub: Subscription, notice: Notice) {
+  if (!sub.kinds.includes(notice.kind)) return false;
+  if (sub.units && !sub.units.includes(notice.compressor_id)) return false;
+  if (notice.kind === "warning" && !sub.severities.includes(notice.severity)) return false;
+  return !sub.eventTypes || sub.eventTypes.includes(notice.event_type);
+}
+
+// ---------------- DISPATCHER ----------------
+export interface NotifierOptions {
+  config?: NotificationConfig;
+  transports?: Partial<Record<ChannelType, Transport>>;
+  // Wall clock for retry backoff
+  now?: () => number;
+  newId?: () => string;
+}
+
+export type Notifier = ReturnType<typeof createNotifier>;
+
+export function createNotifier({
+  config = normalizeNotificationConfig(),
+  transports = TRANSPORTS,
+  now = () => Date.now(),
+  newId = () => randomUUID()
+}: NotifierOptions = {}) {
+  const deliveries = new Map<string, Delivery>();
+  const lastSent = new Map<string, number>();
+  const recent = new Map<string, number[]>();
+  const suppressed = { duplicate: 0, rate_limited: 0, quiet_hours: 0 };
+  let pumping: Promise<Delivery[]> | null = null;
+
+  // Why the subscription should not hear about the notice, if anything
+  function policy(sub: Subscription, notice: Notice): keyof typeof suppressed | null {
+    const t = notice.timestamp;
+    const key = [sub.id, notice.compressor_id, notice.kind, notice.severity, notice.event_type].join("|");
+    if (sub.dedupMs > 0 && t - (lastSent.get(key) ?? -Infinity) < sub.dedupMs) return "duplicate";
+
+    if (sub.quietHours && inQuietHours(sub.quietHours, t) && !sub.quietHours.except.includes(notice.severity)) {
+      return "quiet_hours";
+    }
+
+    const unitKey = `${sub.id}|${notice.compressor_id}`;
+    if (sub.rateLimit) {
+      const windowStart = t - sub.rateLimit.windowMs;
+      const times = (recent.get(unitKey) || []).filter(at => at > windowStart);
+      recent.set(unitKey, times);
+      if (times.length >= sub.rateLimit.max) return "rate_limited";
+      times.push(t);
+    }
+
+    lastSent.set(key, t);
+    return null;
+  }
+
+  function enqueue(sub: Subscription, notice: Notice) {
+    const channel = config.channels[sub.channel];
+    const delivery: Delivery = {
+      id: newId(),
+      subscription: sub.id,
+      role: sub.role,
+      channel: sub.channel,
+      type: channel.type,
+      compressor_id: notice.compressor_id,
+      notice,
+      status: "pending",
+      attempts: 0,
+      created_at: now(),
+      next_attempt_at: now(),
+      sent_at: null,
+      last_error: null
+    };
+    deliveries.set(delivery.id, delivery);
+    return delivery;
+  }
+
+  function prune() {
+    const done = [...deliveries.values()].filter(d => d.status !== "pending");
+    for (const d of done.slice(0, Math.max(0, done.length - MAX_DONE_DELIVERIES))) {
+      deliveries.delete(d.id);
+    }
+  }
+
+  // Queues a delivery per matching subscription that the policies allow
+  function notify(notice: Notice): Delivery[] {
+    const queued: Delivery[] = [];
+    for (const sub of config.subscriptions) {
+      if (!matches(sub, notice)) continue;
+
+      const reason = policy(sub, notice);
+      if (reason) {
+        suppressed[reason] += 1;
+        continue;
+      }
+      queued.push(enqueue(sub, notice));
+    }
+    return queued;
+  }
+
+  async function attempt(delivery: Delivery) {
+    const sub = config.subscriptions.find(s => s.id === delivery.subscription);
+    const channel = config.channels[delivery.channel];
+    const send = transports[delivery.type];
+    delivery.attempts += 1;
+
+    try {
+      if (!send) throw new Error(`No transport for ${delivery.type}`);
+      await send(channel, renderNotice(delivery.notice, sub?.to));
+      delivery.status = "sent";
+      delivery.sent_at = now();
+      delivery.next_attempt_at = null;
+      delivery.last_error = null;
+    } catch (err) {
+      delivery.last_error = (err as Error).message;
+      if (delivery.attempts >= config.retry.attempts) {
+        delivery.status = "failed";
+        delivery.next_attempt_at = null;
+        console.error(`Notification ${delivery.id} to ${delivery.channel} failed:`, delivery.last_error);
+      } else {
+        const backoff = Math.min(config.retry.baseMs * 2 ** (delivery.attempts - 1), config.retry.maxMs);
+        delivery.next_attempt_at = now() + backoff;
+      }
+    }
+  }
+
+  // Sends every pending delivery that is due, one at a time; overlapping
+  // calls share the run in progress
+  function pump(): Promise<Delivery[]> {
+    if (pumping) return pumping;
+
+    pumping = (async () => {
+      const due = [...deliveries.values()].filter(
+        d => d.status === "pending" && (d.next_attempt_at as number) <= now()
+      );
+      for (const delivery of due) await attempt(delivery);
+      prune();
+      return due;
+    })().finally(() => {
+      pumping = null;
+    });
+    return pumping;
+  }
+
+  // Sends a sample notice through one subscription now, bypassing its
+  // filters and policies; a failure is retried like any other
+  async function test(subscriptionId: string, compressorId = "compressor_test") {
+    const sub = config.subscriptions.find(s => s.id === subscriptionId);
+    if (!sub) throw new SimulatorError(`Unknown subscription ${subscriptionId}`, 404);
+
+    const delivery = enqueue(sub, {
+      kind: "warning",
+      compressor_id: compressorId,
+      timestamp: now(),
+      severity: "high",
+      event_type: "test",
+      ai_reason: "Test notification from the TwinTech simulator.",
+      risk_score: 0,
+      alert_id: null
+    });
+    await attempt(delivery);
+    return delivery;
+  }
+
+  // Newest first
+  function list({ status, compressor, subscription }: DeliveryFilter = {}) {
+    return [...deliveries.values()]
+      .filter(d => !status || d.status === status)
+      .filter(d => !compressor || d.compressor_id === compressor)
+      .filter(d => !subscription || d.subscription === subscription)
+      .sort((a, b) => b.created_at - a.created_at);
+  }
+
+  function stats() {
+    const counts: Record<DeliveryStatus, number> = { pending: 0, sent: 0, failed: 0 };
+    for (const d of deliveries.values()) counts[d.status] += 1;
+    return { subscriptions: config.subscriptions.length, ...counts, suppressed: { ...suppressed } };
+  }
+
+  return {
+    enabled: config.subscriptions.length > 0,
+    notify,
+    pump,
+    test,
+    list,
+    stats,
+    get: (id: string) => deliveries.get(id) || null
+  };
+}
@@ -0,0 +1,76 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { loadFleetConfig } from "./fleet";
+import {
+  NOMINAL_OPERATING,
+  atRatedLoad,
+  nextLoad,
+  steadyState,
+  validateOperating,
+  wearIncrement
+} from "./physics";
+
+const [unit] = loadFleetConfig().units;
+
+function close(actual: number, expected: number, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≠ ${expected}`);
+}
+
+describe("steadyState", () => {
+  it("reproduces the baselines at rated load and idle", () => {
+    const rated = steadyState(unit, NOMINAL_OPERATING, 0);
+    const idle = steadyState(unit, { ...NOMINAL_OPERATING, load: 0 }, 0);
+    for (const channel of ["temperature", "vibration", "pressure", "flow"] as const) {
+      close(rated[channel], unit.baseline.active[channel]);
+      close(idle[channel], unit.baseline.inactive[channel]);
+    }
+  });
+
+  it("responds to load, ambient, inlet pressure and wear", () => {
+    const rated = steadyState(unit, NOMINAL_OPERATING, 0);
+    const partLoad = steadyState(unit, { ...NOMINAL_OPERATING, load: 70 }, 0);
+    assert.ok(partLoad.flow < rated.flow && partLoad.vibration < rated.vibration);
+
+    const hot = steadyState(unit, { ...NOMINAL_OPERATING, ambient: 40 }, 0);
+    close(hot.temperature, rated.temperature + 15);
+    assert.ok(hot.flow < rated.flow);
+
+    const lowInlet = steadyState(unit, { ...NOMINAL_OPERATING, inletPressure: 0.9 }, 0);
+    close(lowInlet.pressure, rated.pressure * 0.9);
+    close(lowInlet.flow, rated.flow * 0.9);
+
+    const worn = steadyState(unit, NOMINAL_OPERATING, 1);
+    assert.ok(worn.vibration > 3.9 && worn.temperature > rated.temperature);
+  });
+
+  it("judges part-load pressure and flow at their rated equivalent", () => {
+    const setpoint = { ...NOMINAL_OPERATING, load: 60 };
+    const expected = steadyState(unit, setpoint, 0);
+    const judged = atRatedLoad(unit, expected, expected, setpoint, 0);
+    close(judged.flow, unit.baseline.active.flow);
+    close(judged.pressure, unit.baseline.active.pressure);
+    assert.equal(judged.temperature, expected.temperature);
+  });
+});
+
+describe("operating point", () => {
+  it("ramps the load towards the setpoint and idles when inactive", () => {
+    assert.equal(nextLoad(100, 70, "active", 2000), 98);
+    assert.equal(nextLoad(71, 70, "active", 2000), 70);
+    assert.equal(nextLoad(50, 100, "inactive", 2000), 48);
+    assert.equal(nextLoad(50, 100, "offline", 2000), 0);
+  });
+
+  it("wears faster at higher load and not while offline", () => {
+    assert.ok(wearIncrement(100, "active", 2000) > wearIncrement(50, "active", 2000));
+    assert.ok(wearIncrement(0, "inactive", 2000) > 0);
+    assert.equal(wearIncrement(100, "offline", 2000), 0);
+  });
+
+  it("validates setpoint changes", () => {
+    assert.deepEqual(validateOperating({ load: 80 }), { ...NOMINAL_OPERATING, load: 80 });
+    assert.throws(() => validateOperating({ load: 150 }), /load must be a number between 0 and 110/);
+    assert.throws(() => validateOperating({ speed: 50 }), /Unknown setpoint "speed"/);
+    assert.throws(() => validateOperating("fast"), { status: 400 });
+  });
+});
@@ -0,0 +1,170 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Compressor Physics
+   Steady-state operating point of a unit from its load,
+   ambient temperature, inlet pressure and wear. The model
+   (sim/model.ts) reverts each channel towards this point
+   with its usual drift and noise on top, so changing a
+   setpoint moves the readings through a first-order lag
+   rather than a jump.
+
+   The unit's baselines are the calibration points: idle
+   (inactive, load 0) and rated load at nominal conditions
+   with no wear. In between, a positive-displacement unit:
+
+     flow         ∝ speed, × inlet density (pressure / temp)
+     pressure     head ∝ speed², fixed ratio to inlet
+     temperature  heat ∝ speed, follows ambient 1:1 (cooler
+                  approach), + friction from wear
+     vibration    unbalance ∝ speed², + bearing wear
+
+   Wear runs from 0 (new) to 1 (end of life) and accumulates
+   with running time weighted by load².
+
+   Pressure and flow limits are set for rated load, so at part
+   load warnings judge them against what that load delivers
+   (scaled to their rated equivalent). The
+   anomaly detector sees readings with the effect of load,
+   ambient and inlet pressure taken out; wear and faults stay
+   in.
+--------------------------------------------------------- */
+
+import {
+  SimulatorError,
+  type Channel,
+  type OperatingPoint,
+  type Readings,
+  type UnitDefinition,
+  type UnitStatus
+} from "./types";
+
+export const NOMINAL_OPERATING: OperatingPoint = { load: 100, ambient: 25, inletPressure: 1 };
+
+// Accepted setpoint ranges (load in % of rated, °C, bar(a))
+export const OPERATING_LIMITS: Record<keyof OperatingPoint, [number, number]> = {
+  load: [0, 110],
+  ambient: [-20, 55],
+  inletPressure: [0.5, 1.5]
+};
+
+// Load change per second while ramping to a new setpoint
+export const LOAD_RAMP_PER_S = 1;
+
+// Running hours at rated load from new to worn out
+const WEAR_LIFE_MS = 180 * 24 * 60 * 60 * 1000;
+// Idle running still wears, at this fraction of rated
+const IDLE_DUTY = 0.05;
+
+// Effect of full wear at rated conditions
+const WEAR_VIBRATION = 1.2;
+const WEAR_TEMPERATURE = 6;
+const WEAR_FLOW_LOSS = 0.1;
+
+const KELVIN = 273.15;
+
+// How each channel scales with speed between idle and rated load
+const SPEED_EXPONENT: Record<Channel, number> = {
+  temperature: 1,
+  vibration: 2,
+  pressure: 2,
+  flow: 1
+};
+
+type Baselines = Pick<UnitDefinition, "baseline">;
+
+// Channel level at `load` under nominal conditions with no wear
+function atLoad(unit: Baselines, channel: Channel, load: number) {
+  const idle = unit.baseline.inactive[channel];
+  const rated = unit.baseline.active[channel];
+  return idle + (rated - idle) * (load / 100) ** SPEED_EXPONENT[channel];
+}
+
+// ---------------- SETPOINTS ----------------
+// Merges a partial setpoint over the current one; throws on anything
+// outside OPERATING_LIMITS
+export function validateOperating(changes: unknown, current: OperatingPoint = NOMINAL_OPERATING): OperatingPoint {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    throw new SimulatorError("Setpoint must be an object");
+  }
+
+  const next = { ...current };
+  for (const [key, value] of Object.entries(changes)) {
+    const limits = OPERATING_LIMITS[key as keyof OperatingPoint];
+    if (!limits) {
+      throw new SimulatorError(`Unknown setpoint "${key}"; expected ${Object.keys(OPERATING_LIMITS).join(", ")}`);
+    }
+    if (typeof value !== "number" || !Number.isFinite(value) || value < limits[0] || value > limits[1]) {
+      throw new SimulatorError(`${key} must be a number between ${limits[0]} and ${limits[1]}`);
+    }
+    next[key as keyof OperatingPoint] = value;
+  }
+  return next;
+}
+
+// ---------------- LOAD & WEAR ----------------
+// Load the unit actually runs at: idle while inactive, stopped while
+// offline, otherwise ramping towards the setpoint
+export function nextLoad(current: number, setpoint: number, status: UnitStatus, dtMs: number) {
+  if (status === "offline") return 0;
+
+  const target = status === "active" ? setpoint : 0;
+  const step = (LOAD_RAMP_PER_S * dtMs) / 1000;
+  return current < target ? Math.min(current + step, target) : Math.max(current - step, target);
+}
+
+export function wearIncrement(load: number, status: UnitStatus, dtMs: number) {
+  if (status === "offline") return 0;
+
+  const speed = load / 100;
+  return (dtMs / WEAR_LIFE_MS) * Math.max(speed ** 2, IDLE_DUTY);
+}
+
+// ---------------- STEADY STATE ----------------
+export function steadyState(unit: Baselines, { load, ambient, inletPressure }: OperatingPoint, wear: number): Readings {
+  const inlet = inletPressure / NOMINAL_OPERATING.inletPressure;
+  const density = inlet * ((NOMINAL_OPERATING.ambient + KELVIN) / (ambient + KELVIN));
+
+  return {
+    temperature: atLoad(unit, "temperature", load) + (ambient - NOMINAL_OPERATING.ambient) + WEAR_TEMPERATURE * wear,
+    vibration: atLoad(unit, "vibration", load) + WEAR_VIBRATION * wear,
+    pressure: atLoad(unit, "pressure", load) * inlet,
+    flow: atLoad(unit, "flow", load) * density * (1 - WEAR_FLOW_LOSS * wear)
+  };
+}
+
+// ---------------- CORRECTIONS ----------------
+// Pressure and flow scaled up to what they would be at rated load (same
+// ambient, inlet and wear), for the low-side limits; temperature and
+// vibration only fall at part load. `expected` carries the lag.
+export function atRatedLoad(
+  unit: Baselines,
+  readings: Readings,
+  expected: Readings,
+  setpoint: OperatingPoint,
+  wear: number
+): Readings {
+  const rated = steadyState(unit, { ...setpoint, load: NOMINAL_OPERATING.load }, wear);
+  const scale = (channel: Channel) => rated[channel] / Math.max(expected[channel], rated[channel] * 0.1);
+
+  return {
+    ...readings,
+    pressure: readings.pressure * scale("pressure"),
+    flow: readings.flow * scale("flow")
+  };
+}
+
+// What the operating conditions add to each channel of the expected
+// readings compared with nominal conditions (rated load while active,
+// idle otherwise)
+export function conditionOffsets(unit: Baselines, expected: Readings, status: UnitStatus, wear: number): Readings {
+  const nominal = steadyState(
+    unit,
+    { ...NOMINAL_OPERATING, load: status === "active" ? NOMINAL_OPERATING.load : 0 },
+    wear
+  );
+  return {
+    temperature: expected.temperature - nominal.temperature,
+    vibration: expected.vibration - nominal.vibration,
+    pressure: expected.pressure - nominal.pressure,
+    flow: expected.flow - nominal.flow
+  };
+}
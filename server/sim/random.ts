@@ -0,0 +1,56 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Seedable Random Source
+   Drop-in replacement for Math.random(). With a seed the
+   sequence is fully reproducible (mulberry32); without one it
+   falls back to Math.random(). Ids (alerts, work orders,
+   commands, notifications, scenario runs) come from a stream
+   of their own, so drawing one never shifts the readings.
+--------------------------------------------------------- */
+
+import { randomUUID } from "crypto";
+import type { RandomSource } from "./types";
+
+// xmur3 string hash → 32-bit seed, so "42" and "plant-a" both work
+function hashSeed(seed: string): number {
+  let h = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+function mulberry32(a: number): () => number {
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Returns a () => number in [0, 1); seed undefined/"" means unseeded
+export function createRandom(seed?: string | number | null): RandomSource {
+  if (seed === undefined || seed === null || seed === "") {
+    return Object.assign(() => Math.random(), { seed: null });
+  }
+
+  return Object.assign(mulberry32(hashSeed(String(seed))), { seed: String(seed) });
+}
+
+// UUID v4-shaped ids; seed undefined/"" means crypto.randomUUID()
+export function createIdSource(seed?: string | number | null): () => string {
+  if (seed === undefined || seed === null || seed === "") return () => randomUUID();
+
+  const next = mulberry32(hashSeed(`${seed}:ids`));
+  const hex = (count: number) =>
+    Array.from({ length: count }, () => Math.floor(next() * 16).toString(16)).join("");
+
+  return () => {
+    const variant = (8 + Math.floor(next() * 4)).toString(16);
+    return `${hex(8)}-${hex(4)}-4${hex(3)}-${variant}${hex(3)}-${hex(12)}`;
+  };
+}
@@ -0,0 +1,126 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createHistoryStore } from "./history";
+import { createReplay, framesFromRows, parseRecording, type Frame } from "./replay";
+import { createSink } from "./sinks";
+import type { Batch } from "./types";
+
+const STEP = 30 * 1000;
+
+function frames(count: number): Frame[] {
+  return Array.from({ length: count }, (_, i) => ({
+    t: i * STEP,
+    batch: [{ compressor_id: "c1", timestamp: i * STEP, temperature: 80 + i }] as Batch
+  }));
+}
+
+function player(count: number, speed = 10) {
+  let wall = 0;
+  const seen: number[] = [];
+  let finished = 0;
+  const replay = createReplay({
+    frames: frames(count),
+    source: { kind: "test" },
+    speed,
+    now: () => wall,
+    onFrame: batch => seen.push(batch[0].timestamp),
+    onFinish: () => (finished += 1)
+  });
+  return { replay, seen, finished: () => finished, wait: (ms: number) => (wall += ms) };
+}
+
+describe("parseRecording", () => {
+  const rows = [
+    { timestamp: 2000, compressor_id: "c1", temperature: 81, ai_alert: false, fault: "" },
+    { timestamp: 1000, compressor_id: "c1", temperature: 80, ai_alert: true, fault: "leak" },
+    { timestamp: 1000, compressor_id: "c2", temperature: 79, ai_alert: false, fault: "" }
+  ];
+
+  it("reads generate-dataset exports", () => {
+    const jsonl = parseRecording(rows.map(r => JSON.stringify(r)).join("\n"), "run.jsonl");
+    assert.deepEqual(jsonl.map(f => [f.t, f.batch.length]), [[1000, 2], [2000, 1]]);
+
+    const csv = parseRecording(
+      'timestamp,compressor_id,temperature,ai_alert,fault\n1000,c1,80,true,"leak, minor"\n2000,c1,,false,\n',
+      "run.csv"
+    );
+    assert.deepEqual(csv[0].batch[0], { timestamp: 1000, compressor_id: "c1", temperature: 80, ai_alert: true, fault: "leak, minor" });
+    assert.equal(csv[1].batch[0].temperature, null);
+
+    const columnar = parseRecording(
+      JSON.stringify({ num_rows: 2, columns: { timestamp: [1000, 2000], compressor_id: ["c1", "c1"] } }),
+      "run.json"
+    );
+    assert.deepEqual(columnar.map(f => f.t), [1000, 2000]);
+  });
+
+  it("reads history snapshots and rejects unknown formats", () => {
+    const dump = { compressors: { history: { "2000": { 0: rows[0] }, "1000": [rows[1]] } } };
+    assert.deepEqual(parseRecording(JSON.stringify(dump), "sim.json").map(f => f.t), [1000, 2000]);
+
+    assert.throws(() => parseRecording("", "run.parquet"), /Unsupported recording/);
+    assert.throws(() => parseRecording("{oops", "run.json"), /Cannot read recording run.json/);
+    assert.throws(() => framesFromRows([{ compressor_id: "c1" }]), /numeric timestamp/);
+  });
+});
+
+describe("createReplay", () => {
+  it("plays every frame in order at the chosen speed and flags rows", () => {
+    const { replay, seen, finished, wait } = player(10);
+    assert.equal(replay.current()[0].replay, true);
+
+    replay.play();
+    wait(STEP / 10 - 1);
+    assert.equal(replay.update(), 0);
+    wait(1);
+    assert.equal(replay.update(), 1);
+
+    replay.setSpeed(60);
+    wait(STEP / 60 * 4);
+    replay.update();
+    assert.deepEqual(seen, [1, 2, 3, 4, 5].map(i => i * STEP));
+
+    wait(60 * 60 * 1000);
+    replay.update();
+    assert.equal(replay.state().status, "finished");
+    assert.equal(seen.length, 9);
+    assert.equal(finished(), 1);
+    assert.throws(() => replay.setSpeed(5), /speed must be one of 1, 10, 60/);
+  });
+
+  it("pauses, seeks and restarts after finishing", () => {
+    const { replay, seen, wait } = player(10, 1);
+    replay.play();
+    wait(2 * STEP);
+    replay.pause();
+    wait(10 * STEP);
+    replay.update();
+    assert.equal(replay.state().frame, 2);
+
+    replay.seek(7 * STEP + 10);
+    assert.equal(replay.state().frame, 7);
+    assert.equal(replay.state().position, 7 * STEP + 10);
+    assert.equal(seen.at(-1), 7 * STEP);
+
+    replay.seek(-5);
+    assert.equal(replay.state().position, 0);
+
+    replay.seek(9 * STEP);
+    replay.play();
+    wait(1);
+    replay.update();
+    assert.equal(replay.state().status, "finished");
+    replay.play();
+    assert.deepEqual([replay.state().status, replay.state().frame], ["playing", 0]);
+  });
+});
+
+describe("history frames", () => {
+  it("returns raw snapshots in a window, oldest first", async () => {
+    const history = createHistoryStore({ sink: await createSink({ kind: "memory" }) });
+    for (const t of [3000, 1000, 2000]) {
+      await history.record(t, [{ compressor_id: "c1", timestamp: t }] as Batch);
+    }
+    assert.deepEqual(history.frames(1000, 3000).map(f => f.t), [1000, 2000]);
+  });
+});
@@ -0,0 +1,299 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Telemetry Replay
+   Plays a recorded window back through /api/latest and the
+   live stream, for incident reviews and training:
+
+     recorded frames → play / pause / seek / speed (1×, 10×, 60×)
+
+   Frames come from the raw history tier (compressors/history,
+   see sim/history.ts) or from an exported file:
+
+     .jsonl / .csv      rows from generate-dataset.ts
+     .json              generate-dataset columnar output, an
+                        array of rows, or a sink export keyed
+                        by timestamp (a whole file-sink dump
+                        works too)
+
+   Rows keep their recorded timestamps and carry
+   `replay: true`. Playback time runs on the wall clock at
+   `speed` times real time; every frame passed is emitted in
+   order, so the stream sees the recording as it was.
+--------------------------------------------------------- */
+
+import fs from "fs";
+import path from "path";
+import { parseInstant } from "./clock";
+import { SimulatorError, type Batch, type TelemetryRow } from "./types";
+
+export const REPLAY_SPEEDS = [1, 10, 60];
+export type ReplayStatus = "playing" | "paused" | "finished";
+
+const MAX_FRAMES = 200_000;
+const NUMERIC_FIELDS = ["timestamp", "temperature", "vibration", "pressure", "flow_rate", "risk_score"];
+
+export interface Frame {
+  t: number;
+  batch: Batch;
+}
+
+// ---------------- RECORDINGS ----------------
+// Groups rows into one frame per timestamp, oldest first
+export function framesFromRows(rows: unknown[]): Frame[] {
+  const byTime = new Map<number, Batch>();
+
+  rows.forEach((row: any, i) => {
+    if (!row || typeof row.compressor_id !== "string" || typeof row.timestamp !== "number") {
+      throw new SimulatorError(`Recorded row ${i} needs compressor_id and a numeric timestamp`);
+    }
+    const batch = byTime.get(row.timestamp) || [];
+    batch.push(row as TelemetryRow);
+    byTime.set(row.timestamp, batch);
+  });
+
+  return checkSize([...byTime.entries()].sort((a, b) => a[0] - b[0]).map(([t, batch]) => ({ t, batch })));
+}
+
+// { "<ts>": batch } as written under compressors/history
+export function framesFromSnapshots(snapshots: Record<string, unknown>): Frame[] {
+  const frames = Object.entries(snapshots)
+    .map(([key, batch]) => ({ t: Number(key), batch: Object.values(batch || {}) as Batch }))
+    .filter(frame => Number.isFinite(frame.t) && frame.batch.length > 0)
+    .sort((a, b) => a.t - b.t);
+  return checkSize(frames);
+}
+
+function checkSize(frames: Frame[]) {
+  if (frames.length > MAX_FRAMES) {
+    throw new SimulatorError(`Recording has ${frames.length} frames; at most ${MAX_FRAMES} can be replayed`);
+  }
+  return frames;
+}
+
+// CSV cells as generate-dataset.ts writes them: quoted when they hold
+// a comma, quote or newline
+function parseCsv(text: string): Record<string, unknown>[] {
+  const records: string[][] = [];
+  let record: string[] = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      record.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== "" || record.length > 0) records.push([...record, cell]);
+
+  const [header, ...body] = records;
+  if (!header) return [];
+
+  return body
+    .filter(cells => cells.some(Boolean))
+    .map(cells =>
+      Object.fromEntries(
+        header.map((name, i) => {
+          const raw = cells[i] ?? "";
+          if (raw === "") return [name, null];
+          if (NUMERIC_FIELDS.includes(name)) return [name, Number(raw)];
+          if (name === "ai_alert") return [name, raw === "true"];
+          return [name, raw];
+        })
+      )
+    );
+}
+
+function parseJsonRecording(data: any): Frame[] {
+  if (Array.isArray(data)) return framesFromRows(data);
+
+  if (data && data.columns && typeof data.columns === "object") {
+    const names = Object.keys(data.columns);
+    const count = data.num_rows ?? data.columns[names[0]]?.length ?? 0;
+    const rows = Array.from({ length: count }, (_, i) =>
+      Object.fromEntries(names.map(n => [n, data.columns[n][i]]))
+    );
+    return framesFromRows(rows);
+  }
+
+  if (data && typeof data === "object") {
+    return framesFromSnapshots(data.compressors?.history ?? data);
+  }
+  throw new SimulatorError("Unrecognized recording; expected rows, columnar data or history snapshots");
+}
+
+// Parses an exported recording; the format follows the file extension
+export function parseRecording(text: string, name: string): Frame[] {
+  const ext = path.extname(name).toLowerCase();
+  try {
+    if (ext === ".jsonl") {
+      const lines = text.split(/\r?\n/).filter(line => line.trim() !== "");
+      return framesFromRows(lines.map(line => JSON.parse(line)));
+    }
+    if (ext === ".csv") return framesFromRows(parseCsv(text));
+    if (ext === ".json") return parseJsonRecording(JSON.parse(text));
+  } catch (err) {
+    if (err instanceof SimulatorError) throw err;
+    throw new SimulatorError(`Cannot read recording ${name}: ${(err as Error).message}`);
+  }
+  throw new SimulatorError(`Unsupported recording ${name}; expected .jsonl, .csv or .json`);
+}
+
+// Files are looked up by bare name inside `dir`, never by path
+export function loadRecording(dir: string, name: unknown): Frame[] {
+  if (typeof name !== "string" || name === "" || path.basename(name) !== name || name.startsWith(".")) {
+    throw new SimulatorError("file must be a file name inside the replay directory");
+  }
+
+  const file = path.join(path.resolve(dir), name);
+  if (!fs.existsSync(file)) throw new SimulatorError(`Unknown recording ${name}`, 404);
+  return parseRecording(fs.readFileSync(file, "utf-8"), name);
+}
+
+export function parseSpeed(value: unknown) {
+  const speed = Number(value);
+  if (!REPLAY_SPEEDS.includes(speed)) {
+    throw new SimulatorError(`speed must be one of ${REPLAY_SPEEDS.join(", ")}`);
+  }
+  return speed;
+}
+
+// ---------------- PLAYBACK ----------------
+export interface ReplayOptions {
+  frames: Frame[];
+  // Where the frames came from, echoed in state()
+  source: Record<string, unknown>;
+  speed?: number;
+  now?: () => number;
+  // Every frame passed during playback and the frame after a seek
+  onFrame?: (batch: Batch) => void;
+  onFinish?: () => void;
+}
+
+export type Replay = ReturnType<typeof createReplay>;
+
+export function createReplay({
+  frames,
+  source,
+  speed: initialSpeed = 1,
+  now = () => Date.now(),
+  onFrame = () => {},
+  onFinish = () => {}
+}: ReplayOptions) {
+  if (frames.length === 0) throw new SimulatorError("Nothing to replay", 404);
+
+  const first = frames[0].t;
+  const last = frames[frames.length - 1].t;
+  const units = new Set(frames.flatMap(f => f.batch.map(row => row.compressor_id))).size;
+  let speed = parseSpeed(initialSpeed);
+  let index = 0;
+  let position = first;
+  let status: ReplayStatus = "paused";
+  // Wall time and position when playback last (re)started
+  let anchor: { wall: number; position: number } | null = null;
+
+  function flagged(i: number): Batch {
+    return frames[i].batch.map(row => ({ ...row, replay: true as const }));
+  }
+
+  // Moves the position to the wall clock and emits the frames passed
+  function update() {
+    if (status !== "playing" || !anchor) return 0;
+
+    position = Math.min(last, anchor.position + (now() - anchor.wall) * speed);
+    let emitted = 0;
+    while (index + 1 < frames.length && frames[index + 1].t <= position) {
+      index += 1;
+      emitted += 1;
+      onFrame(flagged(index));
+    }
+
+    if (position >= last) {
+      status = "finished";
+      anchor = null;
+      onFinish();
+    }
+    return emitted;
+  }
+
+  // From the start again once finished
+  function play() {
+    if (status === "finished") seek(first);
+    status = "playing";
+    anchor = { wall: now(), position };
+    return state();
+  }
+
+  function pause() {
+    update();
+    if (status === "playing") status = "paused";
+    anchor = null;
+    return state();
+  }
+
+  // Jumps to a recorded instant (epoch ms or ISO) within the recording
+  function seek(value: unknown) {
+    const target = Math.min(last, Math.max(first, parseInstant(value, "position")));
+    update();
+
+    position = target;
+    index = 0;
+    while (index + 1 < frames.length && frames[index + 1].t <= target) index += 1;
+    if (status === "finished") status = "paused";
+    if (status === "playing") anchor = { wall: now(), position };
+
+    onFrame(flagged(index));
+    return state();
+  }
+
+  function setSpeed(value: unknown) {
+    const next = parseSpeed(value);
+    update();
+    speed = next;
+    if (status === "playing") anchor = { wall: now(), position };
+    return state();
+  }
+
+  function state() {
+    return {
+      status,
+      speed,
+      from: first,
+      to: last,
+      position,
+      frame: index,
+      frames: frames.length,
+      units,
+      source
+    };
+  }
+
+  return {
+    update,
+    play,
+    pause,
+    seek,
+    setSpeed,
+    state,
+    current: () => flagged(index)
+  };
+}
@@ -0,0 +1,35 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import type { AddressInfo } from "net";
+import { createClock } from "./clock";
+import { createEngine } from "./engine";
+import { bearerToken, createSimulatorRouter } from "./routes";
+import { createSimulatorService } from "./service";
+import { createSink } from "./sinks";
+
+describe("bearer token", () => {
+  it("guards writes and leaves reads open", async () => {
+    const engine = createEngine({ seed: 3, aiMode: "heuristic", clock: createClock({ mode: "virtual" }) });
+    const service = createSimulatorService({ engine, sink: await createSink({ kind: "memory" }), logTicks: false });
+    const app = express();
+    app.use(express.json());
+    app.use("/api", createSimulatorRouter(service, { authorize: bearerToken("s3cret") }));
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise(resolve => server.once("listening", resolve));
+    const base = `http://127.0.0.1:${(server.address() as AddressInfo).port}/api`;
+    const pause = (authorization?: string) =>
+      fetch(`${base}/simulator/pause`, { method: "POST", headers: authorization ? { authorization } : {} });
+
+    try {
+      const missing = await pause();
+      assert.deepEqual([missing.status, await missing.json()], [401, { message: "Missing or invalid API token" }]);
+      assert.equal((await pause("Bearer wrong")).status, 401);
+      assert.equal((await pause("s3cret")).status, 401);
+      assert.equal((await pause("Bearer s3cret")).status, 200);
+      assert.equal((await fetch(`${base}/simulator`)).status, 200);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
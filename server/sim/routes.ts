@@ -0,0 +1,576 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — HTTP API
+   Express router over a simulator service. Paths are
+   relative to the mount point, which is /api for both the
+   standalone simulator and the main app:
+
+     app.use("/api", createSimulatorRouter(service));
+
+   Read endpoints are always open (Retool polls them). List
+   endpoints take ?node=site[/area[/line]] to narrow them to
+   one branch of the asset hierarchy.
+   Writes go through `options.authorize(permission)` so the
+   host app can put its own auth in front; the standalone
+   simulator uses bearerToken() when SIM_API_TOKEN is set.
+
+   Prometheus scrapes /metrics by default, so both hosts also
+   mount createMetricsHandler() at the root.
+--------------------------------------------------------- */
+
+import cors from "cors";
+import { createHash, timingSafeEqual } from "crypto";
+import { Router, type Request, type RequestHandler, type Response } from "express";
+import { parseDuration } from "./clock";
+import { UNIT_COMMANDS } from "./commands";
+import { AUDIENCES, type Audience } from "./insights";
+import { CONTENT_TYPES, negotiateFormat } from "./metrics";
+import type { SimulatorService } from "./service";
+import { SimulatorError } from "./types";
+
+// control: pause/resume/step/fast-forward, replay, setpoints and unit
+// commands, configure: threshold and template edits, unit modes and
+// notification tests, scenarios: fault injection, alerts: ack/resolve,
+// maintenance: work orders, fleet: add/remove units, ingest: live readings
+export type Permission =
+  | "control"
+  | "configure"
+  | "scenarios"
+  | "alerts"
+  | "maintenance"
+  | "fleet"
+  | "ingest";
+
+export interface RouterOptions {
+  authorize?: (permission: Permission) => RequestHandler;
+  // Name recorded on acknowledgements, resolutions, commands and work
+  // orders instead of body.user
+  actor?: (req: Request) => string | undefined;
+  // Insight audience when ?role= is absent; non-audience values mean all
+  audience?: (req: Request) => string | undefined;
+}
+
+const allow: RequestHandler = (req, res, next) => next();
+
+// For hosts without user accounts: every write needs
+// `Authorization: Bearer <token>`. Digests keep the comparison
+// constant-time whatever the length of the given token.
+export function bearerToken(token: string): (permission: Permission) => RequestHandler {
+  const expected = createHash("sha256").update(token).digest();
+  const check: RequestHandler = (req, res, next) => {
+    const match = /^Bearer (.+)$/.exec(req.get("authorization") || "");
+    const given = createHash("sha256").update(match ? match[1] : "").digest();
+    if (match && timingSafeEqual(given, expected)) return next();
+    res.status(401).json({ message: "Missing or invalid API token" });
+  };
+  return () => check;
+}
+
+function sendError(res: Response, err: any) {
+  res.status(err.status || 500).json({ message: err.message });
+}
+
+// Prometheus text, or OpenMetrics when the Accept header asks for it
+export function createMetricsHandler(service: SimulatorService): RequestHandler {
+  return (req, res) => {
+    const format = negotiateFormat(req.get("accept"));
+    res.type(CONTENT_TYPES[format]).send(service.metrics(format));
+  };
+}
+
+export function createSimulatorRouter(service: SimulatorService, options: RouterOptions = {}) {
+  const router = Router();
+  const authorize = options.authorize || (() => allow);
+  const actor = options.actor || ((req: Request) => (req.body || {}).user);
+  const { engine, stream } = service;
+  const { insights, scenarios, thresholds } = engine;
+
+  // Retool and other dashboards call the API from their own origin
+  router.use(cors());
+
+  // ?node= keeps the items of units under that hierarchy node
+  function underNode<T>(req: Request, items: T[], idOf: (item: T) => string) {
+    const ids = service.unitsIn(req.query.node);
+    return ids ? items.filter(item => ids.includes(idOf(item))) : items;
+  }
+
+  // ---------------- TELEMETRY ----------------
+  router.get("/latest", (req, res) => {
+    // Wake simulator when UI requests data, and tell auto-stop the UI is alive
+    service.touch();
+    try {
+      res.json(underNode(req, service.latest(), row => row.compressor_id));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Aggregated series: ?compressor=&node=&from=&to=&fields=&bucket=
+  router.get("/history", async (req, res) => {
+    try {
+      res.json(await service.queryHistory(req.query));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Availability, MTBF/MTTR, time per status and in warning, warnings by
+  // event type and mean risk per unit and fleet: ?from=&to=&compressor=&node=
+  router.get("/kpis", (req, res) => {
+    try {
+      res.json(service.queryKpis(req.query));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Push stream of ticks and events (replaces polling /api/latest)
+  router.get("/stream", (req, res) => {
+    service.touch();
+    stream.handleSse(req, res);
+  });
+
+  // Everything known about one unit: definition, threshold profile,
+  // latest row, operating point, operator control, running fault
+  // scenarios, anomaly score and active alerts
+  router.get("/compressors/:id", (req, res) => {
+    const state = engine.state(req.params.id);
+    if (!state) {
+      return res.status(404).json({ message: `Unknown compressor ${req.params.id}` });
+    }
+
+    res.json({
+      ...state.unit,
+      threshold_profile: thresholds.resolveId(state.unit),
+      latest: state.latest,
+      operating_point: state.operating,
+      control: state.memory.control,
+      scenarios: state.scenarios,
+      anomaly: state.anomaly,
+      feed: state.feed,
+      alerts: service.listAlerts({ status: "active", compressor: req.params.id })
+    });
+  });
+
+  // Body: { load?: 0–110 (% of rated), ambient?: °C, inletPressure?: bar(a) }
+  router.post("/compressors/:id/setpoint", authorize("control"), (req, res) => {
+    try {
+      const result = service.setpoint(req.params.id, req.body);
+      console.log(`Setpoint: ${req.params.id} →`, result.setpoint);
+      res.json(result);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // ---------------- LIVE READINGS ----------------
+  // Body: { mode: "simulated" | "live" | "shadow" }
+  router.post("/compressors/:id/mode", authorize("configure"), (req, res) => {
+    try {
+      const result = service.setMode(req.params.id, (req.body || {}).mode);
+      console.log(`Mode: ${req.params.id} ${result.previous} → ${result.mode}`);
+      res.json(result);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // One reading, an array or { readings: [...] } (see sim/ingest.ts).
+  // 202 when any reading was queued; 400 when every one was rejected.
+  router.post("/ingest", authorize("ingest"), (req, res) => {
+    try {
+      const result = service.ingest(req.body);
+      res.status(result.accepted > 0 ? 202 : 400).json(result);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // ---------------- COMMANDS ----------------
+  // POST /compressors/:id/start|stop|shutdown|trip|reset, body: { note? }
+  for (const name of UNIT_COMMANDS) {
+    router.post(`/compressors/:id/${name}`, authorize("control"), (req, res) => {
+      try {
+        const { note } = req.body || {};
+        const record = service.command(req.params.id, name, actor(req), note);
+        console.log(`Command: ${name} ${req.params.id} by ${record.issued_by ?? "unknown"}`);
+        res.status(202).json(record);
+      } catch (err) {
+        sendError(res, err);
+      }
+    });
+  }
+
+  // Audit trail, newest first: ?compressor=&command=
+  router.get("/commands", (req, res) => {
+    const { compressor, command } = req.query as Record<string, string | undefined>;
+    res.json(service.listCommands({ compressor, command }));
+  });
+
+  router.get("/metrics", createMetricsHandler(service));
+
+  // Heartbeat endpoint for UI activity
+  router.post("/heartbeat", (req, res) => {
+    service.touch({ wake: false });
+    res.json({ ok: true });
+  });
+
+  // ---------------- SIMULATOR ----------------
+  router.get("/simulator", (req, res) => {
+    res.json(service.info());
+  });
+
+  // Pause/resume the tick loop; step runs one tick (e.g. while paused)
+  router.post("/simulator/pause", authorize("control"), (req, res) => {
+    res.json(service.pause());
+  });
+
+  router.post("/simulator/resume", authorize("control"), (req, res) => {
+    try {
+      res.json(service.resume());
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.post("/simulator/step", authorize("control"), async (req, res) => {
+    try {
+      res.json(await service.step());
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Body: { duration: "6h" } — virtual clock only
+  router.post("/simulator/fast-forward", authorize("control"), async (req, res) => {
+    try {
+      const durationMs = parseDuration((req.body || {}).duration, "duration");
+      res.json(await service.fastForward(durationMs));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // ---------------- REPLAY ----------------
+  // Loaded recording and playback position, or { status: "idle" }
+  router.get("/replay", (req, res) => {
+    res.json(service.replayState() ?? { status: "idle" });
+  });
+
+  // Body: { from?, to?, compressor?, node? } from history, or { file }
+  // from SIM_REPLAY_DIR; plus { speed?: 1 | 10 | 60, paused? }. Holds
+  // the live simulation until DELETE /replay; pause/resume meanwhile
+  // apply once it stops.
+  router.post("/replay", authorize("control"), (req, res) => {
+    try {
+      res.status(201).json(service.startReplay(req.body));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // POST /replay/play|pause, /replay/seek { position }, /replay/speed { speed }
+  const REPLAY_VALUES: Record<string, string> = { seek: "position", speed: "speed" };
+  for (const action of ["play", "pause", "seek", "speed"]) {
+    router.post(`/replay/${action}`, authorize("control"), (req, res) => {
+      try {
+        const key = REPLAY_VALUES[action];
+        res.json(service.controlReplay(action, key ? (req.body || {})[key] : undefined));
+      } catch (err) {
+        sendError(res, err);
+      }
+    });
+  }
+
+  router.delete("/replay", authorize("control"), (req, res) => {
+    try {
+      res.json(service.stopReplay());
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // ---------------- FLEET ----------------
+  router.get("/fleet", (req, res) => {
+    try {
+      res.json(underNode(req, engine.units(), unit => unit.id));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Site → area → line → unit tree with roll-ups per node (worst warning,
+  // counts by status, alerts, risk); ?node= returns one subtree
+  router.get("/hierarchy", (req, res) => {
+    try {
+      res.json(service.hierarchy(req.query.node));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.post("/fleet", authorize("fleet"), (req, res) => {
+    try {
+      const unit = service.addUnit(req.body);
+      console.log(`Fleet: added ${unit.id}`);
+      res.status(201).json(unit);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.delete("/fleet/:id", authorize("fleet"), (req, res) => {
+    if (!service.removeUnit(req.params.id)) {
+      return res.status(404).json({ message: `Unknown compressor ${req.params.id}` });
+    }
+
+    console.log(`Fleet: removed ${req.params.id}`);
+    res.json({ ok: true });
+  });
+
+  // ---------------- THRESHOLDS ----------------
+  router.get("/thresholds", (req, res) => {
+    res.json(thresholds.list());
+  });
+
+  router.get("/thresholds/:id", (req, res) => {
+    const profile = thresholds.get(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ message: `Unknown threshold profile ${req.params.id}` });
+    }
+    res.json({ id: req.params.id, ...profile });
+  });
+
+  router.put("/thresholds/:id", authorize("configure"), (req, res) => {
+    try {
+      const profile = service.putThreshold(req.params.id, req.body);
+      console.log(`Thresholds: profile ${req.params.id} updated`);
+      res.json({ id: req.params.id, ...profile });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // ---------------- FORECAST ----------------
+  // Projection, time to medium/high per channel and RUL (see sim/forecast.ts)
+  router.get("/forecast/:id", (req, res) => {
+    const forecast = engine.forecast(req.params.id);
+    if (!forecast) {
+      return res.status(404).json({ message: `Unknown compressor ${req.params.id}` });
+    }
+    res.json(forecast);
+  });
+
+  // ---------------- INSIGHTS ----------------
+  function isAudience(value: unknown): value is Audience {
+    return AUDIENCES.includes(value as Audience);
+  }
+
+  // Must precede /insights/:id
+  router.get("/insights/templates", (req, res) => {
+    res.json(insights.list());
+  });
+
+  // Body: { labels?, audiences: { operator: [rules], manager, engineer, maintenance } }
+  router.put("/insights/templates/:locale", authorize("configure"), (req, res) => {
+    try {
+      const templates = insights.put(req.params.locale, req.body);
+      console.log(`Insights: locale ${req.params.locale} updated`);
+      res.json({ locale: req.params.locale, ...templates });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // ?role=operator|manager|engineer|maintenance narrows the view to one
+  // audience; ?lang= (else Accept-Language) picks the locale
+  router.get("/insights/:id", (req, res) => {
+    try {
+      const { role, lang } = req.query as Record<string, string | undefined>;
+      if (role !== undefined && !isAudience(role)) {
+        throw new SimulatorError(`Unknown role ${role}; expected one of ${AUDIENCES.join(", ")}`);
+      }
+
+      const fallback = options.audience && options.audience(req);
+      const audience = role ?? (isAudience(fallback) ? fallback : undefined);
+      const locale = lang ||
+        (req.headers["accept-language"] && req.acceptsLanguages(...insights.locales())) ||
+        undefined;
+
+      res.json(service.insights(req.params.id, { audience, locale }));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // ---------------- ALERTS ----------------
+  router.get("/alerts", (req, res) => {
+    try {
+      const { status, compressor, severity } = req.query as Record<string, string | undefined>;
+      res.json(underNode(req, service.listAlerts({ status, compressor, severity }), a => a.compressor_id));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get("/alerts/:id", (req, res) => {
+    const alert = service.getAlert(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ message: `Unknown alert ${req.params.id}` });
+    }
+    res.json(alert);
+  });
+
+  router.post("/alerts/:id/ack", authorize("alerts"), (req, res) => {
+    try {
+      const { note } = req.body || {};
+      res.json(service.acknowledgeAlert(req.params.id, actor(req), note));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.post("/alerts/:id/resolve", authorize("alerts"), (req, res) => {
+    try {
+      const { note } = req.body || {};
+      res.json(service.resolveAlert(req.params.id, actor(req), note));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // ---------------- WORK ORDERS ----------------
+  // ?status=open|in_progress|done|active&compressor=&node=&alert=&assignee=
+  router.get("/work-orders", (req, res) => {
+    try {
+      const { status, compressor, alert, assignee } = req.query as Record<string, string | undefined>;
+      const orders = service.listWorkOrders({ status, compressor, alert, assignee });
+      res.json(underNode(req, orders, o => o.compressor_id));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get("/work-orders/:id", (req, res) => {
+    const order = service.getWorkOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: `Unknown work order ${req.params.id}` });
+    }
+    res.json(order);
+  });
+
+  // Body: { compressor_id, alert_id?, title?, kind?, assignee?, note?, parts?: [{ name, quantity? }] }
+  router.post("/work-orders", authorize("maintenance"), (req, res) => {
+    try {
+      const order = service.createWorkOrder(req.body, actor(req));
+      console.log(`Work order ${order.id} opened for ${order.compressor_id}`);
+      res.status(201).json(order);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Body: { status?: "open" | "in_progress", kind?, assignee?, note?, parts? }
+  router.patch("/work-orders/:id", authorize("maintenance"), (req, res) => {
+    try {
+      res.json(service.updateWorkOrder(req.params.id, req.body, actor(req)));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Body: { note?, parts?, reset?: true } — reset clears the unit's wear,
+  // drift and fault scenarios
+  router.post("/work-orders/:id/close", authorize("maintenance"), (req, res) => {
+    try {
+      const order = service.closeWorkOrder(req.params.id, req.body || {}, actor(req));
+      console.log(`Work order ${order.id} done${order.repair ? `, ${order.compressor_id} reset` : ""}`);
+      res.json(order);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // ---------------- NOTIFICATIONS ----------------
+  // Deliveries, newest first: ?status=pending|sent|failed&compressor=&node=&subscription=
+  router.get("/notifications", (req, res) => {
+    try {
+      const { status, compressor, subscription } = req.query as Record<string, string | undefined>;
+      const deliveries = service.listNotifications({ status, compressor, subscription });
+      res.json(underNode(req, deliveries, d => d.compressor_id));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Counts by delivery status and of notices dropped by dedup, rate
+  // limit and quiet hours
+  router.get("/notifications/stats", (req, res) => {
+    res.json(service.notificationStats());
+  });
+
+  // Sends a sample notice through one subscription's channel right away
+  router.post("/notifications/test/:subscription", authorize("configure"), async (req, res) => {
+    try {
+      const delivery = await service.testNotification(req.params.subscription);
+      res.status(delivery.status === "sent" ? 200 : 502).json(delivery);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // ---------------- SCENARIOS ----------------
+  function checkUnits(ids: unknown) {
+    const unknown = (Array.isArray(ids) ? ids : []).filter(id => !engine.has(id));
+    if (unknown.length > 0) {
+      throw new SimulatorError(`Unknown compressors: ${unknown.join(", ")}`);
+    }
+  }
+
+  router.get("/scenarios", (req, res) => {
+    res.json(scenarios.list());
+  });
+
+  // Body: { compressors: ["compressor_2"], durationMs?: 60000 }
+  router.post("/scenarios/:name/start", authorize("scenarios"), (req, res) => {
+    try {
+      const { compressors, durationMs } = req.body || {};
+      checkUnits(compressors);
+      const runs = scenarios.start(req.params.name, compressors, { durationMs });
+      console.log(`Scenario ${req.params.name} started on ${compressors.join(", ")}`);
+      res.status(201).json(runs);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // Body: { compressors?: [...] }; every unit running it by default
+  router.post("/scenarios/:name/stop", authorize("scenarios"), (req, res) => {
+    try {
+      const { compressors } = req.body || {};
+      checkUnits(compressors);
+      res.json(scenarios.stop({ name: req.params.name, compressors }));
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.delete("/scenarios/runs/:runId", authorize("scenarios"), (req, res) => {
+    const stopped = scenarios.stop({ runId: req.params.runId });
+    if (stopped.length === 0) {
+      return res.status(404).json({ message: `Unknown scenario run ${req.params.runId}` });
+    }
+    res.json(stopped[0]);
+  });
+
+  // Body: { steps: [{ at: 0, scenario: "leak", compressors: [...], durationMs? }] }
+  router.post("/scenarios/script", authorize("scenarios"), (req, res) => {
+    try {
+      scenarios.checkScript(req.body).forEach(step => checkUnits(step.compressors));
+      res.status(202).json({ scheduled: scenarios.runScript(req.body) });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  return router;
+}
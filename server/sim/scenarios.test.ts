@@ -0,0 +1,174 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import type { AddressInfo } from "net";
+import { createClock } from "./clock";
+import { createEngine } from "./engine";
+import { createSimulatorRouter } from "./routes";
+import { createScenarioEngine, loadScenarioConfig, type ScenarioConfig } from "./scenarios";
+import { createSimulatorService } from "./service";
+import { createSink } from "./sinks";
+
+const CONFIG: ScenarioConfig = {
+  scenarios: {
+    heat: { durationMs: 10_000, effects: [{ channel: "temperature", shape: "ramp", delta: 10 }] },
+    shake: { durationMs: 5000, effects: [{ channel: "vibration", shape: "step", delta: 1 }] },
+    floor: { durationMs: 5000, effects: [{ channel: "pressure", shape: "hold", max: 95 }] },
+    trip: { durationMs: 5000, status: "offline" }
+  },
+  schedules: [{ scenario: "shake", compressors: ["c1"], everyMs: 60_000 }]
+};
+
+function scenarioEngine(config: ScenarioConfig = { scenarios: CONFIG.scenarios }) {
+  let clock = 1_000_000;
+  let ids = 0;
+  const scenarios = createScenarioEngine(config, { now: () => clock, newId: () => `run-${++ids}` });
+  return { scenarios, advance: (ms: number) => (clock += ms), now: () => clock };
+}
+
+describe("scenario config", () => {
+  it("loads the bundled scenarios", () => {
+    const scenarios = createScenarioEngine(loadScenarioConfig());
+    assert.deepEqual(scenarios.names(), ["demo_pulse", "bearing_wear", "cooling_failure", "leak", "trip"]);
+  });
+
+  it("rejects invalid definitions", () => {
+    const cases: [unknown, RegExp][] = [
+      [{ durationMs: 1000 }, /bad needs effects or a status/],
+      [{ durationMs: 1000, status: "active" }, /bad.status must be one of offline, inactive/],
+      [{ durationMs: 1000, effects: [{ channel: "humidity", shape: "step", delta: 1 }] }, /channel must be one of/],
+      [{ durationMs: 1000, effects: [{ channel: "flow", shape: "hold" }] }, /hold needs min and\/or max/],
+      [{ durationMs: 1000, effects: [{ channel: "flow", shape: "ramp" }] }, /delta must be a number/],
+      [{ durationMs: 0, status: "offline" }, /bad.durationMs must be between/]
+    ];
+    for (const [def, message] of cases) {
+      assert.throws(() => createScenarioEngine({ scenarios: { bad: def } }), message);
+    }
+    assert.throws(
+      () => createScenarioEngine({ scenarios: {}, schedules: [{ scenario: "nope", compressors: [], everyMs: 1000 }] }),
+      { status: 500 }
+    );
+  });
+});
+
+describe("scenario runs", () => {
+  it("ramps and steps offsets over the run and expires it", () => {
+    const { scenarios, advance } = scenarioEngine();
+    const [run] = scenarios.start("heat", ["c1"]);
+    scenarios.start("shake", ["c1"], { durationMs: 20_000 });
+    assert.deepEqual([run.id, run.source, run.ends_at - run.started_at], ["run-1", "api", 10_000]);
+
+    advance(2500);
+    assert.deepEqual(scenarios.overlay("c1"), { temperature: 2.5, vibration: 1, pressure: 0, flow: 0 });
+    assert.deepEqual(scenarios.overlay("c2"), { temperature: 0, vibration: 0, pressure: 0, flow: 0 });
+
+    advance(7500);
+    scenarios.tick();
+    assert.deepEqual(scenarios.activeFor("c1").map(r => r.scenario), ["shake"]);
+  });
+
+  it("applies holds and forced statuses", () => {
+    const { scenarios } = scenarioEngine();
+    scenarios.start("floor", ["c1"]);
+    scenarios.start("trip", ["c2"]);
+
+    const mem = { temperature: 80, vibration: 3, pressure: 101, flow: 200 };
+    scenarios.applyHolds("c1", mem);
+    assert.equal(mem.pressure, 95);
+    assert.equal(scenarios.statusOverride("c1"), null);
+    assert.equal(scenarios.statusOverride("c2"), "offline");
+  });
+
+  it("stops runs by id, scenario and unit", () => {
+    const { scenarios } = scenarioEngine();
+    scenarios.start("heat", ["c1", "c2", "c3"]);
+    scenarios.start("shake", ["c1"]);
+
+    assert.deepEqual(scenarios.stop({ name: "heat", compressors: ["c2"] }).map(r => r.compressor_id), ["c2"]);
+    assert.deepEqual(scenarios.stop({ runId: "run-4" }).map(r => r.scenario), ["shake"]);
+    assert.deepEqual(scenarios.stop({ name: "heat" }).map(r => r.compressor_id), ["c1", "c3"]);
+    assert.deepEqual(scenarios.stop({ name: "heat" }), []);
+
+    assert.throws(() => scenarios.stop({ name: "nope" }), { status: 404 });
+    assert.throws(() => scenarios.stop({ name: "heat", compressors: "c1" as any }), /compressors must be an array/);
+    assert.throws(() => scenarios.start("heat", []), /compressors must be a non-empty array/);
+    assert.throws(() => scenarios.start("heat", ["c1"], { durationMs: -1 }), /durationMs must be between/);
+  });
+
+  it("runs scripted steps when they fall due", () => {
+    const { scenarios, advance } = scenarioEngine();
+    assert.equal(scenarios.runScript({
+      steps: [
+        { at: 5000, scenario: "trip", compressors: ["c2"] },
+        { at: 0, scenario: "heat", compressors: ["c1"], durationMs: 2000 }
+      ]
+    }), 2);
+
+    scenarios.tick();
+    assert.deepEqual(scenarios.list().runs.map(r => [r.scenario, r.source]), [["heat", "script"]]);
+    assert.equal(scenarios.list().pending_steps, 1);
+
+    advance(5000);
+    scenarios.tick();
+    assert.deepEqual(scenarios.list().runs.map(r => r.scenario), ["trip"]);
+    assert.throws(() => scenarios.runScript({ steps: [{ at: -1, scenario: "trip", compressors: ["c1"] }] }), /steps\[0\].at/);
+  });
+
+  it("fires schedules at aligned phases for the rest of the window", () => {
+    const { scenarios, advance, now } = scenarioEngine(CONFIG);
+    advance(60_000 - (now() % 60_000) + 2000);
+    scenarios.tick();
+
+    const [run] = scenarios.list().runs;
+    assert.deepEqual([run.scenario, run.source, run.ends_at - run.started_at], ["shake", "schedule:0", 3000]);
+    scenarios.tick();
+    assert.equal(scenarios.list().runs.length, 1);
+
+    advance(3000);
+    scenarios.tick();
+    assert.equal(scenarios.list().runs.length, 0);
+  });
+});
+
+describe("scenario routes", () => {
+  it("maps stop and script errors to their status codes", async () => {
+    const engine = createEngine({ seed: 3, aiMode: "heuristic", clock: createClock({ mode: "virtual" }) });
+    const service = createSimulatorService({ engine, sink: await createSink({ kind: "memory" }), logTicks: false });
+    const app = express();
+    app.use(express.json());
+    app.use("/api", createSimulatorRouter(service));
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise(resolve => server.once("listening", resolve));
+    const base = `http://127.0.0.1:${(server.address() as AddressInfo).port}/api/scenarios`;
+    const post = (path: string, body: unknown) =>
+      fetch(`${base}${path}`, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+
+    try {
+      assert.equal((await post("/leak/start", { compressors: ["compressor_2"] })).status, 201);
+
+      const unknownScenario = await post("/nope/stop", {});
+      assert.deepEqual([unknownScenario.status, await unknownScenario.json()], [404, { message: "Unknown scenario nope" }]);
+      assert.equal((await post("/leak/stop", { compressors: ["compressor_99"] })).status, 400);
+      assert.equal((await post("/leak/stop", { compressors: "compressor_2" })).status, 400);
+
+      const stopped = await post("/leak/stop", { compressors: ["compressor_2"] });
+      const runs = (await stopped.json()) as { compressor_id: string }[];
+      assert.deepEqual(runs.map(r => r.compressor_id), ["compressor_2"]);
+
+      // Malformed scripts are rejected before any unit check
+      for (const [body, message] of [
+        [{ steps: {} }, "script.steps must be an array"],
+        [{ steps: "x" }, "script.steps must be an array"],
+        [{ steps: [null] }, "steps[0] must be an object"],
+        [{ steps: [{ at: 0, scenario: "leak", compressors: ["compressor_99"] }] }, "Unknown compressors: compressor_99"]
+      ] as const) {
+        const rejected = await post("/script", body);
+        assert.deepEqual([rejected.status, await rejected.json()], [400, { message }]);
+      }
+      const script = await post("/script", { steps: [{ at: 0, scenario: "leak", compressors: ["compressor_2"] }] });
+      assert.deepEqual([script.status, await script.json()], [202, { scheduled: 1 }]);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,327 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Fault Scenarios
+   Scripted faults applied to individual units for a set
+   duration. A scenario is a list of channel effects and/or a
+   forced status:
+
+     ramp  — offset grows linearly from 0 to delta over the run
+     step  — constant offset of delta for the whole run
+     hold  — keeps the channel at least min / at most max
+             (applied to the unit's memory, like the old demo
+             driver, so drift continues from there)
+     status — forces the unit into "offline" or "inactive"
+
+   Runs start from the API, from periodic schedules (e.g. the
+   demo pulse on compressor_1) or from a script of timed steps.
+--------------------------------------------------------- */
+
+import fs from "fs";
+import { randomUUID } from "crypto";
+import defaultScenarios from "./scenarios.json";
+import { SimulatorError, type Channel, type Readings, type UnitStatus } from "./types";
+
+const CHANNELS: Channel[] = ["temperature", "vibration", "pressure", "flow"];
+const SHAPES = ["ramp", "step", "hold"];
+const FORCED_STATUSES = ["offline", "inactive"];
+const MAX_DURATION_MS = 24 * 60 * 60 * 1000;
+
+export interface ScenarioEffect {
+  channel: Channel;
+  shape: "ramp" | "step" | "hold";
+  delta?: number;
+  min?: number;
+  max?: number;
+}
+
+export interface Scenario {
+  name: string;
+  description: string;
+  durationMs: number;
+  status: UnitStatus | null;
+  effects: ScenarioEffect[];
+}
+
+export interface ScenarioRun {
+  id: string;
+  scenario: string;
+  compressor_id: string;
+  source: string;
+  started_at: number;
+  ends_at: number;
+}
+
+export interface ScenarioSchedule {
+  scenario: string;
+  compressors: string[];
+  everyMs: number;
+}
+
+export interface ScriptStep {
+  at: number;
+  scenario: string;
+  compressors: string[];
+  durationMs?: number;
+}
+
+export interface ScenarioScript {
+  steps: ScriptStep[];
+}
+
+export interface ScenarioConfig {
+  scenarios?: Record<string, unknown>;
+  schedules?: ScenarioSchedule[];
+}
+
+export interface ScenarioEngineOptions {
+  now?: () => number;
+  newId?: () => string;
+}
+
+function fail(message: string, status = 400): never {
+  throw new SimulatorError(message, status);
+}
+
+// ---------------- VALIDATION ----------------
+function validateScenario(name: string, def: any): Scenario {
+  if (!def || typeof def !== "object") fail(`Scenario "${name}" must be an object`);
+
+  const effects = def.effects || [];
+  if (!Array.isArray(effects)) fail(`${name}.effects must be an array`);
+  if (effects.length === 0 && !def.status) fail(`${name} needs effects or a status`);
+
+  if (def.status && !FORCED_STATUSES.includes(def.status)) {
+    fail(`${name}.status must be one of ${FORCED_STATUSES.join(", ")}`);
+  }
+
+  effects.forEach((e: any, i: number) => {
+    const label = `${name}.effects[${i}]`;
+    if (!CHANNELS.includes(e.channel)) fail(`${label}.channel must be one of ${CHANNELS.join(", ")}`);
+    if (!SHAPES.includes(e.shape)) fail(`${label}.shape must be one of ${SHAPES.join(", ")}`);
+
+    if (e.shape === "hold") {
+      if (typeof e.min !== "number" && typeof e.max !== "number") {
+        fail(`${label}: hold needs min and/or max`);
+      }
+    } else if (typeof e.delta !== "number" || !Number.isFinite(e.delta)) {
+      fail(`${label}.delta must be a number`);
+    }
+  });
+
+  checkDuration(`${name}.durationMs`, def.durationMs);
+
+  return {
+    name,
+    description: def.description || "",
+    durationMs: def.durationMs,
+    status: def.status || null,
+    effects
+  };
+}
+
+function checkDuration(label: string, ms: unknown): asserts ms is number {
+  if (typeof ms !== "number" || !(ms > 0) || ms > MAX_DURATION_MS) {
+    fail(`${label} must be between 1 and ${MAX_DURATION_MS} ms`);
+  }
+}
+
+// ---------------- ENGINE ----------------
+export type ScenarioEngine = ReturnType<typeof createScenarioEngine>;
+
+export function createScenarioEngine(
+  config: ScenarioConfig,
+  { now = () => Date.now(), newId = randomUUID }: ScenarioEngineOptions = {}
+) {
+  const scenarios = new Map<string, Scenario>();
+  for (const [name, def] of Object.entries(config.scenarios || {})) {
+    scenarios.set(name, validateScenario(name, def));
+  }
+
+  const schedules = (config.schedules || []).map((s, i) => {
+    if (!scenarios.has(s.scenario)) fail(`schedules[${i}]: unknown scenario "${s.scenario}"`, 500);
+    checkDuration(`schedules[${i}].everyMs`, s.everyMs);
+    return { ...s, key: `schedule:${i}` };
+  });
+
+  const runs = new Map<string, ScenarioRun>();
+  let pendingSteps: (ScriptStep & { due: number })[] = [];
+
+  function scenarioOrThrow(name: string) {
+    const def = scenarios.get(name);
+    if (!def) fail(`Unknown scenario ${name}`, 404);
+    return def;
+  }
+
+  function start(
+    name: string,
+    compressorIds: string[],
+    { durationMs, source = "api" }: { durationMs?: number | string; source?: string } = {}
+  ) {
+    const def = scenarioOrThrow(name);
+    const duration = durationMs === undefined ? def.durationMs : Number(durationMs);
+    checkDuration("durationMs", duration);
+
+    if (!Array.isArray(compressorIds) || compressorIds.length === 0) {
+      fail("compressors must be a non-empty array");
+    }
+
+    const startedAt = now();
+    return compressorIds.map(id => {
+      const run: ScenarioRun = {
+        id: newId(),
+        scenario: name,
+        compressor_id: id,
+        source,
+        started_at: startedAt,
+        ends_at: startedAt + duration
+      };
+      runs.set(run.id, run);
+      return run;
+    });
+  }
+
+  // Stops by run id, or every run of a scenario (optionally on given units)
+  function stop({ runId, name, compressors }: { runId?: string; name?: string; compressors?: string[] } = {}) {
+    if (name !== undefined) scenarioOrThrow(name);
+    if (compressors !== undefined && !Array.isArray(compressors)) fail("compressors must be an array");
+
+    const stopped: ScenarioRun[] = [];
+    for (const run of runs.values()) {
+      if (runId && run.id !== runId) continue;
+      if (name && run.scenario !== name) continue;
+      if (compressors && !compressors.includes(run.compressor_id)) continue;
+      runs.delete(run.id);
+      stopped.push(run);
+    }
+    return stopped;
+  }
+
+  // Script: { steps: [{ at, scenario, compressors, durationMs }] }, at in ms
+  // relative to when the script is loaded. checkScript() validates it
+  // without scheduling anything and returns the steps.
+  function checkScript(script: unknown): ScriptStep[] {
+    const steps = (script as ScenarioScript | null)?.steps;
+    if (!Array.isArray(steps)) fail("script.steps must be an array");
+
+    steps.forEach((step, i) => {
+      if (!step || typeof step !== "object" || Array.isArray(step)) fail(`steps[${i}] must be an object`);
+      scenarioOrThrow(step.scenario);
+      if (typeof step.at !== "number" || step.at < 0) fail(`steps[${i}].at must be >= 0`);
+      if (!Array.isArray(step.compressors) || step.compressors.length === 0) {
+        fail(`steps[${i}].compressors must be a non-empty array`);
+      }
+      if (step.durationMs !== undefined) checkDuration(`steps[${i}].durationMs`, step.durationMs);
+    });
+    return steps;
+  }
+
+  function runScript(script: unknown) {
+    const base = now();
+    const steps = checkScript(script).map(step => ({ ...step, due: base + step.at }));
+
+    pendingSteps = pendingSteps.concat(steps).sort((a, b) => a.due - b.due);
+    return steps.length;
+  }
+
+  // Called once per tick before units are generated
+  function tick() {
+    const t = now();
+
+    for (const run of runs.values()) {
+      if (t >= run.ends_at) runs.delete(run.id);
+    }
+
+    while (pendingSteps.length > 0 && pendingSteps[0].due <= t) {
+      const step = pendingSteps.shift()!;
+      start(step.scenario, step.compressors, { durationMs: step.durationMs, source: "script" });
+    }
+
+    // Schedules fire at wall-clock aligned phases, e.g. 20s of every 3 min
+    for (const schedule of schedules) {
+      const def = scenarios.get(schedule.scenario)!;
+      const phase = t % schedule.everyMs;
+      if (phase >= def.durationMs) continue;
+
+      for (const id of schedule.compressors) {
+        const running = [...runs.values()].some(
+          r => r.source === schedule.key && r.compressor_id === id
+        );
+        if (!running) {
+          start(schedule.scenario, [id], { durationMs: def.durationMs - phase, source: schedule.key });
+        }
+      }
+    }
+  }
+
+  function activeFor(id: string) {
+    return [...runs.values()].filter(r => r.compressor_id === id);
+  }
+
+  function statusOverride(id: string): UnitStatus | null {
+    for (const run of activeFor(id)) {
+      const def = scenarios.get(run.scenario)!;
+      if (def.status) return def.status;
+    }
+    return null;
+  }
+
+  // Hold effects act on memory before drift, like the old demo driver
+  function applyHolds(id: string, mem: Readings) {
+    for (const run of activeFor(id)) {
+      for (const e of scenarios.get(run.scenario)!.effects) {
+        if (e.shape !== "hold") continue;
+        if (typeof e.min === "number") mem[e.channel] = Math.max(mem[e.channel], e.min);
+        if (typeof e.max === "number") mem[e.channel] = Math.min(mem[e.channel], e.max);
+      }
+    }
+  }
+
+  // Ramp/step offsets are layered on top of the clamped readings so a
+  // fault can push a channel beyond its normal operating range.
+  function overlay(id: string): Readings {
+    const offsets = { temperature: 0, vibration: 0, pressure: 0, flow: 0 };
+    const t = now();
+
+    for (const run of activeFor(id)) {
+      const progress = Math.min(1, (t - run.started_at) / (run.ends_at - run.started_at));
+      for (const e of scenarios.get(run.scenario)!.effects) {
+        if (e.shape === "ramp") offsets[e.channel] += (e.delta as number) * progress;
+        if (e.shape === "step") offsets[e.channel] += e.delta as number;
+      }
+    }
+
+    return offsets;
+  }
+
+  function list() {
+    return {
+      scenarios: [...scenarios.values()],
+      schedules: schedules.map(({ key, ...s }) => s),
+      runs: [...runs.values()],
+      pending_steps: pendingSteps.length
+    };
+  }
+
+  return {
+    has: (name: string) => scenarios.has(name),
+    names: () => [...scenarios.keys()],
+    list,
+    start,
+    stop,
+    checkScript,
+    runScript,
+    tick,
+    activeFor,
+    statusOverride,
+    applyHolds,
+    overlay
+  };
+}
+
+// Reads a scenario config file, or returns the bundled scenarios.json
+export function loadScenarioConfig(file?: string): ScenarioConfig {
+  return file ? JSON.parse(fs.readFileSync(file, "utf-8")) : defaultScenarios;
+}
+
+export function loadScript(file: string): ScenarioScript {
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
@@ -0,0 +1,233 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import type { AddressInfo } from "net";
+import type { Alert } from "./alerts";
+import { createClock } from "./clock";
+import type { CommandRecord } from "./commands";
+import { createEngine } from "./engine";
+import type { ReadingBucket } from "./history";
+import { createSimulatorRouter } from "./routes";
+import { createSimulatorService, type SimulatorService, type TelemetryRecorder } from "./service";
+import { createSink } from "./sinks";
+import type { Batch } from "./types";
+import type { WorkOrder } from "./workorders";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Keeps what a database-backed recorder would, across service instances
+function memoryRecorder() {
+  const units = new Map<string, unknown>();
+  const removed = new Set<string>();
+  const thresholds = new Map<string, unknown>();
+  const readings: Batch[] = [];
+  const alerts = new Map<string, Alert>();
+  const orders = new Map<string, WorkOrder>();
+  const commands: CommandRecord[] = [];
+  const maintenance: WorkOrder[] = [];
+
+  const recorder: TelemetryRecorder = {
+    loadFleet: async () => ({ units: [...units.values()], removed: [...removed] }),
+    saveUnit: async unit => {
+      units.set(unit.id, unit);
+      removed.delete(unit.id);
+    },
+    removeUnit: async id => {
+      units.delete(id);
+      removed.add(id);
+    },
+    recordReadings: async batch => readings.push(batch),
+    // Buckets of the rows in [from, to), as the database groups them
+    queryReadings: async ({ from, to, bucket, fields }) => {
+      const buckets = new Map<string, ReadingBucket>();
+      for (const row of readings.flat()) {
+        if (row.timestamp < from || row.timestamp >= to) continue;
+        const t = from + Math.floor((row.timestamp - from) / bucket) * bucket;
+        const key = `${row.compressor_id}:${t}`;
+        if (!buckets.has(key)) buckets.set(key, { compressor_id: row.compressor_id, t, fields: {} });
+        const entry = buckets.get(key) as ReadingBucket;
+        for (const field of fields) {
+          const value = (row as unknown as Record<string, unknown>)[field];
+          if (typeof value !== "number") continue;
+          const agg = entry.fields[field] || (entry.fields[field] = { min: value, max: value, sum: 0, count: 0, last: null, last_ts: t });
+          agg.min = Math.min(agg.min, value);
+          agg.max = Math.max(agg.max, value);
+          agg.sum += value;
+          agg.count += 1;
+          agg.last = value;
+        }
+      }
+      return [...buckets.values()];
+    },
+    // Copies, as rows read back from a database would be
+    recordAlert: async alert => alerts.set(alert.id, structuredClone(alert)),
+    loadAlerts: async () => structuredClone([...alerts.values()]),
+    recordCommand: async command => commands.push(structuredClone(command)),
+    loadCommands: async () => structuredClone(commands),
+    recordWorkOrder: async order => orders.set(order.id, structuredClone(order)),
+    loadWorkOrders: async () => structuredClone([...orders.values()]),
+    recordMaintenance: async order => maintenance.push(structuredClone(order)),
+    loadThresholds: async () => Object.fromEntries(thresholds),
+    saveThreshold: async (id, profile) => thresholds.set(id, profile)
+  };
+  return { recorder, units, removed, thresholds, readings, alerts, orders, commands, maintenance };
+}
+
+async function createService(recorder?: TelemetryRecorder) {
+  const engine = createEngine({ seed: 7, aiMode: "heuristic", clock: createClock({ mode: "virtual" }) });
+  const service = createSimulatorService({ engine, sink: await createSink({ kind: "memory" }), recorder, logTicks: false });
+  await service.load();
+  return service;
+}
+
+// Lets persist() writes, which are not awaited, settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe("threshold persistence", () => {
+  it("saves PUT changes and restores them, before the units using them", async () => {
+    const store = memoryRecorder();
+    const service = await createService(store.recorder);
+
+    service.putThreshold("hot_climate", { temperature: { medium: 86, high: 92, abnormal: 91 } });
+    service.putThreshold("default", { vibration: { medium: 3.4 } });
+    service.addUnit({ id: "compressor_9", thresholdProfile: "hot_climate" });
+    await settle();
+    assert.deepEqual([...store.thresholds.keys()], ["hot_climate", "default"]);
+
+    const restarted = await createService(store.recorder);
+    const { thresholds } = restarted.engine;
+    assert.equal(thresholds.get("hot_climate")?.temperature.medium, 86);
+    assert.equal(thresholds.get("default")?.vibration.medium, 3.4);
+    assert.equal(thresholds.resolveId(restarted.engine.state("compressor_9")?.unit), "hot_climate");
+  });
+
+  it("keeps changes in memory without a recorder", async () => {
+    const service = await createService();
+    assert.equal(service.putThreshold("default", { temperature: { medium: 84 } }).temperature.medium, 84);
+    assert.throws(() => service.putThreshold("default", { temperature: { high: 80 } }), { status: 400 });
+    assert.equal(service.engine.thresholds.get("default")?.temperature.high, 88.5);
+  });
+});
+
+describe("seeded ids", () => {
+  it("repeats command, work order and alert ids across runs", async () => {
+    const run = async () => {
+      const service = await createService();
+      const command = service.command("compressor_2", "stop", "ana");
+      const order = service.createWorkOrder({ compressor_id: "compressor_3", title: "Check cooler" }, "ana");
+      for (let i = 0; i < 60; i++) await service.step();
+      return [command.id, order.id, ...service.listAlerts({}).map(a => a.id)];
+    };
+
+    const ids = await run();
+    assert.ok(ids.length > 2);
+    assert.deepEqual(await run(), ids);
+  });
+});
+
+// Serves the service's router on a free port for the duration of `run`
+async function withServer(service: SimulatorService, run: (base: string) => Promise<void>) {
+  const app = express();
+  app.use(express.json());
+  app.use("/api", createSimulatorRouter(service));
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  try {
+    await run(`http://127.0.0.1:${(server.address() as AddressInfo).port}/api`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+describe("recorder state", () => {
+  it("keeps history, alerts and work orders of a unit removed over DELETE /fleet/:id", async () => {
+    const store = memoryRecorder();
+    const service = await createService(store.recorder);
+    const order = service.createWorkOrder({ compressor_id: "compressor_3", title: "Check cooler" }, "ana");
+    for (let i = 0; i < 60; i++) await service.step();
+    const now = service.engine.clock.now();
+    const window = `from=${now - HOUR_MS}&to=${now + HOUR_MS}&compressor=compressor_3&fields=temperature`;
+
+    await withServer(service, async base => {
+      assert.equal((await fetch(`${base}/fleet/compressor_3`, { method: "DELETE" })).status, 200);
+      await settle();
+
+      const history = (await (await fetch(`${base}/history?${window}`)).json()) as { series: Record<string, unknown[]> };
+      assert.ok(history.series.compressor_3.length > 0);
+    });
+
+    assert.deepEqual([...store.removed], ["compressor_3"]);
+    assert.equal(store.orders.get(order.id)?.compressor_id, "compressor_3");
+
+    // The configured unit stays removed; its readings still answer queries
+    const restarted = await createService(store.recorder);
+    assert.equal(restarted.engine.has("compressor_3"), false);
+    assert.equal(restarted.getWorkOrder(order.id), null);
+    const history = await restarted.queryHistory({ from: now - HOUR_MS, to: now + HOUR_MS, compressor: "compressor_3" });
+    assert.ok(history.series.compressor_3.length > 0);
+  });
+
+  it("restores alerts, work orders and commands, and records closed orders as maintenance", async () => {
+    const store = memoryRecorder();
+    const service = await createService(store.recorder);
+    const command = service.command("compressor_2", "stop", "ana");
+    const order = service.createWorkOrder({ compressor_id: "compressor_4", title: "Replace filter", kind: "replacement" }, "ana");
+    for (let i = 0; i < 60; i++) await service.step();
+    service.closeWorkOrder(order.id, { note: "Filter replaced" }, "ben");
+    const alerts = service.listAlerts({});
+    assert.ok(alerts.length > 0);
+    await settle();
+
+    assert.deepEqual(store.maintenance.map(o => [o.id, o.kind, o.completed_by]), [[order.id, "replacement", "ben"]]);
+
+    // latest follows every reading but is saved with lifecycle changes only
+    const withoutLatest = (list: Alert[]) => list.map(({ latest, ...alert }) => alert);
+    const restarted = await createService(store.recorder);
+    assert.deepEqual(withoutLatest(restarted.listAlerts({})), withoutLatest(alerts));
+    assert.deepEqual(restarted.getWorkOrder(order.id), service.getWorkOrder(order.id));
+    assert.deepEqual(restarted.listCommands({}), [command]);
+  });
+});
+
+describe("replay", () => {
+  it("holds the live loop and returns to the paused state set around it", async () => {
+    const service = await createService();
+    for (let i = 0; i < 60; i++) await service.step();
+
+    service.startReplay({});
+    const now = service.engine.clock.now();
+    await service.runTick();
+    assert.equal(service.engine.clock.now(), now);
+    assert.equal(service.pause().paused, true);
+    assert.deepEqual([service.stopReplay().paused, service.info().replay], [true, null]);
+
+    // Paused before the replay, resumed during it
+    service.startReplay({ paused: true });
+    service.resume();
+    assert.equal(service.stopReplay().paused, false);
+    await service.runTick();
+    assert.ok(service.engine.clock.now() > now);
+
+    service.pause();
+    service.startReplay({});
+    assert.equal(service.stopReplay().paused, true);
+  });
+});
+
+describe("live readings", () => {
+  it("keeps ingest off the UI activity keys and the mode across restarts", async () => {
+    const store = memoryRecorder();
+    const service = await createService(store.recorder);
+    assert.equal(service.setMode("compressor_2", "live").previous, "simulated");
+
+    const result = service.ingest({ compressor_id: "compressor_2", temperature: 80, vibration: 3, pressure: 101, flow_rate: 205 });
+    assert.equal(result.accepted, 1);
+    await settle();
+    assert.equal(await service.sink.get("simulator/lastActive"), null);
+    assert.equal(await service.sink.get("simulator/isRunning"), null);
+
+    const restarted = await createService(store.recorder);
+    assert.equal(restarted.engine.state("compressor_2")?.unit.mode, "live");
+    assert.equal(restarted.engine.state("compressor_3")?.unit.mode, "simulated");
+  });
+});
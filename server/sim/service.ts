@@ -0,0 +1,927 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Runtime Service
+   Wraps an engine with everything a running simulator needs:
+   the tick loop, the telemetry sink, alert lifecycle,
+   maintenance work orders, outbound notifications, history
+   tiers, replay of recorded telemetry, live readings from
+   POST /api/ingest and MQTT, Prometheus metrics, the
+   command audit log,
+   asset hierarchy roll-ups and the live stream, plus the
+   isRunning / lastActive control flags the dashboard uses to
+   wake and idle it.
+
+   sim/routes.ts exposes a service over HTTP; server/simulator.ts
+   runs one standalone.
+--------------------------------------------------------- */
+
+import { createAlertStore, type Alert, type AlertFilter } from "./alerts";
+import { createCommandLog, type CommandFilter, type CommandRecord } from "./commands";
+import type { Engine } from "./engine";
+import { buildTree, findNode, inNode, parseNodePath } from "./hierarchy";
+import { createHistoryStore, historyFromBuckets, parseHistoryQuery, type HistoryQuery, type ReadingBucket } from "./history";
+import { subscribeMqtt, type MqttOptions, type MqttSubscriber } from "./ingest";
+import { insightContext, type Audience } from "./insights";
+import { parseKpiQuery } from "./kpis";
+import { compressorFamilies, createMetrics, renderMetrics, type MetricsFormat } from "./metrics";
+import { parseInstant } from "./clock";
+import { createNotifier, noticesFrom, type DeliveryFilter, type Notifier } from "./notifications";
+import { createReplay, loadRecording, type Frame, type Replay } from "./replay";
+import type { TelemetrySink } from "./sinks";
+import { createStreamHub, diffBatches } from "./stream";
+import type { ThresholdProfile } from "./thresholds";
+import { SimulatorError, type Batch, type UnitDefinition } from "./types";
+import { createWorkOrderStore, type WorkOrder, type WorkOrderFilter } from "./workorders";
+
+const HOUR_MS = 60 * 60 * 1000;
+const INACTIVITY_MS = 10 * 60 * 1000;
+const MAX_FAST_FORWARD_MS = 7 * 24 * HOUR_MS;
+// How often due notification retries are sent
+const NOTIFY_INTERVAL_MS = 1000;
+const REPLAY_INTERVAL_MS = 250;
+
+// Optional long-term store next to the sink (e.g. Postgres, see
+// server/persistence.ts). Readings are recorded at the history cadence;
+// on load the fleet, alerts, work orders and commands are restored from
+// it, and history queries are answered from its readings.
+export interface TelemetryRecorder {
+  // Unit definitions saved earlier, and the ids of units removed since
+  loadFleet(): Promise<{ units: unknown[]; removed: string[] }>;
+  saveUnit(unit: UnitDefinition): Promise<unknown>;
+  // Marks the unit removed; its readings, alerts and work orders stay
+  removeUnit(id: string): Promise<unknown>;
+  recordReadings(batch: Batch): Promise<unknown>;
+  queryReadings(query: HistoryQuery): Promise<ReadingBucket[]>;
+  recordAlert(alert: Alert): Promise<unknown>;
+  // Unresolved alerts plus the newest resolved ones
+  loadAlerts(): Promise<Alert[]>;
+  recordCommand(command: CommandRecord): Promise<unknown>;
+  loadCommands(): Promise<CommandRecord[]>;
+  recordWorkOrder(order: WorkOrder): Promise<unknown>;
+  // Unfinished work orders plus the newest done ones
+  loadWorkOrders(): Promise<WorkOrder[]>;
+  // Called once per closed work order
+  recordMaintenance(order: WorkOrder): Promise<unknown>;
+  // Threshold profiles edited through PUT /api/thresholds/:id, by id
+  loadThresholds(): Promise<Record<string, unknown>>;
+  saveThreshold(id: string, profile: ThresholdProfile): Promise<unknown>;
+}
+
+export interface ServiceOptions {
+  engine: Engine;
+  sink: TelemetrySink;
+  recorder?: TelemetryRecorder;
+  alertClearMs?: number;
+  // Open a work order when a unit's alert reaches high
+  autoWorkOrders?: boolean;
+  // Warning and AI alert notifications (sim/notifications.ts)
+  notifier?: Notifier;
+  historyIntervalMs?: number;
+  compactionIntervalMs?: number;
+  rawRetentionMs?: number;
+  hourlyRetentionMs?: number;
+  dailyRetentionMs?: number;
+  // Directory POST /api/replay { file } reads recordings from
+  replayDir?: string;
+  // Broker to subscribe to for live readings (sim/ingest.ts)
+  mqtt?: MqttOptions;
+  // Dump every batch to the console, as the original script did
+  logTicks?: boolean;
+}
+
+export type SimulatorService = ReturnType<typeof createSimulatorService>;
+
+export function createSimulatorService({
+  engine,
+  sink,
+  recorder,
+  alertClearMs = 60 * 1000,
+  autoWorkOrders = true,
+  notifier = createNotifier({ newId: engine.newId }),
+  historyIntervalMs = 30 * 1000,
+  compactionIntervalMs = 10 * 60 * 1000,
+  rawRetentionMs = 24 * HOUR_MS,
+  hourlyRetentionMs = 30 * 24 * HOUR_MS,
+  dailyRetentionMs = 365 * 24 * HOUR_MS,
+  replayDir = "data",
+  mqtt,
+  logTicks = true
+}: ServiceOptions) {
+  const { clock } = engine;
+
+  let lastHistorySave = clock.now();
+  let lastCompaction = 0;
+  let fastForwarding = false;
+  // Set by pause()/resume() only; a loaded replay holds the loop on its own
+  let paused = false;
+  let timer: NodeJS.Timeout | null = null;
+  let notifyTimer: NodeJS.Timeout | null = null;
+  let replay: Replay | null = null;
+  let replayTimer: NodeJS.Timeout | null = null;
+  let subscriber: MqttSubscriber | null = null;
+  // Wall time of the newest accepted live reading
+  let lastReadingAt = 0;
+
+  // The replay frame on screen while one is loaded, else the live batch
+  function latest() {
+    return replay ? replay.current() : engine.latest();
+  }
+
+  // ---------------- LIVE STREAM ----------------
+  const stream = createStreamHub({ getLatest: latest });
+
+  // ---------------- METRICS ----------------
+  const metrics = createMetrics();
+
+  // ---------------- ALERTS ----------------
+  const alerts = createAlertStore({ clearMs: alertClearMs, now: clock.now, newId: engine.newId });
+
+  function alertEvent(type: string, alert: Alert) {
+    return {
+      type,
+      compressor_id: alert.compressor_id,
+      timestamp: alert.updated_at,
+      alert
+    };
+  }
+
+  async function saveAlert(alert: Alert) {
+    await sink.set(`alerts/${alert.id}`, alert);
+    if (recorder) await recorder.recordAlert(alert);
+  }
+
+  // For writes made outside the tick loop, which has its own error handling
+  function persist(write: () => Promise<unknown>) {
+    write().catch(err => {
+      metrics.sinkFailure();
+      console.error(`Sink write error (${sink.kind}):`, err);
+    });
+  }
+
+  // ---------------- WORK ORDERS ----------------
+  const workOrders = createWorkOrderStore({
+    now: clock.now,
+    newId: engine.newId,
+    hasUnit: engine.has,
+    getAlert: alerts.get
+  });
+
+  function workOrderEvent(type: string, order: WorkOrder) {
+    return {
+      type,
+      compressor_id: order.compressor_id,
+      timestamp: order.updated_at,
+      work_order: order
+    };
+  }
+
+  // Saved after the alerts of the same tick, which orders may link to
+  async function saveWorkOrder(order: WorkOrder) {
+    await sink.set(`workOrders/${order.id}`, order);
+    if (recorder) await recorder.recordWorkOrder(order);
+  }
+
+  // ---------------- NOTIFICATIONS ----------------
+  function sendNotifications() {
+    notifier.pump().catch(err => console.error("Notification error:", err));
+  }
+
+  // ---------------- COMMAND LOG ----------------
+  const commands = createCommandLog({ now: clock.now, newId: engine.newId });
+
+  // ---------------- HISTORY ----------------
+  const history = createHistoryStore({ sink, rawRetentionMs, hourlyRetentionMs, dailyRetentionMs });
+
+  // ---------------- SIMULATOR CONTROL FLAG ----------------
+  async function checkIsRunning() {
+    const raw = await sink.get("simulator/isRunning");
+
+    if (raw === true) return true;
+
+    await sink.set("simulator/isRunning", true);
+    console.log("Auto-repair: simulator/isRunning reset to TRUE");
+
+    return true;
+  }
+
+  // ---------------- AUTO-STOP INACTIVITY ----------------
+  async function checkInactivity() {
+    const lastActive = await sink.get("simulator/lastActive");
+
+    if (!lastActive) return false;
+
+    // Open stream connections count as UI activity, and a fleet still
+    // sending readings is monitored whether or not anyone looks
+    if (stream.size() > 0) return false;
+    if (Date.now() - lastReadingAt < INACTIVITY_MS) return false;
+
+    return Date.now() - lastActive > INACTIVITY_MS;
+  }
+
+  // Wake the simulator and mark the UI alive; wake is false for heartbeats
+  function touch({ wake = true } = {}) {
+    if (wake) persist(() => sink.set("simulator/isRunning", true));
+    persist(() => sink.set("simulator/lastActive", Date.now()));
+  }
+
+  // ---------------- SINK WRITERS ----------------
+  async function writeLatest(batch: Batch) {
+    await sink.set("compressors/latest", batch);
+  }
+
+  async function writeHistory(batch: Batch) {
+    const ts = clock.now();
+    await history.record(ts, batch);
+    metrics.historySnapshot();
+    if (recorder) await recorder.recordReadings(batch);
+    console.log("History snapshot written:", ts);
+  }
+
+  // ---------------- FLEET STEP ----------------
+  // One engine tick plus the stream events, alert changes, automatic
+  // work orders and notices it caused
+  function stepFleet() {
+    const previous = engine.latest();
+    const batch = engine.step();
+    const events = diffBatches(previous, batch);
+    const alertChanges = batch.flatMap(row => alerts.observe(row));
+    const openedOrders = autoWorkOrders
+      ? alertChanges.flatMap(c => workOrders.fromAlert(c.alert) ?? [])
+      : [];
+    const notices = noticesFrom(alertChanges, previous, batch);
+    metrics.observeBatch(previous, batch);
+
+    return { batch, events, alertChanges, openedOrders, notices };
+  }
+
+  async function maybeCompactHistory() {
+    if (clock.now() - lastCompaction < compactionIntervalMs) return;
+
+    const compacted = await history.compact(clock.now());
+    lastCompaction = clock.now();
+    if (compacted.raw > 0 || compacted.hourly > 0 || compacted.daily > 0) {
+      console.log("History compacted:", compacted);
+    }
+  }
+
+  // ---------------- MAIN LOOP ----------------
+  async function runTick() {
+    if (fastForwarding || paused || replay) return;
+
+    const running = await checkIsRunning();
+    if (!running) {
+      console.log("Simulator paused (isRunning = false)");
+      return;
+    }
+
+    if (await checkInactivity()) {
+      console.log("Auto-stop: No UI activity detected. Pausing simulator.");
+      await sink.set("simulator/isRunning", false);
+      return;
+    }
+
+    await advance();
+  }
+
+  // One tick: step the engine, publish, then persist
+  async function advance() {
+    const started = performance.now();
+    const { batch, events, alertChanges, openedOrders, notices } = stepFleet();
+
+    stream.publishBatch(batch);
+    events.forEach(stream.publishEvent);
+    alertChanges.forEach(c => stream.publishEvent(alertEvent(c.type, c.alert)));
+    openedOrders.forEach(o => stream.publishEvent(workOrderEvent("work_order_opened", o)));
+    if (notices.flatMap(notifier.notify).length > 0) sendNotifications();
+
+    if (logTicks) {
+      console.log("\n=== TwinTech Telemetry Tick ===");
+      console.log(JSON.stringify(batch, null, 2));
+      console.log("================================\n");
+    }
+
+    try {
+      await writeLatest(batch);
+
+      for (const change of alertChanges) {
+        await saveAlert(change.alert);
+      }
+      for (const order of openedOrders) {
+        await saveWorkOrder(order);
+      }
+
+      if (clock.now() - lastHistorySave >= historyIntervalMs) {
+        await writeHistory(batch);
+        lastHistorySave = clock.now();
+      }
+
+      await maybeCompactHistory();
+    } catch (err) {
+      metrics.sinkFailure();
+      console.error(`Sink write error (${sink.kind}):`, err);
+    }
+
+    metrics.observeTick((performance.now() - started) / 1000);
+    return batch;
+  }
+
+  // ---------------- MANUAL CONTROL ----------------
+  // A paused simulator keeps serving its last batch; step() advances it
+  // one tick at a time. During a replay these set the state the live
+  // simulation returns to once the replay stops.
+  function pause() {
+    paused = true;
+    return info();
+  }
+
+  function resume() {
+    paused = false;
+    return info();
+  }
+
+  async function step() {
+    if (fastForwarding) {
+      throw new SimulatorError("Fast-forward in progress", 409);
+    }
+    checkNoReplay();
+    return advance();
+  }
+
+  // ---------------- FAST-FORWARD ----------------
+  // Generates ticks back-to-back on the virtual clock. Only history
+  // snapshots are written per tick; latest, alerts and work orders are
+  // written once. Generated history sends no notifications.
+  async function fastForward(durationMs: number) {
+    if (!clock.virtual) {
+      throw new SimulatorError("Fast-forward requires SIM_CLOCK=virtual", 409);
+    }
+    if (durationMs > MAX_FAST_FORWARD_MS) {
+      throw new SimulatorError("Fast-forward is limited to 7 days per call");
+    }
+    if (fastForwarding) {
+      throw new SimulatorError("Fast-forward already in progress", 409);
+    }
+    checkNoReplay();
+
+    fastForwarding = true;
+    const started = Date.now();
+    const from = clock.now();
+    const ticks = Math.floor(durationMs / engine.tickMs);
+    const changedAlerts = new Map<string, Alert>();
+    const openedOrders: WorkOrder[] = [];
+
+    try {
+      for (let i = 0; i < ticks; i++) {
+        const { batch, alertChanges, openedOrders: opened } = stepFleet();
+        alertChanges.forEach(c => changedAlerts.set(c.alert.id, c.alert));
+        openedOrders.push(...opened);
+
+        if (clock.now() - lastHistorySave >= historyIntervalMs) {
+          await history.record(clock.now(), batch);
+          metrics.historySnapshot();
+          if (recorder) await recorder.recordReadings(batch);
+          lastHistorySave = clock.now();
+        }
+      }
+
+      await writeLatest(engine.latest());
+      for (const alert of changedAlerts.values()) {
+        await saveAlert(alert);
+      }
+      for (const order of openedOrders) {
+        await saveWorkOrder(order);
+      }
+      await maybeCompactHistory();
+    } finally {
+      fastForwarding = false;
+    }
+
+    stream.publishBatch(engine.latest());
+
+    const summary = {
+      ticks,
+      from,
+      to: clock.now(),
+      alerts_changed: changedAlerts.size,
+      work_orders_opened: openedOrders.length,
+      elapsed_ms: Date.now() - started
+    };
+    console.log("Fast-forward complete:", summary);
+    return summary;
+  }
+
+  // ---------------- QUERIES ----------------
+  function info() {
+    return {
+      seed: engine.random.seed,
+      clock: clock.mode,
+      now: clock.now(),
+      tick_ms: engine.tickMs,
+      units: engine.units().length,
+      paused,
+      replay: replay ? replay.state().status : null
+    };
+  }
+
+  // Newest live batch and simulator health; replayed rows never show
+  function renderMetricsText(format: MetricsFormat) {
+    const units = engine.units();
+    const health = { sink: sink.kind, units: units.length, paused, history: history.stats() };
+    return renderMetrics([...compressorFamilies(engine.latest(), units), ...metrics.families(health, units)], format);
+  }
+
+  // ---------------- REPLAY ----------------
+  // The live simulation holds while a recording plays and picks up
+  // where it was, paused or not, once the replay is stopped. Replayed rows go to
+  // /api/latest and the stream only, never to the sink or history.
+  function checkNoReplay() {
+    if (replay) throw new SimulatorError("Replay in progress; stop it first", 409);
+  }
+
+  function replayEvent(type: string) {
+    const state = (replay as Replay).state();
+    stream.publishEvent({ type, timestamp: state.position, replay: state });
+  }
+
+  // Body: { from?, to?, compressor?, node? } for recorded history (last
+  // hour by default), or { file } for an export in replayDir
+  function recordedFrames(body: Record<string, any>): { frames: Frame[]; source: Record<string, unknown> } {
+    const compressors = withNode(
+      {
+        compressors: body.compressor
+          ? String(body.compressor).split(",").map(c => c.trim()).filter(Boolean)
+          : null
+      },
+      body.node
+    ).compressors;
+
+    let frames: Frame[];
+    let source: Record<string, unknown>;
+    if (body.file !== undefined) {
+      frames = loadRecording(replayDir, body.file);
+      source = { kind: "file", file: body.file };
+    } else {
+      const to = body.to === undefined ? clock.now() : parseInstant(body.to, "to");
+      const from = body.from === undefined ? to - HOUR_MS : parseInstant(body.from, "from");
+      if (!(from < to)) throw new SimulatorError("from must be before to");
+      frames = history.frames(from, to);
+      source = { kind: "history", from, to };
+    }
+
+    if (compressors) {
+      frames = frames
+        .map(f => ({ t: f.t, batch: f.batch.filter(row => compressors.includes(row.compressor_id)) }))
+        .filter(f => f.batch.length > 0);
+    }
+    if (frames.length === 0) {
+      throw new SimulatorError("No recorded telemetry to replay (history keeps raw snapshots for SIM_HISTORY_RAW_HOURS)", 404);
+    }
+    return { frames, source: { ...source, compressors } };
+  }
+
+  // Loads a recording (replacing any loaded one) and starts playing
+  // unless body.paused
+  function startReplay(raw: unknown) {
+    if (fastForwarding) throw new SimulatorError("Fast-forward in progress", 409);
+    const body = (raw && typeof raw === "object" ? raw : {}) as Record<string, any>;
+    const { frames, source } = recordedFrames(body);
+
+    const next = createReplay({
+      frames,
+      source,
+      speed: body.speed ?? 1,
+      onFrame: batch => stream.publishBatch(batch),
+      onFinish: () => replayEvent("replay_finished")
+    });
+
+    replay = next;
+    if (!replayTimer) replayTimer = setInterval(() => replay?.update(), REPLAY_INTERVAL_MS);
+
+    stream.publishBatch(replay.current());
+    if (!body.paused) replay.play();
+    replayEvent("replay_started");
+    console.log(`Replay: ${frames.length} frames from ${source.kind}`);
+    return replay.state();
+  }
+
+  function loadedReplay() {
+    if (!replay) throw new SimulatorError("No replay loaded", 404);
+    return replay;
+  }
+
+  // play | pause | seek (value: position, epoch ms or ISO) | speed (1, 10, 60)
+  function controlReplay(action: string, value?: unknown) {
+    const current = loadedReplay();
+    const actions: Record<string, [string, () => ReturnType<Replay["state"]>]> = {
+      play: ["replay_playing", current.play],
+      pause: ["replay_paused", current.pause],
+      seek: ["replay_seeked", () => current.seek(value)],
+      speed: ["replay_speed_changed", () => current.setSpeed(value)]
+    };
+    if (!actions[action]) throw new SimulatorError(`Unknown replay action ${action}`);
+
+    const [event, run] = actions[action];
+    const state = run();
+    replayEvent(event);
+    return state;
+  }
+
+  // Drops the replay and returns to the live batch
+  function stopReplay() {
+    const current = loadedReplay();
+    const state = current.state();
+    if (replayTimer) clearInterval(replayTimer);
+    replayTimer = null;
+    replay = null;
+
+    stream.publishEvent({ type: "replay_stopped", timestamp: state.position, replay: state });
+    stream.publishBatch(engine.latest());
+    return info();
+  }
+
+  // ---------------- HIERARCHY ----------------
+  function tree() {
+    const alertCounts = new Map<string, number>();
+    for (const alert of alerts.list({ status: "active" })) {
+      alertCounts.set(alert.compressor_id, (alertCounts.get(alert.compressor_id) || 0) + 1);
+    }
+
+    return buildTree({
+      sites: engine.sites,
+      units: engine.units(),
+      latest: engine.latest(),
+      alertCount: id => alertCounts.get(id) || 0
+    });
+  }
+
+  // The whole tree, or the subtree at `node` ("site/area/line/unit")
+  function hierarchy(node?: unknown) {
+    const path = parseNodePath(node);
+    if (!path) return tree();
+
+    const found = findNode(tree(), path);
+    if (!found) throw new SimulatorError(`Unknown node ${path.join("/")}`, 404);
+    return found;
+  }
+
+  // Ids of the units under `node`; null when no node is given
+  function unitsIn(node: unknown) {
+    const path = parseNodePath(node);
+    if (!path) return null;
+
+    const ids = engine.units().filter(u => inNode(u, path)).map(u => u.id);
+    if (ids.length === 0 && !findNode(tree(), path)) {
+      throw new SimulatorError(`Unknown node ${path.join("/")}`, 404);
+    }
+    return ids;
+  }
+
+  // ?node= narrows ?compressor= (or stands in for it)
+  function withNode<T extends { compressors: string[] | null }>(parsed: T, node: unknown): T {
+    const ids = unitsIn(node);
+    if (!ids) return parsed;
+    return { ...parsed, compressors: parsed.compressors ? parsed.compressors.filter(c => ids.includes(c)) : ids };
+  }
+
+  // From the recorder's readings when there is one, which go back further
+  // than the sink tiers' retention
+  async function queryHistory(query: Record<string, any>) {
+    const params = withNode(parseHistoryQuery(query, clock.now()), query.node);
+    if (!recorder) return history.query(params);
+    return historyFromBuckets(params, await recorder.queryReadings(params));
+  }
+
+  function queryKpis(query: Record<string, any>) {
+    return engine.kpis.query(withNode(parseKpiQuery(query, clock.now()), query.node));
+  }
+
+  function listAlerts(filter: AlertFilter) {
+    return alerts.list(filter);
+  }
+
+  function listWorkOrders(filter: WorkOrderFilter) {
+    return workOrders.list(filter);
+  }
+
+  function listNotifications(filter: DeliveryFilter) {
+    return notifier.list(filter);
+  }
+
+  // Rendered live from the latest row plus the unit's newest active alert
+  // and forecast, so templates using them apply; `audience` narrows it to
+  // one view.
+  function insights(id: string, { audience, locale }: { audience?: Audience; locale?: string } = {}) {
+    const state = engine.state(id);
+    if (!state) throw new SimulatorError(`Unknown compressor ${id}`, 404);
+    if (!state.latest) throw new SimulatorError(`No telemetry yet for ${id}`, 409);
+
+    const [alert] = alerts.list({ status: "active", compressor: id });
+    const context = insightContext(state.latest, {
+      profile: engine.thresholds.resolve(state.unit),
+      drift: state.memory.trend,
+      alert,
+      forecast: engine.forecast(id),
+      now: clock.now()
+    });
+    const resolved = engine.insights.resolveLocale(locale);
+    const text = engine.insights.render(context, resolved);
+
+    return {
+      compressor_id: id,
+      timestamp: state.latest.timestamp,
+      locale: resolved,
+      audience: audience ?? null,
+      insights: audience ? { [audience]: text[audience] } : text,
+      context
+    };
+  }
+
+  // ---------------- MUTATIONS ----------------
+  function addUnit(raw: unknown) {
+    const unit = engine.addUnit(raw);
+    if (recorder) persist(() => recorder.saveUnit(unit));
+    return unit;
+  }
+
+  function removeUnit(id: string) {
+    if (!engine.removeUnit(id)) return false;
+
+    const closed = alerts.forget(id);
+    if (closed) stream.publishEvent(alertEvent("alert_resolved", closed));
+    workOrders.forget(id);
+    metrics.forget(id);
+
+    persist(async () => {
+      if (closed) await saveAlert(closed);
+      if (recorder) await recorder.removeUnit(id);
+    });
+    return true;
+  }
+
+  // New load/ambient/inlet setpoint; readings follow over the next ticks
+  function setpoint(id: string, changes: unknown) {
+    const operating = engine.setpoint(id, changes);
+    stream.publishEvent({
+      type: "setpoint_changed",
+      compressor_id: id,
+      timestamp: clock.now(),
+      ...operating
+    });
+    return { compressor_id: id, ...operating };
+  }
+
+  // Saved through the recorder when there is one; otherwise edits last
+  // until the process restarts
+  function putThreshold(id: string, body: unknown) {
+    const profile = engine.thresholds.put(id, body);
+    if (recorder) persist(() => recorder.saveThreshold(id, profile));
+    return profile;
+  }
+
+  // ---------------- LIVE READINGS ----------------
+  // Saved with the unit, so the mode outlives a restart
+  function setMode(id: string, mode: unknown) {
+    const result = engine.setMode(id, mode);
+    if (result.mode !== result.previous) {
+      stream.publishEvent({ type: "mode_changed", timestamp: clock.now(), ...result });
+      const unit = engine.state(id)?.unit;
+      if (recorder && unit) persist(() => recorder.saveUnit(unit));
+    }
+    return result;
+  }
+
+  // Readings keep the simulator from idling (see checkInactivity) without
+  // a sink write per batch
+  function ingest(body: unknown) {
+    const result = engine.ingest(body);
+    if (result.accepted > 0) lastReadingAt = Date.now();
+    return result;
+  }
+
+  async function connectMqtt(options: MqttOptions) {
+    subscriber = await subscribeMqtt(options, body => {
+      try {
+        const { rejected } = ingest(body);
+        rejected.forEach(r => console.error(`MQTT reading rejected (${r.compressor_id ?? "?"}): ${r.message}`));
+      } catch (err) {
+        console.error("MQTT reading rejected:", (err as Error).message);
+      }
+    });
+  }
+
+  // Operator command on one unit, recorded with who issued it
+  function command(id: string, name: unknown, user?: string, note?: string) {
+    const result = engine.command(id, name);
+    const record = commands.record({
+      compressor_id: id,
+      command: name as CommandRecord["command"],
+      issued_by: user ?? null,
+      note: note ?? null,
+      status_before: result.status_before,
+      target: result.target
+    });
+
+    stream.publishEvent({
+      type: "command_issued",
+      compressor_id: id,
+      timestamp: record.issued_at,
+      command: record
+    });
+    persist(async () => {
+      await sink.set(`commands/${record.id}`, record);
+      if (recorder) await recorder.recordCommand(record);
+    });
+    return record;
+  }
+
+  function acknowledgeAlert(id: string, user?: string, note?: string) {
+    const alert = alerts.acknowledge(id, user, note);
+    persist(() => saveAlert(alert));
+    stream.publishEvent(alertEvent("alert_acknowledged", alert));
+    return alert;
+  }
+
+  function resolveAlert(id: string, user?: string, note?: string) {
+    const alert = alerts.resolve(id, user, note);
+    persist(() => saveAlert(alert));
+    stream.publishEvent(alertEvent("alert_resolved", alert));
+    return alert;
+  }
+
+  function createWorkOrder(raw: unknown, user?: string) {
+    const order = workOrders.create(raw, user);
+    persist(() => saveWorkOrder(order));
+    stream.publishEvent(workOrderEvent("work_order_opened", order));
+    return order;
+  }
+
+  function updateWorkOrder(id: string, raw: unknown, user?: string) {
+    const order = workOrders.update(id, raw, user);
+    persist(() => saveWorkOrder(order));
+    stream.publishEvent(workOrderEvent("work_order_updated", order));
+    return order;
+  }
+
+  // With reset the twin reflects the repair from the next tick. The
+  // recorder keeps the closed order as a maintenance record.
+  function closeWorkOrder(id: string, raw: unknown, user?: string) {
+    const order = workOrders.close(id, raw, user);
+    const repair = order.reset ? engine.repair(order.compressor_id) : null;
+
+    persist(async () => {
+      await saveWorkOrder(order);
+      if (recorder) await recorder.recordMaintenance(order);
+    });
+    stream.publishEvent({ ...workOrderEvent("work_order_closed", order), repair });
+    return { ...order, repair };
+  }
+
+  // ---------------- LIFECYCLE ----------------
+  async function load() {
+    try {
+      await history.load();
+      console.log("History loaded:", history.stats());
+    } catch (err) {
+      console.error("History load error:", err);
+    }
+
+    if (recorder) {
+      await restoreThresholds(recorder);
+      await restoreUnits(recorder);
+      await restoreRecords(recorder);
+    }
+  }
+
+  // Before the units, which may name a stored profile
+  async function restoreThresholds(store: TelemetryRecorder) {
+    const stored = Object.entries(await store.loadThresholds());
+    for (const [id, profile] of stored) {
+      try {
+        engine.thresholds.put(id, profile);
+      } catch (err) {
+        console.error(`Stored threshold profile ${id} skipped:`, (err as Error).message);
+      }
+    }
+    if (stored.length > 0) console.log(`Thresholds: restored ${stored.length} stored profiles`);
+  }
+
+  // Units added at runtime come back from the recorder and units removed
+  // at runtime, configured ones included, stay removed. Configured units
+  // keep their fleet config definition apart from the mode, which is set
+  // through the API. Every unit in the engine is then saved so the store
+  // mirrors the running fleet.
+  async function restoreUnits(store: TelemetryRecorder) {
+    const { units, removed } = await store.loadFleet();
+    const dropped = removed.filter(id => engine.removeUnit(id)).length;
+
+    let restored = 0;
+    for (const raw of units) {
+      const { id, mode } = raw as { id?: string; mode?: unknown };
+      if (id && engine.has(id)) {
+        if (mode !== undefined) restoreMode(id, mode);
+        continue;
+      }
+      try {
+        engine.addUnit(raw);
+        restored += 1;
+      } catch (err) {
+        console.error(`Stored unit ${id} skipped:`, (err as Error).message);
+      }
+    }
+
+    for (const unit of engine.units()) await store.saveUnit(unit);
+    if (restored > 0) console.log(`Fleet: restored ${restored} stored units`);
+    if (dropped > 0) console.log(`Fleet: ${dropped} configured units stay removed`);
+  }
+
+  function restoreMode(id: string, mode: unknown) {
+    try {
+      if (engine.setMode(id, mode).previous !== mode) console.log(`Fleet: ${id} restored to ${mode} mode`);
+    } catch (err) {
+      console.error(`Stored mode of ${id} skipped:`, (err as Error).message);
+    }
+  }
+
+  // Open alerts pick up where they were; orders of units no longer in the
+  // fleet stay out of the list, as after a removal
+  async function restoreRecords(store: TelemetryRecorder) {
+    const [storedAlerts, storedOrders, storedCommands] = await Promise.all([
+      store.loadAlerts(),
+      store.loadWorkOrders(),
+      store.loadCommands()
+    ]);
+    alerts.restore(storedAlerts);
+    workOrders.restore(storedOrders.filter(o => engine.has(o.compressor_id)));
+    commands.restore(storedCommands);
+    console.log(
+      `Records restored: ${storedAlerts.length} alerts, ${storedOrders.length} work orders, ${storedCommands.length} commands`
+    );
+  }
+
+  function start() {
+    if (timer) return;
+    runTick();
+    timer = setInterval(runTick, engine.tickMs);
+    if (notifier.enabled) notifyTimer = setInterval(sendNotifications, NOTIFY_INTERVAL_MS);
+    if (mqtt && !subscriber) connectMqtt(mqtt).catch(err => console.error("MQTT error:", err.message));
+  }
+
+  // Stops ticking and marks the simulator stopped; the sink stays open
+  async function stop() {
+    if (timer) clearInterval(timer);
+    if (notifyTimer) clearInterval(notifyTimer);
+    if (replayTimer) clearInterval(replayTimer);
+    timer = null;
+    notifyTimer = null;
+    replayTimer = null;
+    if (subscriber) await subscriber.close();
+    subscriber = null;
+    await sink.set("simulator/isRunning", false);
+  }
+
+  return {
+    engine,
+    sink,
+    stream,
+    latest,
+    info,
+    touch,
+    load,
+    start,
+    stop,
+    runTick,
+    pause,
+    resume,
+    step,
+    fastForward,
+    startReplay,
+    controlReplay,
+    stopReplay,
+    replayState: () => (replay ? replay.state() : null),
+    queryHistory,
+    queryKpis,
+    metrics: renderMetricsText,
+    hierarchy,
+    unitsIn,
+    listAlerts,
+    listCommands: (filter: CommandFilter) => commands.list(filter),
+    insights,
+    getAlert: alerts.get,
+    acknowledgeAlert,
+    resolveAlert,
+    listNotifications,
+    notificationStats: notifier.stats,
+    testNotification: notifier.test,
+    listWorkOrders,
+    getWorkOrder: workOrders.get,
+    createWorkOrder,
+    updateWorkOrder,
+    closeWorkOrder,
+    addUnit,
+    removeUnit,
+    setpoint,
+    putThreshold,
+    command,
+    setMode,
+    ingest
+  };
+}
@@ -0,0 +1,109 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createSink, sinkOptionsFromEnv } from "./sinks";
+
+describe("memory sink", () => {
+  it("sets, updates and deletes nested paths", async () => {
+    const sink = await createSink({ kind: "memory" });
+    const batch = [{ compressor_id: "compressor_1", temperature: 80 }];
+
+    await sink.set("compressors/latest", batch);
+    batch[0].temperature = 99;
+    assert.deepEqual(await sink.get("compressors/latest"), [{ compressor_id: "compressor_1", temperature: 80 }]);
+
+    await sink.update("simulator", { isRunning: true, tick: 3 });
+    await sink.update("simulator", { tick: null });
+    assert.deepEqual(await sink.get("simulator"), { isRunning: true });
+    assert.equal(await sink.get("missing/path"), null);
+  });
+
+  it("rejects unknown backends", async () => {
+    await assert.rejects(createSink({ kind: "redis" }), /Unknown telemetry sink "redis"/);
+    assert.equal(sinkOptionsFromEnv({}).kind, "memory");
+    assert.equal(sinkOptionsFromEnv({ FIREBASE_SERVICE_ACCOUNT: "{}" }).kind, "firebase");
+  });
+});
+
+describe("file sink", () => {
+  let dir: string;
+  let file: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sink-"));
+    file = path.join(dir, "simulator.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("appends each write to the log instead of rewriting the snapshot", async () => {
+    const sink = await createSink({ kind: "file", file });
+    await sink.set("compressors/history/1000", [{ compressor_id: "compressor_1" }]);
+    await sink.set("compressors/history/2000", [{ compressor_id: "compressor_1" }]);
+    await sink.update("simulator", { isRunning: true });
+
+    assert.equal(fs.existsSync(file), false);
+    const log = fs.readFileSync(`${file}.log`, "utf-8").trimEnd().split("\n");
+    assert.deepEqual(log.map(line => JSON.parse(line).p), [
+      "compressors/history/1000",
+      "compressors/history/2000",
+      "simulator/isRunning"
+    ]);
+    assert.deepEqual(Object.keys((await sink.get("compressors/history")) as object), ["1000", "2000"]);
+  });
+
+  it("folds the log into the snapshot on close and reloads it", async () => {
+    const sink = await createSink({ kind: "file", file });
+    await sink.set("alerts/a1", { state: "open" });
+    await sink.set("alerts/a2", { state: "open" });
+    await sink.set("alerts/a1", null);
+    await sink.close();
+
+    assert.equal(fs.existsSync(`${file}.log`), false);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf-8")), { alerts: { a2: { state: "open" } } });
+
+    const reopened = await createSink({ kind: "file", file });
+    await reopened.set("alerts/a3", { state: "acknowledged" });
+    assert.deepEqual(Object.keys((await reopened.get("alerts")) as object), ["a2", "a3"]);
+  });
+
+  it("compacts once the log outgrows the threshold", async () => {
+    const sink = await createSink({ kind: "file", file, compactBytes: 200 });
+    for (let i = 0; i < 5; i++) {
+      await sink.set(`compressors/history/${i}`, [{ compressor_id: "compressor_1", temperature: 80 + i }]);
+    }
+
+    assert.ok(fs.existsSync(file));
+    const snapshot = JSON.parse(fs.readFileSync(file, "utf-8"));
+    const logged = fs.existsSync(`${file}.log`) ? fs.readFileSync(`${file}.log`, "utf-8").trimEnd().split("\n").length : 0;
+    assert.equal(Object.keys(snapshot.compressors.history).length + logged, 5);
+  });
+
+  it("keeps writing after a failed write", async () => {
+    const sink = await createSink({ kind: "file", file });
+    // A directory in place of the log makes the append fail (EISDIR)
+    fs.mkdirSync(`${file}.log`);
+    await assert.rejects(sink.set("alerts/a1", { state: "open" }));
+
+    fs.rmdirSync(`${file}.log`);
+    await sink.set("alerts/a2", { state: "open" });
+    const log = fs.readFileSync(`${file}.log`, "utf-8").trimEnd().split("\n");
+    assert.deepEqual(log.map(line => JSON.parse(line).p), ["alerts/a2"]);
+
+    await sink.close();
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, "utf-8")).alerts), ["a1", "a2"]);
+  });
+
+  it("recovers the state from a snapshot and a torn log", async () => {
+    fs.writeFileSync(file, JSON.stringify({ simulator: { isRunning: false } }));
+    fs.writeFileSync(`${file}.log`, '{"p":"simulator/isRunning","v":true}\n{"p":"alerts/a1","v":{"st');
+
+    const sink = await createSink({ kind: "file", file });
+    assert.deepEqual(await sink.get("simulator"), { isRunning: true });
+    assert.equal(await sink.get("alerts/a1"), null);
+  });
+});
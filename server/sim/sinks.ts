@@ -0,0 +1,257 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Telemetry Sinks
+   Path-addressed key/value storage used for control flags
+   (simulator/isRunning, simulator/lastActive) and telemetry
+   (compressors/latest, compressors/history/<ts>).
+
+   Every sink exposes get(path), set(path, value),
+   update(path, { child: value }) and close(). Setting null
+   deletes, as in Firebase.
+
+   Backends:
+     firebase — Firebase Realtime Database (production)
+     memory   — in-process only, nothing persisted
+     file     — JSON snapshot on local disk plus an append
+                log (<file>.log) of the writes since; a write
+                appends one line, and the log is folded into
+                the snapshot once it outgrows it and on close
+--------------------------------------------------------- */
+
+import fs from "fs";
+import path from "path";
+
+const DEFAULT_DATABASE_URL = "https://twintech-mvp-default-rtdb.firebaseio.com";
+
+type Tree = Record<string, any>;
+
+export interface TelemetrySink {
+  kind: string;
+  file?: string;
+  get(p: string): Promise<any>;
+  set(p: string, value: unknown): Promise<void>;
+  update(p: string, values: Record<string, unknown>): Promise<void>;
+  close(): Promise<void>;
+}
+
+export interface SinkOptions {
+  kind?: string;
+  serviceAccount?: string;
+  databaseURL?: string;
+  file?: string;
+  // File sink: log size that triggers a compaction, at least the
+  // snapshot's own size
+  compactBytes?: number;
+}
+
+// ---------------- PATH HELPERS ----------------
+function splitPath(p: string): string[] {
+  return String(p).split("/").filter(Boolean);
+}
+
+function readPath(root: Tree, p: string): unknown {
+  let node: any = root;
+  for (const key of splitPath(p)) {
+    if (node === null || typeof node !== "object" || !(key in node)) return null;
+    node = node[key];
+  }
+  return node === undefined ? null : node;
+}
+
+function writePath(root: Tree, p: string, value: unknown) {
+  const keys = splitPath(p);
+  const last = keys.pop() as string;
+  let node = root;
+
+  for (const key of keys) {
+    if (node[key] === null || typeof node[key] !== "object") node[key] = {};
+    node = node[key];
+  }
+
+  if (value === null || value === undefined) {
+    delete node[last];
+  } else {
+    // Store a detached copy so later mutation of the batch can't leak in
+    node[last] = JSON.parse(JSON.stringify(value));
+  }
+}
+
+function detached(value: unknown) {
+  return value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+// ---------------- FIREBASE SINK ----------------
+async function createFirebaseSink(options: SinkOptions): Promise<TelemetrySink> {
+  // Loaded lazily so memory/file sinks never need firebase-admin
+  const { default: admin } = await import("firebase-admin");
+
+  if (!options.serviceAccount) {
+    throw new Error("Firebase sink requires FIREBASE_SERVICE_ACCOUNT");
+  }
+
+  const app = admin.initializeApp({
+    credential: admin.credential.cert(JSON.parse(options.serviceAccount)),
+    databaseURL: options.databaseURL || DEFAULT_DATABASE_URL
+  });
+
+  const db = admin.database(app);
+
+  return {
+    kind: "firebase",
+    async get(p) {
+      const snapshot = await db.ref(p).once("value");
+      return snapshot.val();
+    },
+    async set(p, value) {
+      await db.ref(p).set(value);
+    },
+    async update(p, values) {
+      await db.ref(p).update(values);
+    },
+    async close() {
+      await app.delete();
+    }
+  };
+}
+
+// ---------------- MEMORY SINK ----------------
+async function createMemorySink(): Promise<TelemetrySink> {
+  const root: Tree = {};
+
+  return {
+    kind: "memory",
+    async get(p) {
+      return detached(readPath(root, p));
+    },
+    async set(p, value) {
+      writePath(root, p, value);
+    },
+    async update(p, values) {
+      for (const [key, value] of Object.entries(values)) {
+        writePath(root, `${p}/${key}`, value);
+      }
+    },
+    async close() {}
+  };
+}
+
+// ---------------- FILE SINK ----------------
+const DEFAULT_COMPACT_BYTES = 4 * 1024 * 1024;
+
+interface LogEntry {
+  p: string;
+  v: unknown;
+}
+
+async function createFileSink(options: SinkOptions): Promise<TelemetrySink> {
+  const file = path.resolve(options.file || path.join("data", "simulator.json"));
+  const log = `${file}.log`;
+  const compactBytes = options.compactBytes ?? DEFAULT_COMPACT_BYTES;
+  let root: Tree = {};
+
+  if (fs.existsSync(file)) {
+    root = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } else {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  // Writes since the snapshot; a torn last line (crash mid-append) is dropped
+  if (fs.existsSync(log)) {
+    for (const line of fs.readFileSync(log, "utf-8").split("\n")) {
+      if (line.trim() === "") continue;
+      try {
+        const entry: LogEntry = JSON.parse(line);
+        writePath(root, entry.p, entry.v);
+      } catch {
+        console.error(`File sink: skipped unreadable log line in ${log}`);
+      }
+    }
+  }
+
+  let snapshotBytes = fs.existsSync(file) ? fs.statSync(file).size : 0;
+  let logBytes = fs.existsSync(log) ? fs.statSync(log).size : 0;
+
+  // Serialize disk writes so appends and compactions never interleave.
+  // Each job waits for the previous one to settle, so a failed write
+  // (ENOSPC, EACCES) only fails its own caller.
+  let pending: Promise<void> = Promise.resolve();
+
+  function enqueue(work: () => Promise<void>) {
+    const job = pending.catch(() => {}).then(work);
+    pending = job;
+    return job;
+  }
+
+  async function compact() {
+    const text = JSON.stringify(root);
+    const tmp = `${file}.tmp`;
+    await fs.promises.writeFile(tmp, text);
+    await fs.promises.rename(tmp, file);
+    await fs.promises.rm(log, { force: true });
+    snapshotBytes = Buffer.byteLength(text);
+    logBytes = 0;
+  }
+
+  function append(entries: LogEntry[]) {
+    for (const entry of entries) writePath(root, entry.p, entry.v);
+    const text = entries.map(entry => JSON.stringify({ p: entry.p, v: entry.v ?? null }) + "\n").join("");
+
+    return enqueue(async () => {
+      await fs.promises.appendFile(log, text);
+      logBytes += Buffer.byteLength(text);
+      if (logBytes > Math.max(compactBytes, snapshotBytes)) await compact();
+    });
+  }
+
+  return {
+    kind: "file",
+    file,
+    async get(p) {
+      return detached(readPath(root, p));
+    },
+    async set(p, value) {
+      await append([{ p, v: value }]);
+    },
+    async update(p, values) {
+      await append(Object.entries(values).map(([key, value]) => ({ p: `${p}/${key}`, v: value })));
+    },
+    // Leaves a single JSON file behind, as replay and other tools expect
+    async close() {
+      await enqueue(async () => {
+        if (logBytes > 0) await compact();
+      });
+    }
+  };
+}
+
+// ---------------- FACTORY ----------------
+const BACKENDS: Record<string, (options: SinkOptions) => Promise<TelemetrySink>> = {
+  firebase: createFirebaseSink,
+  memory: createMemorySink,
+  file: createFileSink
+};
+
+export async function createSink(options: SinkOptions = {}): Promise<TelemetrySink> {
+  const kind = options.kind || "memory";
+  const factory = BACKENDS[kind];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown telemetry sink "${kind}" (expected one of: ${Object.keys(BACKENDS).join(", ")})`
+    );
+  }
+
+  return factory(options);
+}
+
+// SIM_SINK picks the backend explicitly; otherwise Firebase is used only
+// when credentials are present so laptops and CI fall back to memory.
+export function sinkOptionsFromEnv(env: NodeJS.ProcessEnv = process.env): SinkOptions {
+  const kind = env.SIM_SINK || (env.FIREBASE_SERVICE_ACCOUNT ? "firebase" : "memory");
+
+  return {
+    kind,
+    serviceAccount: env.FIREBASE_SERVICE_ACCOUNT,
+    databaseURL: env.FIREBASE_DATABASE_URL,
+    file: env.SIM_SINK_FILE
+  };
+}
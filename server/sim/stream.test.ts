@@ -0,0 +1,114 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import type { AddressInfo } from "net";
+import WebSocket from "ws";
+import { createStreamHub, diffBatches, parseFilter } from "./stream";
+import type { Batch, TelemetryRow } from "./types";
+
+function row(id: string, fields: Partial<TelemetryRow> = {}) {
+  return {
+    compressor_id: id,
+    timestamp: 1000,
+    status: "active",
+    temperature: 80,
+    warning: "normal",
+    event_type: "normal",
+    ai_reason: "",
+    ...fields
+  } as TelemetryRow;
+}
+
+// A hub on a throwaway HTTP server, with a client that collects messages
+async function socketHub(batch: Batch, query = "") {
+  const hub = createStreamHub({ getLatest: () => batch });
+  const server = http.createServer();
+  const wss = hub.attachWebSocket(server, "/api/ws");
+  await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  const { port } = server.address() as AddressInfo;
+  const client = new WebSocket(`ws://127.0.0.1:${port}/api/ws${query}`);
+  const messages: any[] = [];
+  client.on("message", raw => messages.push(JSON.parse(raw.toString())));
+  await new Promise(resolve => client.once("open", resolve));
+
+  const next = async (count: number) => {
+    while (messages.length < count) await new Promise(resolve => setTimeout(resolve, 5));
+    return messages[count - 1];
+  };
+  const close = async () => {
+    client.terminate();
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+  };
+  return { hub, client, messages, next, close };
+}
+
+describe("parseFilter", () => {
+  it("reads lists and the events flag", () => {
+    assert.deepEqual(parseFilter({ compressor: "compressor_1, compressor_2", fields: "temperature", events: "0" }), {
+      compressors: ["compressor_1", "compressor_2"],
+      fields: ["temperature"],
+      events: false
+    });
+    assert.deepEqual(parseFilter({ compressors: "", fields: [] }), { compressors: null, fields: null, events: true });
+  });
+});
+
+describe("diffBatches", () => {
+  it("reports status and warning transitions", () => {
+    const events = diffBatches(
+      [row("c1"), row("c2")],
+      [row("c1", { status: "offline" }), row("c2", { warning: "high", event_type: "overheating" }), row("c3")]
+    );
+    assert.deepEqual(events.map(e => [e.type, e.compressor_id, e.from, e.to]), [
+      ["status_changed", "c1", "active", "offline"],
+      ["warning_changed", "c2", "normal", "high"]
+    ]);
+  });
+});
+
+describe("stream hub", () => {
+  it("filters batches and events per subscriber", async () => {
+    const ws = await socketHub([row("c1"), row("c2")], "?compressors=c2&fields=temperature");
+    try {
+      assert.deepEqual(await ws.next(1), {
+        type: "telemetry",
+        data: [{ compressor_id: "c2", timestamp: 1000, temperature: 80 }]
+      });
+
+      ws.hub.publishEvent({ type: "alert_raised", compressor_id: "c1" });
+      ws.hub.publishEvent({ type: "alert_raised", compressor_id: "c2" });
+      assert.deepEqual(await ws.next(2), { type: "event", data: { type: "alert_raised", compressor_id: "c2" } });
+
+      ws.client.send(JSON.stringify({ subscribe: { compressors: "c1", events: false } }));
+      assert.equal((await ws.next(3)).type, "subscribed");
+      ws.hub.publishEvent({ type: "alert_raised", compressor_id: "c1" });
+      ws.hub.publishBatch([row("c1", { temperature: 81 }), row("c2")]);
+      assert.deepEqual((await ws.next(4)).data.map((r: TelemetryRow) => [r.compressor_id, r.temperature]), [["c1", 81]]);
+
+      ws.client.send("not json");
+      assert.deepEqual(await ws.next(5), { type: "error", data: { message: "Invalid JSON message" } });
+    } finally {
+      await ws.close();
+    }
+  });
+
+  it("drops a subscriber whose socket errors and keeps serving", async () => {
+    const ws = await socketHub([row("c1")]);
+    try {
+      await ws.next(1);
+      assert.equal(ws.hub.size(), 1);
+
+      // An unmasked client frame is a protocol error on the server side
+      const closed = new Promise(resolve => ws.client.once("close", resolve));
+      (ws.client as any)._socket.write(Buffer.from([0x81, 0x02, 0x68, 0x69]));
+      await closed;
+
+      assert.equal(ws.hub.size(), 0);
+      ws.hub.publishBatch([row("c1")]);
+    } finally {
+      await ws.close();
+    }
+  });
+});
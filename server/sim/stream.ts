@@ -0,0 +1,230 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Live Telemetry Stream
+   Pushes every tick batch and discrete events (warning
+   transitions, status changes) to subscribers over
+   Server-Sent Events and WebSocket.
+
+   Filters (query string or WebSocket subscribe message):
+     compressors=compressor_1,compressor_2
+     fields=temperature,vibration,warning
+     events=false        — telemetry only
+--------------------------------------------------------- */
+
+import type { Server } from "http";
+import type { Request, Response } from "express";
+import { WebSocketServer } from "ws";
+import type { Batch, TelemetryRow } from "./types";
+
+// Always sent so clients can key rows even with a narrow field set
+const KEY_FIELDS = ["compressor_id", "timestamp"];
+const SSE_KEEPALIVE_MS = 15 * 1000;
+
+export interface StreamFilter {
+  compressors: string[] | null;
+  fields: string[] | null;
+  events: boolean;
+}
+
+export interface StreamEvent {
+  type: string;
+  compressor_id?: string;
+  timestamp?: number;
+  [key: string]: unknown;
+}
+
+type Send = (type: string, data: unknown) => void;
+
+interface Subscriber {
+  filter: StreamFilter;
+  send: Send;
+}
+
+// ---------------- FILTERS ----------------
+function parseList(value: unknown): string[] | null {
+  if (value === undefined || value === null || value === "") return null;
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  const cleaned = items.map(v => String(v).trim()).filter(Boolean);
+  return cleaned.length > 0 ? cleaned : null;
+}
+
+export function parseFilter(query: Record<string, any> = {}): StreamFilter {
+  return {
+    compressors: parseList(query.compressors ?? query.compressor),
+    fields: parseList(query.fields),
+    events: query.events !== false && query.events !== "false" && query.events !== "0"
+  };
+}
+
+function matchesUnit(filter: StreamFilter, id: string) {
+  return !filter.compressors || filter.compressors.includes(id);
+}
+
+function pickFields(filter: StreamFilter, row: TelemetryRow) {
+  if (!filter.fields) return row;
+  const out: Record<string, unknown> = {};
+  for (const key of [...KEY_FIELDS, ...filter.fields]) {
+    if (key in row) out[key] = row[key as keyof TelemetryRow];
+  }
+  return out;
+}
+
+function filterBatch(filter: StreamFilter, batch: Batch) {
+  return batch
+    .filter(row => matchesUnit(filter, row.compressor_id))
+    .map(row => pickFields(filter, row));
+}
+
+// ---------------- EVENT DETECTION ----------------
+// Compares consecutive batches and returns the discrete events between them.
+export function diffBatches(previous: Batch, batch: Batch): StreamEvent[] {
+  const before = new Map(previous.map(row => [row.compressor_id, row]));
+  const events: StreamEvent[] = [];
+
+  for (const row of batch) {
+    const prev = before.get(row.compressor_id);
+    if (!prev) continue;
+
+    if (prev.status !== row.status) {
+      events.push({
+        type: "status_changed",
+        compressor_id: row.compressor_id,
+        timestamp: row.timestamp,
+        from: prev.status,
+        to: row.status
+      });
+    }
+
+    if (prev.warning !== row.warning || prev.event_type !== row.event_type) {
+      events.push({
+        type: "warning_changed",
+        compressor_id: row.compressor_id,
+        timestamp: row.timestamp,
+        from: prev.warning,
+        to: row.warning,
+        event_type: row.event_type,
+        ai_reason: row.ai_reason
+      });
+    }
+  }
+
+  return events;
+}
+
+// ---------------- HUB ----------------
+export type StreamHub = ReturnType<typeof createStreamHub>;
+
+export function createStreamHub({ getLatest = (): Batch => [] } = {}) {
+  const subscribers = new Set<Subscriber>();
+
+  // The returned handle's filter can be swapped in place on re-subscribe
+  function subscribe(filter: StreamFilter, send: Send) {
+    const sub = { filter, send };
+    subscribers.add(sub);
+    return sub;
+  }
+
+  function publishBatch(batch: Batch) {
+    for (const sub of subscribers) {
+      const rows = filterBatch(sub.filter, batch);
+      if (rows.length > 0) sub.send("telemetry", rows);
+    }
+  }
+
+  function publishEvent(event: StreamEvent) {
+    for (const sub of subscribers) {
+      if (!sub.filter.events) continue;
+      if (event.compressor_id && !matchesUnit(sub.filter, event.compressor_id)) continue;
+      sub.send("event", event);
+    }
+  }
+
+  // ---------------- SSE ----------------
+  function handleSse(req: Request, res: Response) {
+    const filter = parseFilter(req.query);
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.write("retry: 2000\n\n");
+
+    const send: Send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const initial = filterBatch(filter, getLatest());
+    if (initial.length > 0) send("telemetry", initial);
+
+    const sub = subscribe(filter, send);
+    const keepalive = setInterval(() => res.write(": keepalive\n\n"), SSE_KEEPALIVE_MS);
+
+    req.on("close", () => {
+      clearInterval(keepalive);
+      subscribers.delete(sub);
+    });
+  }
+
+  // ---------------- WEBSOCKET ----------------
+  // Upgrades for other paths are left alone so the socket can share an
+  // HTTP server with Vite's HMR endpoint.
+  function attachWebSocket(server: Server, path: string) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on("upgrade", (req, socket, head) => {
+      if (new URL(req.url || "/", "http://localhost").pathname !== path) return;
+      wss.handleUpgrade(req, socket, head, ws => wss.emit("connection", ws, req));
+    });
+
+    wss.on("connection", (socket, req) => {
+      const url = new URL(req.url || "/", "http://localhost");
+      const filter = parseFilter(Object.fromEntries(url.searchParams));
+
+      const send: Send = (type, data) => {
+        if (socket.readyState === socket.OPEN) {
+          socket.send(JSON.stringify({ type, data }));
+        }
+      };
+
+      const initial = filterBatch(filter, getLatest());
+      if (initial.length > 0) send("telemetry", initial);
+
+      const sub = subscribe(filter, send);
+
+      socket.on("message", raw => {
+        let msg;
+        try {
+          msg = JSON.parse(raw.toString());
+        } catch {
+          return send("error", { message: "Invalid JSON message" });
+        }
+
+        if (msg && msg.subscribe) {
+          sub.filter = parseFilter(msg.subscribe);
+          send("subscribed", sub.filter);
+        }
+      });
+
+      socket.on("close", () => subscribers.delete(sub));
+
+      // Malformed frames and reset connections; unhandled, they would
+      // take the process down
+      socket.on("error", err => {
+        console.error("Stream socket error:", err.message);
+        subscribers.delete(sub);
+        socket.terminate();
+      });
+    });
+
+    return wss;
+  }
+
+  return {
+    size: () => subscribers.size,
+    publishBatch,
+    publishEvent,
+    handleSse,
+    attachWebSocket
+  };
+}
@@ -0,0 +1,46 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { loadThresholds } from "./thresholds";
+
+describe("threshold registry", () => {
+  it("merges a PUT per level over the current profile", () => {
+    const thresholds = loadThresholds();
+    const profile = thresholds.put("default", { temperature: { medium: 84, high: 90 } });
+
+    assert.deepEqual(profile.temperature, { medium: 84, high: 90, min: 70, max: 100, abnormal: 88 });
+    assert.equal(profile.vibration.medium, 3.3);
+
+    thresholds.put("default", { temperature: { abnormal: 89 } });
+    assert.deepEqual(thresholds.get("default")?.temperature, { medium: 84, high: 90, min: 70, max: 100, abnormal: 89 });
+  });
+
+  it("starts new profiles from the default one", () => {
+    const thresholds = loadThresholds();
+    thresholds.put("hot_climate", { temperature: { medium: 86, high: 92, abnormal: 91 } });
+
+    assert.equal(thresholds.get("hot_climate")?.temperature.medium, 86);
+    assert.deepEqual(thresholds.get("hot_climate")?.flowLow, thresholds.get("default")?.flowLow);
+    assert.equal(thresholds.resolveId({ thresholdProfile: "hot_climate", model: "standard" }), "hot_climate");
+    assert.equal(thresholds.get("default")?.temperature.medium, 83.3);
+  });
+
+  it("rejects invalid bodies and leaves the profile untouched", () => {
+    const thresholds = loadThresholds();
+    const cases: [string, unknown, RegExp][] = [
+      ["bad id!", {}, /Profile id must match/],
+      ["default", [], /Body must be an object/],
+      ["default", { humidity: { medium: 1 } }, /Unknown threshold type humidity/],
+      ["default", { temperature: 90 }, /default.temperature must be an object/],
+      ["default", { temperature: { medium: "hot" } }, /default.temperature.medium must be a number/],
+      ["default", { temperature: { high: 80 } }, /default.temperature: high must be above medium/],
+      ["default", { pressureLow: { high: 101 } }, /default.pressureLow: high must be below medium/],
+      ["default", { vibration: { max: 3.5 } }, /default.vibration.high must lie within \[min, max\]/]
+    ];
+
+    for (const [id, body, message] of cases) {
+      assert.throws(() => thresholds.put(id, body), { status: 400, message }, String(message));
+    }
+    assert.equal(thresholds.get("default")?.temperature.high, 88.5);
+    assert.equal(thresholds.has("bad id!"), false);
+  });
+});
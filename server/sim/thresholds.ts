@@ -0,0 +1,164 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Warning Threshold Profiles
+   Named profiles hold medium/high cut-offs, the plausible
+   min/max range and the "abnormal" level required before a
+   high warning is allowed to stand. Profiles are attached to
+   a compressor model (models map) or to a single unit
+   (unit.thresholdProfile); "default" is the fallback.
+--------------------------------------------------------- */
+
+import fs from "fs";
+import defaultThresholds from "./thresholds.json";
+import { SimulatorError } from "./types";
+
+const DEFAULT_PROFILE = "default";
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// "high" channels warn when the value rises, "low" channels when it falls
+export const DIRECTIONS = {
+  temperature: "high",
+  vibration: "high",
+  pressureLow: "low",
+  flowLow: "low"
+} as const;
+
+export type ThresholdType = keyof typeof DIRECTIONS;
+
+export interface ThresholdLevels {
+  medium: number;
+  high: number;
+  min: number;
+  max: number;
+  abnormal: number;
+}
+
+export type ThresholdProfile = Record<ThresholdType, ThresholdLevels>;
+
+export interface ThresholdConfig {
+  models?: Record<string, string>;
+  profiles?: Record<string, unknown>;
+}
+
+export type ThresholdRegistry = ReturnType<typeof createThresholdRegistry>;
+
+// ---------------- VALIDATION ----------------
+function fail(message: string, status = 400): never {
+  throw new SimulatorError(message, status);
+}
+
+export function validateProfile(id: string, profile: any): asserts profile is ThresholdProfile {
+  if (!profile || typeof profile !== "object") fail(`Profile "${id}" must be an object`);
+
+  for (const [type, direction] of Object.entries(DIRECTIONS)) {
+    const t = profile[type];
+    if (!t || typeof t !== "object") fail(`${id}.${type} is required`);
+
+    for (const key of ["medium", "high", "min", "max", "abnormal"]) {
+      if (typeof t[key] !== "number" || !Number.isFinite(t[key])) {
+        fail(`${id}.${type}.${key} must be a number`);
+      }
+    }
+
+    if (!(t.min < t.max)) fail(`${id}.${type}: min must be below max`);
+
+    const beyond = direction === "high"
+      ? (a: number, b: number) => a > b
+      : (a: number, b: number) => a < b;
+    const word = direction === "high" ? "above" : "below";
+
+    if (!beyond(t.high, t.medium)) fail(`${id}.${type}: high must be ${word} medium`);
+    if (!beyond(t.abnormal, t.medium)) fail(`${id}.${type}: abnormal must be ${word} medium`);
+
+    for (const key of ["medium", "high", "abnormal"]) {
+      if (t[key] < t.min || t[key] > t.max) {
+        fail(`${id}.${type}.${key} must lie within [min, max]`);
+      }
+    }
+  }
+}
+
+// ---------------- REGISTRY ----------------
+export function createThresholdRegistry(config: ThresholdConfig) {
+  const profiles = new Map<string, ThresholdProfile>();
+  const models: Record<string, string> = { ...config.models };
+
+  for (const [id, profile] of Object.entries(config.profiles || {})) {
+    validateProfile(id, profile);
+    profiles.set(id, profile);
+  }
+
+  if (!profiles.has(DEFAULT_PROFILE)) {
+    fail(`Threshold config must define a "${DEFAULT_PROFILE}" profile`, 500);
+  }
+
+  for (const [model, id] of Object.entries(models)) {
+    if (!profiles.has(id)) fail(`Model "${model}" references unknown profile "${id}"`, 500);
+  }
+
+  function has(id: string) {
+    return profiles.has(id);
+  }
+
+  function get(id: string) {
+    return profiles.get(id);
+  }
+
+  function list() {
+    return {
+      models: { ...models },
+      profiles: Object.fromEntries(profiles)
+    };
+  }
+
+  // Merged per level: channels and levels missing from the body keep
+  // their current values (a new profile starts from "default"), so a PUT
+  // can adjust one level without restating the whole profile.
+  function put(id: string, body: any): ThresholdProfile {
+    if (typeof id !== "string" || !ID_PATTERN.test(id)) {
+      fail("Profile id must match [A-Za-z0-9_-]+");
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) fail("Body must be an object");
+
+    for (const [type, levels] of Object.entries(body)) {
+      if (!(type in DIRECTIONS)) fail(`Unknown threshold type ${type}`);
+      if (!levels || typeof levels !== "object" || Array.isArray(levels)) {
+        fail(`${id}.${type} must be an object`);
+      }
+    }
+
+    const base = profiles.get(id) || (profiles.get(DEFAULT_PROFILE) as ThresholdProfile);
+    const next: Record<string, unknown> = {};
+
+    for (const type of Object.keys(DIRECTIONS) as ThresholdType[]) {
+      next[type] = { ...base[type], ...body[type] };
+    }
+
+    validateProfile(id, next);
+    profiles.set(id, next);
+    return next;
+  }
+
+  // Unit override wins, then the unit's model, then the default profile
+  function resolveId(unit?: { thresholdProfile?: string; model?: string }) {
+    if (unit && unit.thresholdProfile && profiles.has(unit.thresholdProfile)) {
+      return unit.thresholdProfile;
+    }
+    if (unit && unit.model && models[unit.model]) return models[unit.model];
+    return DEFAULT_PROFILE;
+  }
+
+  function resolve(unit?: { thresholdProfile?: string; model?: string }) {
+    return profiles.get(resolveId(unit)) as ThresholdProfile;
+  }
+
+  return { has, get, list, put, resolve, resolveId };
+}
+
+// Accepts a file path, an already-parsed config, or nothing (bundled thresholds.json)
+export function loadThresholds(source?: string | ThresholdConfig) {
+  const config: ThresholdConfig =
+    typeof source === "string"
+      ? JSON.parse(fs.readFileSync(source, "utf-8"))
+      : source || defaultThresholds;
+  return createThresholdRegistry(config);
+}
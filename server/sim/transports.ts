@@ -0,0 +1,109 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Notification Transports
+   Delivers one rendered message over a configured channel:
+
+     webhook  POST of the notice as JSON
+     slack    Slack incoming webhook ({ text })
+     teams    Teams incoming webhook (MessageCard)
+     email    plain-text mail over SMTP (nodemailer)
+
+   Every transport rejects on failure so the dispatcher can
+   retry.
+--------------------------------------------------------- */
+
+import nodemailer from "nodemailer";
+import os from "os";
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+export const CHANNEL_TYPES = ["webhook", "slack", "teams", "email"] as const;
+export type ChannelType = (typeof CHANNEL_TYPES)[number];
+
+export interface ChannelConfig {
+  type: ChannelType;
+  // webhook, slack, teams
+  url?: string;
+  headers?: Record<string, string>;
+  // email
+  host?: string;
+  port?: number;
+  secure?: boolean;
+  user?: string;
+  pass?: string;
+  from?: string;
+  timeoutMs?: number;
+}
+
+export interface Message {
+  subject: string;
+  text: string;
+  // Email recipients
+  to: string[];
+  // Machine-readable body for generic webhooks
+  payload: Record<string, unknown>;
+}
+
+export type Transport = (channel: ChannelConfig, message: Message) => Promise<void>;
+
+// ---------------- HTTP ----------------
+async function postJson(channel: ChannelConfig, body: unknown) {
+  const res = await fetch(channel.url as string, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...channel.headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(channel.timeoutMs || DEFAULT_TIMEOUT_MS)
+  });
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status} from ${new URL(channel.url as string).host}`);
+  }
+}
+
+const webhook: Transport = (channel, message) =>
+  postJson(channel, { subject: message.subject, text: message.text, ...message.payload });
+
+const slack: Transport = (channel, message) => postJson(channel, { text: `*${message.subject}*\n${message.text}` });
+
+const teams: Transport = (channel, message) =>
+  postJson(channel, {
+    "@type": "MessageCard",
+    "@context": "https://schema.org/extensions",
+    summary: message.subject,
+    title: message.subject,
+    text: message.text.replace(/\n/g, "\n\n")
+  });
+
+// ---------------- SMTP ----------------
+// Over nodemailer: implicit TLS with secure: true (port 465), else STARTTLS
+// when the server offers it. Credentials are only ever sent over TLS, so
+// with a user set a server without STARTTLS is refused.
+export async function sendMail(channel: ChannelConfig, message: Pick<Message, "subject" | "text" | "to">) {
+  const { host = "localhost", secure = false, user, pass } = channel;
+  const timeout = channel.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const transport = nodemailer.createTransport({
+    host,
+    port: channel.port || (secure ? 465 : 25),
+    secure,
+    requireTLS: Boolean(user),
+    auth: user ? { user, pass: pass ?? "" } : undefined,
+    name: os.hostname() || "twintech",
+    connectionTimeout: timeout,
+    greetingTimeout: timeout,
+    socketTimeout: timeout
+  });
+
+  try {
+    await transport.sendMail({
+      from: channel.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+  } finally {
+    transport.close();
+  }
+}
+
+const email: Transport = (channel, message) => sendMail(channel, message);
+
+// ---------------- REGISTRY ----------------
+export const TRANSPORTS: Record<ChannelType, Transport> = { webhook, slack, teams, email };
@@ -0,0 +1,136 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Shared Types
+--------------------------------------------------------- */
+
+export type UnitStatus = "active" | "inactive" | "offline";
+export type WarningLevel = "normal" | "medium" | "high";
+export type Channel = "temperature" | "vibration" | "pressure" | "flow";
+// Where a unit's readings come from (sim/ingest.ts)
+export type UnitMode = "simulated" | "live" | "shadow";
+
+export type Readings = Record<Channel, number>;
+export type Range = [number, number];
+
+// Load in % of rated, ambient in °C, inlet pressure in bar(a)
+export interface OperatingPoint {
+  load: number;
+  ambient: number;
+  inletPressure: number;
+}
+
+export interface UnitDefinition {
+  id: string;
+  // Place in the asset hierarchy (sim/hierarchy.ts)
+  site: string;
+  area: string;
+  line: string;
+  model: string;
+  thresholdProfile?: string;
+  state: UnitStatus;
+  initial: Readings;
+  baseline: { active: Readings; inactive: Readings };
+  ranges: { active: Record<Channel, Range>; inactive: Record<Channel, Range> };
+  operating: OperatingPoint;
+  // Initial wear, 0 (new) to 1 (end of life)
+  wear: number;
+  mode: UnitMode;
+  pins: { status?: UnitStatus; maxWarning?: "medium" };
+}
+
+// Operator control of a unit (sim/commands.ts); tripped units stay offline
+// until reset
+export interface UnitControl {
+  target: UnitStatus;
+  tripped: boolean;
+}
+
+export interface WarningState {
+  warning: WarningLevel;
+  event_type: string;
+  startTime: number;
+}
+
+export interface DriftState {
+  temp: number;
+  vib: number;
+  press: number;
+  flow: number;
+}
+
+export interface UnitMemory extends Readings {
+  trend: DriftState;
+  bias: DriftState;
+  biasLastFlip: number;
+  state: UnitStatus;
+  lastChange: number;
+  warningState: WarningState;
+  preFaultState: UnitStatus | null;
+  setpoint: OperatingPoint;
+  // Load the unit runs at now (ramps towards setpoint.load)
+  load: number;
+  wear: number;
+  // Noise-free readings the physics expects, lagging like the readings
+  expected: Readings;
+  // null → random transitions (chooseStatus)
+  control: UnitControl | null;
+}
+
+// ⭐ Field names are consumed by Retool / Firebase — do not rename ⭐
+export interface TelemetryRow {
+  compressor_id: string;
+  timestamp: number;
+  status: UnitStatus;
+  temperature: number | null;
+  vibration: number | null;
+  pressure: number | null;
+  flow_rate: number | null;
+  warning: WarningLevel | "none";
+  event_type: string;
+  risk_score: number;
+  ai_alert: boolean;
+  ai_reason: string;
+  message: string;
+  insights_manager: string;
+  insights_engineer: string;
+  insights_maintenance: string;
+  // Only on rows played back from a recording (sim/replay.ts)
+  replay?: true;
+  // Only on units fed by ingested readings; shadow rows also carry the
+  // simulated twin's readings and live minus simulated residuals
+  mode?: "live" | "shadow";
+  shadow?: ShadowComparison;
+}
+
+export interface ShadowComparison {
+  status: UnitStatus;
+  temperature: number | null;
+  vibration: number | null;
+  pressure: number | null;
+  flow_rate: number | null;
+  residual: Record<"temperature" | "vibration" | "pressure" | "flow_rate", number> | null;
+}
+
+export type Batch = TelemetryRow[];
+
+export interface Clock {
+  mode: "real" | "virtual";
+  virtual: boolean;
+  now(): number;
+  advance(ms: number): void;
+}
+
+export interface RandomSource {
+  (): number;
+  seed: string | null;
+}
+
+/** Error carrying the HTTP status the API should answer with. */
+export class SimulatorError extends Error {
+  status: number;
+
+  constructor(message: string, status = 400) {
+    super(message);
+    this.name = "SimulatorError";
+    this.status = status;
+  }
+}
@@ -0,0 +1,127 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import type { Alert } from "./alerts";
+import { createClock } from "./clock";
+import { createEngine } from "./engine";
+import { createWorkOrderStore } from "./workorders";
+
+function alert(id: string, changes: Partial<Alert> = {}): Alert {
+  return {
+    id,
+    compressor_id: "compressor_1",
+    status: "open",
+    severity: "high",
+    event_type: "overheating",
+    ai_reason: "Temperature above high limit.",
+    ...changes
+  } as Alert;
+}
+
+function store(alerts: Alert[] = []) {
+  let t = 0;
+  let n = 0;
+  return createWorkOrderStore({
+    now: () => (t += 1000),
+    newId: () => `wo-${++n}`,
+    hasUnit: id => id === "compressor_1" || id === "compressor_2",
+    getAlert: id => alerts.find(a => a.id === id) || null
+  });
+}
+
+describe("work order store", () => {
+  it("opens one automatic order per unit for high alerts", () => {
+    const orders = store();
+    assert.equal(orders.fromAlert(alert("a1", { severity: "medium" })), null);
+
+    const opened = orders.fromAlert(alert("a1"));
+    assert.equal(opened?.source, "auto");
+    assert.equal(opened?.alert_id, "a1");
+    assert.equal(opened?.title, "Inspect overheating");
+    assert.deepEqual(opened?.notes.map(n => n.text), ["Opened for a high overheating alert."]);
+
+    // Still in hand: a second high alert on the unit adds nothing
+    assert.equal(orders.fromAlert(alert("a2")), null);
+    orders.close("wo-1", {}, "sam");
+    assert.equal(orders.fromAlert(alert("a3"))?.id, "wo-2");
+  });
+
+  it("validates manual orders against the fleet and the linked alert", () => {
+    const orders = store([alert("a1"), alert("a2", { compressor_id: "compressor_2" })]);
+
+    assert.throws(() => orders.create({ title: "Check" }), /compressor_id is required/);
+    assert.throws(() => orders.create({ compressor_id: "nope", title: "Check" }), { status: 404 });
+    assert.throws(() => orders.create({ compressor_id: "compressor_1" }), /title is required/);
+    assert.throws(() => orders.create({ compressor_id: "compressor_1", alert_id: "a9" }), { status: 404 });
+    assert.throws(() => orders.create({ compressor_id: "compressor_1", alert_id: "a2" }), /belongs to compressor_2/);
+    assert.throws(
+      () => orders.create({ compressor_id: "compressor_1", title: "Check", parts: [{ name: "seal", quantity: 0 }] }),
+      /parts\[0\]\.quantity/
+    );
+
+    const order = orders.create(
+      { compressor_id: "compressor_1", alert_id: "a1", assignee: "lee", note: "From the morning round" },
+      "ana"
+    );
+    assert.equal(order.title, "Inspect overheating");
+    assert.equal(order.created_by, "ana");
+    assert.deepEqual(order.notes.map(n => n.text), ["From the morning round"]);
+  });
+
+  it("tracks progress, notes and parts until closed", () => {
+    const orders = store();
+    const order = orders.create({ compressor_id: "compressor_1", title: "Replace filter" }, "ana");
+
+    orders.update(order.id, { status: "in_progress", assignee: "lee", note: "Started" }, "lee");
+    assert.equal(order.status, "in_progress");
+    assert.ok(order.started_at !== null);
+    assert.throws(() => orders.update(order.id, { status: "done" }), /close the order/);
+
+    orders.close(order.id, { parts: [{ name: "air filter" }], note: "Filter swapped", reset: true }, "lee");
+    assert.equal(order.status, "done");
+    assert.equal(order.completed_by, "lee");
+    assert.equal(order.reset, true);
+    assert.deepEqual(order.parts, [{ name: "air filter", quantity: 1 }]);
+    assert.deepEqual(order.notes.map(n => n.text), ["Started", "Filter swapped"]);
+
+    assert.throws(() => orders.update(order.id, { note: "Late" }), { status: 409 });
+    assert.deepEqual(orders.list({ status: "active" }), []);
+    assert.deepEqual(orders.list({ assignee: "lee" }).map(o => o.id), [order.id]);
+  });
+
+  it("leaves the order unchanged when an update is rejected", () => {
+    const orders = store();
+    const order = orders.create({ compressor_id: "compressor_1", title: "Replace filter" }, "ana");
+    const before = structuredClone(order);
+
+    for (const body of [
+      { status: "in_progress", parts: "x" },
+      { status: "in_progress", assignee: "lee", kind: "overhaul" },
+      { assignee: "lee", note: 5 }
+    ]) {
+      assert.throws(() => orders.update(order.id, body, "lee"), { status: 400 });
+      assert.deepEqual(order, before);
+    }
+  });
+});
+
+describe("engine repair", () => {
+  it("returns the unit to new and stops its faults", () => {
+    const engine = createEngine({ seed: 42, clock: createClock({ mode: "virtual" }) });
+    engine.step();
+    engine.scenarios.start("bearing_wear", ["compressor_1"]);
+    for (let i = 0; i < 10; i++) engine.step();
+
+    const before = engine.state("compressor_1")?.operating.wear as number;
+    assert.ok(before > 0);
+
+    const result = engine.repair("compressor_1");
+    assert.equal(result.wear_before, before);
+    assert.equal(result.scenarios_stopped.length, 1);
+
+    const state = engine.state("compressor_1");
+    assert.equal(state?.operating.wear, 0);
+    assert.deepEqual(state?.memory.trend, { temp: 0, vib: 0, press: 0, flow: 0 });
+    assert.deepEqual(state?.scenarios, []);
+    assert.throws(() => engine.repair("nope"), { status: 404 });
+  });
+});
@@ -0,0 +1,311 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Maintenance Work Orders
+   Records the inspections and repairs that the maintenance
+   insights ask for:
+
+     open → in_progress → done
+
+   Orders are raised by hand or automatically when a unit's
+   alert reaches high severity. A unit with an unfinished order
+   gets no second automatic one, so a flapping alert does not
+   pile up orders. Each order may be linked to the alert that
+   triggered it; assignee, notes and parts can change until it
+   is done.
+
+   Closing an order with `reset` marks it as a repair: the
+   service then returns the unit's wear, drift and running
+   faults to a fresh state (see engine.repair()).
+--------------------------------------------------------- */
+
+import { randomUUID } from "crypto";
+import type { Alert } from "./alerts";
+import { SimulatorError } from "./types";
+
+export const WORK_ORDER_STATUSES = ["open", "in_progress", "done"] as const;
+export type WorkOrderStatus = (typeof WORK_ORDER_STATUSES)[number];
+
+export const MAINTENANCE_KINDS = ["inspection", "repair", "replacement", "service"] as const;
+export type MaintenanceKind = (typeof MAINTENANCE_KINDS)[number];
+
+const MAX_DONE_ORDERS = 500;
+
+export interface WorkOrderPart {
+  name: string;
+  quantity: number;
+}
+
+export interface WorkOrderNote {
+  at: number;
+  by: string;
+  text: string;
+}
+
+export interface WorkOrder {
+  id: string;
+  compressor_id: string;
+  alert_id: string | null;
+  source: "manual" | "auto";
+  kind: MaintenanceKind;
+  title: string;
+  status: WorkOrderStatus;
+  assignee: string | null;
+  notes: WorkOrderNote[];
+  parts: WorkOrderPart[];
+  created_at: number;
+  created_by: string;
+  updated_at: number;
+  started_at: number | null;
+  completed_at: number | null;
+  completed_by: string | null;
+  // Whether closing it reset the unit's simulated condition
+  reset: boolean;
+}
+
+export interface WorkOrderFilter {
+  status?: string;
+  compressor?: string;
+  alert?: string;
+  assignee?: string;
+}
+
+export interface WorkOrderStoreOptions {
+  now?: () => number;
+  newId?: () => string;
+  // Lookups used to validate new orders
+  hasUnit?: (id: string) => boolean;
+  getAlert?: (id: string) => Alert | null;
+}
+
+// ---------------- VALIDATION ----------------
+type Body = Record<string, unknown>;
+
+function body(raw: unknown): Body {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new SimulatorError("Work order body must be an object");
+  }
+  return raw as Body;
+}
+
+function optionalText(value: unknown, field: string) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== "string" || value.trim() === "") {
+    throw new SimulatorError(`${field} must be a non-empty string`);
+  }
+  return value.trim();
+}
+
+function parseKind(value: unknown): MaintenanceKind | undefined {
+  if (value === undefined) return undefined;
+  if (!MAINTENANCE_KINDS.includes(value as MaintenanceKind)) {
+    throw new SimulatorError(`kind must be one of ${MAINTENANCE_KINDS.join(", ")}`);
+  }
+  return value as MaintenanceKind;
+}
+
+function parseParts(value: unknown): WorkOrderPart[] | undefined {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value)) throw new SimulatorError("parts must be an array");
+
+  return value.map((part, i) => {
+    const { name, quantity = 1 } = (part || {}) as Body;
+    if (typeof name !== "string" || name.trim() === "") {
+      throw new SimulatorError(`parts[${i}].name must be a non-empty string`);
+    }
+    if (typeof quantity !== "number" || !Number.isInteger(quantity) || quantity < 1) {
+      throw new SimulatorError(`parts[${i}].quantity must be a positive integer`);
+    }
+    return { name: name.trim(), quantity };
+  });
+}
+
+// ---------------- STORE ----------------
+export type WorkOrderStore = ReturnType<typeof createWorkOrderStore>;
+
+export function createWorkOrderStore({
+  now = () => Date.now(),
+  newId = randomUUID as () => string,
+  hasUnit = () => true,
+  getAlert = () => null
+}: WorkOrderStoreOptions = {}) {
+  const orders = new Map<string, WorkOrder>();
+
+  function unfinished(compressorId: string) {
+    return [...orders.values()].find(o => o.compressor_id === compressorId && o.status !== "done");
+  }
+
+  function existing(orderId: string) {
+    const order = orders.get(orderId);
+    if (!order) throw new SimulatorError(`Unknown work order ${orderId}`, 404);
+
+    if (order.status === "done") {
+      throw new SimulatorError(`Work order ${orderId} is already done`, 409);
+    }
+    return order;
+  }
+
+  function prune() {
+    const done = [...orders.values()]
+      .filter(o => o.status === "done")
+      .sort((a, b) => (a.completed_at as number) - (b.completed_at as number));
+    for (const o of done.slice(0, Math.max(0, done.length - MAX_DONE_ORDERS))) {
+      orders.delete(o.id);
+    }
+  }
+
+  function addNote(order: WorkOrder, text: string | undefined, by: string, at: number) {
+    if (text) order.notes.push({ at, by, text });
+  }
+
+  function save(fields: Omit<WorkOrder, "id" | "created_at" | "updated_at" | "notes">, note?: string) {
+    const at = now();
+    const order: WorkOrder = { id: newId(), ...fields, notes: [], created_at: at, updated_at: at };
+    addNote(order, note, order.created_by, at);
+    orders.set(order.id, order);
+    return order;
+  }
+
+  // Body: { compressor_id, alert_id?, title?, kind?, assignee?, note?, parts? };
+  // the title defaults to the linked alert's event
+  function create(raw: unknown, user?: string) {
+    const input = body(raw);
+    const compressorId = optionalText(input.compressor_id, "compressor_id");
+    if (!compressorId) throw new SimulatorError("compressor_id is required");
+    if (!hasUnit(compressorId)) throw new SimulatorError(`Unknown compressor ${compressorId}`, 404);
+
+    const alertId = optionalText(input.alert_id, "alert_id") ?? null;
+    const alert = alertId ? getAlert(alertId) : null;
+    if (alertId && !alert) throw new SimulatorError(`Unknown alert ${alertId}`, 404);
+    if (alert && alert.compressor_id !== compressorId) {
+      throw new SimulatorError(`Alert ${alertId} belongs to ${alert.compressor_id}, not ${compressorId}`);
+    }
+
+    const title = optionalText(input.title, "title") ?? (alert ? `Inspect ${alert.event_type}` : undefined);
+    if (!title) throw new SimulatorError("title is required when no alert is linked");
+
+    return save({
+      compressor_id: compressorId,
+      alert_id: alertId,
+      source: "manual",
+      kind: parseKind(input.kind) ?? "inspection",
+      title,
+      status: "open",
+      assignee: optionalText(input.assignee, "assignee") ?? null,
+      parts: parseParts(input.parts) ?? [],
+      created_by: user || "unknown",
+      started_at: null,
+      completed_at: null,
+      completed_by: null,
+      reset: false
+    }, optionalText(input.note, "note"));
+  }
+
+  // Called with every alert change; opens an order for a high alert
+  // unless the unit already has one in hand
+  function fromAlert(alert: Alert) {
+    if (alert.status === "resolved" || alert.severity !== "high") return null;
+    if (unfinished(alert.compressor_id)) return null;
+
+    return save({
+      compressor_id: alert.compressor_id,
+      alert_id: alert.id,
+      source: "auto",
+      kind: "inspection",
+      title: `Inspect ${alert.event_type}`,
+      status: "open",
+      assignee: null,
+      parts: [],
+      created_by: "auto",
+      started_at: null,
+      completed_at: null,
+      completed_by: null,
+      reset: false
+    }, `Opened for a high ${alert.event_type} alert.`);
+  }
+
+  // Body: { status?: "open" | "in_progress", assignee?, note?, parts? };
+  // parts replaces the list, a note is appended
+  function update(orderId: string, raw: unknown, user?: string) {
+    const order = existing(orderId);
+    const input = body(raw);
+
+    // Everything is validated before the order changes, so a rejected
+    // body leaves it as it was
+    if (input.status !== undefined && input.status !== "open" && input.status !== "in_progress") {
+      throw new SimulatorError('status must be "open" or "in_progress"; close the order to finish it');
+    }
+    const assignee = input.assignee !== undefined ? optionalText(input.assignee, "assignee") ?? null : undefined;
+    const kind = parseKind(input.kind);
+    const parts = parseParts(input.parts);
+    const note = optionalText(input.note, "note");
+    const at = now();
+
+    if (input.status !== undefined) {
+      if (input.status === "in_progress" && order.started_at === null) order.started_at = at;
+      order.status = input.status;
+    }
+    if (assignee !== undefined) order.assignee = assignee;
+    if (kind) order.kind = kind;
+    if (parts) order.parts = parts;
+
+    addNote(order, note, user || "unknown", at);
+    order.updated_at = at;
+    return order;
+  }
+
+  // Body: { note?, parts?, reset?: boolean }
+  function close(orderId: string, raw: unknown = {}, user?: string) {
+    const order = existing(orderId);
+    const input = body(raw);
+    if (input.reset !== undefined && typeof input.reset !== "boolean") {
+      throw new SimulatorError("reset must be a boolean");
+    }
+
+    const parts = parseParts(input.parts);
+    const note = optionalText(input.note, "note");
+    const at = now();
+    const by = user || "unknown";
+
+    if (parts) order.parts = parts;
+    addNote(order, note, by, at);
+    order.status = "done";
+    order.started_at = order.started_at ?? at;
+    order.completed_at = at;
+    order.completed_by = by;
+    order.reset = input.reset === true;
+    order.updated_at = at;
+    prune();
+    return order;
+  }
+
+  function get(orderId: string) {
+    return orders.get(orderId) || null;
+  }
+
+  // Newest first; status accepts "active" as shorthand for open + in_progress
+  function list({ status, compressor, alert, assignee }: WorkOrderFilter = {}) {
+    return [...orders.values()]
+      .filter(o => {
+        if (status === "active") return o.status !== "done";
+        return !status || o.status === status;
+      })
+      .filter(o => !compressor || o.compressor_id === compressor)
+      .filter(o => !alert || o.alert_id === alert)
+      .filter(o => !assignee || o.assignee === assignee)
+      .sort((a, b) => b.created_at - a.created_at);
+  }
+
+  // Orders of a removed unit leave the list; the database keeps them
+  function forget(compressorId: string) {
+    for (const order of [...orders.values()]) {
+      if (order.compressor_id === compressorId) orders.delete(order.id);
+    }
+  }
+
+  // Orders stored before a restart
+  function restore(stored: WorkOrder[]) {
+    for (const order of stored) orders.set(order.id, order);
+    prune();
+  }
+
+  return { create, fromAlert, update, close, get, list, forget, restore };
+}
@@ -0,0 +1,84 @@
+/* ---------------------------------------------------------
+   TwinTech Simulator — Standalone Server
+   Runs the simulator service on its own port, for setups
+   where the dashboard app is hosted elsewhere. The engine,
+   service and routes live in sim/; configuration comes from
+   SIM_* environment variables (see sim/config.ts).
+   There are no user accounts here. With SIM_API_TOKEN set,
+   write endpoints need `Authorization: Bearer <token>` and
+   the server listens on all interfaces; without it, writes
+   are open and it only listens on localhost. The main app
+   (server/index.ts) puts writes behind login instead.
+--------------------------------------------------------- */
+
+import express from "express";
+import type { Server } from "http";
+import {
+  bearerToken,
+  createMetricsHandler,
+  createSimulator,
+  createSimulatorRouter,
+  simulatorConfigFromEnv,
+  type SimulatorService
+} from "./sim";
+
+// ---------------- SERVER START ----------------
+function startServer(app: express.Express, service: SimulatorService, port: number, host: string) {
+  const server: Server = app.listen(port, host, () => {
+    console.log(`TwinTech Simulator running at http://${host}:${port}`);
+    service.stream.attachWebSocket(server, "/api/stream/ws");
+    service.start();
+  });
+
+  server.on("error", (err: NodeJS.ErrnoException) => {
+    if (err.code === "EADDRINUSE") {
+      console.log(`Port ${port} in use, trying ${port + 1}...`);
+      startServer(app, service, port + 1, host);
+    } else {
+      console.error("Unhandled server error:", err);
+    }
+  });
+}
+
+async function boot() {
+  const config = simulatorConfigFromEnv();
+  const service = await createSimulator(config);
+
+  // ---------------- GRACEFUL SHUTDOWN ----------------
+  async function gracefulShutdown() {
+    console.log("\n⚠️ Simulator shutting down… setting isRunning=false");
+    try {
+      await service.stop();
+      await service.sink.close();
+      console.log("✔ Simulator stopped cleanly.");
+    } catch (err) {
+      console.error("Shutdown error:", err);
+    }
+    process.exit(0);
+  }
+
+  process.on("SIGINT", gracefulShutdown);
+  process.on("SIGTERM", gracefulShutdown);
+
+  // ---------------- EXPRESS APP ----------------
+  const app = express();
+  app.use(express.json());
+
+  app.get("/", (req, res) => {
+    res.send("TwinTech Simulator is running.");
+  });
+
+  app.use("/api", createSimulatorRouter(service, {
+    authorize: config.apiToken ? bearerToken(config.apiToken) : undefined
+  }));
+  app.get("/metrics", createMetricsHandler(service));
+
+  if (!config.apiToken) console.log("No SIM_API_TOKEN: writes are open, listening on localhost only");
+  const host = config.apiToken ? "0.0.0.0" : "127.0.0.1";
+  startServer(app, service, process.env.PORT ? Number(process.env.PORT) : 5000, host);
+}
+
+boot().catch(err => {
+  console.error("Simulator failed to start:", err);
+  process.exit(1);
+});
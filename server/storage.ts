@@ -1,20 +1,168 @@
-import { type User, type InsertUser } from "@shared/schema";
+import {
+  commandLog,
+  compressors,
+  maintenanceRecords,
+  readings,
+  thresholdProfiles,
+  users,
+  warningEvents,
+  workOrders,
+  type CommandLogEntry,
+  type Compressor,
+  type InsertCommandLogEntry,
+  type InsertCompressor,
+  type InsertMaintenanceRecord,
+  type InsertReading,
+  type InsertThresholdProfile,
+  type InsertUser,
+  type InsertWarningEvent,
+  type InsertWorkOrder,
+  type MaintenanceRecord,
+  type Reading,
+  type Role,
+  type ThresholdProfileRecord,
+  type User,
+  type WarningEvent,
+  type WorkOrder,
+} from "@shared/schema";
+import { and, asc, desc, eq, gte, inArray, isNull, lt, sql, type SQL } from "drizzle-orm";
 import { randomUUID } from "crypto";
+import session from "express-session";
+import connectPg from "connect-pg-simple";
+import createMemoryStore from "memorystore";
+import { createDatabase, migrateDatabase, type Database } from "./db";
+
+const MemoryStore = createMemoryStore(session);
+const PostgresSessionStore = connectPg(session);
+
+export interface ReadingQuery {
+  compressorId?: string;
+  from?: Date;
+  to?: Date;
+  limit?: number;
+}
+
+export interface WarningEventQuery {
+  compressorId?: string;
+  status?: string;
+  limit?: number;
+}
+
+export interface WorkOrderQuery {
+  compressorId?: string;
+  status?: string;
+  limit?: number;
+}
+
+// Readings aggregated into bucketMs-wide buckets starting at `from`
+export interface ReadingBucketQuery {
+  from: Date;
+  to: Date;
+  bucketMs: number;
+  compressorIds?: string[];
+}
+
+export const READING_CHANNELS = [
+  "temperature",
+  "vibration",
+  "pressure",
+  "flowRate",
+  "riskScore",
+] as const;
+export type ReadingChannel = (typeof READING_CHANNELS)[number];
+
+// Over the non-null values of one channel; last is the newest of them
+export interface ReadingAggregate {
+  min: number | null;
+  max: number | null;
+  sum: number | null;
+  count: number;
+  last: number | null;
+}
+
+export interface ReadingBucket {
+  compressorId: string;
+  bucketStart: Date;
+  values: Record<ReadingChannel, ReadingAggregate>;
+}
+
+const DEFAULT_LIMIT = 1000;
 
 // modify the interface with any CRUD methods
 // you might need
 
 export interface IStorage {
+  sessionStore: session.Store;
+
   getUser(id: string): Promise<User | undefined>;
   getUserByUsername(username: string): Promise<User | undefined>;
   createUser(user: InsertUser): Promise<User>;
+  // Admin if no user exists yet, otherwise manager; the check and the
+  // insert are one step, so concurrent sign-ups get one admin at most
+  registerUser(user: Omit<InsertUser, "role">): Promise<User>;
+  listUsers(): Promise<User[]>;
+  updateUserRole(id: string, role: Role): Promise<User | undefined>;
+
+  // Removed units included (removedAt set)
+  listCompressors(): Promise<Compressor[]>;
+  getCompressor(id: string): Promise<Compressor | undefined>;
+  // Saving a removed unit brings it back
+  upsertCompressor(compressor: InsertCompressor): Promise<Compressor>;
+  // Marks the unit removed; its history stays
+  removeCompressor(id: string): Promise<boolean>;
+
+  listThresholdProfiles(): Promise<ThresholdProfileRecord[]>;
+  upsertThresholdProfile(profile: InsertThresholdProfile): Promise<ThresholdProfileRecord>;
+
+  insertReadings(rows: InsertReading[]): Promise<void>;
+  // Oldest first within [from, to)
+  getReadings(query: ReadingQuery): Promise<Reading[]>;
+  // Per unit, oldest bucket first; buckets without readings are left out
+  getReadingBuckets(query: ReadingBucketQuery): Promise<ReadingBucket[]>;
+
+  upsertWarningEvent(event: InsertWarningEvent): Promise<WarningEvent>;
+  getWarningEvent(id: string): Promise<WarningEvent | undefined>;
+  // Newest first
+  listWarningEvents(query: WarningEventQuery): Promise<WarningEvent[]>;
+
+  createMaintenanceRecord(record: InsertMaintenanceRecord): Promise<MaintenanceRecord>;
+  // Newest first
+  listMaintenanceRecords(compressorId?: string): Promise<MaintenanceRecord[]>;
+
+  upsertWorkOrder(order: InsertWorkOrder): Promise<WorkOrder>;
+  // Newest first
+  listWorkOrders(query: WorkOrderQuery): Promise<WorkOrder[]>;
+
+  insertCommandLogEntry(entry: InsertCommandLogEntry): Promise<CommandLogEntry>;
+  // Newest first
+  listCommandLog(compressorId?: string, limit?: number): Promise<CommandLogEntry[]>;
 }
 
 export class MemStorage implements IStorage {
+  sessionStore: session.Store;
   private users: Map<string, User>;
+  private compressors: Map<string, Compressor>;
+  private thresholdProfiles: Map<string, ThresholdProfileRecord>;
+  private readings: Reading[];
+  private warningEvents: Map<string, WarningEvent>;
+  private maintenanceRecords: Map<string, MaintenanceRecord>;
+  private workOrders: Map<string, WorkOrder>;
+  private commandLog: CommandLogEntry[];
+  private nextReadingId: number;
 
   constructor() {
+    this.sessionStore = new MemoryStore({
+      checkPeriod: 86400000, // prune expired entries every 24h
+    });
     this.users = new Map();
+    this.compressors = new Map();
+    this.thresholdProfiles = new Map();
+    this.readings = [];
+    this.warningEvents = new Map();
+    this.maintenanceRecords = new Map();
+    this.workOrders = new Map();
+    this.commandLog = [];
+    this.nextReadingId = 1;
   }
 
   async getUser(id: string): Promise<User | undefined> {
@@ -29,10 +177,548 @@ export class MemStorage implements IStorage {
 
   async createUser(insertUser: InsertUser): Promise<User> {
     const id = randomUUID();
-    const user: User = { ...insertUser, id };
+    const user: User = { role: "manager", ...insertUser, id };
     this.users.set(id, user);
     return user;
   }
+
+  async registerUser(insertUser: Omit<InsertUser, "role">): Promise<User> {
+    const role: Role = this.users.size === 0 ? "admin" : "manager";
+    return this.createUser({ ...insertUser, role });
+  }
+
+  async listUsers(): Promise<User[]> {
+    return Array.from(this.users.values());
+  }
+
+  async updateUserRole(id: string, role: Role): Promise<User | undefined> {
+    const user = this.users.get(id);
+    if (!user) return undefined;
+    const updated: User = { ...user, role };
+    this.users.set(id, updated);
+    return updated;
+  }
+
+  async listCompressors(): Promise<Compressor[]> {
+    return Array.from(this.compressors.values());
+  }
+
+  async getCompressor(id: string): Promise<Compressor | undefined> {
+    return this.compressors.get(id);
+  }
+
+  async upsertCompressor(insert: InsertCompressor): Promise<Compressor> {
+    const existing = this.compressors.get(insert.id);
+    const now = new Date();
+    const compressor: Compressor = {
+      area: "default",
+      line: "default",
+      thresholdProfile: null,
+      ...insert,
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now,
+      removedAt: null,
+    };
+    this.compressors.set(compressor.id, compressor);
+    return compressor;
+  }
+
+  async removeCompressor(id: string): Promise<boolean> {
+    const compressor = this.compressors.get(id);
+    if (!compressor || compressor.removedAt) return false;
+    this.compressors.set(id, { ...compressor, removedAt: new Date() });
+    return true;
+  }
+
+  async listThresholdProfiles(): Promise<ThresholdProfileRecord[]> {
+    return Array.from(this.thresholdProfiles.values());
+  }
+
+  async upsertThresholdProfile(
+    insert: InsertThresholdProfile,
+  ): Promise<ThresholdProfileRecord> {
+    const record: ThresholdProfileRecord = { ...insert, updatedAt: new Date() };
+    this.thresholdProfiles.set(record.id, record);
+    return record;
+  }
+
+  async insertReadings(rows: InsertReading[]): Promise<void> {
+    for (const row of rows) {
+      this.readings.push({
+        temperature: null,
+        vibration: null,
+        pressure: null,
+        flowRate: null,
+        ...row,
+        id: this.nextReadingId++,
+      });
+    }
+  }
+
+  async getReadings({
+    compressorId,
+    from,
+    to,
+    limit = DEFAULT_LIMIT,
+  }: ReadingQuery): Promise<Reading[]> {
+    return this.readings
+      .filter(
+        (r) =>
+          (!compressorId || r.compressorId === compressorId) &&
+          (!from || r.recordedAt >= from) &&
+          (!to || r.recordedAt < to),
+      )
+      .sort((a, b) => a.recordedAt.getTime() - b.recordedAt.getTime())
+      .slice(0, limit);
+  }
+
+  async getReadingBuckets({
+    from,
+    to,
+    bucketMs,
+    compressorIds,
+  }: ReadingBucketQuery): Promise<ReadingBucket[]> {
+    const buckets = new Map<string, ReadingBucket>();
+    const rows = await this.getReadings({ from, to, limit: Infinity });
+
+    for (const row of rows) {
+      if (compressorIds && !compressorIds.includes(row.compressorId)) continue;
+      const slot = Math.floor((row.recordedAt.getTime() - from.getTime()) / bucketMs);
+      const key = `${row.compressorId}:${slot}`;
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = {
+          compressorId: row.compressorId,
+          bucketStart: new Date(from.getTime() + slot * bucketMs),
+          values: Object.fromEntries(
+            READING_CHANNELS.map((c) => [
+              c,
+              { min: null, max: null, sum: null, count: 0, last: null },
+            ]),
+          ) as ReadingBucket["values"],
+        };
+        buckets.set(key, bucket);
+      }
+
+      // Oldest first, so the last value seen is the newest
+      for (const channel of READING_CHANNELS) {
+        const value = row[channel];
+        if (value === null) continue;
+        const agg = bucket.values[channel];
+        agg.min = agg.min === null ? value : Math.min(agg.min, value);
+        agg.max = agg.max === null ? value : Math.max(agg.max, value);
+        agg.sum = (agg.sum ?? 0) + value;
+        agg.count += 1;
+        agg.last = value;
+      }
+    }
+
+    return Array.from(buckets.values()).sort(
+      (a, b) =>
+        a.compressorId.localeCompare(b.compressorId) ||
+        a.bucketStart.getTime() - b.bucketStart.getTime(),
+    );
+  }
+
+  async upsertWarningEvent(insert: InsertWarningEvent): Promise<WarningEvent> {
+    const event: WarningEvent = {
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      resolvedAt: null,
+      resolvedBy: null,
+      resolutionNote: null,
+      acknowledgeNote: null,
+      latest: null,
+      escalations: [],
+      ...insert,
+    };
+    this.warningEvents.set(event.id, event);
+    return event;
+  }
+
+  async getWarningEvent(id: string): Promise<WarningEvent | undefined> {
+    return this.warningEvents.get(id);
+  }
+
+  async listWarningEvents({
+    compressorId,
+    status,
+    limit = DEFAULT_LIMIT,
+  }: WarningEventQuery): Promise<WarningEvent[]> {
+    return Array.from(this.warningEvents.values())
+      .filter(
+        (e) =>
+          (!compressorId || e.compressorId === compressorId) &&
+          (!status || e.status === status),
+      )
+      .sort((a, b) => b.openedAt.getTime() - a.openedAt.getTime())
+      .slice(0, limit);
+  }
+
+  async createMaintenanceRecord(
+    insert: InsertMaintenanceRecord,
+  ): Promise<MaintenanceRecord> {
+    const now = new Date();
+    const record: MaintenanceRecord = {
+      warningEventId: null,
+      workOrderId: null,
+      performedBy: null,
+      performedAt: now,
+      ...insert,
+      id: randomUUID(),
+      createdAt: now,
+    };
+    this.maintenanceRecords.set(record.id, record);
+    return record;
+  }
+
+  async listMaintenanceRecords(compressorId?: string): Promise<MaintenanceRecord[]> {
+    return Array.from(this.maintenanceRecords.values())
+      .filter((r) => !compressorId || r.compressorId === compressorId)
+      .sort((a, b) => b.performedAt.getTime() - a.performedAt.getTime());
+  }
+
+  async upsertWorkOrder(insert: InsertWorkOrder): Promise<WorkOrder> {
+    const order: WorkOrder = {
+      warningEventId: null,
+      assignee: null,
+      notes: [],
+      parts: [],
+      startedAt: null,
+      completedAt: null,
+      completedBy: null,
+      reset: false,
+      ...insert,
+    };
+    this.workOrders.set(order.id, order);
+    return order;
+  }
+
+  async listWorkOrders({
+    compressorId,
+    status,
+    limit = DEFAULT_LIMIT,
+  }: WorkOrderQuery): Promise<WorkOrder[]> {
+    return Array.from(this.workOrders.values())
+      .filter(
+        (o) =>
+          (!compressorId || o.compressorId === compressorId) &&
+          (!status || o.status === status),
+      )
+      .sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime())
+      .slice(0, limit);
+  }
+
+  async insertCommandLogEntry(
+    insert: InsertCommandLogEntry,
+  ): Promise<CommandLogEntry> {
+    const entry: CommandLogEntry = { issuedBy: null, note: null, ...insert };
+    this.commandLog.push(entry);
+    return entry;
+  }
+
+  async listCommandLog(
+    compressorId?: string,
+    limit = DEFAULT_LIMIT,
+  ): Promise<CommandLogEntry[]> {
+    return this.commandLog
+      .filter((e) => !compressorId || e.compressorId === compressorId)
+      .sort((a, b) => b.issuedAt.getTime() - a.issuedAt.getTime())
+      .slice(0, limit);
+  }
+}
+
+export class DbStorage implements IStorage {
+  sessionStore: session.Store;
+
+  constructor(private db: Database) {
+    this.sessionStore = new PostgresSessionStore({
+      pool: db.$client,
+      createTableIfMissing: true,
+    });
+  }
+
+  // Brings the schema up to date; call once before serving requests
+  async migrate(): Promise<void> {
+    await migrateDatabase(this.db);
+  }
+
+  async getUser(id: string): Promise<User | undefined> {
+    const [user] = await this.db.select().from(users).where(eq(users.id, id));
+    return user;
+  }
+
+  async getUserByUsername(username: string): Promise<User | undefined> {
+    const [user] = await this.db
+      .select()
+      .from(users)
+      .where(eq(users.username, username));
+    return user;
+  }
+
+  async createUser(insertUser: InsertUser): Promise<User> {
+    const [user] = await this.db.insert(users).values(insertUser).returning();
+    return user;
+  }
+
+  async registerUser(insertUser: Omit<InsertUser, "role">): Promise<User> {
+    return this.db.transaction(async (tx) => {
+      // Self-conflicting lock: a second sign-up waits here until this one
+      // commits, then sees its row
+      await tx.execute(sql`lock table ${users} in share row exclusive mode`);
+      const [existing] = await tx.select({ id: users.id }).from(users).limit(1);
+      const [user] = await tx
+        .insert(users)
+        .values({ ...insertUser, role: existing ? "manager" : "admin" })
+        .returning();
+      return user;
+    });
+  }
+
+  async listUsers(): Promise<User[]> {
+    return this.db.select().from(users);
+  }
+
+  async updateUserRole(id: string, role: Role): Promise<User | undefined> {
+    const [user] = await this.db
+      .update(users)
+      .set({ role })
+      .where(eq(users.id, id))
+      .returning();
+    return user;
+  }
+
+  async listCompressors(): Promise<Compressor[]> {
+    return this.db.select().from(compressors).orderBy(asc(compressors.createdAt));
+  }
+
+  async getCompressor(id: string): Promise<Compressor | undefined> {
+    const [compressor] = await this.db
+      .select()
+      .from(compressors)
+      .where(eq(compressors.id, id));
+    return compressor;
+  }
+
+  async upsertCompressor(insert: InsertCompressor): Promise<Compressor> {
+    const [compressor] = await this.db
+      .insert(compressors)
+      .values(insert)
+      .onConflictDoUpdate({
+        target: compressors.id,
+        set: { ...insert, updatedAt: new Date(), removedAt: null },
+      })
+      .returning();
+    return compressor;
+  }
+
+  async removeCompressor(id: string): Promise<boolean> {
+    const removed = await this.db
+      .update(compressors)
+      .set({ removedAt: new Date() })
+      .where(and(eq(compressors.id, id), isNull(compressors.removedAt)))
+      .returning({ id: compressors.id });
+    return removed.length > 0;
+  }
+
+  async listThresholdProfiles(): Promise<ThresholdProfileRecord[]> {
+    return this.db.select().from(thresholdProfiles);
+  }
+
+  async upsertThresholdProfile(
+    insert: InsertThresholdProfile,
+  ): Promise<ThresholdProfileRecord> {
+    const [record] = await this.db
+      .insert(thresholdProfiles)
+      .values(insert)
+      .onConflictDoUpdate({
+        target: thresholdProfiles.id,
+        set: { profile: insert.profile, updatedAt: new Date() },
+      })
+      .returning();
+    return record;
+  }
+
+  async insertReadings(rows: InsertReading[]): Promise<void> {
+    if (rows.length === 0) return;
+    await this.db.insert(readings).values(rows);
+  }
+
+  async getReadings({
+    compressorId,
+    from,
+    to,
+    limit = DEFAULT_LIMIT,
+  }: ReadingQuery): Promise<Reading[]> {
+    const conditions: SQL[] = [];
+    if (compressorId) conditions.push(eq(readings.compressorId, compressorId));
+    if (from) conditions.push(gte(readings.recordedAt, from));
+    if (to) conditions.push(lt(readings.recordedAt, to));
+
+    return this.db
+      .select()
+      .from(readings)
+      .where(and(...conditions))
+      .orderBy(asc(readings.recordedAt))
+      .limit(limit);
+  }
+
+  // Aggregated in SQL so long windows never load the raw rows. The bucket
+  // bounds are inlined (both numbers) so the grouped expression matches
+  // the selected one.
+  async getReadingBuckets({
+    from,
+    to,
+    bucketMs,
+    compressorIds,
+  }: ReadingBucketQuery): Promise<ReadingBucket[]> {
+    if (compressorIds && compressorIds.length === 0) return [];
+
+    const conditions: SQL[] = [
+      gte(readings.recordedAt, from),
+      lt(readings.recordedAt, to),
+    ];
+    if (compressorIds) conditions.push(inArray(readings.compressorId, compressorIds));
+
+    const origin = sql.raw(String(from.getTime()));
+    const width = sql.raw(String(Math.trunc(bucketMs)));
+    const slot = sql<number>`floor((extract(epoch from ${readings.recordedAt}) * 1000 - ${origin}) / ${width})::int`;
+    const aggregate = (channel: ReadingChannel) => {
+      const column = readings[channel];
+      return {
+        min: sql<number | null>`min(${column})`.mapWith(Number),
+        max: sql<number | null>`max(${column})`.mapWith(Number),
+        sum: sql<number | null>`sum(${column})`.mapWith(Number),
+        count: sql<number>`count(${column})`.mapWith(Number),
+        last: sql<number | null>`(array_agg(${column} order by ${readings.recordedAt} desc) filter (where ${column} is not null))[1]`.mapWith(
+          Number,
+        ),
+      };
+    };
+
+    const rows = await this.db
+      .select({
+        compressorId: readings.compressorId,
+        slot: slot.mapWith(Number),
+        temperature: aggregate("temperature"),
+        vibration: aggregate("vibration"),
+        pressure: aggregate("pressure"),
+        flowRate: aggregate("flowRate"),
+        riskScore: aggregate("riskScore"),
+      })
+      .from(readings)
+      .where(and(...conditions))
+      .groupBy(readings.compressorId, slot)
+      .orderBy(asc(readings.compressorId), asc(slot));
+
+    return rows.map(({ compressorId, slot: index, ...values }) => ({
+      compressorId,
+      bucketStart: new Date(from.getTime() + index * bucketMs),
+      values,
+    }));
+  }
+
+  async upsertWarningEvent(insert: InsertWarningEvent): Promise<WarningEvent> {
+    const { id, ...changes } = insert;
+    const [event] = await this.db
+      .insert(warningEvents)
+      .values(insert)
+      .onConflictDoUpdate({ target: warningEvents.id, set: changes })
+      .returning();
+    return event;
+  }
+
+  async getWarningEvent(id: string): Promise<WarningEvent | undefined> {
+    const [event] = await this.db
+      .select()
+      .from(warningEvents)
+      .where(eq(warningEvents.id, id));
+    return event;
+  }
+
+  async listWarningEvents({
+    compressorId,
+    status,
+    limit = DEFAULT_LIMIT,
+  }: WarningEventQuery): Promise<WarningEvent[]> {
+    const conditions: SQL[] = [];
+    if (compressorId) conditions.push(eq(warningEvents.compressorId, compressorId));
+    if (status) conditions.push(eq(warningEvents.status, status));
+
+    return this.db
+      .select()
+      .from(warningEvents)
+      .where(and(...conditions))
+      .orderBy(desc(warningEvents.openedAt))
+      .limit(limit);
+  }
+
+  async createMaintenanceRecord(
+    insert: InsertMaintenanceRecord,
+  ): Promise<MaintenanceRecord> {
+    const [record] = await this.db
+      .insert(maintenanceRecords)
+      .values(insert)
+      .returning();
+    return record;
+  }
+
+  async listMaintenanceRecords(compressorId?: string): Promise<MaintenanceRecord[]> {
+    return this.db
+      .select()
+      .from(maintenanceRecords)
+      .where(compressorId ? eq(maintenanceRecords.compressorId, compressorId) : undefined)
+      .orderBy(desc(maintenanceRecords.performedAt));
+  }
+
+  async upsertWorkOrder(insert: InsertWorkOrder): Promise<WorkOrder> {
+    const { id, ...changes } = insert;
+    const [order] = await this.db
+      .insert(workOrders)
+      .values(insert)
+      .onConflictDoUpdate({ target: workOrders.id, set: changes })
+      .returning();
+    return order;
+  }
+
+  async listWorkOrders({
+    compressorId,
+    status,
+    limit = DEFAULT_LIMIT,
+  }: WorkOrderQuery): Promise<WorkOrder[]> {
+    const conditions: SQL[] = [];
+    if (compressorId) conditions.push(eq(workOrders.compressorId, compressorId));
+    if (status) conditions.push(eq(workOrders.status, status));
+
+    return this.db
+      .select()
+      .from(workOrders)
+      .where(and(...conditions))
+      .orderBy(desc(workOrders.createdAt))
+      .limit(limit);
+  }
+
+  async insertCommandLogEntry(
+    insert: InsertCommandLogEntry,
+  ): Promise<CommandLogEntry> {
+    const [entry] = await this.db.insert(commandLog).values(insert).returning();
+    return entry;
+  }
+
+  async listCommandLog(
+    compressorId?: string,
+    limit = DEFAULT_LIMIT,
+  ): Promise<CommandLogEntry[]> {
+    return this.db
+      .select()
+      .from(commandLog)
+      .where(compressorId ? eq(commandLog.compressorId, compressorId) : undefined)
+      .orderBy(desc(commandLog.issuedAt))
+      .limit(limit);
+  }
 }
 
-export const storage = new MemStorage();
+// Postgres when DATABASE_URL is set (see drizzle.config.ts), memory otherwise
+export const storage: IStorage = process.env.DATABASE_URL
+  ? new DbStorage(createDatabase(process.env.DATABASE_URL))
+  : new MemStorage();
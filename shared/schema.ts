@@ -1,18 +1,255 @@
 import { sql } from "drizzle-orm";
-import { pgTable, text, varchar } from "drizzle-orm/pg-core";
+import {
+  bigserial,
+  boolean,
+  doublePrecision,
+  index,
+  jsonb,
+  pgTable,
+  text,
+  timestamp,
+  varchar,
+} from "drizzle-orm/pg-core";
 import { createInsertSchema } from "drizzle-zod";
 import { z } from "zod";
 
+// Roles follow the insight audiences (insights_manager, _engineer,
+// _maintenance) plus admin, who manages users and the fleet.
+export const ROLES = ["manager", "engineer", "maintenance", "admin"] as const;
+export type Role = (typeof ROLES)[number];
+
 export const users = pgTable("users", {
   id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
   username: text("username").notNull().unique(),
   password: text("password").notNull(),
+  role: text("role").$type<Role>().notNull().default("manager"),
 });
 
-export const insertUserSchema = createInsertSchema(users).pick({
+export const insertUserSchema = createInsertSchema(users, {
+  role: z.enum(ROLES).optional(),
+}).pick({
   username: true,
   password: true,
+  role: true,
+});
+
+// Self-registration: the role is assigned by the server, never the client
+export const registerUserSchema = z.object({
+  username: z.string().trim().min(3).max(64),
+  password: z.string().min(8).max(256),
+});
+
+export const updateUserRoleSchema = z.object({
+  role: z.enum(ROLES),
 });
 
 export type InsertUser = z.infer<typeof insertUserSchema>;
 export type User = typeof users.$inferSelect;
+export type PublicUser = Omit<User, "password">;
+
+// Fleet units; `definition` holds the full normalized unit (baseline,
+// ranges, pins) so the simulator can rebuild it after a restart. Site,
+// area and line place it in the asset hierarchy. Removing a unit sets
+// removed_at and keeps the row, so its readings, alerts and work orders
+// stay on record.
+export const compressors = pgTable("compressors", {
+  id: varchar("id").primaryKey(),
+  site: text("site").notNull(),
+  area: text("area").notNull().default("default"),
+  line: text("line").notNull().default("default"),
+  model: text("model").notNull(),
+  thresholdProfile: text("threshold_profile"),
+  state: text("state").notNull(),
+  definition: jsonb("definition").notNull(),
+  createdAt: timestamp("created_at", { withTimezone: true }).notNull().defaultNow(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).notNull().defaultNow(),
+  removedAt: timestamp("removed_at", { withTimezone: true }),
+});
+
+export const insertCompressorSchema = createInsertSchema(compressors).omit({
+  createdAt: true,
+  updatedAt: true,
+  removedAt: true,
+});
+
+export type InsertCompressor = z.infer<typeof insertCompressorSchema>;
+export type Compressor = typeof compressors.$inferSelect;
+
+// Threshold profiles edited at runtime (PUT /api/thresholds/:id); the
+// full profile, restored over the bundled ones after a restart.
+export const thresholdProfiles = pgTable("threshold_profiles", {
+  id: varchar("id").primaryKey(),
+  profile: jsonb("profile").notNull(),
+  updatedAt: timestamp("updated_at", { withTimezone: true }).notNull().defaultNow(),
+});
+
+export const insertThresholdProfileSchema = createInsertSchema(thresholdProfiles).omit({
+  updatedAt: true,
+});
+
+export type InsertThresholdProfile = z.infer<typeof insertThresholdProfileSchema>;
+export type ThresholdProfileRecord = typeof thresholdProfiles.$inferSelect;
+
+// One row per unit per telemetry snapshot; channels are null while offline
+export const readings = pgTable(
+  "readings",
+  {
+    id: bigserial("id", { mode: "number" }).primaryKey(),
+    compressorId: varchar("compressor_id")
+      .notNull()
+      .references(() => compressors.id, { onDelete: "restrict" }),
+    recordedAt: timestamp("recorded_at", { withTimezone: true }).notNull(),
+    status: text("status").notNull(),
+    temperature: doublePrecision("temperature"),
+    vibration: doublePrecision("vibration"),
+    pressure: doublePrecision("pressure"),
+    flowRate: doublePrecision("flow_rate"),
+    warning: text("warning").notNull(),
+    eventType: text("event_type").notNull(),
+    riskScore: doublePrecision("risk_score").notNull(),
+    aiAlert: boolean("ai_alert").notNull(),
+    aiReason: text("ai_reason").notNull(),
+  },
+  (table) => [
+    index("readings_compressor_recorded_at_idx").on(table.compressorId, table.recordedAt),
+  ],
+);
+
+export const insertReadingSchema = createInsertSchema(readings).omit({ id: true });
+
+export type InsertReading = z.infer<typeof insertReadingSchema>;
+export type Reading = typeof readings.$inferSelect;
+
+// Alert incidents (open → acknowledged → resolved), keyed by the alert id
+// the simulator assigns; trigger and escalations keep their JSON shape.
+export const warningEvents = pgTable(
+  "warning_events",
+  {
+    id: varchar("id").primaryKey(),
+    compressorId: varchar("compressor_id")
+      .notNull()
+      .references(() => compressors.id, { onDelete: "restrict" }),
+    status: text("status").notNull(),
+    severity: text("severity").notNull(),
+    initialSeverity: text("initial_severity").notNull(),
+    eventType: text("event_type").notNull(),
+    aiReason: text("ai_reason").notNull(),
+    openedAt: timestamp("opened_at", { withTimezone: true }).notNull(),
+    updatedAt: timestamp("updated_at", { withTimezone: true }).notNull(),
+    acknowledgedAt: timestamp("acknowledged_at", { withTimezone: true }),
+    acknowledgedBy: text("acknowledged_by"),
+    resolvedAt: timestamp("resolved_at", { withTimezone: true }),
+    resolvedBy: text("resolved_by"),
+    resolutionNote: text("resolution_note"),
+    acknowledgeNote: text("acknowledge_note"),
+    trigger: jsonb("trigger").notNull(),
+    latest: jsonb("latest"),
+    escalations: jsonb("escalations").notNull().default(sql`'[]'::jsonb`),
+  },
+  (table) => [
+    index("warning_events_compressor_opened_at_idx").on(table.compressorId, table.openedAt),
+  ],
+);
+
+export const insertWarningEventSchema = createInsertSchema(warningEvents);
+
+export type InsertWarningEvent = z.infer<typeof insertWarningEventSchema>;
+export type WarningEvent = typeof warningEvents.$inferSelect;
+
+// Completed maintenance, one row per closed work order
+export const maintenanceRecords = pgTable(
+  "maintenance_records",
+  {
+    id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+    compressorId: varchar("compressor_id")
+      .notNull()
+      .references(() => compressors.id, { onDelete: "restrict" }),
+    warningEventId: varchar("warning_event_id").references(() => warningEvents.id, {
+      onDelete: "set null",
+    }),
+    workOrderId: varchar("work_order_id").references(() => workOrders.id, {
+      onDelete: "set null",
+    }),
+    kind: text("kind").notNull(),
+    description: text("description").notNull(),
+    performedBy: text("performed_by"),
+    performedAt: timestamp("performed_at", { withTimezone: true }).notNull().defaultNow(),
+    createdAt: timestamp("created_at", { withTimezone: true }).notNull().defaultNow(),
+  },
+  (table) => [
+    index("maintenance_records_compressor_idx").on(table.compressorId, table.performedAt),
+  ],
+);
+
+export const insertMaintenanceRecordSchema = createInsertSchema(maintenanceRecords, {
+  kind: z.enum(["inspection", "repair", "replacement", "service"]),
+  description: z.string().min(1),
+}).omit({
+  id: true,
+  createdAt: true,
+});
+
+export type InsertMaintenanceRecord = z.infer<typeof insertMaintenanceRecordSchema>;
+export type MaintenanceRecord = typeof maintenanceRecords.$inferSelect;
+
+// Maintenance work orders (open → in_progress → done), raised by hand or
+// from a high alert; notes and parts keep their JSON shape.
+export const workOrders = pgTable(
+  "work_orders",
+  {
+    id: varchar("id").primaryKey(),
+    compressorId: varchar("compressor_id")
+      .notNull()
+      .references(() => compressors.id, { onDelete: "restrict" }),
+    warningEventId: varchar("warning_event_id").references(() => warningEvents.id, {
+      onDelete: "set null",
+    }),
+    source: text("source").notNull(),
+    kind: text("kind").notNull(),
+    title: text("title").notNull(),
+    status: text("status").notNull(),
+    assignee: text("assignee"),
+    notes: jsonb("notes").notNull().default(sql`'[]'::jsonb`),
+    parts: jsonb("parts").notNull().default(sql`'[]'::jsonb`),
+    createdAt: timestamp("created_at", { withTimezone: true }).notNull(),
+    createdBy: text("created_by").notNull(),
+    updatedAt: timestamp("updated_at", { withTimezone: true }).notNull(),
+    startedAt: timestamp("started_at", { withTimezone: true }),
+    completedAt: timestamp("completed_at", { withTimezone: true }),
+    completedBy: text("completed_by"),
+    reset: boolean("reset").notNull().default(false),
+  },
+  (table) => [
+    index("work_orders_compressor_created_at_idx").on(table.compressorId, table.createdAt),
+    index("work_orders_status_idx").on(table.status),
+  ],
+);
+
+export const insertWorkOrderSchema = createInsertSchema(workOrders);
+
+export type InsertWorkOrder = z.infer<typeof insertWorkOrderSchema>;
+export type WorkOrder = typeof workOrders.$inferSelect;
+
+// Operator commands (start, stop, shutdown, trip, reset) and who issued
+// them. An audit trail, so entries outlive their unit: no foreign key.
+export const commandLog = pgTable(
+  "command_log",
+  {
+    id: varchar("id").primaryKey(),
+    compressorId: varchar("compressor_id").notNull(),
+    command: text("command").notNull(),
+    issuedBy: text("issued_by"),
+    note: text("note"),
+    issuedAt: timestamp("issued_at", { withTimezone: true }).notNull(),
+    statusBefore: text("status_before").notNull(),
+    target: text("target").notNull(),
+  },
+  (table) => [
+    index("command_log_compressor_issued_at_idx").on(table.compressorId, table.issuedAt),
+  ],
+);
+
+export const insertCommandLogEntrySchema = createInsertSchema(commandLog);
+
+export type InsertCommandLogEntry = z.infer<typeof insertCommandLogEntrySchema>;
+export type CommandLogEntry = typeof commandLog.$inferSelect;